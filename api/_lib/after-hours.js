@@ -0,0 +1,239 @@
+/**
+ * After-Hours Load
+ * Emails the user sent and meetings held outside working hours or on weekends,
+ * rolled up into an "always-on" index per day and per Monday-Sunday week
+ */
+
+const { mapWithConcurrency } = require('./concurrency');
+const { zonedDateKey, getZonedParts, zonedTimeToUtc } = require('./timezone');
+const { WEEKEND_DAYS, parseDateKey, addDays, isWeekend, fetchEvents, getEventBounds, isMeeting } = require('./calendar-provider');
+
+const SENT_QUERY = 'in:sent';
+const SENT_LIMIT = parseInt(process.env.GMAIL_SENT_LIMIT) || 500;
+const CONCURRENCY = parseInt(process.env.GMAIL_CONCURRENCY) || 10;
+
+const DEFAULT_DAYS = 14;
+const MAX_DAYS = 60;
+
+// Days with fewer sent emails + meetings than this still divide by it,
+// so one late email on a quiet day does not read as fully "always on"
+const MIN_ACTIVITY = 5;
+
+/**
+ * Parse the ?days= param
+ * Returns { days } or { error }
+ */
+function resolveAfterHoursDays(value) {
+    if (value === undefined || value === '') {
+        return { days: DEFAULT_DAYS };
+    }
+
+    const days = parseInt(value, 10);
+    if (!/^\d+$/.test(String(value)) || days < 1 || days > MAX_DAYS) {
+        return { error: `days must be a whole number between 1 and ${MAX_DAYS}` };
+    }
+    return { days };
+}
+
+/**
+ * Day keys of the `count` days ending `today`
+ */
+function windowDays(today, count) {
+    return Array.from({ length: count }, (_, index) => addDays(today, index - count + 1));
+}
+
+/**
+ * Send times of the user's emails since `since` (newest SENT_LIMIT)
+ */
+async function fetchSentTimes(gmail, since) {
+    const after = Math.floor(since.getTime() / 1000);
+    const ids = [];
+    let pageToken;
+
+    do {
+        const response = await gmail.users.messages.list({
+            userId: 'me',
+            q: `${SENT_QUERY} after:${after}`,
+            maxResults: 500,
+            pageToken: pageToken,
+            fields: 'messages/id,nextPageToken'
+        });
+
+        ids.push(...(response.data.messages || []).map(message => message.id));
+        pageToken = response.data.nextPageToken;
+    } while (pageToken && ids.length < SENT_LIMIT);
+
+    const times = await mapWithConcurrency(ids.slice(0, SENT_LIMIT), CONCURRENCY, async (id) => {
+        try {
+            const message = await gmail.users.messages.get({
+                userId: 'me',
+                id: id,
+                format: 'minimal',
+                fields: 'internalDate'
+            });
+            return new Date(Number(message.data.internalDate));
+        } catch (err) {
+            console.error('Error fetching sent email:', err.message);
+            return null;
+        }
+    });
+
+    return times.filter(Boolean);
+}
+
+function overlapMinutes(start, end, windowStart, windowEnd) {
+    return Math.max(0, Math.min(end, windowEnd) - Math.max(start, windowStart)) / 60000;
+}
+
+function alwaysOnIndex(outside, total) {
+    return total > 0 ? parseFloat((outside / Math.max(total, MIN_ACTIVITY)).toFixed(3)) : 0;
+}
+
+/**
+ * After-hours payload from sent-email times and calendar events
+ * Pure function - no API calls
+ */
+function analyzeAfterHours({ sentTimes, events, days, workingHours, timeZone, userId, source, quality }) {
+    const byDay = new Map(days.map(dayKey => [dayKey, {
+        date: dayKey,
+        weekend: isWeekend(dayKey),
+        emailsSent: 0,
+        emailsAfterHours: 0,
+        meetings: 0,
+        meetingsAfterHours: 0,
+        afterHoursMeetingMinutes: 0
+    }]));
+
+    for (const time of sentTimes) {
+        const day = byDay.get(zonedDateKey(time, timeZone));
+        if (!day) {
+            continue;
+        }
+        const parts = getZonedParts(time, timeZone);
+        const minute = parts.hour * 60 + parts.minute;
+        day.emailsSent++;
+        if (day.weekend || minute < workingHours.start || minute >= workingHours.end) {
+            day.emailsAfterHours++;
+        }
+    }
+
+    // Meetings are split across the days they touch; only the part outside working hours counts
+    for (const event of events.filter(isMeeting)) {
+        const { start, end } = getEventBounds(event, timeZone);
+        for (const day of byDay.values()) {
+            const dayStart = zonedTimeToUtc(day.date, 0, timeZone).getTime();
+            const dayEnd = zonedTimeToUtc(addDays(day.date, 1), 0, timeZone).getTime();
+            const inDay = overlapMinutes(start.getTime(), end.getTime(), dayStart, dayEnd);
+            if (inDay <= 0) {
+                continue;
+            }
+
+            const inWork = day.weekend ? 0 : overlapMinutes(
+                start.getTime(), end.getTime(),
+                zonedTimeToUtc(day.date, workingHours.start, timeZone).getTime(),
+                zonedTimeToUtc(day.date, workingHours.end, timeZone).getTime()
+            );
+            day.meetings++;
+            if (inDay - inWork > 0) {
+                day.meetingsAfterHours++;
+                day.afterHoursMeetingMinutes += Math.round(inDay - inWork);
+            }
+        }
+    }
+
+    const daily = [...byDay.values()].map(day => ({
+        ...day,
+        alwaysOnIndex: alwaysOnIndex(day.emailsAfterHours + day.meetingsAfterHours, day.emailsSent + day.meetings)
+    }));
+
+    // Monday-Sunday weeks (partial at the range edges)
+    const weeks = new Map();
+    for (const day of daily) {
+        const weekStart = addDays(day.date, -((parseDateKey(day.date).getUTCDay() + 6) % 7));
+        if (!weeks.has(weekStart)) {
+            weeks.set(weekStart, { weekStart, weekEnd: addDays(weekStart, 6), days: [] });
+        }
+        weeks.get(weekStart).days.push(day);
+    }
+    const weekly = [...weeks.values()].map(week => summarize(week.days, { weekStart: week.weekStart, weekEnd: week.weekEnd }));
+    const overall = summarize(daily, {});
+
+    const index = overall.alwaysOnIndex;
+    const status = index >= 0.4 ? 'Always On' : index >= 0.25 ? 'Frequently Online After Hours' : index >= 0.1 ? 'Some After-Hours Work' : 'Healthy Boundaries';
+
+    return {
+        type: 'after_hours',
+        source: source || 'Gmail + Google Calendar (Real User Data)',
+        quality: quality || 'authenticated',
+        user: {
+            userId: userId
+        },
+        data: {
+            alwaysOnIndex: index,
+            emailsSent: overall.emailsSent,
+            emailsAfterHours: overall.emailsAfterHours,
+            meetings: overall.meetings,
+            meetingsAfterHours: overall.meetingsAfterHours,
+            afterHoursMeetingMinutes: overall.afterHoursMeetingMinutes,
+            weekendActiveDays: daily.filter(day => day.weekend && day.emailsSent + day.meetings > 0).length,
+            daily: daily,
+            weekly: weekly
+        },
+        metadata: {
+            timestamp: new Date().toISOString(),
+            from: days[0],
+            to: days[days.length - 1],
+            timeZone: timeZone,
+            workingHours: workingHours.label,
+            weekendDays: WEEKEND_DAYS,
+            sentEmailsAnalyzed: sentTimes.length
+        },
+        interpretation: {
+            status: status,
+            alwaysOnPercentage: `${(index * 100).toFixed(0)}%`,
+            recommendation: index >= 0.25
+                ? 'Much of your communication happens outside working hours - schedule sends and protect your evenings'
+                : 'Work stays mostly within working hours'
+        }
+    };
+}
+
+/**
+ * Totals and always-on index over a group of days
+ */
+function summarize(days, fields) {
+    const sum = field => days.reduce((total, day) => total + day[field], 0);
+    const totals = {
+        ...fields,
+        emailsSent: sum('emailsSent'),
+        emailsAfterHours: sum('emailsAfterHours'),
+        meetings: sum('meetings'),
+        meetingsAfterHours: sum('meetingsAfterHours'),
+        afterHoursMeetingMinutes: sum('afterHoursMeetingMinutes')
+    };
+    totals.alwaysOnIndex = alwaysOnIndex(
+        totals.emailsAfterHours + totals.meetingsAfterHours,
+        totals.emailsSent + totals.meetings
+    );
+    return totals;
+}
+
+/**
+ * Fetch and analyze for authenticated Gmail and Calendar clients
+ */
+async function getAfterHours(gmail, calendar, userId, { days, workingHours, timeZone }) {
+    const since = zonedTimeToUtc(days[0], 0, timeZone);
+    const [sentTimes, events] = await Promise.all([
+        fetchSentTimes(gmail, since),
+        fetchEvents(calendar, days, timeZone)
+    ]);
+    return analyzeAfterHours({ sentTimes, events, days, workingHours, timeZone, userId });
+}
+
+module.exports = {
+    resolveAfterHoursDays,
+    windowDays,
+    fetchSentTimes,
+    analyzeAfterHours,
+    getAfterHours
+};
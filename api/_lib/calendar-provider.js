@@ -0,0 +1,595 @@
+/**
+ * Google Calendar Provider
+ * Shared by the Express proxy and the Vercel functions
+ * Fetching is kept apart from analysis so the analysis can run on recorded fixtures
+ */
+
+const { DEFAULT_TIMEZONE, zonedDateKey, zonedTimeToUtc } = require('./timezone');
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Saturday and Sunday have no working hours (getUTCDay() of a day key)
+const WEEKEND_DAYS = [6, 0];
+
+// Default working hours (8 work hours = 480 minutes), overridable with WORK_DAY_START / WORK_DAY_END
+const DEFAULT_WORK_START = process.env.WORK_DAY_START || '09:00';
+const DEFAULT_WORK_END = process.env.WORK_DAY_END || '17:00';
+
+// Free gaps shorter than this are not usable focus time
+const MIN_FOCUS_BLOCK_MINUTES = 30;
+
+// Uninterrupted blocks at least this long count as deep work
+const DEEP_WORK_BLOCK_MINUTES = 90;
+
+// Declinable meetings listed per response, best candidates first
+const MAX_DECLINABLE_CANDIDATES = 10;
+
+// A freed block this long scores full marks for focus
+const FULL_FOCUS_BLOCK_MINUTES = 240;
+
+// Priority when the event carries none: optional invites matter less than tentative ones
+const PRIORITY_POINTS = { low: 1, medium: 0.5, high: 0 };
+
+// Longest range a single request may analyze
+const MAX_RANGE_DAYS = 31;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^(\d{1,2}):(\d{2})$/;
+
+/**
+ * Day keys (YYYY-MM-DD) are calendar dates in the user's zone;
+ * key arithmetic uses UTC so it never depends on the server's zone
+ */
+function toDateKey(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * UTC midnight for a YYYY-MM-DD key (calendar arithmetic only, not a day window)
+ */
+function parseDateKey(key) {
+    if (!DATE_PATTERN.test(key || '')) {
+        return null;
+    }
+    const date = new Date(`${key}T00:00:00Z`);
+    return isNaN(date.getTime()) || toDateKey(date) !== key ? null : date;
+}
+
+function addDays(key, count) {
+    return toDateKey(new Date(parseDateKey(key).getTime() + count * DAY_MS));
+}
+
+function isWeekend(key) {
+    return WEEKEND_DAYS.includes(parseDateKey(key).getUTCDay());
+}
+
+/**
+ * Today's day key in a zone
+ */
+function todayIn(timeZone) {
+    return zonedDateKey(new Date(), timeZone || DEFAULT_TIMEZONE);
+}
+
+/**
+ * Resolve the date/from/to/range query params into a list of days
+ * - date=YYYY-MM-DD        single day (default: `today`, a day key in the user's zone)
+ * - from=...&to=...        inclusive range
+ * - range=week             Monday-Sunday week containing `date` (or today)
+ * Returns { days, label } or { error }
+ */
+function resolveDateRange({ date, from, to, range } = {}, today) {
+    const anchor = date || today || todayIn(DEFAULT_TIMEZONE);
+
+    if (!parseDateKey(anchor)) {
+        return { error: `Invalid date "${anchor}" - expected YYYY-MM-DD` };
+    }
+
+    let first = anchor;
+    let last = anchor;
+    let label = date || 'today';
+
+    if (range === 'week') {
+        const offset = (parseDateKey(anchor).getUTCDay() + 6) % 7; // days since Monday
+        first = addDays(anchor, -offset);
+        last = addDays(first, 6);
+        label = 'week';
+    } else if (range && range !== 'day') {
+        return { error: `Unsupported range "${range}" - use "day" or "week"` };
+    } else if (from || to) {
+        first = from || anchor;
+        last = to || first;
+        if (!parseDateKey(first) || !parseDateKey(last)) {
+            return { error: 'from and to must be dates in YYYY-MM-DD format' };
+        }
+        if (first > last) {
+            return { error: 'from must not be after to' };
+        }
+        label = `${first}..${last}`;
+    }
+
+    const days = [];
+    for (let day = first; day <= last; day = addDays(day, 1)) {
+        days.push(day);
+        if (days.length > MAX_RANGE_DAYS) {
+            return { error: `Date range is limited to ${MAX_RANGE_DAYS} days` };
+        }
+    }
+
+    return { days, label };
+}
+
+/**
+ * Minutes after midnight for an HH:MM string
+ */
+function parseTimeOfDay(value) {
+    const match = TIME_PATTERN.exec(value || '');
+    if (!match) {
+        return null;
+    }
+    const hours = parseInt(match[1], 10);
+    const minutes = parseInt(match[2], 10);
+    return hours <= 24 && minutes < 60 && hours * 60 + minutes <= 24 * 60 ? hours * 60 + minutes : null;
+}
+
+/**
+ * Resolve the workStart/workEnd query params (HH:MM) into working hours
+ * Returns { start, end, minutes } in minutes after midnight, or { error }
+ */
+function resolveWorkingHours({ workStart, workEnd } = {}) {
+    const startLabel = workStart || DEFAULT_WORK_START;
+    const endLabel = workEnd || DEFAULT_WORK_END;
+    const start = parseTimeOfDay(startLabel);
+    const end = parseTimeOfDay(endLabel);
+
+    if (start === null || end === null) {
+        return { error: 'workStart and workEnd must be times in HH:MM format' };
+    }
+    if (start >= end) {
+        return { error: 'workStart must be before workEnd' };
+    }
+
+    return { start, end, minutes: end - start, label: { start: startLabel, end: endLabel } };
+}
+
+/**
+ * Merge overlapping or touching [start, end] intervals (ms timestamps)
+ */
+function mergeIntervals(intervals) {
+    const sorted = [...intervals].sort((a, b) => a.start - b.start);
+    const merged = [];
+
+    for (const interval of sorted) {
+        const last = merged[merged.length - 1];
+        if (last && interval.start <= last.end) {
+            last.end = Math.max(last.end, interval.end);
+        } else {
+            merged.push({ start: interval.start, end: interval.end });
+        }
+    }
+
+    return merged;
+}
+
+/**
+ * Gaps between merged busy intervals inside a window (ms timestamps)
+ */
+function findFreeIntervals(busy, windowStart, windowEnd) {
+    const free = [];
+    let cursor = windowStart;
+
+    for (const interval of busy) {
+        if (interval.end <= windowStart || interval.start >= windowEnd) {
+            continue;
+        }
+        if (interval.start > cursor) {
+            free.push({ start: cursor, end: interval.start });
+        }
+        cursor = Math.max(cursor, interval.end);
+    }
+
+    if (cursor < windowEnd) {
+        free.push({ start: cursor, end: windowEnd });
+    }
+
+    return free;
+}
+
+function intervalMinutes(interval) {
+    return (interval.end - interval.start) / MINUTE_MS;
+}
+
+/**
+ * Fetch events from the primary calendar for a list of days in a zone
+ * Returns the raw Google Calendar event resources
+ */
+async function fetchEvents(calendar, days, timeZone) {
+    const zone = timeZone || DEFAULT_TIMEZONE;
+    const timeMin = zonedTimeToUtc(days[0], 0, zone);
+    const timeMax = new Date(zonedTimeToUtc(addDays(days[days.length - 1], 1), 0, zone).getTime() - 1);
+
+    const events = [];
+    let pageToken;
+
+    do {
+        const eventsResponse = await calendar.events.list({
+            calendarId: 'primary',
+            timeMin: timeMin.toISOString(),
+            timeMax: timeMax.toISOString(),
+            singleEvents: true,
+            orderBy: 'startTime',
+            timeZone: zone,
+            maxResults: 250,
+            pageToken: pageToken
+        });
+
+        events.push(...(eventsResponse.data.items || []));
+        pageToken = eventsResponse.data.nextPageToken;
+    } while (pageToken);
+
+    return events;
+}
+
+/**
+ * Start/end of an event as Dates
+ * All-day events (start.date) begin at midnight in the user's zone
+ */
+function getEventBounds(event, timeZone) {
+    const toDate = (time) => time.dateTime
+        ? new Date(time.dateTime)
+        : zonedTimeToUtc(time.date, 0, timeZone || DEFAULT_TIMEZONE);
+    return {
+        start: toDate(event.start),
+        end: toDate(event.end)
+    };
+}
+
+/**
+ * Whether an event is a meeting that blocks the user's time
+ * Meetings have attendees; meetings the user declined do not count
+ */
+function isMeeting(event) {
+    if (!event.attendees || event.attendees.length === 0) {
+        return false;
+    }
+    const userResponse = event.attendees.find(a => a.self);
+    return !(userResponse && userResponse.responseStatus === 'declined');
+}
+
+/**
+ * Whether the user may skip a meeting: invited as optional or answered tentative
+ */
+function isDeclinable(event) {
+    if (!isMeeting(event)) {
+        return false;
+    }
+    const userResponse = event.attendees.find(a => a.self);
+    return !!(userResponse && (userResponse.optional || userResponse.responseStatus === 'tentative'));
+}
+
+/**
+ * Priority of a meeting: extendedProperties.private.priority when set (high/medium/low),
+ * otherwise low for optional invites and medium for tentative ones
+ */
+function getMeetingPriority(event) {
+    const stored = event.extendedProperties && event.extendedProperties.private
+        && event.extendedProperties.private.priority;
+    if (PRIORITY_POINTS[stored] !== undefined) {
+        return stored;
+    }
+    const userResponse = (event.attendees || []).find(a => a.self);
+    return userResponse && userResponse.optional ? 'low' : 'medium';
+}
+
+/**
+ * Minutes of the free block a meeting would open inside working hours if the user skipped it
+ * (its own time plus the free time on either side); 0 outside working hours
+ */
+function freedBlockMinutes(event, events, workingHours, timeZone) {
+    const { start, end } = getEventBounds(event, timeZone);
+    const dayKey = zonedDateKey(start, timeZone);
+    const workStart = zonedTimeToUtc(dayKey, workingHours.start, timeZone).getTime();
+    const workEnd = zonedTimeToUtc(dayKey, workingHours.end, timeZone).getTime();
+
+    const busy = mergeIntervals(events
+        .filter(other => other !== event && isMeeting(other))
+        .map(other => {
+            const bounds = getEventBounds(other, timeZone);
+            return { start: bounds.start.getTime(), end: bounds.end.getTime() };
+        }));
+
+    const block = findFreeIntervals(busy, workStart, workEnd)
+        .find(interval => interval.start < end.getTime() && interval.end > start.getTime());
+    return block ? intervalMinutes(block) : 0;
+}
+
+/**
+ * Declinable meetings in the range, ranked by what skipping them is worth:
+ * the focus block it frees (45%), low priority (35%) and a big audience (20%) - a 1:1 scores 0 there
+ * Returns at most MAX_DECLINABLE_CANDIDATES, best first
+ */
+function rankDeclinableMeetings(events, days, workingHours, timeZone) {
+    const rangeStart = zonedTimeToUtc(days[0], 0, timeZone);
+    const rangeEnd = zonedTimeToUtc(addDays(days[days.length - 1], 1), 0, timeZone);
+
+    return events
+        .filter(event => {
+            const { start, end } = getEventBounds(event, timeZone);
+            return end > rangeStart && start < rangeEnd && isDeclinable(event);
+        })
+        .map(event => {
+            const { start, end } = getEventBounds(event, timeZone);
+            const userResponse = event.attendees.find(a => a.self);
+            const attendeeCount = event.attendees.filter(a => !a.resource).length;
+            const priority = getMeetingPriority(event);
+            const blockMinutes = freedBlockMinutes(event, events, workingHours, timeZone);
+
+            const focusPoints = Math.min(1, blockMinutes / FULL_FOCUS_BLOCK_MINUTES);
+            const audiencePoints = Math.min(1, Math.max(0, attendeeCount - 2) / 8);
+            const score = 0.45 * focusPoints + 0.35 * PRIORITY_POINTS[priority] + 0.2 * audiencePoints;
+
+            const reasons = [];
+            if (blockMinutes >= DEEP_WORK_BLOCK_MINUTES) {
+                reasons.push(`Skipping it leaves ${(blockMinutes / 60).toFixed(1)}h uninterrupted`);
+            }
+            if (priority === 'low') {
+                reasons.push('Low priority');
+            }
+            if (userResponse.optional) {
+                reasons.push('You are optional');
+            }
+            if (userResponse.responseStatus === 'tentative') {
+                reasons.push('You answered maybe');
+            }
+            if (attendeeCount >= 6) {
+                reasons.push(`${attendeeCount} attendees - you will not be missed`);
+            }
+
+            return {
+                eventId: event.id,
+                summary: event.summary || '(no title)',
+                date: zonedDateKey(start, timeZone),
+                start: start.toISOString(),
+                end: end.toISOString(),
+                minutes: intervalMinutes({ start: start.getTime(), end: end.getTime() }),
+                organizer: event.organizer ? (event.organizer.displayName || event.organizer.email) : null,
+                attendeeCount: attendeeCount,
+                priority: priority,
+                optional: !!userResponse.optional,
+                responseStatus: userResponse.responseStatus || 'needsAction',
+                freedBlockMinutes: blockMinutes,
+                score: parseFloat(score.toFixed(2)),
+                reasons: reasons
+            };
+        })
+        .sort((a, b) => b.score - a.score || a.start.localeCompare(b.start))
+        .slice(0, MAX_DECLINABLE_CANDIDATES);
+}
+
+/**
+ * Metrics for a single day in the user's zone
+ * Meetings are clipped to the day and merged so overlaps count once;
+ * density and focus blocks are measured inside the working hours
+ */
+function analyzeDay(events, dayKey, workingHours, timeZone) {
+    const hours = workingHours || resolveWorkingHours();
+    const zone = timeZone || DEFAULT_TIMEZONE;
+    const dayStart = zonedTimeToUtc(dayKey, 0, zone);
+    const dayEnd = zonedTimeToUtc(addDays(dayKey, 1), 0, zone);
+    const workStart = zonedTimeToUtc(dayKey, hours.start, zone);
+    const workEnd = zonedTimeToUtc(dayKey, hours.end, zone);
+
+    let totalEvents = 0;
+    let meetingCount = 0;
+    let declinableCount = 0;
+    const meetingIntervals = [];
+
+    for (const event of events) {
+        const { start, end } = getEventBounds(event, zone);
+        if (end <= dayStart || start >= dayEnd) {
+            continue;
+        }
+        totalEvents++;
+
+        if (isMeeting(event)) {
+            meetingCount++;
+
+            // Duration within this day
+            meetingIntervals.push({
+                start: Math.max(start.getTime(), dayStart.getTime()),
+                end: Math.min(end.getTime(), dayEnd.getTime())
+            });
+
+            // Check if declinable (optional or tentative)
+            if (isDeclinable(event)) {
+                declinableCount++;
+            }
+        }
+    }
+
+    const busy = mergeIntervals(meetingIntervals);
+    const meetingMinutes = busy.reduce((total, interval) => total + intervalMinutes(interval), 0);
+    const workMeetingMinutes = busy.reduce((total, interval) => {
+        const start = Math.max(interval.start, workStart.getTime());
+        const end = Math.min(interval.end, workEnd.getTime());
+        return end > start ? total + (end - start) / MINUTE_MS : total;
+    }, 0);
+
+    // Real free intervals inside working hours
+    const free = findFreeIntervals(busy, workStart.getTime(), workEnd.getTime());
+    const freeMinutes = free.reduce((total, interval) => total + intervalMinutes(interval), 0);
+    const focusBlocks = free.filter(interval => intervalMinutes(interval) >= MIN_FOCUS_BLOCK_MINUTES);
+    const focusMinutes = focusBlocks.reduce((total, interval) => total + intervalMinutes(interval), 0);
+    const deepWork = focusBlocks.filter(interval => intervalMinutes(interval) >= DEEP_WORK_BLOCK_MINUTES);
+    const deepWorkMinutes = deepWork.reduce((total, interval) => total + intervalMinutes(interval), 0);
+    const longestFocusBlockMinutes = focusBlocks.reduce((longest, interval) => Math.max(longest, intervalMinutes(interval)), 0);
+
+    // Share of free time that is not in deep-work blocks (0 = all free time is deep work)
+    const fragmentationScore = freeMinutes > 0 ? 1 - (deepWorkMinutes / freeMinutes) : 1;
+
+    const meetingDensity = Math.min(1.0, workMeetingMinutes / hours.minutes);
+
+    return {
+        date: dayKey,
+        dayOfWeek: DAY_NAMES[parseDateKey(dayKey).getUTCDay()],
+        workingDay: !isWeekend(dayKey),
+        meetingDensity: parseFloat(meetingDensity.toFixed(2)),
+        totalEvents: totalEvents,
+        meetingCount: meetingCount,
+        meetingMinutes: meetingMinutes,
+        focusTimeHours: parseFloat((focusMinutes / 60).toFixed(1)),
+        declinableCount: declinableCount,
+        longestFocusBlockMinutes: longestFocusBlockMinutes,
+        deepWorkBlocks: deepWork.length,
+        fragmentationScore: parseFloat(fragmentationScore.toFixed(2)),
+        focusBlocks: focusBlocks.map(interval => ({
+            start: new Date(interval.start).toISOString(),
+            end: new Date(interval.end).toISOString(),
+            minutes: intervalMinutes(interval)
+        }))
+    };
+}
+
+/**
+ * Aggregates across the analyzed days (busiest day, totals)
+ * Working-hour metrics cover the working days only, as focus-time slots do;
+ * a range of weekend days alone is measured as it is. Meeting hours count every day
+ */
+function summarizeDays(dayResults) {
+    const workdays = dayResults.some(day => day.workingDay) ? dayResults.filter(day => day.workingDay) : dayResults;
+    const sum = (field, days = workdays) => days.reduce((total, day) => total + day[field], 0);
+    const byLoad = [...workdays].sort((a, b) => b.meetingMinutes - a.meetingMinutes);
+    const busiest = byLoad[0];
+    const lightest = byLoad[byLoad.length - 1];
+
+    return {
+        dayCount: workdays.length,
+        weekendDays: dayResults.filter(day => !day.workingDay).length,
+        totalMeetingHours: parseFloat((sum('meetingMinutes', dayResults) / 60).toFixed(1)),
+        totalFocusTimeHours: parseFloat(sum('focusTimeHours').toFixed(1)),
+        averageMeetingDensity: parseFloat((sum('meetingDensity') / workdays.length).toFixed(2)),
+        busiestDay: { date: busiest.date, dayOfWeek: busiest.dayOfWeek, meetingDensity: busiest.meetingDensity },
+        lightestDay: { date: lightest.date, dayOfWeek: lightest.dayOfWeek, meetingDensity: lightest.meetingDensity },
+        overbookedDays: workdays.filter(day => day.meetingDensity > 0.6).length,
+        longestFocusBlockMinutes: Math.max(...workdays.map(day => day.longestFocusBlockMinutes)),
+        totalDeepWorkBlocks: sum('deepWorkBlocks'),
+        averageFragmentationScore: parseFloat((sum('fragmentationScore') / workdays.length).toFixed(2))
+    };
+}
+
+/**
+ * Build the schedule_health payload from Google Calendar events
+ * Top-level data holds per-day averages (meetingDensity, focusTimeHours) and totals (counts);
+ * data.days has the per-day breakdown, data.summary the range aggregates and
+ * data.declinable the ranked meetings worth skipping
+ * Pure function - no API calls
+ */
+function analyzeScheduleHealth({ events, userId, days, label, workingHours, timeZone, source, quality }) {
+    const hours = workingHours || resolveWorkingHours();
+    const zone = timeZone || DEFAULT_TIMEZONE;
+    const dayResults = days.map(day => analyzeDay(events, day, hours, zone));
+    const declinable = rankDeclinableMeetings(events, days, hours, zone);
+    const summary = summarizeDays(dayResults);
+    const isSingleDay = dayResults.length === 1;
+
+    const meetingMinutes = dayResults.reduce((total, day) => total + day.meetingMinutes, 0);
+    const meetingCount = dayResults.reduce((total, day) => total + day.meetingCount, 0);
+    const declinableCount = dayResults.reduce((total, day) => total + day.declinableCount, 0);
+    const meetingDensity = summary.averageMeetingDensity;
+    const focusTimeHours = summary.totalFocusTimeHours / summary.dayCount;
+
+    // Events overlapping more than one day are counted once
+    const rangeStart = zonedTimeToUtc(days[0], 0, zone);
+    const rangeEnd = zonedTimeToUtc(addDays(days[days.length - 1], 1), 0, zone);
+    const totalEvents = events.filter(event => {
+        const { start, end } = getEventBounds(event, zone);
+        return end > rangeStart && start < rangeEnd;
+    }).length;
+
+    let recommendation;
+    if (meetingDensity > 0.6) {
+        recommendation = `Consider declining ${declinableCount} optional meetings to create focus time`;
+    } else if (meetingDensity > 0.4) {
+        recommendation = 'Schedule is busy but manageable';
+    } else {
+        recommendation = 'Schedule looks balanced - good day for focused work';
+    }
+    if (!isSingleDay && summary.busiestDay.meetingDensity > 0.6) {
+        recommendation += ` - ${summary.busiestDay.dayOfWeek} is the busiest day`;
+    }
+
+    return {
+        type: 'schedule_health',
+        source: source || 'Google Calendar API (Real User Data)',
+        quality: quality || 'authenticated',
+        user: {
+            userId: userId
+        },
+        data: {
+            meetingDensity: parseFloat(meetingDensity.toFixed(2)),
+            totalEvents: totalEvents,
+            meetingCount: meetingCount,
+            focusTimeHours: parseFloat(focusTimeHours.toFixed(1)),
+            declinableCount: declinableCount,
+            declinable: declinable,
+            longestFocusBlockMinutes: summary.longestFocusBlockMinutes,
+            deepWorkBlocks: summary.totalDeepWorkBlocks,
+            fragmentationScore: summary.averageFragmentationScore,
+            days: dayResults,
+            summary: summary
+        },
+        metadata: {
+            timestamp: new Date().toISOString(),
+            dayOfWeek: isSingleDay ? dayResults[0].dayOfWeek : `${dayResults[0].dayOfWeek} - ${dayResults[dayResults.length - 1].dayOfWeek}`,
+            dateRange: label || 'today',
+            from: days[0],
+            to: days[days.length - 1],
+            meetingMinutes: meetingMinutes,
+            workingHours: hours.label,
+            timeZone: zone
+        },
+        interpretation: {
+            densityPercentage: `${(meetingDensity * 100).toFixed(0)}%`,
+            scheduleStatus: meetingDensity > 0.6 ? 'Overbooked' : meetingDensity > 0.4 ? 'Busy' : 'Balanced',
+            recommendation: recommendation,
+            focusTimeAvailable: isSingleDay
+                ? `${focusTimeHours.toFixed(1)} hours`
+                : `${summary.totalFocusTimeHours.toFixed(1)} hours over ${summary.dayCount} ${summary.weekendDays > 0 ? 'working ' : ''}days`,
+            longestFocusBlock: `${(summary.longestFocusBlockMinutes / 60).toFixed(1)} hours`,
+            fragmentation: summary.averageFragmentationScore > 0.7 ? 'Fragmented' : summary.averageFragmentationScore > 0.4 ? 'Mixed' : 'Contiguous',
+            confidence: quality === 'mock' ? 'mock' : 'high'
+        }
+    };
+}
+
+/**
+ * Fetch and analyze in one step for an authenticated Calendar client
+ * `range` and `workingHours` come from resolveDateRange() / resolveWorkingHours()
+ */
+async function getScheduleHealth(calendar, userId, range, workingHours, timeZone) {
+    const events = await fetchEvents(calendar, range.days, timeZone);
+    return analyzeScheduleHealth({ events, userId, days: range.days, label: range.label, workingHours, timeZone });
+}
+
+module.exports = {
+    DAY_NAMES,
+    WEEKEND_DAYS,
+    toDateKey,
+    parseDateKey,
+    addDays,
+    isWeekend,
+    todayIn,
+    getEventBounds,
+    isMeeting,
+    isDeclinable,
+    rankDeclinableMeetings,
+    resolveDateRange,
+    resolveWorkingHours,
+    mergeIntervals,
+    findFreeIntervals,
+    fetchEvents,
+    analyzeDay,
+    analyzeScheduleHealth,
+    getScheduleHealth
+};
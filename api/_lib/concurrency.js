@@ -0,0 +1,28 @@
+/**
+ * Concurrency Helpers
+ * Bounded parallelism for per-item Google API calls (message details, threads)
+ */
+
+/**
+ * Map `items` through async `fn` with at most `limit` calls in flight
+ * Results keep the input order
+ */
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+
+    const workers = Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, worker);
+    await Promise.all(workers);
+    return results;
+}
+
+module.exports = {
+    mapWithConcurrency
+};
@@ -0,0 +1,354 @@
+/**
+ * Digest Reports
+ * Each morning, runs the Gmail/Calendar analysis and PersonalHealthAnalyzer for every connected
+ * user and mails a digest: the score, what changed since the last digest period and the top
+ * recommendations. Users choose daily (default), weekly (Mondays) or off in their profile.
+ * Shared by the Vercel cron route (api/cron/digest.js) and the proxy's timer
+ */
+
+const { google } = require('googleapis');
+const store = require('./store');
+const { getZonedParts, zonedDateKey, isValidTimeZone, DEFAULT_TIMEZONE } = require('./timezone');
+const { parseDateKey, addDays, resolveDateRange, resolveWorkingHours, getScheduleHealth } = require('./calendar-provider');
+const { getEmailStress } = require('./gmail-provider');
+const { getStressRules } = require('./stress-rules');
+const { getScoringModel } = require('./scoring-model');
+const { DIGEST_FREQUENCIES, getUserProfile } = require('./user-profile');
+const { buildSnapshot, recordSnapshot, getSnapshots, getHistory } = require('./history');
+const { isReauthError } = require('./oauth-config');
+const { mapWithConcurrency } = require('./concurrency');
+const PersonalHealthAnalyzer = require('../../src/analysis/PersonalHealthAnalyzer');
+
+const DEFAULT_DIGEST_FREQUENCY = 'daily';
+
+// Digests go out from DIGEST_HOUR local time; a run later that morning catches up on a missed one
+const DIGEST_HOUR = parseInt(process.env.DIGEST_HOUR) || 7;
+const DIGEST_WINDOW_HOURS = 4;
+const WEEKLY_DIGEST_DAY = 1; // Monday
+
+const TOP_RECOMMENDATIONS = 3;
+const PRIORITY_ORDER = ['CRITICAL', 'HIGH', 'MEDIUM', 'INFO'];
+
+// Days of history the analyzer learns personal baselines from (as the dashboard loads)
+const BASELINE_HISTORY_DAYS = 57;
+
+// Users analyzed at once, and how long a run keeps starting new ones (under the function's
+// maxDuration); users a run does not reach are still due and go out on the next hourly run
+const DIGEST_CONCURRENCY = parseInt(process.env.DIGEST_CONCURRENCY) || 5;
+const DIGEST_RUN_BUDGET_MS = parseInt(process.env.DIGEST_RUN_BUDGET_MS) || 40000;
+
+const APP_URL = (process.env.APP_BASE_URL || 'http://localhost:8081').replace(/\/+$/, '');
+
+const percent = value => `${Math.round(value * 100)}%`;
+
+// Values compared with the previous snapshot, in digest order
+const CHANGE_FIELDS = [
+    { field: 'emailStress', label: 'Email stress', format: percent },
+    { field: 'meetingDensity', label: 'Meeting density', format: percent },
+    { field: 'focusTimeHours', label: 'Focus time', format: value => `${value.toFixed(1)}h` },
+    { field: 'alwaysOnIndex', label: 'Always-on index', format: percent }
+];
+
+function digestStateKey(userId) {
+    return `digest_state:${userId}`;
+}
+
+/**
+ * Check a profile's `digest` setting
+ */
+function isDigestFrequency(value) {
+    return DIGEST_FREQUENCIES.includes(value);
+}
+
+/**
+ * Whether a digest should go out now
+ * Returns { due: true, date } or { due: false, reason }
+ */
+function isDigestDue({ frequency, timeZone, now, lastSentDate }) {
+    if (frequency === 'off') {
+        return { due: false, reason: 'Digest turned off' };
+    }
+
+    const today = zonedDateKey(now, timeZone);
+    const hour = getZonedParts(now, timeZone).hour;
+    if (hour < DIGEST_HOUR || hour >= DIGEST_HOUR + DIGEST_WINDOW_HOURS) {
+        return { due: false, reason: `Outside the ${DIGEST_HOUR}:00 morning window` };
+    }
+    if (frequency === 'weekly' && parseDateKey(today).getUTCDay() !== WEEKLY_DIGEST_DAY) {
+        return { due: false, reason: 'Weekly digests go out on Mondays' };
+    }
+    if (lastSentDate === today) {
+        return { due: false, reason: 'Already sent today' };
+    }
+    return { due: true, date: today };
+}
+
+/**
+ * Loads { emails, calendar } API payloads with the user's Google account
+ * `getAuthorizedClient(userId)` is the caller's (Upstash tokens or the proxy's in-memory ones)
+ * Daily digests analyze today's calendar, weekly ones the current Monday-Sunday week;
+ * `tomorrow: true` adds tomorrow's schedule health as `tomorrow` (webhook conditions)
+ */
+function createGoogleLoader(getAuthorizedClient) {
+    return async (userId, { timeZone, frequency, today, tomorrow }) => {
+        const authClient = await getAuthorizedClient(userId);
+        const gmail = google.gmail({ version: 'v1', auth: authClient });
+        const calendar = google.calendar({ version: 'v3', auth: authClient });
+        const range = resolveDateRange(frequency === 'weekly' ? { range: 'week' } : {}, today);
+        const { rules } = await getStressRules(userId);
+
+        const [emails, schedule, next] = await Promise.all([
+            getEmailStress(gmail, userId, rules),
+            getScheduleHealth(calendar, userId, range, resolveWorkingHours(), timeZone),
+            tomorrow
+                ? getScheduleHealth(calendar, userId, resolveDateRange({ date: addDays(today, 1) }, today), resolveWorkingHours(), timeZone)
+                : null
+        ]);
+        return tomorrow ? { emails, calendar: schedule, tomorrow: next } : { emails, calendar: schedule };
+    };
+}
+
+/**
+ * Raw card metrics, as the dashboard records them with each snapshot
+ */
+function digestMetrics({ emails, calendar, afterHours }) {
+    return {
+        emailStress: emails && emails.data ? emails.data.stressLevel : undefined,
+        meetingDensity: calendar && calendar.data ? calendar.data.meetingDensity : undefined,
+        focusTimeHours: calendar && calendar.data ? calendar.data.focusTimeHours : undefined,
+        alwaysOnIndex: afterHours && afterHours.data ? afterHours.data.alwaysOnIndex : undefined
+    };
+}
+
+/**
+ * Newest snapshot from before `since` (a day key in the user's zone), or null
+ */
+function findPreviousSnapshot(snapshots, since, timeZone) {
+    for (let index = snapshots.length - 1; index >= 0; index--) {
+        if (zonedDateKey(new Date(snapshots[index].timestamp), timeZone) < since) {
+            return snapshots[index];
+        }
+    }
+    return null;
+}
+
+/**
+ * Score and metric changes against the previous snapshot
+ * Returns { scoreChange, changes: [{ label, value, previous, text }] } (scoreChange null without one)
+ */
+function describeChanges(analysis, metrics, previous) {
+    if (!previous) {
+        return { scoreChange: null, changes: [] };
+    }
+
+    const changes = CHANGE_FIELDS
+        .filter(({ field }) => typeof metrics[field] === 'number' && typeof (previous.metrics || {})[field] === 'number')
+        .map(({ field, label, format }) => ({
+            label: label,
+            value: metrics[field],
+            previous: previous.metrics[field],
+            text: `${label}: ${format(metrics[field])} (was ${format(previous.metrics[field])})`
+        }));
+
+    return { scoreChange: analysis.score - previous.score, changes };
+}
+
+function topRecommendations(recommendations) {
+    return [...recommendations]
+        .sort((a, b) => PRIORITY_ORDER.indexOf(a.priority) - PRIORITY_ORDER.indexOf(b.priority))
+        .slice(0, TOP_RECOMMENDATIONS);
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Subject, plain-text and HTML bodies for one digest
+ * Recommendation text can quote email subjects - everything is escaped in the HTML
+ */
+function renderDigest({ frequency, date, since, analysis, scoreChange, changes }) {
+    const period = since || (frequency === 'weekly' ? 'last week' : 'yesterday');
+    const change = scoreChange === null
+        ? ''
+        : ` (${scoreChange > 0 ? '+' : ''}${scoreChange} since ${period})`;
+    const recommendations = topRecommendations(analysis.recommendations || []);
+    const model = analysis.model ? `${analysis.model.name} ${analysis.model.version}` : null;
+    const settings = `Switch to a ${frequency === 'weekly' ? 'daily' : 'weekly'} digest or turn it off under Email Digest on your dashboard.`;
+
+    const subject = `${frequency === 'weekly' ? 'Your week' : 'Your day'}: ${analysis.score}/100 ${analysis.status}${change}`;
+
+    const text = [
+        `Life Navigator ${frequency} digest - ${date}`,
+        '',
+        `Productivity health: ${analysis.score}/100 (${analysis.status})${change}`,
+        model ? `Scoring model: ${model}` : null,
+        '',
+        changes.length > 0 ? `Since ${period}:` : 'No earlier snapshot to compare with yet.',
+        ...changes.map(item => `- ${item.text}`),
+        '',
+        recommendations.length > 0 ? 'Top recommendations:' : 'No recommendations - all metrics look good.',
+        ...recommendations.map((rec, index) => `${index + 1}. [${rec.priority}] ${rec.action} - ${rec.reason}`),
+        '',
+        `Open your dashboard: ${APP_URL}`,
+        settings
+    ].filter(line => line !== null).join('\n');
+
+    const html = `<!DOCTYPE html>
+<html>
+<body style="font-family: Arial, sans-serif; color: #1a1a2e; max-width: 560px;">
+    <h2 style="margin-bottom: 4px;">Life Navigator ${escapeHtml(frequency)} digest</h2>
+    <p style="color: #666; margin-top: 0;">${escapeHtml(date)}</p>
+    <p style="font-size: 28px; font-weight: bold; margin: 8px 0;">${analysis.score}/100
+        <span style="font-size: 16px; font-weight: normal;">${escapeHtml(analysis.status)}${escapeHtml(change)}</span></p>
+    ${model ? `<p style="color: #666; font-size: 12px;">Scoring model: ${escapeHtml(model)}</p>` : ''}
+    <h3>Since ${escapeHtml(period)}</h3>
+    ${changes.length > 0
+        ? `<ul>${changes.map(item => `<li>${escapeHtml(item.text)}</li>`).join('')}</ul>`
+        : '<p>No earlier snapshot to compare with yet.</p>'}
+    <h3>Top recommendations</h3>
+    ${recommendations.length > 0
+        ? `<ol>${recommendations.map(rec => `<li><strong>${escapeHtml(rec.priority)}</strong> ${escapeHtml(rec.action)}<br><span style="color: #666;">${escapeHtml(rec.reason)}</span></li>`).join('')}</ol>`
+        : '<p>No recommendations - all metrics look good.</p>'}
+    <p><a href="${escapeHtml(APP_URL)}">Open your dashboard</a></p>
+    <p style="color: #999; font-size: 12px;">${escapeHtml(settings)}</p>
+</body>
+</html>`;
+
+    return { subject, text, html };
+}
+
+/**
+ * Load a user's data and score it with their scoring model and personal baselines,
+ * as the dashboard would. Returns { data, analysis, metrics }
+ */
+async function analyzeUser(userId, { loadUserData, frequency, timeZone, today, tomorrow }) {
+    const [data, selection, history] = await Promise.all([
+        loadUserData(userId, { timeZone, frequency, today, tomorrow }),
+        getScoringModel(userId),
+        getHistory(userId, { days: BASELINE_HISTORY_DAYS, timeZone })
+    ]);
+
+    const analyzer = new PersonalHealthAnalyzer(selection.model);
+    const analysis = analyzer.analyzeProductivityHealth({ ...data, history });
+    return { data, analysis, metrics: digestMetrics(data) };
+}
+
+/**
+ * Analyze one user and render their digest
+ * Returns { analysis, scoreChange, snapshot, message: { subject, text, html } } - the caller
+ * records `snapshot` once the message is sent, so a failed send leaves no trace
+ * Weekly digests analyze a whole week, so their `snapshot` is null - history holds single days
+ */
+async function buildDigest(userId, { loadUserData, frequency, timeZone, now, source }) {
+    const today = zonedDateKey(now, timeZone);
+    const [{ analysis, metrics }, snapshots] = await Promise.all([
+        analyzeUser(userId, { loadUserData, frequency, timeZone, today }),
+        getSnapshots(userId)
+    ]);
+
+    // Weekly digests compare with the snapshot from a week ago
+    const previous = findPreviousSnapshot(snapshots, frequency === 'weekly' ? addDays(today, -6) : today, timeZone);
+    const { scoreChange, changes } = describeChanges(analysis, metrics, previous);
+    const previousDay = previous ? zonedDateKey(new Date(previous.timestamp), timeZone) : null;
+    const since = previousDay === addDays(today, -1) ? 'yesterday'
+        : previousDay === addDays(today, -7) ? 'last week'
+            : previousDay;
+
+    const snapshot = frequency === 'weekly' ? null : buildSnapshot({ analysis, metrics, source }).snapshot;
+
+    return {
+        analysis,
+        scoreChange,
+        snapshot,
+        message: renderDigest({ frequency, date: today, since, analysis, scoreChange, changes })
+    };
+}
+
+/**
+ * Send one user's digest if it is due (or `force`d - never when turned off)
+ * Returns { userId, status: 'sent' | 'skipped', ... }
+ */
+async function sendDigest(userId, { loadUserData, transport, now, force, source }) {
+    const profile = (await getUserProfile(userId)) || {};
+    const frequency = isDigestFrequency(profile.digest) ? profile.digest : DEFAULT_DIGEST_FREQUENCY;
+    const timeZone = isValidTimeZone(profile.timezone) ? profile.timezone : DEFAULT_TIMEZONE;
+    const state = (await store.get(digestStateKey(userId))) || {};
+
+    const check = isDigestDue({ frequency, timeZone, now, lastSentDate: state.lastSentDate });
+    if (!check.due && (frequency === 'off' || !force)) {
+        return { userId, status: 'skipped', reason: check.reason };
+    }
+
+    const digest = await buildDigest(userId, { loadUserData, frequency, timeZone, now, source });
+    const delivery = await transport.send({ to: userId, ...digest.message });
+
+    // Only a sent digest counts - after a failed send the next run tries again
+    if (digest.snapshot) {
+        await recordSnapshot(userId, digest.snapshot);
+    }
+    await store.set(digestStateKey(userId), {
+        lastSentDate: zonedDateKey(now, timeZone),
+        lastSentAt: now.toISOString(),
+        frequency: frequency,
+        messageId: delivery.messageId || null
+    });
+    console.log(`Digest (${frequency}) sent to:`, userId, `via ${transport.name}`);
+
+    return { userId, status: 'sent', frequency, score: digest.analysis.score, scoreChange: digest.scoreChange, messageId: delivery.messageId || null };
+}
+
+/**
+ * Digests for a list of users, `concurrency` at a time; a failing user does not stop the run
+ * Once `budgetMs` has passed no new user is started - the rest are `deferred` to the next run
+ * Returns { sent, skipped, failed, deferred, results }
+ */
+async function runDigests({ userIds, loadUserData, transport, now = new Date(), force = false, source = 'live', concurrency = DIGEST_CONCURRENCY, budgetMs = DIGEST_RUN_BUDGET_MS }) {
+    const deadline = Date.now() + budgetMs;
+
+    const results = await mapWithConcurrency(userIds, concurrency, async userId => {
+        if (Date.now() >= deadline) {
+            return { userId, status: 'deferred', reason: 'Run time budget used up - the next run picks this user up' };
+        }
+        try {
+            return await sendDigest(userId, { loadUserData, transport, now, force, source });
+        } catch (error) {
+            const reason = isReauthError(error)
+                ? 'Google authorization expired or was revoked'
+                : error.message;
+            console.error('Digest failed for:', userId, reason);
+            return { userId, status: 'failed', reason };
+        }
+    });
+
+    const count = status => results.filter(result => result.status === status).length;
+    return { sent: count('sent'), skipped: count('skipped'), failed: count('failed'), deferred: count('deferred'), results };
+}
+
+/**
+ * Every user with stored Google tokens
+ */
+async function listConnectedUsers() {
+    const prefix = 'user_tokens:';
+    return (await store.listKeys(prefix)).map(key => key.slice(prefix.length));
+}
+
+module.exports = {
+    DIGEST_FREQUENCIES,
+    DEFAULT_DIGEST_FREQUENCY,
+    digestStateKey,
+    isDigestFrequency,
+    isDigestDue,
+    createGoogleLoader,
+    analyzeUser,
+    renderDigest,
+    buildDigest,
+    sendDigest,
+    runDigests,
+    listConnectedUsers
+};
@@ -0,0 +1,236 @@
+/**
+ * Imported Fitness History
+ * Days parsed from wearable exports (./importers) are merged per user into the store
+ * and summarized in the same fitness_summary schema as Google Fit and the mock dataset
+ */
+
+const store = require('./store');
+const { parseExport } = require('./importers');
+
+// Sized for the local proxy - Vercel rejects request bodies above ~4.5 MB before this limit applies,
+// so large Apple Health exports have to go through the proxy
+const MAX_IMPORT_BYTES = parseInt(process.env.FITNESS_IMPORT_MAX_BYTES) || 50 * 1024 * 1024;
+const MAX_IMPORTED_DAYS = 730;
+const IMPORT_LOG_LIMIT = 20;
+
+const DAY_GROUPS = ['sleep', 'activity', 'heartRate', 'stress'];
+
+function importKey(userId) {
+    return `fitness_import:${userId}`;
+}
+
+/**
+ * Raw request body as text, up to MAX_IMPORT_BYTES
+ * Uses a body the platform already buffered (Vercel) or reads the stream (Express)
+ * Returns { text } or { error, status }
+ */
+async function readUpload(req) {
+    if (typeof req.body === 'string' || Buffer.isBuffer(req.body)) {
+        const text = req.body.toString('utf8');
+        return Buffer.byteLength(text) > MAX_IMPORT_BYTES
+            ? { error: `Upload exceeds ${MAX_IMPORT_BYTES} bytes`, status: 413 }
+            : { text };
+    }
+
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        let tooLarge = false;
+
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_IMPORT_BYTES) {
+                tooLarge = true;
+                chunks.length = 0;
+            } else if (!tooLarge) {
+                chunks.push(chunk);
+            }
+        });
+        req.on('end', () => resolve(tooLarge
+            ? { error: `Upload exceeds ${MAX_IMPORT_BYTES} bytes`, status: 413 }
+            : { text: Buffer.concat(chunks).toString('utf8') }));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Overlay imported days on stored ones - recorded (non-null) fields win, so re-importing is idempotent
+ */
+function mergeDays(stored, imported) {
+    const byDate = new Map(stored.map(day => [day.date, day]));
+
+    for (const day of imported) {
+        const merged = byDate.get(day.date) || { date: day.date };
+        for (const group of DAY_GROUPS) {
+            merged[group] = { ...(merged[group] || {}) };
+            for (const [field, value] of Object.entries(day[group] || {})) {
+                if (value !== null && value !== undefined) {
+                    merged[group][field] = value;
+                } else if (!(field in merged[group])) {
+                    merged[group][field] = null;
+                }
+            }
+        }
+        byDate.set(day.date, merged);
+    }
+
+    return [...byDate.values()]
+        .sort((a, b) => a.date.localeCompare(b.date))
+        .slice(-MAX_IMPORTED_DAYS);
+}
+
+async function getImportedFitness(userId) {
+    return (await store.get(importKey(userId))) || { days: [], imports: [] };
+}
+
+/**
+ * Parse an export and merge it into the user's imported history
+ * Returns { summary } or { error }
+ */
+async function importFitnessExport(userId, text, { format, fileName, timeZone } = {}) {
+    const parsed = parseExport(text, { format, fileName, timeZone });
+    if (parsed.error) {
+        return { error: parsed.error };
+    }
+
+    const existing = await getImportedFitness(userId);
+    const entry = {
+        format: parsed.format,
+        fileName: fileName || null,
+        importedAt: new Date().toISOString(),
+        days: parsed.days.length,
+        from: parsed.days[0].date,
+        to: parsed.days[parsed.days.length - 1].date
+    };
+    const updated = {
+        days: mergeDays(existing.days, parsed.days),
+        imports: [...existing.imports, entry].slice(-IMPORT_LOG_LIMIT)
+    };
+
+    await store.set(importKey(userId), updated);
+
+    return {
+        summary: {
+            import: entry,
+            totalDays: updated.days.length,
+            from: updated.days[0].date,
+            to: updated.days[updated.days.length - 1].date
+        }
+    };
+}
+
+async function deleteImportedFitness(userId) {
+    return await store.del(importKey(userId));
+}
+
+function averageOf(metrics, pick) {
+    const values = metrics.map(pick).filter(value => typeof value === 'number' && isFinite(value));
+    return values.length > 0
+        ? values.reduce((sum, value) => sum + value, 0) / values.length
+        : null;
+}
+
+function round(value, digits) {
+    return typeof value === 'number' ? parseFloat(value.toFixed(digits)) : null;
+}
+
+/**
+ * fitness_summary payload from dailyMetrics days (data/mock-fitness.json shape)
+ * Averages skip days without a value; `null` means nothing was recorded
+ */
+function analyzeDailyMetrics(metrics, { userId, source, quality, lastSync, trend, confidence }) {
+    const sorted = [...metrics].sort((a, b) => a.date.localeCompare(b.date));
+    const field = (group, name) => day => day[group] ? day[group][name] : null;
+
+    const sleepDuration = averageOf(sorted, field('sleep', 'duration'));
+    const sleepQuality = averageOf(sorted, field('sleep', 'quality'));
+    const dailySteps = averageOf(sorted, field('activity', 'steps'));
+    const activeMinutes = averageOf(sorted, field('activity', 'activeMinutes'));
+    const stressLevel = averageOf(sorted, field('stress', 'level'));
+    const restingHeartRate = averageOf(sorted, field('heartRate', 'resting'));
+    const nightsRecorded = sorted.filter(day => typeof field('sleep', 'duration')(day) === 'number').length;
+
+    const sleepStatus = sleepDuration === null
+        ? 'No sleep data'
+        : sleepDuration < 6 ? 'Sleep Deprived' : sleepDuration < 7 ? 'Insufficient Sleep' : 'Healthy Sleep';
+    const activityStatus = dailySteps === null
+        ? 'No activity data'
+        : dailySteps < 5000 ? 'Sedentary' : dailySteps < 8000 ? 'Lightly Active' : 'Active';
+
+    return {
+        type: 'fitness_summary',
+        source: source,
+        quality: quality,
+        user: {
+            userId: userId
+        },
+        data: {
+            sleepDuration: round(sleepDuration, 1),
+            sleepQuality: round(sleepQuality, 2),
+            dailySteps: dailySteps === null ? null : Math.round(dailySteps),
+            activeMinutes: activeMinutes === null ? null : Math.round(activeMinutes),
+            stressLevel: round(stressLevel, 2),
+            restingHeartRate: restingHeartRate === null ? null : Math.round(restingHeartRate),
+            days: sorted.map(day => ({
+                date: day.date,
+                sleepHours: field('sleep', 'duration')(day),
+                sleepQuality: field('sleep', 'quality')(day),
+                steps: field('activity', 'steps')(day),
+                activeMinutes: field('activity', 'activeMinutes')(day),
+                restingHeartRate: field('heartRate', 'resting')(day)
+            }))
+        },
+        metadata: {
+            timestamp: new Date().toISOString(),
+            daysCovered: sorted.length,
+            from: sorted.length > 0 ? sorted[0].date : null,
+            to: sorted.length > 0 ? sorted[sorted.length - 1].date : null,
+            nightsRecorded: nightsRecorded,
+            lastSync: lastSync || null
+        },
+        interpretation: {
+            sleepStatus: sleepStatus,
+            activityStatus: activityStatus,
+            stressStatus: stressLevel === null ? 'Not measured' : stressLevel > 0.7 ? 'High Stress' : 'Moderate Stress',
+            recommendation: sleepDuration !== null && sleepDuration < 6
+                ? 'Sleep duration below recommended 7-9 hours - prioritize rest tonight'
+                : dailySteps !== null && dailySteps < 5000
+                ? 'Low activity detected - consider a 15-minute walk'
+                : 'Health metrics look good - maintain current habits',
+            trend: trend || `Sleep: ${nightsRecorded} of ${sorted.length} nights recorded, Activity: ${activityStatus.toLowerCase()}`,
+            confidence: confidence || (nightsRecorded >= Math.ceil(sorted.length / 2) ? 'high' : 'low')
+        }
+    };
+}
+
+/**
+ * Summary of the most recent `days` imported days, or null when nothing was imported
+ */
+async function getImportedFitnessSummary(userId, days) {
+    const imported = await getImportedFitness(userId);
+    if (imported.days.length === 0) {
+        return null;
+    }
+
+    const formats = [...new Set(imported.imports.map(entry => entry.format))];
+    const lastImport = imported.imports[imported.imports.length - 1];
+
+    return analyzeDailyMetrics(imported.days.slice(-days), {
+        userId: userId,
+        source: `Imported exports (${formats.join(', ')})`,
+        quality: 'imported',
+        lastSync: lastImport ? lastImport.importedAt : null
+    });
+}
+
+module.exports = {
+    MAX_IMPORT_BYTES,
+    importKey,
+    readUpload,
+    mergeDays,
+    getImportedFitness,
+    importFitnessExport,
+    deleteImportedFitness,
+    analyzeDailyMetrics,
+    getImportedFitnessSummary
+};
@@ -0,0 +1,392 @@
+/**
+ * Fitness Provider (Google Fit REST API)
+ * Shared by the Express proxy and the Vercel functions
+ * Daily steps, active minutes and resting heart rate from dataset:aggregate, sleep from sessions
+ * Fetching is kept apart from analysis so the analysis can run on recorded fixtures
+ */
+
+const { google } = require('googleapis');
+const { DEFAULT_TIMEZONE, zonedDateKey, zonedTimeToUtc } = require('./timezone');
+const { addDays, todayIn } = require('./calendar-provider');
+
+const FITNESS_SCOPES = [
+    'https://www.googleapis.com/auth/fitness.activity.read',
+    'https://www.googleapis.com/auth/fitness.sleep.read',
+    'https://www.googleapis.com/auth/fitness.heart_rate.read'
+];
+
+const DEFAULT_FITNESS_DAYS = 7;
+const MAX_FITNESS_DAYS = 90;
+const SLEEP_ACTIVITY_TYPE = 72;
+
+// Resting heart rate Google derives from merged heart rate samples
+const RESTING_HEART_RATE_SOURCE = 'derived:com.google.heart_rate.bpm:com.google.android.gms:resting_heart_rate<-merge_heart_rate_bpm';
+
+// com.google.sleep.segment stages that are not sleep (awake, out of bed)
+const AWAKE_SEGMENT_TYPES = [1, 3];
+
+/**
+ * Fitness API client; GOOGLE_API_ROOT_URL points it at a local stand-in with recorded responses
+ */
+function createFitnessClient(auth) {
+    const options = { version: 'v1', auth: auth };
+    if (process.env.GOOGLE_API_ROOT_URL) {
+        options.rootUrl = process.env.GOOGLE_API_ROOT_URL;
+    }
+    return google.fitness(options);
+}
+
+/**
+ * Parse the ?days= param (default 7)
+ */
+function resolveFitnessDays(value) {
+    const days = parseInt(value, 10);
+    if (!days || days < 1) {
+        return DEFAULT_FITNESS_DAYS;
+    }
+    return Math.min(days, MAX_FITNESS_DAYS);
+}
+
+/**
+ * Day keys and the instant window for the `days` days ending today in `timeZone`
+ */
+function fitnessWindow(days, timeZone) {
+    const to = todayIn(timeZone);
+    const from = addDays(to, -(days - 1));
+    const dayKeys = [];
+    for (let key = from; key <= to; key = addDays(key, 1)) {
+        dayKeys.push(key);
+    }
+
+    return {
+        days: dayKeys,
+        start: zonedTimeToUtc(from, 0, timeZone),
+        end: zonedTimeToUtc(addDays(to, 1), 0, timeZone)
+    };
+}
+
+/**
+ * Whether Google rejected the call because the fitness scopes were never granted
+ */
+function isMissingFitnessScope(error) {
+    const status = error && (error.code || (error.response && error.response.status));
+    return status === 403 || /insufficient.*scope|insufficientPermissions/i.test(error && error.message || '');
+}
+
+/**
+ * Daily aggregate buckets (steps, active minutes, heart rate) in the user's zone
+ */
+async function fetchDailyAggregates(fitness, window, timeZone) {
+    const response = await fitness.users.dataset.aggregate({
+        userId: 'me',
+        requestBody: {
+            aggregateBy: [
+                { dataTypeName: 'com.google.step_count.delta' },
+                { dataTypeName: 'com.google.active_minutes' },
+                { dataTypeName: 'com.google.heart_rate.bpm' }
+            ],
+            bucketByTime: { period: { type: 'day', value: 1, timeZoneId: timeZone } },
+            startTimeMillis: String(window.start.getTime()),
+            endTimeMillis: String(window.end.getTime())
+        }
+    });
+
+    return response.data.bucket || [];
+}
+
+/**
+ * Daily resting heart rate buckets
+ * Not every account has the derived source - returns [] then and the daily minimum is used instead
+ */
+async function fetchRestingHeartRate(fitness, window, timeZone) {
+    try {
+        const response = await fitness.users.dataset.aggregate({
+            userId: 'me',
+            requestBody: {
+                aggregateBy: [{ dataSourceId: RESTING_HEART_RATE_SOURCE }],
+                bucketByTime: { period: { type: 'day', value: 1, timeZoneId: timeZone } },
+                startTimeMillis: String(window.start.getTime()),
+                endTimeMillis: String(window.end.getTime())
+            }
+        });
+        return response.data.bucket || [];
+    } catch (error) {
+        if (isMissingFitnessScope(error)) {
+            throw error;
+        }
+        console.log('Resting heart rate source unavailable:', error.message);
+        return [];
+    }
+}
+
+/**
+ * Sleep sessions overlapping the window
+ * Sessions that started the evening before the first day are included
+ */
+async function fetchSleepSessions(fitness, window) {
+    const sessions = [];
+    let pageToken;
+
+    do {
+        const response = await fitness.users.sessions.list({
+            userId: 'me',
+            startTime: new Date(window.start.getTime() - 12 * 60 * 60 * 1000).toISOString(),
+            endTime: window.end.toISOString(),
+            activityType: SLEEP_ACTIVITY_TYPE,
+            pageToken: pageToken
+        });
+
+        sessions.push(...(response.data.session || []).filter(session => session.activityType === SLEEP_ACTIVITY_TYPE));
+        pageToken = response.data.hasMoreData ? response.data.nextPageToken : undefined;
+    } while (pageToken);
+
+    return sessions;
+}
+
+/**
+ * Sleep stage segments across the window, used for sleep efficiency
+ */
+async function fetchSleepSegments(fitness, window) {
+    const start = window.start.getTime() - 12 * 60 * 60 * 1000;
+    const end = window.end.getTime();
+
+    const response = await fitness.users.dataset.aggregate({
+        userId: 'me',
+        requestBody: {
+            aggregateBy: [{ dataTypeName: 'com.google.sleep.segment' }],
+            bucketByTime: { durationMillis: String(end - start) },
+            startTimeMillis: String(start),
+            endTimeMillis: String(end)
+        }
+    });
+
+    const points = [];
+    for (const bucket of response.data.bucket || []) {
+        for (const dataset of bucket.dataset || []) {
+            points.push(...(dataset.point || []));
+        }
+    }
+    return points;
+}
+
+/**
+ * Fetch everything the fitness summary needs
+ */
+async function fetchFitnessData(fitness, days, timeZone) {
+    const zone = timeZone || DEFAULT_TIMEZONE;
+    const window = fitnessWindow(days, zone);
+
+    const aggregates = await fetchDailyAggregates(fitness, window, zone);
+    const restingBuckets = await fetchRestingHeartRate(fitness, window, zone);
+    const sessions = await fetchSleepSessions(fitness, window);
+    const segments = sessions.length > 0 ? await fetchSleepSegments(fitness, window) : [];
+
+    return { days: window.days, aggregates, restingBuckets, sessions, segments };
+}
+
+function nanosToMillis(value) {
+    return Math.round(Number(value) / 1e6);
+}
+
+/**
+ * Points of one aggregated data type within a bucket
+ */
+function bucketPoints(bucket, dataTypePrefix) {
+    const points = [];
+    for (const dataset of bucket.dataset || []) {
+        for (const point of dataset.point || []) {
+            if ((point.dataTypeName || '').startsWith(dataTypePrefix)) {
+                points.push(point);
+            }
+        }
+    }
+    return points;
+}
+
+function sumInt(points) {
+    return points.reduce((sum, point) => sum + ((point.value && point.value[0] && point.value[0].intVal) || 0), 0);
+}
+
+/**
+ * Per-day steps, active minutes and resting heart rate, keyed by day
+ * heart_rate.summary values are [average, max, min]
+ */
+function summarizeDailyBuckets(aggregates, restingBuckets, timeZone) {
+    const byDay = new Map();
+    const dayOf = bucket => zonedDateKey(new Date(Number(bucket.startTimeMillis)), timeZone);
+
+    for (const bucket of aggregates) {
+        const steps = bucketPoints(bucket, 'com.google.step_count');
+        const active = bucketPoints(bucket, 'com.google.active_minutes');
+        const heartRate = bucketPoints(bucket, 'com.google.heart_rate');
+
+        const minima = heartRate
+            .map(point => point.value && point.value[2] && point.value[2].fpVal)
+            .filter(value => typeof value === 'number');
+
+        byDay.set(dayOf(bucket), {
+            steps: steps.length > 0 ? sumInt(steps) : null,
+            activeMinutes: active.length > 0 ? sumInt(active) : null,
+            restingHeartRate: minima.length > 0 ? Math.round(Math.min(...minima)) : null
+        });
+    }
+
+    // The derived resting heart rate replaces the daily minimum where present
+    for (const bucket of restingBuckets) {
+        const averages = [];
+        for (const dataset of bucket.dataset || []) {
+            for (const point of dataset.point || []) {
+                if (point.value && point.value[0] && typeof point.value[0].fpVal === 'number') {
+                    averages.push(point.value[0].fpVal);
+                }
+            }
+        }
+        if (averages.length > 0) {
+            const day = byDay.get(dayOf(bucket)) || { steps: null, activeMinutes: null };
+            day.restingHeartRate = Math.round(averages.reduce((sum, value) => sum + value, 0) / averages.length);
+            byDay.set(dayOf(bucket), day);
+        }
+    }
+
+    return byDay;
+}
+
+/**
+ * Nightly sleep, credited to the day the sleeper woke up
+ * Efficiency = time asleep / time in bed (from stage segments; null without them)
+ */
+function summarizeSleep(sessions, segments, timeZone) {
+    const nights = new Map();
+
+    for (const session of sessions) {
+        const start = Number(session.startTimeMillis);
+        const end = Number(session.endTimeMillis);
+        if (!start || !end || end <= start) {
+            continue;
+        }
+
+        const inSession = segments.filter(point =>
+            nanosToMillis(point.startTimeNanos) >= start && nanosToMillis(point.endTimeNanos) <= end);
+        const awakeMs = inSession
+            .filter(point => AWAKE_SEGMENT_TYPES.includes(point.value && point.value[0] && point.value[0].intVal))
+            .reduce((sum, point) => sum + nanosToMillis(point.endTimeNanos) - nanosToMillis(point.startTimeNanos), 0);
+
+        const inBedMs = end - start;
+        const asleepMs = inBedMs - awakeMs;
+        const dateKey = zonedDateKey(new Date(end), timeZone);
+        const night = nights.get(dateKey) || { asleepMs: 0, inBedMs: 0, staged: false };
+
+        night.asleepMs += asleepMs;
+        night.inBedMs += inBedMs;
+        night.staged = night.staged || inSession.length > 0;
+        nights.set(dateKey, night);
+    }
+
+    return nights;
+}
+
+function averageOf(values) {
+    const recorded = values.filter(value => typeof value === 'number');
+    return recorded.length > 0
+        ? recorded.reduce((sum, value) => sum + value, 0) / recorded.length
+        : null;
+}
+
+function round(value, digits) {
+    return typeof value === 'number' ? parseFloat(value.toFixed(digits)) : null;
+}
+
+/**
+ * Fitness summary from fetched (or recorded) Google Fit responses
+ * Same schema as the mock summary; averages skip days without data
+ */
+function analyzeFitness({ days, aggregates, restingBuckets, sessions, segments, userId, timeZone, source, quality }) {
+    const zone = timeZone || DEFAULT_TIMEZONE;
+    const daily = summarizeDailyBuckets(aggregates || [], restingBuckets || [], zone);
+    const nights = summarizeSleep(sessions || [], segments || [], zone);
+
+    const dayBreakdown = days.map(date => {
+        const day = daily.get(date) || {};
+        const night = nights.get(date);
+        return {
+            date: date,
+            sleepHours: night ? round(night.asleepMs / 3600000, 1) : null,
+            sleepQuality: night && night.staged ? round(night.asleepMs / night.inBedMs, 2) : null,
+            steps: typeof day.steps === 'number' ? day.steps : null,
+            activeMinutes: typeof day.activeMinutes === 'number' ? day.activeMinutes : null,
+            restingHeartRate: typeof day.restingHeartRate === 'number' ? day.restingHeartRate : null
+        };
+    });
+
+    const sleepDuration = averageOf(dayBreakdown.map(day => day.sleepHours));
+    const sleepQuality = averageOf(dayBreakdown.map(day => day.sleepQuality));
+    const dailySteps = averageOf(dayBreakdown.map(day => day.steps));
+    const activeMinutes = averageOf(dayBreakdown.map(day => day.activeMinutes));
+    const restingHeartRate = averageOf(dayBreakdown.map(day => day.restingHeartRate));
+    const nightsRecorded = dayBreakdown.filter(day => day.sleepHours !== null).length;
+    const daysWithSteps = dayBreakdown.filter(day => day.steps !== null).length;
+
+    const sleepStatus = sleepDuration === null
+        ? 'No sleep data'
+        : sleepDuration < 6 ? 'Sleep Deprived' : sleepDuration < 7 ? 'Insufficient Sleep' : 'Healthy Sleep';
+    const activityStatus = dailySteps === null
+        ? 'No activity data'
+        : dailySteps < 5000 ? 'Sedentary' : dailySteps < 8000 ? 'Lightly Active' : 'Active';
+
+    return {
+        type: 'fitness_summary',
+        source: source || 'Google Fit API',
+        quality: quality || 'real-time',
+        user: {
+            userId: userId
+        },
+        data: {
+            sleepDuration: round(sleepDuration, 1),
+            sleepQuality: round(sleepQuality, 2),
+            dailySteps: dailySteps === null ? null : Math.round(dailySteps),
+            activeMinutes: activeMinutes === null ? null : Math.round(activeMinutes),
+            stressLevel: null, // Google Fit has no stress measure
+            restingHeartRate: restingHeartRate === null ? null : Math.round(restingHeartRate),
+            days: dayBreakdown
+        },
+        metadata: {
+            timestamp: new Date().toISOString(),
+            daysCovered: days.length,
+            from: days[0],
+            to: days[days.length - 1],
+            nightsRecorded: nightsRecorded,
+            daysWithSteps: daysWithSteps,
+            timeZone: zone,
+            lastSync: new Date().toISOString()
+        },
+        interpretation: {
+            sleepStatus: sleepStatus,
+            activityStatus: activityStatus,
+            stressStatus: 'Not measured',
+            recommendation: sleepDuration !== null && sleepDuration < 6
+                ? 'Sleep duration below recommended 7-9 hours - prioritize rest tonight'
+                : dailySteps !== null && dailySteps < 5000
+                ? 'Low activity detected - consider a 15-minute walk'
+                : nightsRecorded === 0 && daysWithSteps === 0
+                ? 'No fitness data recorded - sync a tracker with Google Fit'
+                : 'Health metrics look good - maintain current habits',
+            trend: `Sleep: ${nightsRecorded} of ${days.length} nights recorded, Activity: ${activityStatus.toLowerCase()}`,
+            confidence: nightsRecorded >= Math.ceil(days.length / 2) && daysWithSteps >= Math.ceil(days.length / 2) ? 'high' : 'low'
+        }
+    };
+}
+
+async function getFitnessSummary(fitness, userId, days, timeZone) {
+    const fetched = await fetchFitnessData(fitness, days, timeZone);
+    return analyzeFitness({ ...fetched, userId, timeZone });
+}
+
+module.exports = {
+    FITNESS_SCOPES,
+    createFitnessClient,
+    resolveFitnessDays,
+    isMissingFitnessScope,
+    fetchFitnessData,
+    analyzeFitness,
+    getFitnessSummary
+};
@@ -0,0 +1,271 @@
+/**
+ * Focus Time Write-Back
+ * Finds the first free slot inside working hours and books it as a "Focus time" event
+ * in the user's primary calendar; events carry a private marker so undo only ever
+ * deletes events Life Navigator created
+ */
+
+const { getZonedParts, zonedTimeToUtc, zonedDateKey } = require('./timezone');
+const {
+    DAY_NAMES,
+    parseDateKey,
+    addDays,
+    isWeekend,
+    fetchEvents,
+    getEventBounds,
+    mergeIntervals,
+    findFreeIntervals
+} = require('./calendar-provider');
+
+const FOCUS_EVENT_SUMMARY = 'Focus time';
+const FOCUS_MARKER = 'focus-time';
+
+const DEFAULT_FOCUS_MINUTES = 120;
+const MIN_FOCUS_MINUTES = 30;
+const MAX_FOCUS_MINUTES = 240;
+
+// Days searched from the requested date (a full week, so Friday requests reach Monday)
+const SEARCH_DAYS = 7;
+const SLOT_STEP_MINUTES = 15;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Parse date / minutes / start from a query or body
+ * `date` defaults to tomorrow; `start` (ISO time) pins the slot a preview returned
+ * Returns { date, minutes, start } or { error }
+ */
+function resolveFocusRequest({ date, minutes, start } = {}, today) {
+    const day = date === undefined || date === '' ? addDays(today, 1) : date;
+    if (!DATE_PATTERN.test(day) || isNaN(parseDateKey(day).getTime())) {
+        return { error: 'date must be in YYYY-MM-DD format' };
+    }
+    if (day < today) {
+        return { error: 'date must be today or later' };
+    }
+
+    const length = minutes === undefined || minutes === '' ? DEFAULT_FOCUS_MINUTES : Number(minutes);
+    if (!Number.isInteger(length) || length < MIN_FOCUS_MINUTES || length > MAX_FOCUS_MINUTES) {
+        return { error: `minutes must be a whole number between ${MIN_FOCUS_MINUTES} and ${MAX_FOCUS_MINUTES}` };
+    }
+
+    let pinned = null;
+    if (start !== undefined && start !== '') {
+        pinned = new Date(start);
+        if (isNaN(pinned.getTime())) {
+            return { error: 'start must be an ISO 8601 date-time' };
+        }
+    }
+
+    return { date: day, minutes: length, start: pinned };
+}
+
+/**
+ * Whether an event takes the time - "free" (transparent) and declined events do not
+ */
+function isBlocking(event) {
+    if (event.status === 'cancelled' || event.transparency === 'transparent') {
+        return false;
+    }
+    const self = (event.attendees || []).find(attendee => attendee.self);
+    return !(self && self.responseStatus === 'declined');
+}
+
+/**
+ * First free slot of `minutes` inside working hours on a weekday in `days`, not before `notBefore`
+ * Pure function - no API calls
+ * Returns { date, start, end } (Dates) or null
+ */
+function findFocusSlot({ events, days, minutes, workingHours, timeZone, notBefore }) {
+    const busy = mergeIntervals(events.filter(isBlocking).map(event => {
+        const { start, end } = getEventBounds(event, timeZone);
+        return { start: start.getTime(), end: end.getTime() };
+    }));
+
+    for (const day of days) {
+        if (isWeekend(day)) {
+            continue;
+        }
+
+        const workStart = zonedTimeToUtc(day, workingHours.start, timeZone).getTime();
+        const workEnd = zonedTimeToUtc(day, workingHours.end, timeZone).getTime();
+        const windowStart = Math.max(workStart, notBefore.getTime());
+        if (windowStart >= workEnd) {
+            continue;
+        }
+
+        const slot = findFreeIntervals(busy, windowStart, workEnd)
+            .find(interval => interval.end - interval.start >= minutes * MINUTE_MS);
+        if (slot) {
+            return { date: day, start: new Date(slot.start), end: new Date(slot.start + minutes * MINUTE_MS) };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Next quarter hour after `date`, so suggested slots start on :00/:15/:30/:45
+ */
+function nextSlotStep(date) {
+    const step = SLOT_STEP_MINUTES * MINUTE_MS;
+    return new Date(Math.ceil(date.getTime() / step) * step);
+}
+
+function formatTime(date, timeZone) {
+    const parts = getZonedParts(date, timeZone);
+    return `${String(parts.hour).padStart(2, '0')}:${String(parts.minute).padStart(2, '0')}`;
+}
+
+/**
+ * Slot for API responses, with a label in the user's zone ("Tuesday 2026-10-20 10:00-12:00")
+ */
+function describeSlot(slot, timeZone) {
+    return {
+        date: slot.date,
+        start: slot.start.toISOString(),
+        end: slot.end.toISOString(),
+        minutes: Math.round((slot.end - slot.start) / MINUTE_MS),
+        timeZone: timeZone,
+        label: `${DAY_NAMES[parseDateKey(slot.date).getUTCDay()]} ${slot.date} ${formatTime(slot.start, timeZone)}-${formatTime(slot.end, timeZone)}`
+    };
+}
+
+/**
+ * Calendar event resource for a slot
+ */
+function buildFocusEvent(slot, timeZone) {
+    return {
+        summary: FOCUS_EVENT_SUMMARY,
+        description: 'Blocked by Life Navigator for deep work. Delete this event to give the time back.',
+        start: { dateTime: slot.start.toISOString(), timeZone: timeZone },
+        end: { dateTime: slot.end.toISOString(), timeZone: timeZone },
+        transparency: 'opaque',
+        reminders: { useDefault: false },
+        extendedProperties: { private: { lifeNavigator: FOCUS_MARKER } }
+    };
+}
+
+/**
+ * Find a slot for a resolved request against the given events
+ * A pinned `start` must still be free - otherwise { conflict: true }
+ * Returns { slot } | { conflict: true } | { slot: null }
+ */
+function planFocusSlot(events, request, { workingHours, timeZone, now }) {
+    const earliest = nextSlotStep(now || new Date());
+
+    if (request.start) {
+        const day = zonedDateKey(request.start, timeZone);
+        const slot = request.start >= earliest
+            ? findFocusSlot({ events, days: [day], minutes: request.minutes, workingHours, timeZone, notBefore: request.start })
+            : null;
+        return slot && slot.start.getTime() === request.start.getTime() ? { slot } : { conflict: true };
+    }
+
+    const days = Array.from({ length: SEARCH_DAYS }, (_, index) => addDays(request.date, index));
+    return { slot: findFocusSlot({ events, days, minutes: request.minutes, workingHours, timeZone, notBefore: earliest }) };
+}
+
+/**
+ * Error response for a plan without a usable slot: { status, error, message } or null
+ */
+function focusPlanError(plan, request) {
+    if (plan.conflict) {
+        return {
+            status: 409,
+            error: 'Slot no longer free',
+            message: 'That time is taken or already past - preview again for a new slot'
+        };
+    }
+    if (!plan.slot) {
+        return {
+            status: 404,
+            error: 'No free slot',
+            message: `No free ${request.minutes}-minute block inside working hours in the ${SEARCH_DAYS} days from ${request.date}`
+        };
+    }
+    return null;
+}
+
+/**
+ * Fetch the events around a request and plan a slot (see planFocusSlot)
+ */
+async function findFocusTime(calendar, request, { workingHours, timeZone, now }) {
+    const firstDay = request.start ? zonedDateKey(request.start, timeZone) : request.date;
+    const days = Array.from({ length: request.start ? 1 : SEARCH_DAYS }, (_, index) => addDays(firstDay, index));
+    const events = await fetchEvents(calendar, days, timeZone);
+    return planFocusSlot(events, request, { workingHours, timeZone, now });
+}
+
+/**
+ * Insert the focus event; returns the created event summary
+ */
+async function createFocusEvent(calendar, slot, timeZone) {
+    const response = await calendar.events.insert({
+        calendarId: 'primary',
+        requestBody: buildFocusEvent(slot, timeZone)
+    });
+
+    return {
+        id: response.data.id,
+        summary: response.data.summary,
+        htmlLink: response.data.htmlLink || null,
+        start: slot.start.toISOString(),
+        end: slot.end.toISOString()
+    };
+}
+
+/**
+ * Undo - delete a focus event, but only one Life Navigator created
+ * Returns { deleted, alreadyDeleted } or { error, status }
+ */
+async function deleteFocusEvent(calendar, eventId) {
+    let event;
+    try {
+        event = (await calendar.events.get({ calendarId: 'primary', eventId: eventId })).data;
+    } catch (error) {
+        const status = error.code || (error.response && error.response.status);
+        if (status === 404 || status === 410) {
+            return { deleted: true, alreadyDeleted: true };
+        }
+        throw error;
+    }
+
+    const marker = event.extendedProperties && event.extendedProperties.private
+        && event.extendedProperties.private.lifeNavigator;
+    if (marker !== FOCUS_MARKER) {
+        return { error: 'Only focus time created by Life Navigator can be removed here', status: 403 };
+    }
+    if (event.status === 'cancelled') {
+        return { deleted: true, alreadyDeleted: true };
+    }
+
+    await calendar.events.delete({ calendarId: 'primary', eventId: eventId });
+    return { deleted: true, alreadyDeleted: false };
+}
+
+/**
+ * Google rejected the write because the calendar.events scope was never granted
+ * (accounts that signed in before write-back existed)
+ */
+function isMissingWriteScope(error) {
+    const status = error && (error.code || (error.response && error.response.status));
+    return status === 403 && /insufficient.*scope|insufficientPermissions/i.test(error.message || '');
+}
+
+module.exports = {
+    FOCUS_EVENT_SUMMARY,
+    DEFAULT_FOCUS_MINUTES,
+    resolveFocusRequest,
+    findFocusSlot,
+    nextSlotStep,
+    planFocusSlot,
+    focusPlanError,
+    describeSlot,
+    buildFocusEvent,
+    findFocusTime,
+    createFocusEvent,
+    deleteFocusEvent,
+    isMissingWriteScope
+};
@@ -0,0 +1,217 @@
+/**
+ * Gmail Provider
+ * Shared by the Express proxy and the Vercel functions
+ * Fetching is kept apart from analysis so the analysis can run on recorded fixtures
+ */
+
+const { DEFAULT_STRESS_RULES, URGENT_THRESHOLD, compileRules, scoreEmail } = require('./stress-rules');
+const { mapWithConcurrency } = require('./concurrency');
+const { fetchThreads, analyzeResponseDebt } = require('./response-debt');
+
+// Emails listed in data.matchedEmails, most urgent first
+const MATCHED_EMAIL_LIMIT = 50;
+
+// Gmail inbox window - every message in it is listed, page by page
+const INBOX_QUERY = 'in:inbox newer_than:7d';
+const LIST_PAGE_SIZE = 500;          // Gmail's maximum page size
+const MAX_LISTED_MESSAGES = 10000;   // stop paging beyond this (count is reported as truncated)
+
+// Metadata is fetched for the newest DETAIL_LIMIT messages, CONCURRENCY requests at a time
+const DETAIL_LIMIT = parseInt(process.env.GMAIL_DETAIL_LIMIT) || 500;
+const CONCURRENCY = parseInt(process.env.GMAIL_CONCURRENCY) || 10;
+
+/**
+ * IDs of every message matching `q`, newest first
+ * Returns { ids, truncated }
+ */
+async function listMessageIds(gmail, q) {
+    const ids = [];
+    let pageToken;
+
+    do {
+        const response = await gmail.users.messages.list({
+            userId: 'me',
+            q: q,
+            maxResults: LIST_PAGE_SIZE,
+            pageToken: pageToken,
+            fields: 'messages/id,nextPageToken'
+        });
+
+        ids.push(...(response.data.messages || []).map(message => message.id));
+        pageToken = response.data.nextPageToken;
+    } while (pageToken && ids.length < MAX_LISTED_MESSAGES);
+
+    return { ids: ids.slice(0, MAX_LISTED_MESSAGES), truncated: !!pageToken };
+}
+
+/**
+ * Fetch inbox message metadata for the analysis window
+ * Counts come from Gmail's own queries (is:unread, is:important) over the whole window;
+ * details (subject, sender, labels, snippet) are fetched for the newest DETAIL_LIMIT messages
+ */
+async function fetchInboxMetadata(gmail) {
+    const [inbox, unread, important] = await Promise.all([
+        listMessageIds(gmail, INBOX_QUERY),
+        listMessageIds(gmail, `${INBOX_QUERY} is:unread`),
+        listMessageIds(gmail, `${INBOX_QUERY} is:important`)
+    ]);
+
+    const detailIds = inbox.ids.slice(0, DETAIL_LIMIT);
+    const details = await mapWithConcurrency(detailIds, CONCURRENCY, async (id) => {
+        try {
+            const emailDetails = await gmail.users.messages.get({
+                userId: 'me',
+                id: id,
+                format: 'metadata',
+                metadataHeaders: ['Subject', 'From'],
+                fields: 'id,threadId,labelIds,snippet,internalDate,payload/headers'
+            });
+            return emailDetails.data;
+        } catch (err) {
+            console.error('Error fetching email details:', err.message);
+            return null;
+        }
+    });
+
+    return {
+        totalEmails: inbox.ids.length,
+        unreadTotal: unread.ids.length,
+        importantTotal: important.ids.length,
+        truncated: inbox.truncated,
+        messages: details.filter(Boolean)
+    };
+}
+
+/**
+ * Read a header value from a Gmail message resource
+ */
+function getHeader(message, name) {
+    const headers = (message.payload && message.payload.headers) || [];
+    return headers.find(h => h.name === name)?.value || '';
+}
+
+/**
+ * Build the email_stress payload from Gmail message metadata
+ * `rules` are the user's stress rules (api/_lib/stress-rules.js), defaults otherwise
+ * `unreadTotal`/`importantTotal` are Gmail's counts for the whole window; without them
+ * (recorded fixtures, mock data) they are counted from `messages`
+ * Ratios always divide by the emails actually analyzed, so they stay in 0-1
+ * `threads` (optional) adds data.responseDebt - threads waiting on the user as of `now`
+ * Pure function - no API calls
+ */
+function analyzeEmailStress({ messages, totalEmails, unreadTotal, importantTotal, truncated, threads, now, userId, source, quality, rules }) {
+    const compiled = compileRules(rules || DEFAULT_STRESS_RULES);
+    let urgentCount = 0;
+    let unreadCount = 0;
+    let ignoredCount = 0;
+    let urgencyTotal = 0;
+    const matchedEmails = [];
+
+    // Score each email against the rules; ignored emails (newsletters etc.) do not count at all
+    for (const message of messages) {
+        const subject = getHeader(message, 'Subject');
+        const from = getHeader(message, 'From');
+        const labelIds = message.labelIds || [];
+        const { urgency, ignored, matched } = scoreEmail(compiled, { subject, snippet: message.snippet, from, labelIds });
+
+        if (matched.length > 0) {
+            matchedEmails.push({
+                id: message.id,
+                subject: subject,
+                from: from,
+                urgency: urgency,
+                ignored: ignored,
+                rules: matched.map(rule => ({ id: rule.id, type: rule.type, pattern: rule.pattern, weight: rule.weight }))
+            });
+        }
+
+        if (ignored) {
+            ignoredCount++;
+            continue;
+        }
+
+        urgencyTotal += urgency;
+        if (urgency >= URGENT_THRESHOLD) {
+            urgentCount++;
+        }
+
+        // Check if unread
+        if (labelIds.includes('UNREAD')) {
+            unreadCount++;
+        }
+    }
+
+    // Calculate stress level based on actual data - urgency is weighted, not just counted
+    const countedEmails = messages.length - ignoredCount;
+    const urgentRatio = countedEmails > 0 ? urgencyTotal / countedEmails : 0;
+    const unreadRatio = countedEmails > 0 ? unreadCount / countedEmails : 0;
+    const baseStress = (urgentRatio * 0.6) + (unreadRatio * 0.4); // Weighted average
+
+    const hasLabel = label => messages.filter(message => (message.labelIds || []).includes(label)).length;
+    const sampled = messages.length < totalEmails;
+
+    return {
+        type: 'email_stress',
+        source: source || 'Gmail API (Real User Data)',
+        quality: quality || 'authenticated',
+        user: {
+            userId: userId
+        },
+        data: {
+            stressLevel: parseFloat(baseStress.toFixed(3)),
+            urgentCount: urgentCount,
+            totalEmails: totalEmails,
+            unreadCount: typeof unreadTotal === 'number' ? unreadTotal : hasLabel('UNREAD'),
+            importantCount: typeof importantTotal === 'number' ? importantTotal : hasLabel('IMPORTANT'),
+            ignoredCount: ignoredCount,
+            urgentRatio: parseFloat(urgentRatio.toFixed(3)),
+            unreadRatio: parseFloat(unreadRatio.toFixed(3)),
+            matchedCount: matchedEmails.length,
+            matchedEmails: matchedEmails
+                .sort((a, b) => b.urgency - a.urgency)
+                .slice(0, MATCHED_EMAIL_LIMIT),
+            responseDebt: threads
+                ? analyzeResponseDebt(threads, { userEmail: userId, rules: rules || DEFAULT_STRESS_RULES, now })
+                : null
+        },
+        metadata: {
+            timestamp: new Date().toISOString(),
+            query: INBOX_QUERY,
+            analyzedEmails: messages.length,
+            // More messages in the window than DETAIL_LIMIT - ratios come from the newest ones
+            sampled: sampled,
+            countTruncated: !!truncated,
+            rulesApplied: (rules || DEFAULT_STRESS_RULES).length,
+            cacheStatus: 'fresh'
+        },
+        interpretation: {
+            stressPercentage: `${(baseStress * 100).toFixed(1)}%`,
+            stressStatus: baseStress > 0.7 ? 'High Stress' : baseStress > 0.4 ? 'Moderate Stress' : 'Low Stress',
+            recommendation: baseStress > 0.7
+                ? 'High email stress detected - consider blocking focus time and declining low-priority meetings'
+                : baseStress > 0.4
+                ? 'Moderate stress - manage inbox proactively'
+                : 'Email stress is low - good time for deep work',
+            confidence: quality === 'mock' ? 'mock' : sampled || truncated ? 'medium' : 'high'
+        }
+    };
+}
+
+/**
+ * Fetch and analyze in one step for an authenticated Gmail client
+ */
+async function getEmailStress(gmail, userId, rules) {
+    const [inbox, threads] = await Promise.all([
+        fetchInboxMetadata(gmail),
+        fetchThreads(gmail)
+    ]);
+    return analyzeEmailStress({ ...inbox, threads, userId, rules });
+}
+
+module.exports = {
+    listMessageIds,
+    fetchInboxMetadata,
+    analyzeEmailStress,
+    getEmailStress,
+    getHeader
+};
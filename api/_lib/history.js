@@ -0,0 +1,249 @@
+/**
+ * Score History
+ * Each analysis snapshot (score, insights, adjustments, raw metrics) is appended per user
+ * and rolled up into daily and weekly series with moving averages for trend views
+ */
+
+const store = require('./store');
+const { zonedDateKey } = require('./timezone');
+const { parseDateKey, addDays, todayIn } = require('./calendar-provider');
+
+const HISTORY_LIMIT = parseInt(process.env.HISTORY_MAX_SNAPSHOTS) || 1000;
+const DEFAULT_HISTORY_DAYS = 30;
+const MAX_HISTORY_DAYS = 365;
+const DAILY_AVERAGE_WINDOW = 7;   // days
+const WEEKLY_AVERAGE_WINDOW = 4;  // weeks
+
+// Raw metrics kept from each data card, alongside the score
+const METRIC_FIELDS = ['emailStress', 'meetingDensity', 'focusTimeHours', 'sleepDuration', 'dailySteps', 'alwaysOnIndex'];
+const SERIES_FIELDS = ['score', ...METRIC_FIELDS];
+
+function historyKey(userId) {
+    return `user_history:${userId}`;
+}
+
+function isNumber(value) {
+    return typeof value === 'number' && isFinite(value);
+}
+
+function round(value, digits = 2) {
+    return isNumber(value) ? parseFloat(value.toFixed(digits)) : null;
+}
+
+/**
+ * Snapshot from a POST body { analysis, metrics } and the request's data source ('mock' or 'live')
+ * `analysis` is PersonalHealthAnalyzer.analyzeProductivityHealth() output
+ * Returns { snapshot } or { error }
+ */
+function buildSnapshot({ analysis, metrics, source } = {}) {
+    if (!analysis || !isNumber(analysis.score) || analysis.score < 0 || analysis.score > 100) {
+        return { error: 'analysis.score must be a number between 0 and 100' };
+    }
+
+    const insights = analysis.insights || {};
+    const adjustments = Array.isArray(insights.adjustments) ? insights.adjustments : [];
+
+    const recorded = {};
+    for (const field of METRIC_FIELDS) {
+        if (metrics && isNumber(metrics[field])) {
+            recorded[field] = metrics[field];
+        }
+    }
+
+    return {
+        snapshot: {
+            timestamp: new Date().toISOString(),
+            score: analysis.score,
+            status: typeof analysis.status === 'string' ? analysis.status : null,
+            insights: {
+                emailStress: isNumber(insights.emailStress) ? insights.emailStress : null,
+                scheduleHealth: isNumber(insights.scheduleHealth) ? insights.scheduleHealth : null,
+                fitnessHealth: isNumber(insights.fitnessHealth) ? insights.fitnessHealth : null
+            },
+            adjustments: adjustments.slice(0, 20).map(adjustment => ({
+                category: String(adjustment.category || ''),
+                impact: isNumber(adjustment.impact) ? adjustment.impact : 0,
+                detail: String(adjustment.detail || '')
+            })),
+            metrics: recorded,
+            // Scores from different scoring models are not directly comparable
+            model: analysis.model && typeof analysis.model.id === 'string'
+                ? { id: analysis.model.id.slice(0, 40), version: String(analysis.model.version || '').slice(0, 40) }
+                : null,
+            source: source === 'mock' ? 'mock' : 'live'
+        }
+    };
+}
+
+async function recordSnapshot(userId, snapshot) {
+    await store.appendToList(historyKey(userId), snapshot, HISTORY_LIMIT);
+    return snapshot;
+}
+
+async function getSnapshots(userId) {
+    return await store.getList(historyKey(userId));
+}
+
+function fieldValue(snapshot, field) {
+    return field === 'score' ? snapshot.score : (snapshot.metrics || {})[field];
+}
+
+/**
+ * Mean of each series field over a group of snapshots (null where none recorded it)
+ */
+function averageFields(snapshots) {
+    const values = {};
+    for (const field of SERIES_FIELDS) {
+        const recorded = snapshots.map(snapshot => fieldValue(snapshot, field)).filter(isNumber);
+        values[field] = recorded.length > 0
+            ? round(recorded.reduce((sum, value) => sum + value, 0) / recorded.length)
+            : null;
+    }
+    return values;
+}
+
+/**
+ * Trailing moving average of each field over `window` points, skipping empty points
+ */
+function addMovingAverages(points, window) {
+    return points.map((point, index) => {
+        const trailing = points.slice(Math.max(0, index - window + 1), index + 1);
+        const movingAverage = {};
+        for (const field of SERIES_FIELDS) {
+            const recorded = trailing.map(p => p.values[field]).filter(isNumber);
+            movingAverage[field] = recorded.length > 0
+                ? round(recorded.reduce((sum, value) => sum + value, 0) / recorded.length)
+                : null;
+        }
+        return { ...point, movingAverage };
+    });
+}
+
+function mondayOf(dateKey) {
+    const weekday = parseDateKey(dateKey).getUTCDay();
+    return addDays(dateKey, -((weekday + 6) % 7));
+}
+
+/**
+ * Daily and weekly series for the `days` days ending `today`, bucketed in `timeZone`
+ * Moving averages also use the snapshots just before the range so the first points are not empty
+ */
+function buildSeries(snapshots, { days, timeZone, today }) {
+    const to = today;
+    const from = addDays(to, -(days - 1));
+
+    const byDay = new Map();
+    for (const snapshot of snapshots) {
+        const instant = new Date(snapshot.timestamp);
+        if (isNaN(instant.getTime())) {
+            continue;
+        }
+        const dateKey = zonedDateKey(instant, timeZone);
+        if (!byDay.has(dateKey)) {
+            byDay.set(dateKey, []);
+        }
+        byDay.get(dateKey).push(snapshot);
+    }
+
+    // Daily points, with a lead-in of DAILY_AVERAGE_WINDOW - 1 days for the moving average
+    const dailyStart = addDays(from, -(DAILY_AVERAGE_WINDOW - 1));
+    const dailyPoints = [];
+    for (let dateKey = dailyStart; dateKey <= to; dateKey = addDays(dateKey, 1)) {
+        const group = byDay.get(dateKey) || [];
+        dailyPoints.push({ date: dateKey, count: group.length, values: averageFields(group) });
+    }
+    const daily = addMovingAverages(dailyPoints, DAILY_AVERAGE_WINDOW)
+        .filter(point => point.date >= from);
+
+    // Monday-Sunday weeks overlapping the range, with the same lead-in in weeks
+    const weeklyStart = addDays(mondayOf(from), -7 * (WEEKLY_AVERAGE_WINDOW - 1));
+    const weeklyPoints = [];
+    for (let weekStart = weeklyStart; weekStart <= to; weekStart = addDays(weekStart, 7)) {
+        const weekEnd = addDays(weekStart, 6);
+        const group = [];
+        for (let dateKey = weekStart; dateKey <= weekEnd; dateKey = addDays(dateKey, 1)) {
+            group.push(...(byDay.get(dateKey) || []));
+        }
+        weeklyPoints.push({ weekStart, weekEnd, count: group.length, values: averageFields(group) });
+    }
+    const weekly = addMovingAverages(weeklyPoints, WEEKLY_AVERAGE_WINDOW)
+        .filter(point => point.weekEnd >= from);
+
+    return { from, to, daily, weekly };
+}
+
+/**
+ * Score trend across the range: first vs last daily moving average
+ */
+function describeTrend(daily) {
+    const averages = daily.map(point => point.movingAverage.score).filter(isNumber);
+    if (averages.length < 2) {
+        return { scoreTrend: 'Not enough history', scoreChange: null };
+    }
+
+    const change = round(averages[averages.length - 1] - averages[0], 1);
+    return {
+        scoreTrend: change >= 3 ? 'Improving' : change <= -3 ? 'Declining' : 'Stable',
+        scoreChange: change
+    };
+}
+
+/**
+ * Parse the ?days= param
+ * Returns { days } or { error }
+ */
+function resolveHistoryDays(value) {
+    if (value === undefined || value === '') {
+        return { days: DEFAULT_HISTORY_DAYS };
+    }
+
+    const days = parseInt(value, 10);
+    if (!/^\d+$/.test(String(value)) || days < 1 || days > MAX_HISTORY_DAYS) {
+        return { error: `days must be a whole number between 1 and ${MAX_HISTORY_DAYS}` };
+    }
+    return { days };
+}
+
+/**
+ * History payload for the trend endpoint
+ */
+async function getHistory(userId, { days, timeZone }) {
+    const snapshots = await getSnapshots(userId);
+    const series = buildSeries(snapshots, { days, timeZone, today: todayIn(timeZone) });
+    const latest = snapshots.length > 0 ? snapshots[snapshots.length - 1] : null;
+
+    return {
+        userId: userId,
+        data: {
+            daily: series.daily,
+            weekly: series.weekly,
+            latest: latest
+        },
+        metadata: {
+            timestamp: new Date().toISOString(),
+            days: days,
+            from: series.from,
+            to: series.to,
+            timeZone: timeZone,
+            snapshotCount: snapshots.length,
+            fields: SERIES_FIELDS,
+            movingAverageWindow: {
+                daily: DAILY_AVERAGE_WINDOW,
+                weekly: WEEKLY_AVERAGE_WINDOW
+            }
+        },
+        interpretation: describeTrend(series.daily)
+    };
+}
+
+module.exports = {
+    METRIC_FIELDS,
+    SERIES_FIELDS,
+    historyKey,
+    buildSnapshot,
+    recordSnapshot,
+    getSnapshots,
+    buildSeries,
+    resolveHistoryDays,
+    getHistory
+};
@@ -0,0 +1,172 @@
+/**
+ * Apple Health export.xml Importer
+ * Reads <Record> elements for steps, exercise minutes, energy, heart rate and sleep analysis
+ * Dates carry their own offset ("2025-10-14 23:10:00 -0700"), so the local day is the date part
+ */
+
+const { createDayMap, sortedDays, parseNumber, round, average, parseAttributes } = require('./common');
+
+const RECORD_PATTERN = /<Record\b([^>]*?)\/?>/g;
+
+// Quantity types summed per day (per source - iPhone and Watch both count steps)
+// Active and basal energy add up to the day's total calories
+const DAILY_SUMS = {
+    HKQuantityTypeIdentifierStepCount: 'steps',
+    HKQuantityTypeIdentifierAppleExerciseTime: 'activeMinutes',
+    HKQuantityTypeIdentifierActiveEnergyBurned: 'calories',
+    HKQuantityTypeIdentifierBasalEnergyBurned: 'calories'
+};
+
+const SLEEP_TYPE = 'HKCategoryTypeIdentifierSleepAnalysis';
+
+/**
+ * Apple date string to a Date ("2025-10-14 23:10:00 -0700")
+ */
+function parseAppleDate(value) {
+    const match = String(value || '').match(/^(\d{4}-\d{2}-\d{2}) (\d{2}:\d{2}:\d{2}) ([+-]\d{2})(\d{2})$/);
+    if (!match) {
+        return null;
+    }
+    const date = new Date(`${match[1]}T${match[2]}${match[3]}:${match[4]}`);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+function minutesBetween(record) {
+    const start = parseAppleDate(record.startDate);
+    const end = parseAppleDate(record.endDate);
+    return start && end && end > start ? (end - start) / 60000 : 0;
+}
+
+/**
+ * Add to a per-day, per-source running total
+ */
+function addBySource(totals, date, source, field, value) {
+    const key = `${date}|${field}`;
+    if (!totals.has(key)) {
+        totals.set(key, new Map());
+    }
+    const bySource = totals.get(key);
+    bySource.set(source, (bySource.get(source) || 0) + value);
+}
+
+function pushValue(valuesByDay, date, value) {
+    if (!valuesByDay.has(date)) {
+        valuesByDay.set(date, []);
+    }
+    valuesByDay.get(date).push(value);
+}
+
+/**
+ * Sleep stage minutes for one night from one source
+ * HKCategoryValueSleepAnalysisAsleep* are sleep; InBed and Awake are not
+ */
+function addSleep(nights, record) {
+    const date = String(record.endDate || '').slice(0, 10);
+    const source = record.sourceName || 'unknown';
+    const minutes = minutesBetween(record);
+    if (!date || minutes <= 0) {
+        return;
+    }
+
+    const key = `${date}|${source}`;
+    const night = nights.get(key) || { date, asleep: 0, deep: 0, rem: 0, awake: 0, inBed: 0, wakeups: 0 };
+    const value = record.value || '';
+
+    if (value.includes('Asleep')) {
+        night.asleep += minutes;
+        if (value.endsWith('Deep')) {
+            night.deep += minutes;
+        } else if (value.endsWith('REM')) {
+            night.rem += minutes;
+        }
+    } else if (value.endsWith('Awake')) {
+        night.awake += minutes;
+        night.wakeups += 1;
+    } else if (value.endsWith('InBed')) {
+        night.inBed += minutes;
+    }
+
+    nights.set(key, night);
+}
+
+function parseAppleHealth(xml) {
+    const days = createDayMap();
+    const totals = new Map();
+    const heartRates = new Map();
+    const restingRates = new Map();
+    const nights = new Map();
+    let match;
+
+    while ((match = RECORD_PATTERN.exec(xml)) !== null) {
+        const record = parseAttributes(match[1]);
+        const date = String(record.startDate || '').slice(0, 10);
+        if (!date) {
+            continue;
+        }
+
+        if (record.type === SLEEP_TYPE) {
+            addSleep(nights, record);
+            continue;
+        }
+
+        const value = parseNumber(record.value);
+        if (value === null) {
+            continue;
+        }
+
+        if (DAILY_SUMS[record.type]) {
+            // Energy may be exported in kJ
+            const amount = record.unit === 'kJ' ? value / 4.184 : value;
+            addBySource(totals, date, record.sourceName || 'unknown', DAILY_SUMS[record.type], amount);
+        } else if (record.type === 'HKQuantityTypeIdentifierHeartRate') {
+            pushValue(heartRates, date, value);
+        } else if (record.type === 'HKQuantityTypeIdentifierRestingHeartRate') {
+            pushValue(restingRates, date, value);
+        }
+    }
+
+    // Overlapping sources count the same steps twice - keep the source with the highest total
+    for (const [key, bySource] of totals) {
+        const [date, field] = key.split('|');
+        days.day(date).activity[field] = Math.round(Math.max(...bySource.values()));
+    }
+
+    for (const [date, values] of heartRates) {
+        days.day(date).heartRate.average = Math.round(average(values));
+        days.day(date).heartRate.max = Math.round(Math.max(...values));
+    }
+    for (const [date, values] of restingRates) {
+        days.day(date).heartRate.resting = Math.round(average(values));
+    }
+
+    // One sleep source per night - the one that recorded the most sleep
+    const bestNights = new Map();
+    for (const night of nights.values()) {
+        const current = bestNights.get(night.date);
+        if (!current || night.asleep > current.asleep) {
+            bestNights.set(night.date, night);
+        }
+    }
+    for (const night of bestNights.values()) {
+        if (night.asleep <= 0) {
+            continue;
+        }
+        const sleep = days.day(night.date).sleep;
+        const inBed = Math.max(night.inBed, night.asleep + night.awake);
+        const staged = night.deep > 0 || night.rem > 0;
+
+        sleep.duration = round(night.asleep / 60, 1);
+        // Efficiency needs in-bed or awake time; sleep-only records say nothing about it
+        sleep.quality = night.inBed > 0 || night.awake > 0 ? round(night.asleep / inBed, 2) : null;
+        sleep.deepSleep = staged ? round(night.deep / 60, 1) : null;
+        sleep.remSleep = staged ? round(night.rem / 60, 1) : null;
+        sleep.wakeups = staged || night.awake > 0 ? night.wakeups : null;
+    }
+
+    return sortedDays(days);
+}
+
+module.exports = {
+    parseAppleHealth,
+    parseAppleDate
+};
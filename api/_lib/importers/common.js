@@ -0,0 +1,150 @@
+/**
+ * Shared Helpers for Wearable Export Importers
+ * Every importer returns days in the data/mock-fitness.json shape; unknown fields stay null
+ */
+
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Empty day in the dailyMetrics shape
+ */
+function emptyDay(date) {
+    return {
+        date: date,
+        sleep: { duration: null, quality: null, deepSleep: null, remSleep: null, wakeups: null },
+        activity: { steps: null, activeMinutes: null, sedentaryMinutes: null, calories: null },
+        heartRate: { resting: null, average: null, max: null },
+        stress: { level: null, recoveryTime: null }
+    };
+}
+
+/**
+ * Day records keyed by date, created on first use
+ */
+function createDayMap() {
+    const days = new Map();
+    days.day = date => {
+        if (!days.has(date)) {
+            days.set(date, emptyDay(date));
+        }
+        return days.get(date);
+    };
+    return days;
+}
+
+function sortedDays(dayMap) {
+    return [...dayMap.values()].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Number from an export cell ("3,200", "72 bpm", "") or null
+ */
+function parseNumber(value) {
+    if (value === undefined || value === null) {
+        return null;
+    }
+    const cleaned = String(value).replace(/,/g, '').trim();
+    const match = cleaned.match(/^-?\d+(\.\d+)?/);
+    return match ? parseFloat(match[0]) : null;
+}
+
+/**
+ * YYYY-MM-DD from the date formats exports use
+ * 2025-10-14, 2025-10-14 06:45:00, 10/14/2025, 14-10-2025, 2025/10/14
+ */
+function normalizeDate(value) {
+    const text = String(value || '').trim().replace(/^"|"$/g, '');
+    let match = text.match(/^(\d{4})[-/](\d{1,2})[-/](\d{1,2})/);
+    if (match) {
+        return toDateKey(match[1], match[2], match[3]);
+    }
+    match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})/);
+    if (match) {
+        return toDateKey(match[3], match[1], match[2]);
+    }
+    match = text.match(/^(\d{1,2})-(\d{1,2})-(\d{4})/);
+    if (match) {
+        return toDateKey(match[3], match[2], match[1]);
+    }
+    return null;
+}
+
+function toDateKey(year, month, day) {
+    const key = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    return DATE_KEY_PATTERN.test(key) && !isNaN(new Date(`${key}T00:00:00Z`).getTime()) ? key : null;
+}
+
+/**
+ * Minutes from "01:02:03", "45:12", "7h 12min" or a plain number of minutes
+ */
+function parseDurationMinutes(value) {
+    const text = String(value || '').trim();
+    if (!text) {
+        return null;
+    }
+
+    const clock = text.match(/^(\d+):(\d{2})(?::(\d{2}))?$/);
+    if (clock) {
+        return clock[3] !== undefined
+            ? parseInt(clock[1], 10) * 60 + parseInt(clock[2], 10) + parseInt(clock[3], 10) / 60
+            : parseInt(clock[1], 10) + parseInt(clock[2], 10) / 60;
+    }
+
+    const hours = text.match(/(\d+(?:\.\d+)?)\s*h/i);
+    const minutes = text.match(/(\d+(?:\.\d+)?)\s*m/i);
+    if (hours || minutes) {
+        return (hours ? parseFloat(hours[1]) * 60 : 0) + (minutes ? parseFloat(minutes[1]) : 0);
+    }
+
+    return parseNumber(text);
+}
+
+function round(value, digits) {
+    return typeof value === 'number' && isFinite(value) ? parseFloat(value.toFixed(digits)) : null;
+}
+
+function average(values) {
+    const recorded = values.filter(value => typeof value === 'number' && isFinite(value));
+    return recorded.length > 0
+        ? recorded.reduce((sum, value) => sum + value, 0) / recorded.length
+        : null;
+}
+
+/**
+ * Attributes of an XML start tag body (`type="..." value="..."`)
+ */
+function parseAttributes(text) {
+    const attributes = {};
+    const pattern = /([\w:-]+)="([^"]*)"/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        attributes[match[1]] = match[2];
+    }
+    return attributes;
+}
+
+/**
+ * Text content of every <tag> (any namespace prefix) in an XML fragment
+ */
+function tagValues(xml, tag) {
+    const pattern = new RegExp(`<(?:[\\w-]+:)?${tag}\\b[^>]*>([^<]*)</(?:[\\w-]+:)?${tag}>`, 'g');
+    const values = [];
+    let match;
+    while ((match = pattern.exec(xml)) !== null) {
+        values.push(match[1].trim());
+    }
+    return values;
+}
+
+module.exports = {
+    emptyDay,
+    createDayMap,
+    sortedDays,
+    parseNumber,
+    normalizeDate,
+    parseDurationMinutes,
+    round,
+    average,
+    parseAttributes,
+    tagValues
+};
@@ -0,0 +1,123 @@
+/**
+ * Minimal CSV Reader for Wearable Exports
+ * Handles quoted cells, escaped quotes and CRLF; exports are small enough to read whole
+ */
+
+/**
+ * Rows of cells
+ */
+function parseRows(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    return rows.map(cells => cells.map(value => value.trim()));
+}
+
+function isBlank(row) {
+    return row.every(cell => cell === '');
+}
+
+/**
+ * Tables in a CSV, as [{ title, header, records }]
+ * Fitbit exports stack titled sections ("Activities", "Sleep") separated by blank lines;
+ * a plain CSV is one untitled table. Records are objects keyed by header name
+ */
+function parseTables(text) {
+    const tables = [];
+    let current = null;
+
+    for (const row of parseRows(text.replace(/^\uFEFF/, ''))) {
+        if (isBlank(row)) {
+            current = null;
+            continue;
+        }
+
+        const cells = row.filter(cell => cell !== '');
+        if (!current && cells.length === 1 && row.length <= 2) {
+            current = { title: cells[0], header: null, records: [] };
+            tables.push(current);
+            continue;
+        }
+
+        if (!current) {
+            current = { title: null, header: null, records: [] };
+            tables.push(current);
+        }
+
+        if (!current.header) {
+            current.header = row;
+            continue;
+        }
+
+        const record = {};
+        current.header.forEach((name, index) => {
+            record[name] = row[index] !== undefined ? row[index] : '';
+        });
+        current.records.push(record);
+    }
+
+    return tables.filter(table => table.header);
+}
+
+/**
+ * Value of the first header matching one of `names` (case-insensitive)
+ */
+function pick(record, names) {
+    const keys = Object.keys(record);
+    for (const name of names) {
+        const key = keys.find(k => k.toLowerCase() === name.toLowerCase());
+        if (key !== undefined && record[key] !== '') {
+            return record[key];
+        }
+    }
+    return undefined;
+}
+
+function hasColumn(table, names) {
+    const header = table.header.map(name => name.toLowerCase());
+    return names.some(name => header.includes(name.toLowerCase()));
+}
+
+module.exports = {
+    parseRows,
+    parseTables,
+    pick,
+    hasColumn
+};
@@ -0,0 +1,105 @@
+/**
+ * Fitbit CSV Importer
+ * Reads the "Activities" and "Sleep" tables of a Fitbit data export
+ * (stacked titled sections in one file, or the tables exported on their own)
+ */
+
+const { createDayMap, sortedDays, parseNumber, normalizeDate, round } = require('./common');
+const { parseTables, pick, hasColumn } = require('./csv');
+
+function isSleepTable(table) {
+    return hasColumn(table, ['Minutes Asleep']);
+}
+
+function isActivityTable(table) {
+    return hasColumn(table, ['Date']) && hasColumn(table, ['Steps']);
+}
+
+/**
+ * Daily activity: Fitbit's "active minutes" are fairly + very active minutes
+ */
+function readActivities(days, table) {
+    for (const record of table.records) {
+        const date = normalizeDate(pick(record, ['Date']));
+        if (!date) {
+            continue;
+        }
+
+        const activity = days.day(date).activity;
+        const fairly = parseNumber(pick(record, ['Minutes Fairly Active']));
+        const very = parseNumber(pick(record, ['Minutes Very Active']));
+
+        activity.steps = parseNumber(pick(record, ['Steps']));
+        activity.calories = parseNumber(pick(record, ['Calories Burned', 'Calories']));
+        activity.sedentaryMinutes = parseNumber(pick(record, ['Minutes Sedentary']));
+        activity.activeMinutes = fairly !== null || very !== null ? (fairly || 0) + (very || 0) : null;
+    }
+}
+
+/**
+ * Sleep logs, credited to the day they ended; naps add to the same day
+ */
+function readSleep(days, table) {
+    const nights = new Map();
+
+    for (const record of table.records) {
+        const date = normalizeDate(pick(record, ['End Time', 'Date']));
+        const asleep = parseNumber(pick(record, ['Minutes Asleep']));
+        if (!date || asleep === null) {
+            continue;
+        }
+
+        const night = nights.get(date) || { asleep: 0, inBed: 0, deep: null, rem: null, wakeups: null };
+        const deep = parseNumber(pick(record, ['Minutes Deep Sleep']));
+        const rem = parseNumber(pick(record, ['Minutes REM Sleep']));
+        const wakeups = parseNumber(pick(record, ['Number of Awakenings']));
+
+        night.asleep += asleep;
+        night.inBed += parseNumber(pick(record, ['Time in Bed'])) || asleep + (parseNumber(pick(record, ['Minutes Awake'])) || 0);
+        if (deep !== null) {
+            night.deep = (night.deep || 0) + deep;
+        }
+        if (rem !== null) {
+            night.rem = (night.rem || 0) + rem;
+        }
+        if (wakeups !== null) {
+            night.wakeups = (night.wakeups || 0) + wakeups;
+        }
+        nights.set(date, night);
+    }
+
+    for (const [date, night] of nights) {
+        const sleep = days.day(date).sleep;
+        sleep.duration = round(night.asleep / 60, 1);
+        sleep.quality = night.inBed > 0 ? round(night.asleep / night.inBed, 2) : null;
+        sleep.deepSleep = night.deep !== null ? round(night.deep / 60, 1) : null;
+        sleep.remSleep = night.rem !== null ? round(night.rem / 60, 1) : null;
+        sleep.wakeups = night.wakeups;
+    }
+}
+
+function parseFitbitCsv(text) {
+    const days = createDayMap();
+
+    for (const table of parseTables(text)) {
+        if (isSleepTable(table)) {
+            readSleep(days, table);
+        } else if (isActivityTable(table)) {
+            readActivities(days, table);
+        }
+    }
+
+    return sortedDays(days);
+}
+
+/**
+ * Whether a CSV looks like a Fitbit export
+ */
+function isFitbitCsv(text) {
+    return /Minutes Asleep|Minutes (Fairly|Very) Active|^Activities\s*$/m.test(text);
+}
+
+module.exports = {
+    parseFitbitCsv,
+    isFitbitCsv
+};
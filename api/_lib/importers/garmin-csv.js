@@ -0,0 +1,115 @@
+/**
+ * Garmin Connect CSV Importer
+ * Activities.csv (one row per workout) and daily reports (steps, sleep, stress, resting heart rate)
+ */
+
+const { createDayMap, sortedDays, parseNumber, normalizeDate, parseDurationMinutes, round, average } = require('./common');
+const { parseTables, pick, hasColumn } = require('./csv');
+
+/**
+ * Workouts: minutes and heart rate per day (several workouts a day add up)
+ */
+function readActivities(days, table) {
+    const workouts = new Map();
+
+    for (const record of table.records) {
+        const date = normalizeDate(pick(record, ['Date', 'Start Time']));
+        if (!date) {
+            continue;
+        }
+
+        const day = workouts.get(date) || { minutes: 0, averages: [], max: null };
+        day.minutes += parseDurationMinutes(pick(record, ['Time', 'Elapsed Time', 'Moving Time'])) || 0;
+
+        const averageHr = parseNumber(pick(record, ['Avg HR', 'Average Heart Rate']));
+        const maxHr = parseNumber(pick(record, ['Max HR', 'Max Heart Rate']));
+        if (averageHr !== null) {
+            day.averages.push(averageHr);
+        }
+        if (maxHr !== null) {
+            day.max = Math.max(day.max || 0, maxHr);
+        }
+        workouts.set(date, day);
+    }
+
+    for (const [date, workout] of workouts) {
+        const day = days.day(date);
+        day.activity.activeMinutes = Math.round(workout.minutes);
+        day.heartRate.average = workout.averages.length > 0 ? Math.round(average(workout.averages)) : null;
+        day.heartRate.max = workout.max;
+    }
+}
+
+/**
+ * Daily reports - any of steps, sleep duration/score, stress (0-100) and resting heart rate
+ */
+function readDaily(days, table) {
+    for (const record of table.records) {
+        const date = normalizeDate(pick(record, ['Date', 'Calendar Date', 'Day']) || Object.values(record)[0]);
+        if (!date) {
+            continue;
+        }
+
+        const day = days.day(date);
+        const steps = parseNumber(pick(record, ['Steps', 'Total Steps']));
+        const resting = parseNumber(pick(record, ['Resting Heart Rate', 'Resting HR']));
+        const stress = parseNumber(pick(record, ['Stress', 'Avg Stress', 'Average Stress Level', 'Stress Level']));
+        const sleepMinutes = parseDurationMinutes(pick(record, ['Duration', 'Sleep Duration', 'Total Sleep']));
+        const sleepScore = parseNumber(pick(record, ['Sleep Score']));
+        const deep = parseDurationMinutes(pick(record, ['Deep Sleep', 'Deep Sleep Duration']));
+        const rem = parseDurationMinutes(pick(record, ['REM Sleep', 'REM Sleep Duration']));
+        const awakeCount = parseNumber(pick(record, ['Awake Count', 'Awakenings']));
+
+        if (steps !== null) {
+            day.activity.steps = steps;
+        }
+        if (resting !== null) {
+            day.heartRate.resting = resting;
+        }
+        if (stress !== null) {
+            day.stress.level = round(stress / 100, 2);
+        }
+        if (sleepMinutes !== null) {
+            day.sleep.duration = round(sleepMinutes / 60, 1);
+        }
+        // Garmin's sleep score (0-100) stands in for quality
+        if (sleepScore !== null) {
+            day.sleep.quality = round(sleepScore / 100, 2);
+        }
+        if (deep !== null) {
+            day.sleep.deepSleep = round(deep / 60, 1);
+        }
+        if (rem !== null) {
+            day.sleep.remSleep = round(rem / 60, 1);
+        }
+        if (awakeCount !== null) {
+            day.sleep.wakeups = awakeCount;
+        }
+    }
+}
+
+function parseGarminCsv(text) {
+    const days = createDayMap();
+
+    for (const table of parseTables(text)) {
+        if (hasColumn(table, ['Activity Type'])) {
+            readActivities(days, table);
+        } else {
+            readDaily(days, table);
+        }
+    }
+
+    return sortedDays(days);
+}
+
+/**
+ * Whether a CSV looks like a Garmin Connect export
+ */
+function isGarminCsv(text) {
+    return /Activity Type|Sleep Score|Body Battery|Resting Heart Rate|\bStress\b/.test(text.slice(0, 2000));
+}
+
+module.exports = {
+    parseGarminCsv,
+    isGarminCsv
+};
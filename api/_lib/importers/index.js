@@ -0,0 +1,97 @@
+/**
+ * Wearable Export Importers
+ * Detects the export format and normalizes it into dailyMetrics days (data/mock-fitness.json shape)
+ */
+
+const { parseAppleHealth } = require('./apple-health');
+const { parseFitbitCsv, isFitbitCsv } = require('./fitbit-csv');
+const { parseGarminCsv, isGarminCsv } = require('./garmin-csv');
+const { parseGpx, parseTcx } = require('./workouts');
+
+const PARSERS = {
+    'apple-health': parseAppleHealth,
+    'fitbit-csv': parseFitbitCsv,
+    'garmin-csv': parseGarminCsv,
+    'gpx': parseGpx,
+    'tcx': parseTcx
+};
+
+const IMPORT_FORMATS = Object.keys(PARSERS);
+
+// Characters of the document inspected for format markers, and how far a DOCTYPE may run
+const HEAD_LENGTH = 4000;
+const MAX_DOCTYPE_LENGTH = 256 * 1024;
+
+/**
+ * Start of the document content, past a DOCTYPE and its internal subset
+ * Apple Health exports open with a DOCTYPE of several kilobytes before <HealthData>
+ */
+function contentStart(text) {
+    const doctype = text.slice(0, HEAD_LENGTH).search(/<!DOCTYPE\b/i);
+    if (doctype === -1) {
+        return 0;
+    }
+    const close = text.indexOf('>', doctype);
+    const subset = text.indexOf('[', doctype);
+    if (subset === -1 || (close !== -1 && close < subset)) {
+        return close === -1 ? 0 : close + 1;
+    }
+    const end = text.slice(subset, subset + MAX_DOCTYPE_LENGTH).search(/\]\s*>/);
+    return end === -1 ? 0 : subset + end;
+}
+
+/**
+ * Format from the file contents, falling back to the file name
+ */
+function detectFormat(text, fileName) {
+    const head = text.slice(0, HEAD_LENGTH);
+    const start = contentStart(text);
+    const xml = text.slice(start, start + HEAD_LENGTH);
+    const name = String(fileName || '').toLowerCase();
+
+    // Apple names the file export.xml inside export.zip
+    if (/<HealthData\b/.test(xml) || name === 'export.xml' || name.endsWith('/export.xml')) {
+        return 'apple-health';
+    }
+    if (/<TrainingCenterDatabase\b/.test(xml) || name.endsWith('.tcx')) {
+        return 'tcx';
+    }
+    if (/<gpx\b/.test(xml) || name.endsWith('.gpx')) {
+        return 'gpx';
+    }
+    if (isGarminCsv(head)) {
+        return 'garmin-csv';
+    }
+    if (isFitbitCsv(head)) {
+        return 'fitbit-csv';
+    }
+    return null;
+}
+
+/**
+ * Parse an export into days
+ * Returns { format, days } or { error }
+ */
+function parseExport(text, { format, fileName, timeZone } = {}) {
+    const resolved = format && format !== 'auto' ? format : detectFormat(text, fileName);
+
+    if (!resolved) {
+        return { error: `Unrecognized export - expected one of: ${IMPORT_FORMATS.join(', ')}` };
+    }
+    if (!PARSERS[resolved]) {
+        return { error: `Unknown format "${resolved}" - expected one of: ${IMPORT_FORMATS.join(', ')}` };
+    }
+
+    const days = PARSERS[resolved](text, { timeZone });
+    if (days.length === 0) {
+        return { error: `No daily fitness data found in the ${resolved} export` };
+    }
+
+    return { format: resolved, days };
+}
+
+module.exports = {
+    IMPORT_FORMATS,
+    detectFormat,
+    parseExport
+};
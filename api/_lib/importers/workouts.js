@@ -0,0 +1,126 @@
+/**
+ * GPX / TCX Workout Importer
+ * Each workout adds active minutes and heart rate to the day it started (in the user's zone)
+ * Track timestamps are UTC, so the zone decides the day
+ */
+
+const { createDayMap, sortedDays, parseNumber, average, parseAttributes, tagValues } = require('./common');
+const { zonedDateKey } = require('../timezone');
+
+/**
+ * GPX: one workout per <trk>, timed from its first to last <trkpt>
+ * Heart rate comes from Garmin's TrackPointExtension (<gpxtpx:hr>)
+ */
+function readGpx(xml) {
+    const tracks = xml.match(/<trk\b[\s\S]*?<\/trk>/g) || [];
+
+    return tracks.map(track => {
+        const times = tagValues(track, 'time')
+            .map(value => new Date(value))
+            .filter(date => !isNaN(date.getTime()))
+            .sort((a, b) => a - b);
+        const heartRates = tagValues(track, 'hr').map(parseNumber).filter(value => value !== null);
+
+        if (times.length < 2) {
+            return null;
+        }
+        return {
+            start: times[0],
+            minutes: (times[times.length - 1] - times[0]) / 60000,
+            averageHeartRate: heartRates.length > 0 ? average(heartRates) : null,
+            maxHeartRate: heartRates.length > 0 ? Math.max(...heartRates) : null
+        };
+    }).filter(Boolean);
+}
+
+/**
+ * TCX: one workout per <Activity>, summed over its <Lap> totals
+ */
+function readTcx(xml) {
+    const activities = xml.match(/<Activity\b[\s\S]*?<\/Activity>/g) || [];
+
+    return activities.map(activity => {
+        const laps = activity.match(/<Lap\b[\s\S]*?<\/Lap>/g) || [];
+        let seconds = 0;
+        let weightedHeartRate = 0;
+        let heartRateSeconds = 0;
+        let maxHeartRate = null;
+        let start = null;
+
+        for (const lap of laps) {
+            const lapStart = new Date(parseAttributes(lap.slice(0, lap.indexOf('>'))).StartTime);
+            if (!isNaN(lapStart.getTime()) && (!start || lapStart < start)) {
+                start = lapStart;
+            }
+
+            const lapSeconds = parseNumber(tagValues(lap, 'TotalTimeSeconds')[0]) || 0;
+            seconds += lapSeconds;
+
+            const averageBlock = lap.match(/<AverageHeartRateBpm\b[\s\S]*?<\/AverageHeartRateBpm>/);
+            const maxBlock = lap.match(/<MaximumHeartRateBpm\b[\s\S]*?<\/MaximumHeartRateBpm>/);
+            const lapAverage = averageBlock ? parseNumber(tagValues(averageBlock[0], 'Value')[0]) : null;
+            const lapMax = maxBlock ? parseNumber(tagValues(maxBlock[0], 'Value')[0]) : null;
+
+            if (lapAverage !== null && lapSeconds > 0) {
+                weightedHeartRate += lapAverage * lapSeconds;
+                heartRateSeconds += lapSeconds;
+            }
+            if (lapMax !== null) {
+                maxHeartRate = Math.max(maxHeartRate || 0, lapMax);
+            }
+        }
+
+        if (!start) {
+            start = new Date(tagValues(activity, 'Id')[0]);
+        }
+        if (isNaN(start.getTime()) || seconds <= 0) {
+            return null;
+        }
+        return {
+            start: start,
+            minutes: seconds / 60,
+            averageHeartRate: heartRateSeconds > 0 ? weightedHeartRate / heartRateSeconds : null,
+            maxHeartRate: maxHeartRate
+        };
+    }).filter(Boolean);
+}
+
+/**
+ * Fold workouts into days
+ */
+function toDays(workouts, timeZone) {
+    const days = createDayMap();
+    const byDay = new Map();
+
+    for (const workout of workouts) {
+        const date = zonedDateKey(workout.start, timeZone);
+        const list = byDay.get(date) || [];
+        list.push(workout);
+        byDay.set(date, list);
+    }
+
+    for (const [date, list] of byDay) {
+        const day = days.day(date);
+        const averages = list.map(workout => workout.averageHeartRate).filter(value => value !== null);
+        const maxima = list.map(workout => workout.maxHeartRate).filter(value => value !== null);
+
+        day.activity.activeMinutes = Math.round(list.reduce((sum, workout) => sum + workout.minutes, 0));
+        day.heartRate.average = averages.length > 0 ? Math.round(average(averages)) : null;
+        day.heartRate.max = maxima.length > 0 ? Math.round(Math.max(...maxima)) : null;
+    }
+
+    return sortedDays(days);
+}
+
+function parseGpx(xml, { timeZone }) {
+    return toDays(readGpx(xml), timeZone);
+}
+
+function parseTcx(xml, { timeZone }) {
+    return toDays(readTcx(xml), timeZone);
+}
+
+module.exports = {
+    parseGpx,
+    parseTcx
+};
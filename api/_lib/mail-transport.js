@@ -0,0 +1,88 @@
+/**
+ * Mail Transports
+ * How digests leave the server: `smtp` (nodemailer) or `capture`, which writes each
+ * message to DIGEST_CAPTURE_DIR instead of sending it (local runs and tests)
+ * A transport is any object with `name` and `async send({ to, subject, text, html })`
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { LOCAL_STORE_DIR } = require('./store');
+
+const DEFAULT_FROM = 'Life Navigator <digest@life-navigator.local>';
+
+/**
+ * SMTP via nodemailer - SMTP_HOST, SMTP_PORT (587), SMTP_SECURE, SMTP_USER / SMTP_PASS
+ */
+function createSmtpTransport(env) {
+    // Loaded on first use so deployments without SMTP never need the package
+    const nodemailer = require('nodemailer');
+    const port = parseInt(env.SMTP_PORT) || 587;
+    const transporter = nodemailer.createTransport({
+        host: env.SMTP_HOST,
+        port: port,
+        secure: env.SMTP_SECURE ? env.SMTP_SECURE === 'true' : port === 465,
+        auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS } : undefined
+    });
+    const from = env.DIGEST_FROM || DEFAULT_FROM;
+
+    return {
+        name: 'smtp',
+        async send(message) {
+            const info = await transporter.sendMail({ from, ...message });
+            return { messageId: info.messageId };
+        }
+    };
+}
+
+/**
+ * Capture - one JSON file per message, newest also kept in `messages`
+ * Vercel functions cannot write the default outbox, so there it needs an explicit
+ * DIGEST_CAPTURE_DIR (e.g. under /tmp) - otherwise it is a configuration error, not a failed send
+ */
+function createCaptureTransport(env) {
+    if (env.VERCEL && !env.DIGEST_CAPTURE_DIR) {
+        throw new Error('Digest mail is not configured - set SMTP_HOST (or DIGEST_TRANSPORT=smtp); the capture transport cannot write to the read-only deployment, set DIGEST_CAPTURE_DIR to a writable path such as /tmp/outbox to capture anyway');
+    }
+    const directory = env.DIGEST_CAPTURE_DIR || path.join(LOCAL_STORE_DIR, 'outbox');
+    const from = env.DIGEST_FROM || DEFAULT_FROM;
+    const messages = [];
+
+    return {
+        name: 'capture',
+        messages: messages,
+        async send(message) {
+            const sentAt = new Date().toISOString();
+            const messageId = `capture-${Date.now()}-${messages.length}`;
+            const captured = { messageId, from, sentAt, ...message };
+
+            await fs.mkdir(directory, { recursive: true });
+            const file = path.join(directory, `${sentAt.replace(/[:.]/g, '-')}-${encodeURIComponent(message.to)}.json`);
+            await fs.writeFile(file, JSON.stringify(captured, null, 2));
+            messages.push(captured);
+            return { messageId, file };
+        }
+    };
+}
+
+const TRANSPORTS = {
+    smtp: createSmtpTransport,
+    capture: createCaptureTransport
+};
+
+/**
+ * Transport named by DIGEST_TRANSPORT; defaults to smtp when SMTP_HOST is set, capture otherwise
+ * Throws for an unknown name so a typo never silently drops mail
+ */
+function createMailTransport(env = process.env) {
+    const name = env.DIGEST_TRANSPORT || (env.SMTP_HOST ? 'smtp' : 'capture');
+    if (!TRANSPORTS[name]) {
+        throw new Error(`Unknown DIGEST_TRANSPORT "${name}" - expected one of: ${Object.keys(TRANSPORTS).join(', ')}`);
+    }
+    return TRANSPORTS[name](env);
+}
+
+module.exports = {
+    TRANSPORTS,
+    createMailTransport
+};
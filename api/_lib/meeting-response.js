@@ -0,0 +1,228 @@
+/**
+ * Meeting Responses
+ * Declines meetings or asks the organizer for a new time, on the user's behalf,
+ * with an optional note to the organizer
+ *
+ * The Calendar API has no "propose a new time" call for guests, so a proposal answers
+ * "maybe" and puts the suggested slot in the note - the organizer sees it on the event
+ */
+
+const { getZonedParts, zonedDateKey } = require('./timezone');
+const { DAY_NAMES, parseDateKey, addDays, fetchEvents, getEventBounds } = require('./calendar-provider');
+const { findFocusSlot, nextSlotStep, describeSlot, isMissingWriteScope } = require('./focus-time');
+const { isReauthError } = require('./oauth-config');
+
+const MEETING_ACTIONS = ['decline', 'propose'];
+const MAX_EVENTS_PER_REQUEST = 20;
+const MAX_NOTE_LENGTH = 500;
+
+// Days searched for a new time, from the meeting's own day
+const PROPOSAL_SEARCH_DAYS = 7;
+
+const MINUTE_MS = 60 * 1000;
+
+// Placeholders: {organizer} {title} {date} {time} {proposed}
+const NOTE_TEMPLATES = {
+    decline: 'Hi {organizer}, I will skip "{title}" on {date} to protect focus time. Please send notes or anything you need from me and I will follow up async.',
+    propose: 'Hi {organizer}, {date} {time} clashes with focus time for me. Would {proposed} work for "{title}" instead?'
+};
+
+/**
+ * Check a POST body: { action, eventIds, note }
+ * `note` is true for the default template, a string for your own (same placeholders) or absent for none;
+ * proposals always carry a note, since the note is where the new time goes
+ * Returns { value: { action, eventIds, note } } or { error }
+ */
+function resolveMeetingAction({ action, eventIds, note } = {}) {
+    if (!MEETING_ACTIONS.includes(action)) {
+        return { error: `action must be one of: ${MEETING_ACTIONS.join(', ')}` };
+    }
+    if (!Array.isArray(eventIds) || eventIds.length === 0 || eventIds.length > MAX_EVENTS_PER_REQUEST
+        || !eventIds.every(id => typeof id === 'string' && id)) {
+        return { error: `eventIds must be an array of 1-${MAX_EVENTS_PER_REQUEST} event ids` };
+    }
+
+    let template = null;
+    if (note === true) {
+        template = NOTE_TEMPLATES[action];
+    } else if (typeof note === 'string' && note.trim()) {
+        if (note.length > MAX_NOTE_LENGTH) {
+            return { error: `note must be at most ${MAX_NOTE_LENGTH} characters` };
+        }
+        template = note.trim();
+    } else if (note !== undefined && note !== false && note !== null && note !== '') {
+        return { error: 'note must be true (default template), a string or false' };
+    }
+    if (action === 'propose' && !template) {
+        template = NOTE_TEMPLATES.propose;
+    }
+
+    return { value: { action, eventIds: [...new Set(eventIds)], note: template } };
+}
+
+function formatTime(date, timeZone) {
+    const parts = getZonedParts(date, timeZone);
+    return `${String(parts.hour).padStart(2, '0')}:${String(parts.minute).padStart(2, '0')}`;
+}
+
+/**
+ * Fill a note template for one meeting
+ */
+function fillNoteTemplate(template, { event, start, proposal, timeZone }) {
+    const organizer = event.organizer && (event.organizer.displayName || event.organizer.email);
+    const date = zonedDateKey(start, timeZone);
+    const fields = {
+        organizer: organizer || 'there',
+        title: event.summary || 'this meeting',
+        date: `${DAY_NAMES[parseDateKey(date).getUTCDay()]} ${date}`,
+        time: formatTime(start, timeZone),
+        proposed: proposal ? proposal.label : 'another time'
+    };
+    return template.replace(/\{(organizer|title|date|time|proposed)\}/g, (_, field) => fields[field]);
+}
+
+/**
+ * Work out one meeting's response without calling the API
+ * `events` must cover PROPOSAL_SEARCH_DAYS from the meeting's day when proposing
+ * Returns { eventId, action, responseStatus, note, proposal } or { eventId, error, status }
+ */
+function planMeetingResponse(event, request, { events, workingHours, timeZone, now }) {
+    const self = (event.attendees || []).find(attendee => attendee.self);
+    if (event.organizer && event.organizer.self) {
+        return { eventId: event.id, error: 'You organize this meeting - cancel or move it in Google Calendar', status: 403 };
+    }
+    if (!self) {
+        return { eventId: event.id, error: 'You are not a guest of this meeting', status: 403 };
+    }
+
+    const { start, end } = getEventBounds(event, timeZone);
+    if (end <= (now || new Date())) {
+        return { eventId: event.id, error: 'This meeting is already over', status: 409 };
+    }
+
+    let proposal = null;
+    if (request.action === 'propose') {
+        const day = zonedDateKey(start, timeZone);
+        const slot = findFocusSlot({
+            events: events.filter(other => other.id !== event.id),
+            days: Array.from({ length: PROPOSAL_SEARCH_DAYS }, (_, index) => addDays(day, index)),
+            minutes: Math.round((end - start) / MINUTE_MS),
+            workingHours: workingHours,
+            timeZone: timeZone,
+            notBefore: nextSlotStep(new Date(Math.max(end.getTime(), (now || new Date()).getTime())))
+        });
+        if (!slot) {
+            return { eventId: event.id, error: `No free time for this meeting in the ${PROPOSAL_SEARCH_DAYS} days after it`, status: 404 };
+        }
+        proposal = describeSlot(slot, timeZone);
+    }
+
+    return {
+        eventId: event.id,
+        summary: event.summary || '(no title)',
+        action: request.action,
+        responseStatus: request.action === 'decline' ? 'declined' : 'tentative',
+        note: request.note ? fillNoteTemplate(request.note, { event, start, proposal, timeZone }) : null,
+        proposal: proposal
+    };
+}
+
+/**
+ * Patch body carrying only the user's own attendee entry - guests may only edit their own,
+ * and `attendeesOmitted` keeps Google from treating the short list as removed guests
+ */
+function buildAttendeePatch(event, plan) {
+    const self = event.attendees.find(attendee => attendee.self);
+    const answer = { email: self.email, responseStatus: plan.responseStatus };
+    if (plan.note) {
+        answer.comment = plan.note;
+    }
+    return { attendees: [answer], attendeesOmitted: true };
+}
+
+function errorStatus(error) {
+    return error.code || (error.response && error.response.status);
+}
+
+/**
+ * Fetch, plan and patch one meeting
+ * Returns its result (see planMeetingResponse); API errors other than a missing event are thrown
+ */
+async function respondToMeeting(calendar, eventId, request, { workingHours, timeZone, now }) {
+    let event;
+    try {
+        event = (await calendar.events.get({ calendarId: 'primary', eventId: eventId })).data;
+    } catch (error) {
+        if (errorStatus(error) === 404 || errorStatus(error) === 410) {
+            return { eventId, error: 'Meeting not found', status: 404 };
+        }
+        throw error;
+    }
+
+    let events = [];
+    if (request.action === 'propose') {
+        const day = zonedDateKey(getEventBounds(event, timeZone).start, timeZone);
+        const days = Array.from({ length: PROPOSAL_SEARCH_DAYS }, (_, index) => addDays(day, index));
+        events = await fetchEvents(calendar, days, timeZone);
+    }
+
+    const plan = planMeetingResponse(event, request, { events, workingHours, timeZone, now });
+    if (plan.error) {
+        return plan;
+    }
+
+    // sendUpdates lets the organizer know about the answer and the note
+    await calendar.events.patch({
+        calendarId: 'primary',
+        eventId: eventId,
+        sendUpdates: 'all',
+        requestBody: buildAttendeePatch(event, plan)
+    });
+    return plan;
+}
+
+/**
+ * Decline or propose for each event id; one failing event does not stop the others
+ * Returns one result per event (see planMeetingResponse), failures as { eventId, error, status }
+ * Authorization errors are thrown while nothing has changed yet, so the caller can ask to sign in again
+ */
+async function respondToMeetings(calendar, request, options) {
+    const results = [];
+
+    for (const eventId of request.eventIds) {
+        try {
+            results.push(await respondToMeeting(calendar, eventId, request, options));
+        } catch (error) {
+            if ((isReauthError(error) || isMissingWriteScope(error)) && results.every(result => result.error)) {
+                throw error;
+            }
+            console.error('Meeting response failed for:', eventId, error.message);
+            results.push({ eventId, error: `Could not update the meeting: ${error.message}`, status: (error.response && error.response.status) || 500 });
+        }
+    }
+
+    return results;
+}
+
+/**
+ * Response body for a batch: counts plus per-event results
+ */
+function summarizeResponses(action, results) {
+    return {
+        action: action,
+        updated: results.filter(result => !result.error).length,
+        failed: results.filter(result => result.error).length,
+        results: results
+    };
+}
+
+module.exports = {
+    MEETING_ACTIONS,
+    NOTE_TEMPLATES,
+    resolveMeetingAction,
+    fillNoteTemplate,
+    planMeetingResponse,
+    buildAttendeePatch,
+    respondToMeetings,
+    summarizeResponses
+};
@@ -0,0 +1,437 @@
+/**
+ * Mock Data Source
+ * Serves data/mock-*.json through the same response schema as the real endpoints
+ * Lets the dashboard run offline with no Google account (demo and testing)
+ */
+
+const mockEmails = require('../../data/mock-emails.json');
+const mockCalendar = require('../../data/mock-calendar.json');
+const mockFitness = require('../../data/mock-fitness.json');
+
+const { analyzeEmailStress } = require('./gmail-provider');
+const { analyzeScheduleHealth, resolveDateRange, resolveWorkingHours, parseDateKey, addDays } = require('./calendar-provider');
+const { isValidTimeZone, zonedDateKey, zonedTimeToUtc } = require('./timezone');
+const { resolveAfterHoursDays, windowDays, analyzeAfterHours } = require('./after-hours');
+const { resolveFocusRequest, planFocusSlot } = require('./focus-time');
+const { planMeetingResponse } = require('./meeting-response');
+const { resolveAuditWeeks, auditDays, analyzeRecurringMeetings } = require('./recurring-audit');
+const { analyzeDailyMetrics } = require('./fitness-import');
+
+const MOCK_USER_ID = 'demo@life-navigator.local';
+
+/**
+ * Mock mode is enabled with DATA_SOURCE=mock, or ?source=mock on a request outside production
+ * (in production the flag would let anyone reach the shared demo user without a session)
+ */
+function isMockMode(req) {
+    if (process.env.DATA_SOURCE === 'mock') {
+        return true;
+    }
+    if (process.env.NODE_ENV === 'production') {
+        return false;
+    }
+    return !!(req && req.query && req.query.source === 'mock');
+}
+
+/**
+ * The demo user is shared by every visitor, so mock mode is read-only
+ * Sends 403 and returns true for a write (anything but GET / OPTIONS) in mock mode
+ */
+function rejectMockWrite(req, res) {
+    if (!isMockMode(req) || req.method === 'GET' || req.method === 'OPTIONS') {
+        return false;
+    }
+
+    res.status(403).json({
+        error: 'Read-only demo',
+        message: 'Demo mode is read-only - sign in with Google to save changes'
+    });
+    return true;
+}
+
+/**
+ * Convert data/mock-emails.json into Gmail message metadata resources
+ */
+function toGmailMessages(emails, unreadCount) {
+    return emails.map((email, index) => ({
+        id: email.id,
+        // The dataset only records the unread total, so the first N are marked unread
+        labelIds: index < unreadCount ? [...email.labels, 'UNREAD'] : [...email.labels],
+        internalDate: String(new Date(email.timestamp).getTime()),
+        snippet: email.snippet,
+        payload: {
+            headers: [
+                { name: 'Subject', value: email.subject },
+                { name: 'From', value: email.from },
+                { name: 'Date', value: new Date(email.timestamp).toUTCString() }
+            ]
+        }
+    }));
+}
+
+/**
+ * One Gmail thread per mock email, addressed to the user
+ * `replies` in the dataset add the user's answers (SENT) to those threads
+ */
+function toGmailThreads(emails, replies, userId) {
+    return emails.map(email => {
+        const messages = [{
+            id: email.id,
+            labelIds: [...email.labels],
+            internalDate: String(new Date(email.timestamp).getTime()),
+            snippet: email.snippet,
+            payload: {
+                headers: [
+                    { name: 'Subject', value: email.subject },
+                    { name: 'From', value: email.from },
+                    { name: 'To', value: userId }
+                ]
+            }
+        }];
+
+        replies.filter(reply => reply.inReplyTo === email.id).forEach((reply, index) => {
+            messages.push({
+                id: `${email.id}_reply_${index + 1}`,
+                labelIds: ['SENT'],
+                internalDate: String(new Date(reply.timestamp).getTime()),
+                payload: {
+                    headers: [
+                        { name: 'Subject', value: `Re: ${email.subject}` },
+                        { name: 'From', value: userId },
+                        { name: 'To', value: email.from }
+                    ]
+                }
+            });
+        });
+
+        return { id: `thread_${email.id}`, messages };
+    });
+}
+
+/**
+ * Convert data/mock-calendar.json into Google Calendar event resources
+ * `attendees` in the dataset counts the user, so solo blocks get no attendee list
+ */
+function toCalendarEvents(events, userId) {
+    return events.map(event => {
+        const calendarEvent = {
+            id: event.id,
+            summary: event.title,
+            start: { dateTime: event.start },
+            end: { dateTime: event.end },
+            extendedProperties: {
+                private: { type: event.type, priority: event.priority }
+            }
+        };
+
+        if (event.attendees > 1) {
+            calendarEvent.attendees = [
+                { email: userId, self: true, optional: !!event.canDecline, responseStatus: 'accepted' }
+            ];
+            for (let i = 1; i < event.attendees; i++) {
+                calendarEvent.attendees.push({ email: `attendee${i}@example.com`, responseStatus: 'accepted' });
+            }
+        }
+
+        return calendarEvent;
+    });
+}
+
+/**
+ * Email stress from data/mock-emails.json, scored with `rules` (defaults otherwise)
+ */
+function getMockEmailStress(userId, rules) {
+    const emails = mockEmails.emails || [];
+    const replies = mockEmails.replies || [];
+    const unreadCount = mockEmails.metadata?.unreadCount || 0;
+
+    // Waiting times are measured from the end of the dataset, not the real clock
+    const lastActivity = Math.max(...[...emails, ...replies].map(item => new Date(item.timestamp).getTime()));
+
+    const result = analyzeEmailStress({
+        messages: toGmailMessages(emails, unreadCount),
+        totalEmails: emails.length,
+        threads: toGmailThreads(emails, replies, MOCK_USER_ID),
+        now: new Date(lastActivity),
+        userId: userId || MOCK_USER_ID,
+        source: 'Mock Dataset (data/mock-emails.json)',
+        quality: 'mock',
+        rules: rules
+    });
+    result.metadata.cacheStatus = 'mock';
+    return result;
+}
+
+/**
+ * "Today" in the mock calendar - the day of the first event in the dataset
+ */
+function mockCalendarToday() {
+    const allEvents = mockCalendar.events || [];
+    return allEvents[0] ? allEvents[0].start.slice(0, 10) : undefined;
+}
+
+/**
+ * Schedule health from data/mock-calendar.json
+ * Accepts the same date/from/to/range, workStart/workEnd and tz params as the real endpoint
+ */
+function getMockScheduleHealth(userId, query) {
+    const allEvents = mockCalendar.events || [];
+    const today = mockCalendarToday();
+    const timeZone = query && query.tz ? query.tz : 'UTC';
+    if (!isValidTimeZone(timeZone)) {
+        return { error: `Unknown time zone "${timeZone}" - expected an IANA name like Asia/Seoul` };
+    }
+    const range = resolveDateRange(query, today);
+    if (range.error) {
+        return range;
+    }
+    const workingHours = resolveWorkingHours(query);
+    if (workingHours.error) {
+        return workingHours;
+    }
+
+    return analyzeScheduleHealth({
+        events: toCalendarEvents(allEvents, userId || MOCK_USER_ID),
+        userId: userId || MOCK_USER_ID,
+        days: range.days,
+        label: range.label,
+        workingHours: workingHours,
+        timeZone: timeZone,
+        source: 'Mock Dataset (data/mock-calendar.json)',
+        quality: 'mock'
+    });
+}
+
+/**
+ * After-hours load from the sent emails and replies in data/mock-emails.json
+ * and the meetings in data/mock-calendar.json
+ * The window ends on the last day with any activity in the datasets
+ */
+function getMockAfterHours(userId, query) {
+    const timeZone = query && query.tz ? query.tz : 'UTC';
+    if (!isValidTimeZone(timeZone)) {
+        return { error: `Unknown time zone "${timeZone}" - expected an IANA name like Asia/Seoul` };
+    }
+    const { days, error } = resolveAfterHoursDays(query && query.days);
+    if (error) {
+        return { error };
+    }
+    const workingHours = resolveWorkingHours(query);
+    if (workingHours.error) {
+        return workingHours;
+    }
+
+    const sentTimes = [...(mockEmails.sent || []), ...(mockEmails.replies || [])]
+        .map(item => new Date(item.timestamp));
+    const allEvents = mockCalendar.events || [];
+    const lastActivity = new Date(Math.max(
+        ...sentTimes.map(time => time.getTime()),
+        ...allEvents.map(event => new Date(event.end).getTime())
+    ));
+
+    return analyzeAfterHours({
+        sentTimes: sentTimes,
+        events: toCalendarEvents(allEvents, userId || MOCK_USER_ID),
+        days: windowDays(zonedDateKey(lastActivity, timeZone), days),
+        workingHours: workingHours,
+        timeZone: timeZone,
+        userId: userId || MOCK_USER_ID,
+        source: 'Mock Datasets (data/mock-emails.json, data/mock-calendar.json)',
+        quality: 'mock'
+    });
+}
+
+/**
+ * Focus-time slot against data/mock-calendar.json - nothing is written anywhere
+ * `params` holds date/minutes/start; "now" is the start of the dataset's first day
+ * Returns { request, slot } | { request, conflict } or { error }
+ */
+function getMockFocusTime(userId, query, params) {
+    const timeZone = query && query.tz ? query.tz : 'UTC';
+    if (!isValidTimeZone(timeZone)) {
+        return { error: `Unknown time zone "${timeZone}" - expected an IANA name like Asia/Seoul` };
+    }
+    const workingHours = resolveWorkingHours(query);
+    if (workingHours.error) {
+        return workingHours;
+    }
+
+    const allEvents = mockCalendar.events || [];
+    const today = allEvents[0] ? allEvents[0].start.slice(0, 10) : zonedDateKey(new Date(), timeZone);
+    const request = resolveFocusRequest(params, today);
+    if (request.error) {
+        return request;
+    }
+
+    const plan = planFocusSlot(toCalendarEvents(allEvents, userId || MOCK_USER_ID), request, {
+        workingHours: workingHours,
+        timeZone: timeZone,
+        now: zonedTimeToUtc(today, 0, timeZone)
+    });
+    return { request, timeZone, ...plan };
+}
+
+/**
+ * Decline / propose results for data/mock-calendar.json - nothing is written
+ * `request` comes from resolveMeetingAction(); "now" is the start of the dataset's first day
+ */
+function getMockMeetingResponses(userId, query, request) {
+    const timeZone = query && query.tz ? query.tz : 'UTC';
+    if (!isValidTimeZone(timeZone)) {
+        return { error: `Unknown time zone "${timeZone}" - expected an IANA name like Asia/Seoul` };
+    }
+    const workingHours = resolveWorkingHours(query);
+    if (workingHours.error) {
+        return workingHours;
+    }
+
+    const allEvents = mockCalendar.events || [];
+    const today = allEvents[0] ? allEvents[0].start.slice(0, 10) : zonedDateKey(new Date(), timeZone);
+    const events = toCalendarEvents(allEvents, userId || MOCK_USER_ID);
+
+    const results = request.eventIds.map(eventId => {
+        const event = events.find(candidate => candidate.id === eventId);
+        if (!event) {
+            return { eventId, error: 'Meeting not found', status: 404 };
+        }
+        return planMeetingResponse(event, request, {
+            events: events,
+            workingHours: workingHours,
+            timeZone: timeZone,
+            now: zonedTimeToUtc(today, 0, timeZone)
+        });
+    });
+    return { results };
+}
+
+/**
+ * Instances and master events for the recurringSeries in data/mock-calendar.json
+ * Each series repeats on its `weekdays` every `everyWeeks` weeks from the first day;
+ * `declined` / `unanswered` are instance indexes the user said no to or never answered
+ */
+function toRecurringEvents(seriesList, days, timeZone, userId) {
+    const events = [];
+    const masters = {};
+
+    for (const series of seriesList) {
+        const organizer = { email: series.organizer, self: series.organizer === userId };
+        masters[series.id] = {
+            id: series.id,
+            summary: series.title,
+            description: series.description,
+            created: series.created,
+            recurrence: [series.recurrence],
+            organizer: organizer
+        };
+
+        const [hour, minute] = series.start.split(':').map(Number);
+        days.filter((day, index) => series.weekdays.includes(parseDateKey(day).getUTCDay())
+            && Math.floor(index / 7) % series.everyWeeks === 0)
+            .forEach((day, index) => {
+                const start = zonedTimeToUtc(day, hour * 60 + minute, timeZone);
+                const responseStatus = series.declined.includes(index) ? 'declined'
+                    : series.unanswered.includes(index) ? 'needsAction' : 'accepted';
+                const attendees = [{ email: userId, self: true, responseStatus: responseStatus }];
+                for (let i = 1; i < series.attendees; i++) {
+                    attendees.push({ email: `attendee${i}@example.com`, responseStatus: 'accepted' });
+                }
+
+                events.push({
+                    id: `${series.id}_${day.replace(/-/g, '')}`,
+                    recurringEventId: series.id,
+                    summary: series.title,
+                    description: series.description,
+                    created: series.created,
+                    organizer: organizer,
+                    start: { dateTime: start.toISOString() },
+                    end: { dateTime: new Date(start.getTime() + series.minutes * 60 * 1000).toISOString() },
+                    attendees: attendees
+                });
+            });
+    }
+
+    return { events, masters };
+}
+
+/**
+ * Recurring meeting audit over data/mock-calendar.json's recurringSeries
+ * The window starts on the dataset's "today" (the day of its first event)
+ */
+function getMockRecurringAudit(userId, query) {
+    const timeZone = query && query.tz ? query.tz : 'UTC';
+    if (!isValidTimeZone(timeZone)) {
+        return { error: `Unknown time zone "${timeZone}" - expected an IANA name like Asia/Seoul` };
+    }
+    const { weeks, error } = resolveAuditWeeks(query && query.weeks);
+    if (error) {
+        return { error };
+    }
+
+    const allEvents = mockCalendar.events || [];
+    const today = allEvents[0] ? allEvents[0].start.slice(0, 10) : zonedDateKey(new Date(), timeZone);
+    const days = auditDays(today, weeks);
+    const { events, masters } = toRecurringEvents(mockCalendar.recurringSeries || [], days, timeZone, userId || MOCK_USER_ID);
+
+    return analyzeRecurringMeetings({
+        events: events,
+        masters: masters,
+        days: days,
+        weeks: weeks,
+        timeZone: timeZone,
+        userId: userId || MOCK_USER_ID,
+        now: zonedTimeToUtc(today, 0, timeZone),
+        source: 'Mock Dataset (data/mock-calendar.json)',
+        quality: 'mock'
+    });
+}
+
+/**
+ * Digest data for the demo user - the mock email and calendar cards
+ * Same signature as the digest's Google loader; weekly digests analyze the dataset's week,
+ * `tomorrow` adds the schedule health of the day after the mock "today"
+ */
+async function getMockDigestData(userId, { timeZone, frequency, tomorrow }) {
+    const data = {
+        emails: getMockEmailStress(userId),
+        calendar: getMockScheduleHealth(userId, { tz: timeZone, range: frequency === 'weekly' ? 'week' : undefined })
+    };
+    if (tomorrow && mockCalendarToday()) {
+        data.tomorrow = getMockScheduleHealth(userId, { tz: timeZone, date: addDays(mockCalendarToday(), 1) });
+    }
+    return data;
+}
+
+/**
+ * Fitness summary from data/mock-fitness.json
+ * Averages the most recent `days` entries of dailyMetrics
+ */
+function getMockFitnessSummary(userId, days) {
+    const metrics = [...(mockFitness.dailyMetrics || [])]
+        .sort((a, b) => b.date.localeCompare(a.date))
+        .slice(0, days || 7);
+
+    return analyzeDailyMetrics(metrics, {
+        userId: userId || MOCK_USER_ID,
+        source: 'Mock Dataset (data/mock-fitness.json)',
+        quality: 'mock',
+        lastSync: mockFitness.metadata?.lastSync,
+        trend: `Sleep: ${mockFitness.insights?.sleepTrend || 'stable'}, Activity: ${mockFitness.insights?.activityTrend || 'moderate'}, Stress: ${mockFitness.insights?.stressTrend || 'moderate'}`,
+        confidence: 'mock'
+    });
+}
+
+module.exports = {
+    MOCK_USER_ID,
+    isMockMode,
+    rejectMockWrite,
+    getMockEmailStress,
+    getMockScheduleHealth,
+    getMockFitnessSummary,
+    getMockAfterHours,
+    getMockFocusTime,
+    getMockMeetingResponses,
+    getMockRecurringAudit,
+    getMockDigestData,
+    toGmailMessages,
+    toCalendarEvents
+};
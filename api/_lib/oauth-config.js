@@ -1,6 +1,7 @@
 /**
  * Shared OAuth Configuration for Vercel Serverless Functions
  * Uses Upstash Redis for persistent token storage
+ * Every request builds its own OAuth client - credentials are never set on a shared one
  */
 
 const { google } = require('googleapis');
@@ -14,11 +15,128 @@ const redis = process.env.KV_REST_API_URL && process.env.KV_REST_API_TOKEN
     })
     : null;
 
-const oauth2Client = new google.auth.OAuth2(
-    process.env.GOOGLE_CLIENT_ID,
-    process.env.GOOGLE_CLIENT_SECRET,
-    process.env.GOOGLE_REDIRECT_URI
-);
+/**
+ * New OAuth2 client, optionally with credentials
+ * Create one per request so concurrent users never share credentials
+ */
+function createOAuthClient(tokens) {
+    const client = new google.auth.OAuth2(
+        process.env.GOOGLE_CLIENT_ID,
+        process.env.GOOGLE_CLIENT_SECRET,
+        process.env.GOOGLE_REDIRECT_URI
+    );
+    if (tokens) {
+        client.setCredentials(tokens);
+    }
+    return client;
+}
+
+/**
+ * Authenticated client for one user's request
+ * Tokens the client renews mid-request are merged and handed to `onTokens` for storage
+ */
+function createUserClient(tokens, onTokens) {
+    const client = createOAuthClient(tokens);
+
+    if (onTokens) {
+        client.on('tokens', (rotated) => {
+            const merged = {
+                ...tokens,
+                ...rotated,
+                refresh_token: rotated.refresh_token || tokens.refresh_token
+            };
+            Promise.resolve(onTokens(merged)).catch(error => {
+                console.error('Error storing rotated tokens:', error);
+            });
+        });
+    }
+
+    return client;
+}
+
+// Refresh tokens live until revoked or unused for ~6 months; Google only
+// reports a lifetime (refresh_token_expires_in) for time-limited grants
+const DEFAULT_REFRESH_TOKEN_TTL = parseInt(process.env.REFRESH_TOKEN_TTL_SECONDS) || 180 * 24 * 60 * 60;
+
+// Refresh access tokens this long before they actually expire
+const EXPIRY_MARGIN_MS = 60 * 1000;
+
+/**
+ * Raised when the user has to sign in again (no tokens, revoked or invalid grant)
+ * Endpoints turn it into a 401 the frontend shows as a re-login prompt
+ */
+class AuthError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'AuthError';
+        this.code = 'reauth_required';
+    }
+}
+
+/**
+ * Whether an error means the stored grant is unusable
+ */
+function isReauthError(error) {
+    if (!error) {
+        return false;
+    }
+    if (error instanceof AuthError) {
+        return true;
+    }
+    const oauthError = error.response && error.response.data && error.response.data.error;
+    return oauthError === 'invalid_grant' || oauthError === 'unauthorized_client' || error.message === 'invalid_grant';
+}
+
+/**
+ * Seconds until the refresh token expires - used as the Redis TTL
+ */
+function getTokenTtl(tokens) {
+    if (tokens.refresh_token_expiry_date) {
+        return Math.max(60, Math.floor((tokens.refresh_token_expiry_date - Date.now()) / 1000));
+    }
+    return DEFAULT_REFRESH_TOKEN_TTL;
+}
+
+/**
+ * Return tokens with a valid access token, renewing it with the refresh token if needed
+ * Resolves { tokens, refreshed }; throws AuthError when the grant is missing, revoked or invalid
+ */
+async function refreshTokensIfExpired(tokens) {
+    if (!tokens) {
+        throw new AuthError('No stored tokens');
+    }
+
+    const expiresAt = tokens.expiry_date || 0;
+    if (tokens.access_token && expiresAt - EXPIRY_MARGIN_MS > Date.now()) {
+        return { tokens, refreshed: false };
+    }
+
+    if (!tokens.refresh_token) {
+        throw new AuthError('Access token expired and no refresh token is stored');
+    }
+
+    const refreshClient = createOAuthClient({ refresh_token: tokens.refresh_token });
+
+    try {
+        await refreshClient.getAccessToken();
+    } catch (error) {
+        if (isReauthError(error)) {
+            throw new AuthError('Refresh token was revoked or is invalid');
+        }
+        throw error;
+    }
+
+    // Google omits refresh_token unless it rotated, so keep the stored one
+    const rotated = refreshClient.credentials;
+    return {
+        tokens: {
+            ...tokens,
+            ...rotated,
+            refresh_token: rotated.refresh_token || tokens.refresh_token
+        },
+        refreshed: true
+    };
+}
 
 async function getUserTokens(userId) {
     if (!redis) {
@@ -48,18 +166,96 @@ async function setUserTokens(userId, tokens) {
     }
 
     try {
-        // Store tokens in Upstash Redis with 24 hour expiration
-        await redis.set(`user_tokens:${userId}`, tokens, { ex: 86400 });
-        oauth2Client.setCredentials(tokens);
+        // Record when a time-limited refresh token runs out so rotations keep the same deadline
+        if (tokens.refresh_token_expires_in && !tokens.refresh_token_expiry_date) {
+            tokens = {
+                ...tokens,
+                refresh_token_expiry_date: Date.now() + tokens.refresh_token_expires_in * 1000
+            };
+        }
+
+        // Store tokens in Upstash Redis for the refresh token's lifetime
+        await redis.set(`user_tokens:${userId}`, tokens, { ex: getTokenTtl(tokens) });
         console.log('Tokens successfully stored in Upstash for:', userId);
     } catch (error) {
         console.error('Error setting user tokens in Upstash:', error);
     }
 }
 
+async function deleteUserTokens(userId) {
+    if (!redis) {
+        return;
+    }
+
+    try {
+        await redis.del(`user_tokens:${userId}`);
+    } catch (error) {
+        console.error('Error deleting user tokens from Upstash:', error);
+    }
+}
+
+/**
+ * Stored tokens with a valid access token
+ * Rotated tokens are written back; an invalid grant clears the stored tokens
+ * Throws AuthError when the user has to sign in again
+ */
+async function getFreshUserTokens(userId) {
+    const tokens = await getUserTokens(userId);
+
+    try {
+        const result = await refreshTokensIfExpired(tokens);
+        if (result.refreshed) {
+            console.log('Access token refreshed for:', userId);
+            await setUserTokens(userId, result.tokens);
+        }
+        return result.tokens;
+    } catch (error) {
+        if (error instanceof AuthError && tokens) {
+            await deleteUserTokens(userId);
+        }
+        throw error;
+    }
+}
+
+/**
+ * Revoke the user's Google grant (refresh token revokes the whole grant)
+ * Best effort - returns false if Google rejects it (already revoked or expired)
+ */
+async function revokeUserGrant(tokens) {
+    const token = tokens && (tokens.refresh_token || tokens.access_token);
+    if (!token) {
+        return false;
+    }
+
+    try {
+        await createOAuthClient().revokeToken(token);
+        return true;
+    } catch (error) {
+        console.error('Error revoking Google grant:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Isolated authenticated client for one user and one request
+ * Throws AuthError when the user has to sign in again
+ */
+async function getAuthorizedClient(userId) {
+    const tokens = await getFreshUserTokens(userId);
+    return createUserClient(tokens, (rotated) => setUserTokens(userId, rotated));
+}
+
 module.exports = {
-    oauth2Client,
+    createOAuthClient,
+    createUserClient,
+    getAuthorizedClient,
+    AuthError,
+    isReauthError,
+    refreshTokensIfExpired,
     getUserTokens,
+    getFreshUserTokens,
     setUserTokens,
+    deleteUserTokens,
+    revokeUserGrant,
     redis
 };
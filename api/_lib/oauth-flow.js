@@ -0,0 +1,139 @@
+/**
+ * OAuth Authorization Flow Helpers
+ * Signed `state` nonce (CSRF) + PKCE, return-to paths and the configurable redirect base
+ * Shared by the Vercel functions (cookie-backed) and the Express proxy (session-backed)
+ */
+
+const crypto = require('crypto');
+const { createOAuthClient } = require('./oauth-config');
+const { signValue, verifySignedValue } = require('./session');
+const { FITNESS_SCOPES } = require('./fitness-provider');
+
+const GOOGLE_SCOPES = [
+    'https://www.googleapis.com/auth/gmail.readonly',
+    'https://www.googleapis.com/auth/calendar.readonly',
+    // Write-back: "Focus time" events the user books from a recommendation
+    'https://www.googleapis.com/auth/calendar.events',
+    'https://www.googleapis.com/auth/userinfo.email',
+    'https://www.googleapis.com/auth/userinfo.profile',
+    ...FITNESS_SCOPES
+];
+
+// Pending sign-in (nonce + PKCE verifier) lives in this short-lived cookie on Vercel
+const OAUTH_COOKIE = 'ln_oauth';
+const OAUTH_FLOW_TTL_SECONDS = 10 * 60;
+
+/**
+ * Frontend origin to send users back to after sign-in
+ * APP_BASE_URL, required in production - Host headers are client-controlled;
+ * in development the request's own host
+ */
+function getRedirectBase(req) {
+    if (process.env.APP_BASE_URL) {
+        return process.env.APP_BASE_URL.replace(/\/+$/, '');
+    }
+    if (process.env.NODE_ENV === 'production') {
+        throw new Error('APP_BASE_URL is required in production');
+    }
+
+    const host = req.headers['x-forwarded-host'] || req.headers.host;
+    const proto = (req.headers['x-forwarded-proto'] || 'https').split(',')[0].trim();
+    return `${proto}://${host}`;
+}
+
+/**
+ * Same-site path to return to after sign-in, or '/'
+ * Rejects absolute and protocol-relative URLs so the callback is not an open redirect
+ */
+function sanitizeReturnTo(returnTo) {
+    if (typeof returnTo !== 'string' || !returnTo.startsWith('/') ||
+        returnTo.startsWith('//') || returnTo.startsWith('/\\')) {
+        return '/';
+    }
+    return returnTo;
+}
+
+/**
+ * Append ?auth=<result> to a return-to path
+ */
+function withAuthResult(redirectBase, returnTo, result) {
+    const url = new URL(sanitizeReturnTo(returnTo), 'http://placeholder');
+    url.searchParams.set('auth', result);
+    return `${redirectBase}${url.pathname}${url.search}${url.hash}`;
+}
+
+/**
+ * Start a sign-in: Google auth URL with a signed state and a PKCE challenge
+ * Returns { authUrl, pending } - store `pending` for the callback (cookie or session)
+ */
+async function createAuthRequest(returnTo) {
+    const client = createOAuthClient();
+    const { codeVerifier, codeChallenge } = await client.generateCodeVerifierAsync();
+    const nonce = crypto.randomBytes(16).toString('base64url');
+
+    const state = signValue({
+        nonce: nonce,
+        returnTo: sanitizeReturnTo(returnTo)
+    }, OAUTH_FLOW_TTL_SECONDS);
+
+    const authUrl = client.generateAuthUrl({
+        access_type: 'offline',
+        scope: GOOGLE_SCOPES,
+        prompt: 'consent',
+        state: state,
+        code_challenge_method: 'S256',
+        code_challenge: codeChallenge
+    });
+
+    return {
+        authUrl: authUrl,
+        pending: { nonce, codeVerifier }
+    };
+}
+
+/**
+ * Check the callback's state against the pending sign-in
+ * Returns { returnTo, codeVerifier } or { error }
+ */
+function verifyAuthCallback(state, pending) {
+    const payload = verifySignedValue(state);
+    if (!payload || !payload.nonce) {
+        return { error: 'Invalid or expired state parameter' };
+    }
+
+    if (!pending || !pending.nonce || !pending.codeVerifier) {
+        return { error: 'No sign-in in progress for this browser' };
+    }
+
+    const expected = Buffer.from(pending.nonce);
+    const actual = Buffer.from(payload.nonce);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return { error: 'State does not match this browser\'s sign-in' };
+    }
+
+    return {
+        returnTo: sanitizeReturnTo(payload.returnTo),
+        codeVerifier: pending.codeVerifier
+    };
+}
+
+function encodePendingAuth(pending) {
+    return signValue(pending, OAUTH_FLOW_TTL_SECONDS);
+}
+
+function decodePendingAuth(token) {
+    return verifySignedValue(token);
+}
+
+module.exports = {
+    GOOGLE_SCOPES,
+    OAUTH_COOKIE,
+    OAUTH_FLOW_TTL_SECONDS,
+    getRedirectBase,
+    sanitizeReturnTo,
+    withAuthResult,
+    createAuthRequest,
+    verifyAuthCallback,
+    encodePendingAuth,
+    decodePendingAuth
+};
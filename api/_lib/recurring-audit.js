@@ -0,0 +1,255 @@
+/**
+ * Recurring Meeting Audit
+ * Groups the next N weeks of meetings by recurring series and flags series
+ * worth shortening, meeting less often or dropping
+ */
+
+const { mapWithConcurrency } = require('./concurrency');
+const { zonedDateKey } = require('./timezone');
+const { addDays, fetchEvents, getEventBounds } = require('./calendar-provider');
+
+const CONCURRENCY = parseInt(process.env.CALENDAR_CONCURRENCY) || 5;
+
+const DEFAULT_WEEKS = 4;
+const MAX_WEEKS = 12;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+// Average month, for hours per month from any window
+const DAYS_PER_MONTH = 30.44;
+
+// Descriptions shorter than this (after stripping HTML) do not count as an agenda
+const MIN_AGENDA_LENGTH = 20;
+
+// Flag thresholds
+const DROP_MISS_RATE = 0.5;          // declined at least half the meetings
+const THIN_MIN_PER_WEEK = 1;         // weekly or more often...
+const THIN_MIN_AGE_DAYS = 90;        // ...for a quarter or longer...
+const THIN_MIN_HOURS_PER_MONTH = 4;  // ...and costing at least this much
+const SHORTEN_MIN_MINUTES = 60;      // hour-long slots...
+const SHORTEN_MIN_ATTENDEES = 8;     // ...with no agenda or this many people
+
+// Share of a series' time each suggestion gives back
+const THIN_SAVING = 0.5;
+
+/**
+ * Parse the ?weeks= param
+ * Returns { weeks } or { error }
+ */
+function resolveAuditWeeks(value) {
+    if (value === undefined || value === '') {
+        return { weeks: DEFAULT_WEEKS };
+    }
+
+    const weeks = parseInt(value, 10);
+    if (!/^\d+$/.test(String(value)) || weeks < 1 || weeks > MAX_WEEKS) {
+        return { error: `weeks must be a whole number between 1 and ${MAX_WEEKS}` };
+    }
+    return { weeks };
+}
+
+/**
+ * Day keys of the `weeks` weeks starting `today`
+ */
+function auditDays(today, weeks) {
+    return Array.from({ length: weeks * 7 }, (_, index) => addDays(today, index));
+}
+
+/**
+ * Instances of a series the audit counts: timed meetings with other people, not cancelled
+ */
+function isSeriesMeeting(event) {
+    return !!(event.recurringEventId && event.start && event.start.dateTime
+        && event.status !== 'cancelled' && (event.attendees || []).length > 1);
+}
+
+function hasAgenda(description) {
+    const text = (description || '').replace(/<[^>]*>/g, ' ').replace(/&nbsp;/g, ' ').trim();
+    return text.length >= MIN_AGENDA_LENGTH;
+}
+
+/**
+ * Round a meeting length down to a quarter hour at 75% (60 -> 45, 90 -> 60, 120 -> 90)
+ */
+function shortenedMinutes(minutes) {
+    return Math.max(15, Math.floor(minutes * 0.75 / 15) * 15);
+}
+
+function round1(value) {
+    return parseFloat(value.toFixed(1));
+}
+
+/**
+ * Audit one series from its instances in the window and its master event (may be null)
+ */
+function auditSeries(seriesId, instances, master, { weeks, timeZone, now }) {
+    const first = instances[0];
+    const answers = instances.map(event => (event.attendees.find(attendee => attendee.self) || {}).responseStatus);
+    const declined = answers.filter(answer => answer === 'declined').length;
+    const unanswered = answers.filter(answer => answer === 'needsAction').length;
+
+    const durations = instances.map(event => {
+        const { start, end } = getEventBounds(event, timeZone);
+        return (end - start) / MINUTE_MS;
+    });
+    const minutes = Math.round(durations.reduce((total, value) => total + value, 0) / durations.length);
+    // Declined meetings cost nothing - hours count the ones the user still attends
+    const attendedMinutes = durations.filter((_, index) => answers[index] !== 'declined')
+        .reduce((total, value) => total + value, 0);
+    const hoursPerMonth = attendedMinutes / 60 * DAYS_PER_MONTH / (weeks * 7);
+
+    const attendeeCount = Math.max(...instances.map(event => event.attendees.filter(attendee => !attendee.resource).length));
+    const agenda = hasAgenda((master && master.description) || first.description);
+    const created = (master && master.created) || first.created || null;
+    const ageDays = created ? Math.floor((now - new Date(created)) / DAY_MS) : null;
+    const perWeek = instances.length / weeks;
+    // The window lies ahead, so an unanswered invite is not a miss yet - only declines count
+    const missRate = declined / instances.length;
+    const organizer = (master && master.organizer) || first.organizer;
+
+    const flags = [];
+    if (missRate >= DROP_MISS_RATE) {
+        flags.push({
+            action: 'drop',
+            reason: `You declined ${declined} of ${instances.length} meetings`,
+            savedHoursPerMonth: round1(hoursPerMonth)
+        });
+    }
+    if (perWeek >= THIN_MIN_PER_WEEK && ageDays !== null && ageDays >= THIN_MIN_AGE_DAYS && hoursPerMonth >= THIN_MIN_HOURS_PER_MONTH) {
+        flags.push({
+            action: 'thin',
+            reason: `Meets ${round1(perWeek)}x a week and has run for ${Math.floor(ageDays / 30)} months - try half as often`,
+            savedHoursPerMonth: round1(hoursPerMonth * THIN_SAVING)
+        });
+    }
+    if (minutes >= SHORTEN_MIN_MINUTES && (!agenda || attendeeCount >= SHORTEN_MIN_ATTENDEES)) {
+        const suggested = shortenedMinutes(minutes);
+        flags.push({
+            action: 'shorten',
+            reason: `${minutes}-minute slot ${agenda ? `with ${attendeeCount} people` : 'with no agenda'} - try ${suggested} minutes`,
+            suggestedMinutes: suggested,
+            savedHoursPerMonth: round1(hoursPerMonth * (minutes - suggested) / minutes)
+        });
+    }
+
+    return {
+        seriesId: seriesId,
+        summary: (master && master.summary) || first.summary || '(no title)',
+        organizer: organizer ? (organizer.displayName || organizer.email || null) : null,
+        organizedBySelf: !!(organizer && organizer.self),
+        recurrence: master && master.recurrence ? master.recurrence.find(rule => rule.startsWith('RRULE:')) || null : null,
+        instances: instances.length,
+        perWeek: round1(perWeek),
+        minutes: minutes,
+        hoursPerMonth: round1(hoursPerMonth),
+        attendeeCount: attendeeCount,
+        declined: declined,
+        unanswered: unanswered,
+        missRate: parseFloat(missRate.toFixed(2)),
+        hasAgenda: agenda,
+        createdAt: created,
+        ageDays: ageDays,
+        nextDate: zonedDateKey(getEventBounds(first, timeZone).start, timeZone),
+        flags: flags,
+        // Strongest suggestion first: drop, then thin out, then shorten
+        recommendation: flags.length > 0 ? flags[0].action : 'keep'
+    };
+}
+
+/**
+ * Recurring audit payload from the window's event instances and the series' master events
+ * `masters` maps recurringEventId -> master event (missing masters fall back to the instances)
+ * Pure function - no API calls
+ */
+function analyzeRecurringMeetings({ events, masters, days, weeks, timeZone, userId, now, source, quality }) {
+    const bySeries = new Map();
+    for (const event of events.filter(isSeriesMeeting)) {
+        if (!bySeries.has(event.recurringEventId)) {
+            bySeries.set(event.recurringEventId, []);
+        }
+        bySeries.get(event.recurringEventId).push(event);
+    }
+
+    const series = [...bySeries.entries()]
+        .map(([seriesId, instances]) => auditSeries(seriesId, instances, masters[seriesId] || null, {
+            weeks,
+            timeZone,
+            now: now || new Date()
+        }))
+        .sort((a, b) => b.hoursPerMonth - a.hoursPerMonth);
+
+    const flagged = series.filter(item => item.recommendation !== 'keep');
+    const hoursPerMonth = series.reduce((total, item) => total + item.hoursPerMonth, 0);
+    // Only the recommended action counts, so one series is never saved twice
+    const reclaimable = flagged.reduce((total, item) => total + item.flags[0].savedHoursPerMonth, 0);
+    const count = action => series.filter(item => item.recommendation === action).length;
+
+    return {
+        type: 'recurring_audit',
+        source: source || 'Google Calendar API (Real User Data)',
+        quality: quality || 'authenticated',
+        user: {
+            userId: userId
+        },
+        data: {
+            seriesCount: series.length,
+            hoursPerMonth: round1(hoursPerMonth),
+            reclaimableHoursPerMonth: round1(reclaimable),
+            flagged: {
+                drop: count('drop'),
+                thin: count('thin'),
+                shorten: count('shorten')
+            },
+            series: series
+        },
+        metadata: {
+            timestamp: new Date().toISOString(),
+            from: days[0],
+            to: days[days.length - 1],
+            weeks: weeks,
+            timeZone: timeZone
+        },
+        interpretation: {
+            status: flagged.length === 0 ? 'Recurring Meetings Look Healthy' : `${flagged.length} of ${series.length} Series Need Review`,
+            recommendation: flagged.length === 0
+                ? 'No recurring series stands out - re-run the audit each quarter'
+                : `Reviewing the flagged series could give back about ${round1(reclaimable)} hours a month`
+        }
+    };
+}
+
+/**
+ * Master events (created date, description, RRULE) for series ids; unreadable ones are skipped
+ */
+async function fetchSeriesMasters(calendar, seriesIds) {
+    const masters = await mapWithConcurrency(seriesIds, CONCURRENCY, async (seriesId) => {
+        try {
+            const response = await calendar.events.get({ calendarId: 'primary', eventId: seriesId });
+            return response.data;
+        } catch (err) {
+            console.error('Error fetching recurring series:', err.message);
+            return null;
+        }
+    });
+
+    return Object.fromEntries(masters.filter(Boolean).map(master => [master.id, master]));
+}
+
+/**
+ * Fetch and audit for an authenticated Calendar client
+ */
+async function getRecurringAudit(calendar, userId, { days, weeks, timeZone }) {
+    const events = await fetchEvents(calendar, days, timeZone);
+    const seriesIds = [...new Set(events.filter(isSeriesMeeting).map(event => event.recurringEventId))];
+    const masters = await fetchSeriesMasters(calendar, seriesIds);
+    return analyzeRecurringMeetings({ events, masters, days, weeks, timeZone, userId });
+}
+
+module.exports = {
+    resolveAuditWeeks,
+    auditDays,
+    analyzeRecurringMeetings,
+    fetchSeriesMasters,
+    getRecurringAudit
+};
@@ -0,0 +1,181 @@
+/**
+ * Email Response Debt
+ * Walks Gmail threads in the analysis window to find the ones waiting on the user
+ * (last message from someone else, addressed to the user) and how fast the user replies
+ */
+
+const { mapWithConcurrency } = require('./concurrency');
+const { parseSender, compileRules, scoreEmail } = require('./stress-rules');
+
+const THREAD_QUERY = 'newer_than:7d -in:chats';
+const THREAD_LIMIT = parseInt(process.env.GMAIL_THREAD_LIMIT) || 200;
+const CONCURRENCY = parseInt(process.env.GMAIL_CONCURRENCY) || 10;
+const OLDEST_LIMIT = 5;
+
+// Waiting-time buckets, in hours
+const AGE_BUCKETS = [
+    { label: 'under 4h', maxHours: 4 },
+    { label: '4-24h', maxHours: 24 },
+    { label: '1-3 days', maxHours: 72 },
+    { label: '3-7 days', maxHours: 168 },
+    { label: 'over 7 days', maxHours: Infinity }
+];
+
+/**
+ * Newest THREAD_LIMIT threads in the window, with From/To/Cc/Subject of every message
+ */
+async function fetchThreads(gmail) {
+    const ids = [];
+    let pageToken;
+
+    do {
+        const response = await gmail.users.threads.list({
+            userId: 'me',
+            q: THREAD_QUERY,
+            maxResults: Math.min(THREAD_LIMIT, 500),
+            pageToken: pageToken,
+            fields: 'threads/id,nextPageToken'
+        });
+
+        ids.push(...(response.data.threads || []).map(thread => thread.id));
+        pageToken = response.data.nextPageToken;
+    } while (pageToken && ids.length < THREAD_LIMIT);
+
+    const threads = await mapWithConcurrency(ids.slice(0, THREAD_LIMIT), CONCURRENCY, async (id) => {
+        try {
+            const thread = await gmail.users.threads.get({
+                userId: 'me',
+                id: id,
+                format: 'metadata',
+                metadataHeaders: ['From', 'To', 'Cc', 'Subject'],
+                fields: 'id,messages(id,labelIds,internalDate,snippet,payload/headers)'
+            });
+            return thread.data;
+        } catch (err) {
+            console.error('Error fetching email thread:', err.message);
+            return null;
+        }
+    });
+
+    return threads.filter(Boolean);
+}
+
+/**
+ * Header lookup ignoring case - Gmail passes "Cc" and "CC" through as sent
+ */
+function headerOf(message, name) {
+    const headers = (message.payload && message.payload.headers) || [];
+    const header = headers.find(h => h.name.toLowerCase() === name.toLowerCase());
+    return header ? header.value : '';
+}
+
+/**
+ * Addresses in a To/Cc header ("A <a@x.com>, b@y.com")
+ */
+function parseRecipients(value) {
+    return String(value || '')
+        .split(',')
+        .map(parseSender)
+        .filter(address => address.includes('@'));
+}
+
+function median(values) {
+    if (values.length === 0) {
+        return null;
+    }
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function round(value, digits = 1) {
+    return value === null ? null : parseFloat(value.toFixed(digits));
+}
+
+/**
+ * Response-debt metrics from Gmail thread resources
+ * `userEmail` identifies the user's own messages (with the SENT label);
+ * threads matching an `ignore` stress rule (newsletters etc.) are skipped
+ * Pure function - no API calls
+ */
+function analyzeResponseDebt(threads, { userEmail, rules, now }) {
+    const user = String(userEmail || '').toLowerCase();
+    const compiled = compileRules((rules || []).filter(rule => rule.ignore));
+    const nowMs = (now || new Date()).getTime();
+
+    const latencies = [];
+    const waiting = [];
+
+    for (const thread of threads) {
+        const messages = [...(thread.messages || [])]
+            .sort((a, b) => Number(a.internalDate) - Number(b.internalDate));
+        if (messages.length === 0) {
+            continue;
+        }
+
+        const fromUser = message => (message.labelIds || []).includes('SENT')
+            || parseSender(headerOf(message, 'From')) === user;
+        const addressedToUser = message => [...parseRecipients(headerOf(message, 'To')), ...parseRecipients(headerOf(message, 'Cc'))]
+            .includes(user);
+
+        // Reply latency: first unanswered incoming message -> the user's next message
+        let pendingSince = null;
+        for (const message of messages) {
+            const time = Number(message.internalDate);
+            if (fromUser(message)) {
+                if (pendingSince !== null) {
+                    latencies.push((time - pendingSince) / 3600000);
+                    pendingSince = null;
+                }
+            } else if (addressedToUser(message) && pendingSince === null) {
+                pendingSince = time;
+            }
+        }
+
+        const last = messages[messages.length - 1];
+        if (fromUser(last) || !addressedToUser(last)) {
+            continue;
+        }
+
+        const from = headerOf(last, 'From');
+        const subject = headerOf(messages[0], 'Subject');
+        const { ignored } = scoreEmail(compiled, { subject, snippet: last.snippet, from, labelIds: last.labelIds });
+        if (ignored) {
+            continue;
+        }
+
+        waiting.push({
+            subject: subject,
+            from: from,
+            // Measured from the first unanswered message, not the latest nudge
+            waitingHours: (nowMs - (pendingSince !== null ? pendingSince : Number(last.internalDate))) / 3600000
+        });
+    }
+
+    const ageDistribution = AGE_BUCKETS.map(bucket => ({ label: bucket.label, count: 0 }));
+    for (const thread of waiting) {
+        const index = AGE_BUCKETS.findIndex(bucket => thread.waitingHours < bucket.maxHours);
+        ageDistribution[index].count++;
+    }
+
+    const oldest = [...waiting]
+        .sort((a, b) => b.waitingHours - a.waitingHours)
+        .slice(0, OLDEST_LIMIT)
+        .map(thread => ({ subject: thread.subject, from: thread.from, waitingHours: round(thread.waitingHours) }));
+
+    return {
+        threadsAnalyzed: threads.length,
+        waitingCount: waiting.length,
+        ageDistribution: ageDistribution,
+        medianReplyLatencyHours: round(median(latencies)),
+        repliesMeasured: latencies.length,
+        oldestUnanswered: oldest
+    };
+}
+
+module.exports = {
+    THREAD_QUERY,
+    AGE_BUCKETS,
+    fetchThreads,
+    analyzeResponseDebt
+};
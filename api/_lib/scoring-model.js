@@ -0,0 +1,245 @@
+/**
+ * Scoring Model Settings
+ * Which scoring model (src/analysis/scoring-models.js) a user scores with:
+ * a preset by id, or a custom model that extends a preset with its own factors
+ * Users without a choice get DEFAULT_SCORING_MODEL_ID
+ */
+
+const store = require('./store');
+const {
+    SCORING_FACTORS,
+    SCORING_MODELS,
+    DEFAULT_SCORING_MODEL_ID
+} = require('../../src/analysis/scoring-models');
+
+const BAND_COMPARISONS = ['gte', 'gt', 'lte', 'lt'];
+const MAX_RULES = 10;
+const MAX_BANDS = 10;
+const MAX_POINTS = 100;
+const MAX_WEIGHT = 3;
+const MAX_NAME_LENGTH = 60;
+
+function scoringModelKey(userId) {
+    return `scoring_model:${userId}`;
+}
+
+function isNumber(value) {
+    return typeof value === 'number' && isFinite(value);
+}
+
+/**
+ * Preset summaries for pickers
+ */
+function listPresets() {
+    return Object.values(SCORING_MODELS).map(({ id, version, name, description }) => ({ id, version, name, description }));
+}
+
+function validateBand(band, metrics, label) {
+    if (!band || typeof band !== 'object') {
+        return `${label} must be an object`;
+    }
+    if (!isNumber(band.points) || Math.abs(band.points) > MAX_POINTS) {
+        return `${label}.points must be a number between -${MAX_POINTS} and ${MAX_POINTS}`;
+    }
+    if (band.metric !== undefined && !metrics.includes(band.metric)) {
+        return `${label}.metric must be one of: ${metrics.join(', ')}`;
+    }
+    for (const comparison of BAND_COMPARISONS) {
+        if (band[comparison] !== undefined && !isNumber(band[comparison])) {
+            return `${label}.${comparison} must be a number`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Check one factor of a merged model
+ * Returns { value } with only the known fields or { error }
+ */
+function validateFactor(key, factor) {
+    const label = `factors.${key}`;
+    const metrics = SCORING_FACTORS[key].metrics;
+
+    if (!factor || typeof factor !== 'object') {
+        return { error: `${label} must be an object` };
+    }
+    if (factor.enabled !== undefined && typeof factor.enabled !== 'boolean') {
+        return { error: `${label}.enabled must be true or false` };
+    }
+    const weight = factor.weight === undefined ? 1 : factor.weight;
+    if (!isNumber(weight) || weight < 0 || weight > MAX_WEIGHT) {
+        return { error: `${label}.weight must be a number between 0 and ${MAX_WEIGHT}` };
+    }
+    if (factor.cap !== undefined && (!factor.cap || !isNumber(factor.cap.min) || !isNumber(factor.cap.max) || factor.cap.min > factor.cap.max)) {
+        return { error: `${label}.cap must be { min, max } with min <= max` };
+    }
+    if (!Array.isArray(factor.rules) || factor.rules.length > MAX_RULES) {
+        return { error: `${label}.rules must be an array of at most ${MAX_RULES} rules` };
+    }
+
+    for (const [index, rule] of factor.rules.entries()) {
+        const ruleLabel = `${label}.rules[${index}]`;
+        if (!rule || typeof rule !== 'object' || !metrics.includes(rule.metric)) {
+            return { error: `${ruleLabel}.metric must be one of: ${metrics.join(', ')}` };
+        }
+        if (rule.unless !== undefined && !metrics.includes(rule.unless)) {
+            return { error: `${ruleLabel}.unless must be one of: ${metrics.join(', ')}` };
+        }
+        if (!Array.isArray(rule.bands) || rule.bands.length === 0 || rule.bands.length > MAX_BANDS) {
+            return { error: `${ruleLabel}.bands must be an array of 1-${MAX_BANDS} bands` };
+        }
+        for (const [bandIndex, band] of rule.bands.entries()) {
+            const error = validateBand(band, metrics, `${ruleLabel}.bands[${bandIndex}]`);
+            if (error) {
+                return { error };
+            }
+        }
+    }
+
+    const rules = factor.rules.map(rule => {
+        const bands = rule.bands.map(band => {
+            const kept = band.metric ? { metric: band.metric } : {};
+            BAND_COMPARISONS
+                .filter(comparison => band[comparison] !== undefined)
+                .forEach(comparison => { kept[comparison] = band[comparison]; });
+            kept.points = band.points;
+            return kept;
+        });
+        return rule.unless
+            ? { metric: rule.metric, unless: rule.unless, bands }
+            : { metric: rule.metric, bands };
+    });
+
+    const value = { weight, rules };
+    if (factor.enabled === false) {
+        value.enabled = false;
+    }
+    if (factor.cap) {
+        value.cap = { min: factor.cap.min, max: factor.cap.max };
+    }
+    return { value };
+}
+
+/**
+ * Check a custom model from a PUT body and merge it over the preset it extends
+ * Factors given replace the preset's factor field by field (weight, cap, enabled, rules)
+ * Returns { value } without id/version (assigned on save) or { error }
+ */
+function validateCustomModel(model) {
+    if (!model || typeof model !== 'object' || Array.isArray(model)) {
+        return { error: 'model must be an object' };
+    }
+
+    const baseId = model.extends === undefined ? DEFAULT_SCORING_MODEL_ID : model.extends;
+    const base = SCORING_MODELS[baseId];
+    if (!base) {
+        return { error: `model.extends must be one of: ${Object.keys(SCORING_MODELS).join(', ')}` };
+    }
+    if (model.name !== undefined && (typeof model.name !== 'string' || !model.name.trim() || model.name.length > MAX_NAME_LENGTH)) {
+        return { error: `model.name must be a non-empty string of at most ${MAX_NAME_LENGTH} characters` };
+    }
+
+    const baseline = model.baseline === undefined ? base.baseline : model.baseline;
+    if (!isNumber(baseline) || baseline < 0 || baseline > 100) {
+        return { error: 'model.baseline must be a number between 0 and 100' };
+    }
+    const range = model.range === undefined ? base.range : model.range;
+    if (!range || !isNumber(range.min) || !isNumber(range.max) || range.min < 0 || range.max > 100 || range.min >= range.max) {
+        return { error: 'model.range must be { min, max } within 0-100 with min < max' };
+    }
+
+    const overrides = model.factors === undefined ? {} : model.factors;
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+        return { error: 'model.factors must be an object' };
+    }
+    const unknown = Object.keys(overrides).find(key => !SCORING_FACTORS[key]);
+    if (unknown) {
+        return { error: `Unknown factor "${unknown}" - expected one of: ${Object.keys(SCORING_FACTORS).join(', ')}` };
+    }
+
+    const factors = {};
+    for (const key of Object.keys(SCORING_FACTORS)) {
+        const { value, error } = validateFactor(key, { ...base.factors[key], ...(overrides[key] || {}) });
+        if (error) {
+            return { error };
+        }
+        factors[key] = value;
+    }
+
+    return {
+        value: {
+            name: model.name ? model.name.trim() : `Custom (${base.name})`,
+            description: `Custom model based on ${base.name} ${base.version}`,
+            extends: base.id,
+            baseline: baseline,
+            range: { min: range.min, max: range.max },
+            factors: factors
+        }
+    };
+}
+
+/**
+ * The user's model: { model, preset, custom, updatedAt }
+ * Presets are resolved on read, so a new preset version reaches everyone who picked it
+ */
+async function getScoringModel(userId) {
+    const stored = userId ? await store.get(scoringModelKey(userId)) : null;
+
+    if (stored && stored.model) {
+        return { model: stored.model, preset: null, custom: true, updatedAt: stored.updatedAt };
+    }
+    if (stored && SCORING_MODELS[stored.preset]) {
+        return { model: SCORING_MODELS[stored.preset], preset: stored.preset, custom: false, updatedAt: stored.updatedAt };
+    }
+    return { model: SCORING_MODELS[DEFAULT_SCORING_MODEL_ID], preset: DEFAULT_SCORING_MODEL_ID, custom: false, updatedAt: null };
+}
+
+/**
+ * Pick a preset by id
+ * The custom revision counter is kept, so a later custom model never reuses a version
+ */
+async function setScoringPreset(userId, presetId) {
+    const previous = await store.get(scoringModelKey(userId));
+    const stored = {
+        preset: presetId,
+        revision: (previous && previous.revision) || 0,
+        updatedAt: new Date().toISOString()
+    };
+    await store.set(scoringModelKey(userId), stored);
+    return { model: SCORING_MODELS[presetId], preset: presetId, custom: false, updatedAt: stored.updatedAt };
+}
+
+/**
+ * Save a validated custom model
+ * Every save is a new revision - the version names the preset it extends and the revision
+ */
+async function setCustomScoringModel(userId, model) {
+    const previous = await store.get(scoringModelKey(userId));
+    const revision = ((previous && previous.revision) || 0) + 1;
+    const base = SCORING_MODELS[model.extends];
+
+    const stored = {
+        model: { id: 'custom', version: `${base.version}+custom.${revision}`, ...model },
+        revision: revision,
+        updatedAt: new Date().toISOString()
+    };
+    await store.set(scoringModelKey(userId), stored);
+    return { model: stored.model, preset: null, custom: true, updatedAt: stored.updatedAt };
+}
+
+async function deleteScoringModel(userId) {
+    return await store.del(scoringModelKey(userId));
+}
+
+module.exports = {
+    SCORING_FACTORS,
+    SCORING_MODELS,
+    DEFAULT_SCORING_MODEL_ID,
+    scoringModelKey,
+    listPresets,
+    validateCustomModel,
+    getScoringModel,
+    setScoringPreset,
+    setCustomScoringModel,
+    deleteScoringModel
+};
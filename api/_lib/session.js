@@ -0,0 +1,174 @@
+/**
+ * Signed Session Tokens for Vercel Serverless Functions
+ * HMAC-SHA256 (SESSION_SECRET) over a small JSON payload, stored in an HttpOnly cookie
+ * Data endpoints derive the user from this cookie instead of trusting ?userId=
+ */
+
+const crypto = require('crypto');
+
+const SESSION_COOKIE = 'ln_session';
+const SESSION_TTL_SECONDS = parseInt(process.env.SESSION_TTL_SECONDS) || 7 * 24 * 60 * 60;
+
+function getSecret() {
+    const secret = process.env.SESSION_SECRET;
+    if (!secret) {
+        console.error('SESSION_SECRET not configured - sessions cannot be signed or verified');
+        return null;
+    }
+    return secret;
+}
+
+function hmac(secret, value) {
+    return crypto.createHmac('sha256', secret).update(value).digest('base64url');
+}
+
+/**
+ * Sign a JSON payload as <base64url payload>.<base64url signature>
+ * `ttlSeconds` adds an `exp` claim
+ */
+function signValue(payload, ttlSeconds) {
+    const secret = getSecret();
+    if (!secret) {
+        throw new Error('SESSION_SECRET is required');
+    }
+
+    const body = { ...payload };
+    if (ttlSeconds) {
+        body.exp = Math.floor(Date.now() / 1000) + ttlSeconds;
+    }
+
+    const encoded = Buffer.from(JSON.stringify(body)).toString('base64url');
+    return `${encoded}.${hmac(secret, encoded)}`;
+}
+
+/**
+ * Verify a value from signValue()
+ * Returns the payload, or null if the signature is wrong or it expired
+ */
+function verifySignedValue(token) {
+    const secret = getSecret();
+    if (!secret || !token || typeof token !== 'string') {
+        return null;
+    }
+
+    const [encoded, signature] = token.split('.');
+    if (!encoded || !signature) {
+        return null;
+    }
+
+    const expected = Buffer.from(hmac(secret, encoded));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return null;
+    }
+
+    try {
+        const payload = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+        if (payload.exp && payload.exp < Math.floor(Date.now() / 1000)) {
+            return null;
+        }
+        return payload;
+    } catch (error) {
+        return null;
+    }
+}
+
+function parseCookies(req) {
+    return req.headers.cookie?.split(';').reduce((acc, cookie) => {
+        const index = cookie.indexOf('=');
+        if (index > 0) {
+            try {
+                acc[cookie.slice(0, index).trim()] = decodeURIComponent(cookie.slice(index + 1).trim());
+            } catch (error) {
+                // Malformed percent-encoding (URIError) - skip that cookie rather than fail the request
+            }
+        }
+        return acc;
+    }, {}) || {};
+}
+
+/**
+ * Add a Set-Cookie header without dropping ones already set on the response
+ */
+function appendSetCookie(res, cookie) {
+    const existing = res.getHeader ? res.getHeader('Set-Cookie') : undefined;
+    const cookies = existing ? [].concat(existing, cookie) : [cookie];
+    res.setHeader('Set-Cookie', cookies);
+}
+
+function cookieAttributes(maxAge) {
+    // `vercel dev` serves plain HTTP; deployed functions are always HTTPS
+    const secure = process.env.VERCEL_ENV && process.env.VERCEL_ENV !== 'development' ? '; Secure' : '';
+    return `Path=/; HttpOnly; SameSite=Lax; Max-Age=${maxAge}${secure}`;
+}
+
+function createSessionToken(userId) {
+    return signValue({ sub: userId }, SESSION_TTL_SECONDS);
+}
+
+/**
+ * User ID from a session token, or null
+ */
+function verifySessionToken(token) {
+    const payload = verifySignedValue(token);
+    return payload && payload.sub ? payload.sub : null;
+}
+
+function setSessionCookie(res, userId) {
+    appendSetCookie(res, `${SESSION_COOKIE}=${createSessionToken(userId)}; ${cookieAttributes(SESSION_TTL_SECONDS)}`);
+}
+
+function clearSessionCookie(res) {
+    appendSetCookie(res, `${SESSION_COOKIE}=; ${cookieAttributes(0)}`);
+}
+
+/**
+ * Signed-in user for a request, or null
+ */
+function getSessionUser(req) {
+    return verifySessionToken(parseCookies(req)[SESSION_COOKIE]);
+}
+
+/**
+ * Signed-in user for a data endpoint
+ * Sends 401 without a valid session and 403 when ?userId= names someone else; returns null then
+ */
+function requireSessionUser(req, res) {
+    const userId = getSessionUser(req);
+
+    if (!userId) {
+        res.status(401).json({
+            error: 'Not authenticated',
+            message: 'Sign in with Google to access your data',
+            reauth: true
+        });
+        return null;
+    }
+
+    const requestedUser = req.query && req.query.userId;
+    if (requestedUser && requestedUser !== userId) {
+        res.status(403).json({
+            error: 'Forbidden',
+            message: 'userId does not match the signed-in user'
+        });
+        return null;
+    }
+
+    return userId;
+}
+
+module.exports = {
+    SESSION_COOKIE,
+    SESSION_TTL_SECONDS,
+    signValue,
+    verifySignedValue,
+    parseCookies,
+    appendSetCookie,
+    cookieAttributes,
+    createSessionToken,
+    verifySessionToken,
+    setSessionCookie,
+    clearSessionCookie,
+    getSessionUser,
+    requireSessionUser
+};
@@ -0,0 +1,155 @@
+/**
+ * Key-Value Store
+ * Upstash Redis in production; a file-backed store under LOCAL_STORE_DIR (default .data/) otherwise
+ * Same async interface either way so per-user data works with the local proxy too
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { redis } = require('./oauth-config');
+
+const LOCAL_STORE_DIR = process.env.LOCAL_STORE_DIR || path.join(process.cwd(), '.data');
+
+function filePath(key) {
+    return path.join(LOCAL_STORE_DIR, `${encodeURIComponent(key)}.json`);
+}
+
+async function readFile(key) {
+    try {
+        const entry = JSON.parse(await fs.readFile(filePath(key), 'utf8'));
+        if (entry.expiresAt && entry.expiresAt < Date.now()) {
+            await fs.rm(filePath(key), { force: true });
+            return null;
+        }
+        return entry.value;
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return null;
+        }
+        throw error;
+    }
+}
+
+async function writeFile(key, value, ttlSeconds) {
+    await fs.mkdir(LOCAL_STORE_DIR, { recursive: true });
+    const entry = {
+        value: value,
+        expiresAt: ttlSeconds ? Date.now() + ttlSeconds * 1000 : null
+    };
+    // Write then rename so a crash never leaves half a file
+    const tmp = `${filePath(key)}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(entry));
+    await fs.rename(tmp, filePath(key));
+}
+
+/**
+ * Stored value, or null
+ */
+async function get(key) {
+    if (redis) {
+        return await redis.get(key);
+    }
+    return await readFile(key);
+}
+
+/**
+ * Store a JSON value, optionally expiring after `ttlSeconds`
+ */
+async function set(key, value, ttlSeconds) {
+    if (redis) {
+        return await redis.set(key, value, ttlSeconds ? { ex: ttlSeconds } : undefined);
+    }
+    return await writeFile(key, value, ttlSeconds);
+}
+
+/**
+ * Delete keys, returning how many existed
+ */
+async function del(...keys) {
+    if (keys.length === 0) {
+        return 0;
+    }
+    if (redis) {
+        return await redis.del(...keys);
+    }
+
+    let removed = 0;
+    for (const key of keys) {
+        try {
+            await fs.unlink(filePath(key));
+            removed++;
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+    }
+    return removed;
+}
+
+/**
+ * Append to a list, keeping only the newest `maxLength` items
+ */
+async function appendToList(key, item, maxLength) {
+    if (redis) {
+        await redis.rpush(key, item);
+        if (maxLength) {
+            await redis.ltrim(key, -maxLength, -1);
+        }
+        return;
+    }
+
+    const list = (await readFile(key)) || [];
+    list.push(item);
+    await writeFile(key, maxLength ? list.slice(-maxLength) : list);
+}
+
+/**
+ * Every item of a list, oldest first
+ */
+async function getList(key) {
+    if (redis) {
+        return await redis.lrange(key, 0, -1);
+    }
+    return (await readFile(key)) || [];
+}
+
+/**
+ * Every key starting with `prefix` (e.g. `user_tokens:` for all connected users)
+ */
+async function listKeys(prefix) {
+    if (redis) {
+        const keys = [];
+        let cursor = 0;
+        do {
+            const [next, batch] = await redis.scan(cursor, { match: `${prefix}*`, count: 100 });
+            keys.push(...batch);
+            cursor = Number(next);
+        } while (cursor !== 0);
+        return keys;
+    }
+
+    let files;
+    try {
+        files = await fs.readdir(LOCAL_STORE_DIR);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return [];
+        }
+        throw error;
+    }
+    return files
+        .filter(file => file.endsWith('.json'))
+        .map(file => decodeURIComponent(file.slice(0, -'.json'.length)))
+        .filter(key => key.startsWith(prefix));
+}
+
+module.exports = {
+    LOCAL_STORE_DIR,
+    get,
+    set,
+    del,
+    appendToList,
+    getList,
+    listKeys
+};
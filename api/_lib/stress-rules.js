@@ -0,0 +1,271 @@
+/**
+ * Email Stress Rules
+ * Per-user weighted rules that decide how urgent each email is:
+ * keywords, phrases and regexes on the subject/snippet, sender and domain rules, Gmail labels
+ * Rules are stored per user; users without a rule set get DEFAULT_STRESS_RULES
+ */
+
+const store = require('./store');
+
+const RULE_TYPES = ['keyword', 'phrase', 'regex', 'sender', 'domain', 'label'];
+const TEXT_FIELDS = ['subject', 'snippet', 'any'];
+const MAX_RULES = 100;
+const MAX_PATTERN_LENGTH = 200;
+
+// Regexes only see this much of a subject or snippet, bounding the time one match can take
+const MAX_MATCH_TEXT_LENGTH = 1000;
+
+// An email at or above this urgency counts toward urgentCount
+const URGENT_THRESHOLD = 0.5;
+
+// Replaces the old substring keyword list - "important" alone is a weak signal
+const DEFAULT_STRESS_RULES = [
+    { id: 'urgent', type: 'keyword', pattern: 'urgent', weight: 1 },
+    { id: 'asap', type: 'keyword', pattern: 'asap', weight: 1 },
+    { id: 'emergency', type: 'keyword', pattern: 'emergency', weight: 1 },
+    { id: 'critical', type: 'keyword', pattern: 'critical', weight: 0.8 },
+    { id: 'immediately', type: 'keyword', pattern: 'immediately', weight: 0.8 },
+    { id: 'action-required', type: 'phrase', pattern: 'action required', weight: 0.8 },
+    { id: 'deadline', type: 'keyword', pattern: 'deadline', weight: 0.7 },
+    { id: 'important', type: 'keyword', pattern: 'important', weight: 0.3 },
+    { id: 'promotions', type: 'label', pattern: 'CATEGORY_PROMOTIONS', weight: 0, ignore: true },
+    { id: 'newsletters', type: 'regex', pattern: '^(newsletter|digest|no-?reply)@', field: 'any', weight: 0, ignore: true }
+];
+
+function rulesKey(userId) {
+    return `stress_rules:${userId}`;
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Why a user regex could backtrack catastrophically, or null
+ * Refuses backreferences and repeated groups that repeat or alternate inside ((a+)+, (a|ab)*)
+ */
+function riskyRegexReason(pattern) {
+    if (/\\([1-9]|k<)/.test(pattern)) {
+        return 'backreferences are not allowed';
+    }
+
+    // One entry per open group: does it contain a repeat or an alternation?
+    const groups = [];
+    let closed = null;
+    let inClass = false;
+
+    for (let index = 0; index < pattern.length; index++) {
+        const char = pattern[index];
+        const group = groups[groups.length - 1];
+        const quantified = '*+{'.includes(char) || (char === '?' && pattern[index - 1] !== '(');
+
+        if (char === '\\') {
+            index++;
+            closed = null;
+            continue;
+        }
+        if (inClass) {
+            inClass = char !== ']';
+            continue;
+        }
+
+        if (quantified && closed && (closed.repeats || closed.alternates) && char !== '?') {
+            return 'repeated groups must not repeat or alternate inside, e.g. (a+)+ or (a|ab)*';
+        }
+        if (quantified && char !== '?' && group) {
+            group.repeats = true;
+        }
+
+        if (char === '[') {
+            inClass = true;
+        } else if (char === '(') {
+            groups.push({ repeats: false, alternates: false });
+        } else if (char === ')') {
+            closed = groups.pop() || null;
+            if (closed && groups.length > 0) {
+                const parent = groups[groups.length - 1];
+                parent.repeats = parent.repeats || closed.repeats;
+                parent.alternates = parent.alternates || closed.alternates;
+            }
+            continue;
+        } else if (char === '|' && group) {
+            group.alternates = true;
+        }
+        closed = null;
+    }
+    return null;
+}
+
+/**
+ * Check a rule set from a PUT body
+ * Returns { value } with normalized rules or { error }
+ */
+function validateRules(rules) {
+    if (!Array.isArray(rules)) {
+        return { error: 'rules must be an array' };
+    }
+    if (rules.length > MAX_RULES) {
+        return { error: `At most ${MAX_RULES} rules are allowed` };
+    }
+
+    const ids = new Set();
+    const value = [];
+
+    for (const [index, rule] of rules.entries()) {
+        const label = `rules[${index}]`;
+        if (!rule || typeof rule !== 'object') {
+            return { error: `${label} must be an object` };
+        }
+        if (!RULE_TYPES.includes(rule.type)) {
+            return { error: `${label}.type must be one of: ${RULE_TYPES.join(', ')}` };
+        }
+        if (typeof rule.pattern !== 'string' || !rule.pattern.trim() || rule.pattern.length > MAX_PATTERN_LENGTH) {
+            return { error: `${label}.pattern must be a non-empty string of at most ${MAX_PATTERN_LENGTH} characters` };
+        }
+        if (rule.type === 'regex') {
+            try {
+                new RegExp(rule.pattern, 'i');
+            } catch (error) {
+                return { error: `${label}.pattern is not a valid regex: ${error.message}` };
+            }
+            const risk = riskyRegexReason(rule.pattern);
+            if (risk) {
+                return { error: `${label}.pattern is too expensive to match: ${risk}` };
+            }
+        }
+
+        const ignore = rule.ignore === true;
+        const weight = rule.weight === undefined ? (ignore ? 0 : 1) : rule.weight;
+        if (typeof weight !== 'number' || !isFinite(weight) || weight < -1 || weight > 1) {
+            return { error: `${label}.weight must be a number between -1 and 1` };
+        }
+
+        const field = rule.field === undefined ? 'subject' : rule.field;
+        if (!TEXT_FIELDS.includes(field)) {
+            return { error: `${label}.field must be one of: ${TEXT_FIELDS.join(', ')}` };
+        }
+
+        const id = rule.id === undefined ? `rule-${index + 1}` : String(rule.id);
+        if (ids.has(id)) {
+            return { error: `${label}.id "${id}" is used twice` };
+        }
+        ids.add(id);
+
+        const normalized = { id, type: rule.type, pattern: rule.pattern.trim(), weight };
+        if (['keyword', 'phrase', 'regex'].includes(rule.type)) {
+            normalized.field = field;
+        }
+        if (ignore) {
+            normalized.ignore = true;
+        }
+        value.push(normalized);
+    }
+
+    return { value };
+}
+
+/**
+ * Rule set for a user: { rules, custom, updatedAt }
+ */
+async function getStressRules(userId) {
+    const stored = userId ? await store.get(rulesKey(userId)) : null;
+    return stored
+        ? { rules: stored.rules, custom: true, updatedAt: stored.updatedAt }
+        : { rules: DEFAULT_STRESS_RULES, custom: false, updatedAt: null };
+}
+
+async function setStressRules(userId, rules) {
+    const stored = { rules, updatedAt: new Date().toISOString() };
+    await store.set(rulesKey(userId), stored);
+    return { ...stored, custom: true };
+}
+
+async function deleteStressRules(userId) {
+    return await store.del(rulesKey(userId));
+}
+
+/**
+ * Compile rules once per analysis into matcher functions
+ */
+function compileRules(rules) {
+    return rules.map(rule => {
+        const pattern = rule.pattern.toLowerCase();
+        let test;
+
+        if (rule.type === 'keyword') {
+            // Lookarounds rather than \b, so keywords starting or ending in a symbol ("c++", "#urgent") still match
+            const regex = new RegExp(`(?<!\\w)${escapeRegExp(rule.pattern)}(?!\\w)`, 'i');
+            test = email => textFor(email, rule.field).some(text => regex.test(text));
+        } else if (rule.type === 'phrase') {
+            test = email => textFor(email, rule.field).some(text => text.toLowerCase().includes(pattern));
+        } else if (rule.type === 'regex') {
+            const regex = new RegExp(rule.pattern, 'i');
+            // "any" also lets regexes match the sender address
+            test = email => [...textFor(email, rule.field), ...(rule.field === 'any' ? [email.sender] : [])]
+                .some(text => regex.test(text.slice(0, MAX_MATCH_TEXT_LENGTH)));
+        } else if (rule.type === 'sender') {
+            test = email => email.sender === pattern;
+        } else if (rule.type === 'domain') {
+            const domain = pattern.replace(/^@/, '');
+            test = email => email.domain === domain || email.domain.endsWith(`.${domain}`);
+        } else {
+            test = email => email.labels.includes(pattern);
+        }
+
+        return { rule, test };
+    });
+}
+
+function textFor(email, field) {
+    if (field === 'snippet') {
+        return [email.snippet];
+    }
+    return field === 'any' ? [email.subject, email.snippet] : [email.subject];
+}
+
+/**
+ * Address from a From header ("Jane Doe <jane@example.com>" -> "jane@example.com")
+ */
+function parseSender(from) {
+    const match = String(from || '').match(/<([^>]+)>/);
+    return (match ? match[1] : String(from || '')).trim().toLowerCase();
+}
+
+/**
+ * Score one email against compiled rules
+ * Returns { urgency (0-1), ignored, matched: [rule] }
+ */
+function scoreEmail(compiled, { subject, snippet, from, labelIds }) {
+    const sender = parseSender(from);
+    const email = {
+        subject: subject || '',
+        snippet: snippet || '',
+        sender: sender,
+        domain: sender.includes('@') ? sender.split('@').pop() : '',
+        labels: (labelIds || []).map(label => label.toLowerCase())
+    };
+
+    const matched = compiled.filter(({ test }) => test(email)).map(({ rule }) => rule);
+    const ignored = matched.some(rule => rule.ignore);
+    const total = matched.reduce((sum, rule) => sum + (rule.ignore ? 0 : rule.weight), 0);
+
+    return {
+        urgency: ignored ? 0 : parseFloat(Math.min(Math.max(total, 0), 1).toFixed(2)),
+        ignored: ignored,
+        matched: matched
+    };
+}
+
+module.exports = {
+    RULE_TYPES,
+    URGENT_THRESHOLD,
+    DEFAULT_STRESS_RULES,
+    rulesKey,
+    validateRules,
+    getStressRules,
+    setStressRules,
+    deleteStressRules,
+    compileRules,
+    parseSender,
+    scoreEmail
+};
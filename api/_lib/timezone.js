@@ -0,0 +1,103 @@
+/**
+ * Time Zone Helpers
+ * Day windows are computed in the user's IANA zone, not the server's (UTC on Vercel)
+ * Uses Intl only - no timezone database dependency
+ */
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'UTC';
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone: timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }));
+    }
+    return formatters.get(timeZone);
+}
+
+/**
+ * Whether a string is an IANA time zone Intl understands (e.g. Asia/Seoul)
+ */
+function isValidTimeZone(timeZone) {
+    if (!timeZone || typeof timeZone !== 'string') {
+        return false;
+    }
+    try {
+        getFormatter(timeZone);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Wall-clock parts of an instant in a zone
+ */
+function getZonedParts(date, timeZone) {
+    const parts = {};
+    for (const part of getFormatter(timeZone).formatToParts(date)) {
+        if (part.type !== 'literal') {
+            parts[part.type] = parseInt(part.value, 10);
+        }
+    }
+    return parts;
+}
+
+/**
+ * Offset of a zone from UTC at an instant, in ms (Asia/Seoul = +9h)
+ */
+function getTimeZoneOffset(date, timeZone) {
+    const parts = getZonedParts(date, timeZone);
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return asUtc - (date.getTime() - date.getMilliseconds());
+}
+
+/**
+ * YYYY-MM-DD of an instant in a zone
+ */
+function zonedDateKey(date, timeZone) {
+    const parts = getZonedParts(date, timeZone);
+    return `${parts.year}-${String(parts.month).padStart(2, '0')}-${String(parts.day).padStart(2, '0')}`;
+}
+
+/**
+ * Instant of a wall-clock time in a zone: day key + minutes after midnight
+ * Minutes may run past 24h (e.g. 1440 = next midnight)
+ */
+function zonedTimeToUtc(dateKey, minutes, timeZone) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, 0, minutes || 0);
+
+    // Two passes settle DST transitions where the offset differs either side
+    let instant = wallClock - getTimeZoneOffset(new Date(wallClock), timeZone);
+    instant = wallClock - getTimeZoneOffset(new Date(instant), timeZone);
+    return new Date(instant);
+}
+
+/**
+ * Parse a local ISO string without offset (e.g. Open-Meteo "2025-10-15T07:03") in a zone
+ */
+function parseZonedDateTime(value, timeZone) {
+    const [dateKey, time = '00:00'] = value.split('T');
+    const [hours, minutes] = time.split(':').map(Number);
+    return zonedTimeToUtc(dateKey, hours * 60 + minutes, timeZone);
+}
+
+module.exports = {
+    DEFAULT_TIMEZONE,
+    isValidTimeZone,
+    getZonedParts,
+    getTimeZoneOffset,
+    zonedDateKey,
+    zonedTimeToUtc,
+    parseZonedDateTime
+};
@@ -0,0 +1,41 @@
+/**
+ * Per-User Data Registry
+ * Every store key prefix that holds data for a user, as `<prefix>:<userId>`
+ * Add new per-user stores here so "disconnect and delete my data" removes them
+ */
+
+const store = require('./store');
+
+const USER_KEY_PREFIXES = [
+    'user_tokens',
+    'user_profile',
+    'user_history',
+    'fitness_import',
+    'stress_rules',
+    'scoring_model',
+    'digest_state',
+    'webhooks',
+    'webhook_state',
+    'webhook_deliveries',
+    'webhook_pending'
+];
+
+function userKeys(userId) {
+    return USER_KEY_PREFIXES.map(prefix => `${prefix}:${userId}`);
+}
+
+/**
+ * Delete every key stored for a user
+ * Returns the number of keys removed
+ */
+async function deleteAllUserData(userId) {
+    const removed = await store.del(...userKeys(userId));
+    console.log(`Deleted ${removed} stored keys for:`, userId);
+    return removed;
+}
+
+module.exports = {
+    USER_KEY_PREFIXES,
+    userKeys,
+    deleteAllUserData
+};
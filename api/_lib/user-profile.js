@@ -0,0 +1,99 @@
+/**
+ * User Profile Storage
+ * Per-user preferences (time zone, digest email frequency) in Upstash Redis, or the local file store (./store)
+ */
+
+const store = require('./store');
+const { DEFAULT_TIMEZONE, isValidTimeZone } = require('./timezone');
+
+// Digest emails (./digest): daily, weekly on Mondays, or none
+const DIGEST_FREQUENCIES = ['daily', 'weekly', 'off'];
+
+function profileKey(userId) {
+    return `user_profile:${userId}`;
+}
+
+async function getUserProfile(userId) {
+    if (!userId) {
+        return null;
+    }
+
+    try {
+        return await store.get(profileKey(userId));
+    } catch (error) {
+        console.error('Error getting user profile:', error);
+        return null;
+    }
+}
+
+/**
+ * Merge updates into the stored profile and return the result
+ */
+async function setUserProfile(userId, updates) {
+    const profile = {
+        ...(await getUserProfile(userId) || {}),
+        ...updates,
+        updatedAt: new Date().toISOString()
+    };
+
+    await store.set(profileKey(userId), profile);
+    return profile;
+}
+
+/**
+ * Check a PUT body - { timezone?, digest? }, at least one
+ * Returns { value } with only the given fields or { error, message }
+ */
+function validateProfileUpdate({ timezone, digest } = {}) {
+    if (timezone === undefined && digest === undefined) {
+        return { error: 'Invalid profile', message: 'Provide timezone and/or digest' };
+    }
+    if (timezone !== undefined && !isValidTimeZone(timezone)) {
+        return { error: 'Invalid time zone', message: 'timezone must be an IANA name like Asia/Seoul' };
+    }
+    if (digest !== undefined && !DIGEST_FREQUENCIES.includes(digest)) {
+        return { error: 'Invalid digest frequency', message: `digest must be one of: ${DIGEST_FREQUENCIES.join(', ')}` };
+    }
+
+    const value = {};
+    if (timezone !== undefined) {
+        value.timezone = timezone;
+    }
+    if (digest !== undefined) {
+        value.digest = digest;
+    }
+    return { value };
+}
+
+async function deleteUserProfile(userId) {
+    return await store.del(profileKey(userId));
+}
+
+/**
+ * Time zone for a request: ?tz= param, then stored profile, then DEFAULT_TIMEZONE
+ * Returns { timeZone } or { error } for an invalid tz param
+ */
+async function resolveTimeZone(tz, userId) {
+    if (tz) {
+        return isValidTimeZone(tz)
+            ? { timeZone: tz }
+            : { error: `Unknown time zone "${tz}" - expected an IANA name like Asia/Seoul` };
+    }
+
+    const profile = await getUserProfile(userId);
+    if (profile && isValidTimeZone(profile.timezone)) {
+        return { timeZone: profile.timezone };
+    }
+
+    return { timeZone: DEFAULT_TIMEZONE };
+}
+
+module.exports = {
+    DIGEST_FREQUENCIES,
+    profileKey,
+    getUserProfile,
+    setUserProfile,
+    validateProfileUpdate,
+    deleteUserProfile,
+    resolveTimeZone
+};
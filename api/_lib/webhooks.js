@@ -0,0 +1,714 @@
+/**
+ * Outbound Webhooks
+ * Users register URLs (generic JSON or Slack incoming-webhook format) with alert conditions;
+ * when an analysis meets a condition the analysis is posted, HMAC-signed, retried with
+ * backoff and logged. Each condition fires at most once per day in the user's zone.
+ * Analyses come from the dashboard (POST /api/history queues them) and the hourly check
+ * (api/cron/webhooks.js / the proxy's timer), which also sees tomorrow's calendar and
+ * delivers what was queued - a request never waits on someone else's server
+ * Receivers must be public: every connection re-checks the resolved address
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const store = require('./store');
+const { zonedDateKey, isValidTimeZone, DEFAULT_TIMEZONE } = require('./timezone');
+const { getUserProfile } = require('./user-profile');
+const { METRIC_FIELDS } = require('./history');
+const { analyzeUser } = require('./digest');
+const { isReauthError } = require('./oauth-config');
+const { mapWithConcurrency } = require('./concurrency');
+const { MOCK_USER_ID } = require('./mock-data');
+
+const WEBHOOK_FORMATS = ['json', 'slack'];
+const CONDITION_TYPES = ['score_below', 'recommendation', 'metric_above', 'metric_below'];
+const PRIORITIES = ['CRITICAL', 'HIGH', 'MEDIUM', 'INFO'];
+
+// Metrics with a value for tomorrow - the hourly check loads tomorrow's calendar
+const TOMORROW_METRICS = ['meetingDensity', 'focusTimeHours'];
+
+const MAX_WEBHOOKS = 10;
+const MAX_CONDITIONS = 5;
+const MAX_NAME_LENGTH = 60;
+const MAX_URL_LENGTH = 2000;
+const DELIVERY_LOG_LIMIT = 100;
+
+// Attempts per delivery; waits double from WEBHOOK_RETRY_BASE_MS (1s, 2s, 4s)
+const MAX_ATTEMPTS = 4;
+const RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 1000;
+const REQUEST_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+
+// After consecutive failed deliveries a webhook rests before the next one: 5 minutes, doubling, at most a day
+const BACKOFF_BASE_MS = parseInt(process.env.WEBHOOK_BACKOFF_BASE_MS) || 5 * 60 * 1000;
+const BACKOFF_MAX_MS = 24 * 60 * 60 * 1000;
+
+// A dashboard analysis waits this long for the next check; by then the hourly check has newer data
+const PENDING_TTL_SECONDS = 6 * 60 * 60;
+
+// Users checked at once, and how long a run keeps starting new ones (as for digests)
+const CHECK_CONCURRENCY = parseInt(process.env.WEBHOOK_CHECK_CONCURRENCY) || 5;
+const CHECK_RUN_BUDGET_MS = parseInt(process.env.WEBHOOK_RUN_BUDGET_MS) || 40000;
+
+// Loopback, private, CGNAT, link-local (cloud metadata), documentation, multicast and reserved
+// ranges; IPv4-mapped IPv6 addresses are matched against the IPv4 rules
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+    ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32],
+    ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+// Receivers on this machine or the local network - local development only, never in production
+const ALLOW_PRIVATE_RECEIVERS = process.env.WEBHOOK_ALLOW_PRIVATE === 'true' && process.env.NODE_ENV !== 'production';
+
+const SIGNATURE_HEADER = 'X-Life-Navigator-Signature';
+const TIMESTAMP_HEADER = 'X-Life-Navigator-Timestamp';
+const DELIVERY_HEADER = 'X-Life-Navigator-Delivery';
+
+const APP_URL = (process.env.APP_BASE_URL || 'http://localhost:8081').replace(/\/+$/, '');
+
+function webhooksKey(userId) {
+    return `webhooks:${userId}`;
+}
+
+function webhookStateKey(userId) {
+    return `webhook_state:${userId}`;
+}
+
+function deliveriesKey(userId) {
+    return `webhook_deliveries:${userId}`;
+}
+
+function pendingKey(userId) {
+    return `webhook_pending:${userId}`;
+}
+
+function isNumber(value) {
+    return typeof value === 'number' && isFinite(value);
+}
+
+/**
+ * Whether an IP address may not receive webhooks
+ */
+function isBlockedAddress(address) {
+    if (ALLOW_PRIVATE_RECEIVERS) {
+        return false;
+    }
+    const family = net.isIP(address);
+    return family === 0 || BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Host of a webhook URL without the brackets of an IPv6 literal
+ */
+function hostOf(url) {
+    return new URL(url).hostname.replace(/^\[|\]$/g, '');
+}
+
+/**
+ * HTTPS to a public host only (HTTP too while private receivers are allowed)
+ * Catches IP literals; names are resolved by checkUrlAddress() and again on every connection
+ */
+function validateUrl(url) {
+    if (typeof url !== 'string' || url.length > MAX_URL_LENGTH) {
+        return 'url must be a string of at most 2000 characters';
+    }
+
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        return 'url must be an absolute URL';
+    }
+
+    if (parsed.protocol !== 'https:' && !(parsed.protocol === 'http:' && ALLOW_PRIVATE_RECEIVERS)) {
+        return 'url must use https';
+    }
+    if (parsed.username || parsed.password) {
+        return 'url must not contain credentials';
+    }
+    const host = hostOf(url);
+    if (net.isIP(host) && isBlockedAddress(host)) {
+        return 'url must point to a public address - private, loopback and link-local hosts are refused';
+    }
+    return null;
+}
+
+/**
+ * Resolve a validated URL's host; refused when it does not resolve or any address is not public
+ * Returns null or an error message
+ */
+async function checkUrlAddress(url) {
+    const host = hostOf(url);
+    let addresses;
+    try {
+        addresses = await dns.promises.lookup(host, { all: true });
+    } catch (error) {
+        return `url host ${host} does not resolve`;
+    }
+    return addresses.some(({ address }) => isBlockedAddress(address))
+        ? 'url must point to a public address - private, loopback and link-local hosts are refused'
+        : null;
+}
+
+/**
+ * dns.lookup for webhook connections that refuses non-public addresses - checked on every
+ * connection, so a host cannot pass registration and later resolve somewhere internal
+ */
+function publicLookup(hostname, options, callback) {
+    const settings = typeof options === 'object' ? options : { family: options };
+    dns.lookup(hostname, { ...settings, all: true }, (error, addresses) => {
+        if (error) {
+            return callback(error);
+        }
+        const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+        if (blocked) {
+            const refused = new Error(`${hostname} resolves to a non-public address (${blocked.address})`);
+            refused.code = 'EBLOCKEDADDRESS';
+            return callback(refused);
+        }
+        return settings.all
+            ? callback(null, addresses)
+            : callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+/**
+ * Check one condition; returns { value } with only the known fields or { error }
+ */
+function validateCondition(condition, label) {
+    if (!condition || typeof condition !== 'object' || !CONDITION_TYPES.includes(condition.type)) {
+        return { error: `${label}.type must be one of: ${CONDITION_TYPES.join(', ')}` };
+    }
+
+    if (condition.type === 'score_below') {
+        if (!isNumber(condition.threshold) || condition.threshold <= 0 || condition.threshold > 100) {
+            return { error: `${label}.threshold must be a number between 1 and 100` };
+        }
+        return { value: { type: condition.type, threshold: condition.threshold } };
+    }
+
+    if (condition.type === 'recommendation') {
+        const priority = condition.priority === undefined ? 'CRITICAL' : condition.priority;
+        if (!PRIORITIES.includes(priority)) {
+            return { error: `${label}.priority must be one of: ${PRIORITIES.join(', ')}` };
+        }
+        return { value: { type: condition.type, priority } };
+    }
+
+    if (!METRIC_FIELDS.includes(condition.metric)) {
+        return { error: `${label}.metric must be one of: ${METRIC_FIELDS.join(', ')}` };
+    }
+    if (!isNumber(condition.threshold)) {
+        return { error: `${label}.threshold must be a number` };
+    }
+    const day = condition.day === undefined ? 'today' : condition.day;
+    if (day !== 'today' && day !== 'tomorrow') {
+        return { error: `${label}.day must be "today" or "tomorrow"` };
+    }
+    if (day === 'tomorrow' && !TOMORROW_METRICS.includes(condition.metric)) {
+        return { error: `${label}: only ${TOMORROW_METRICS.join(' and ')} are known for tomorrow` };
+    }
+    return { value: { type: condition.type, metric: condition.metric, threshold: condition.threshold, day } };
+}
+
+/**
+ * Check a POST body { name, url, format, conditions }
+ * Returns { value } or { error }
+ */
+function validateWebhook({ name, url, format, conditions } = {}) {
+    const urlError = validateUrl(url);
+    if (urlError) {
+        return { error: urlError };
+    }
+    const kind = format === undefined ? 'json' : format;
+    if (!WEBHOOK_FORMATS.includes(kind)) {
+        return { error: `format must be one of: ${WEBHOOK_FORMATS.join(', ')}` };
+    }
+    if (name !== undefined && (typeof name !== 'string' || !name.trim() || name.length > MAX_NAME_LENGTH)) {
+        return { error: `name must be a non-empty string of at most ${MAX_NAME_LENGTH} characters` };
+    }
+    if (!Array.isArray(conditions) || conditions.length === 0 || conditions.length > MAX_CONDITIONS) {
+        return { error: `conditions must be an array of 1-${MAX_CONDITIONS} conditions` };
+    }
+
+    const checked = [];
+    for (const [index, condition] of conditions.entries()) {
+        const { value, error } = validateCondition(condition, `conditions[${index}]`);
+        if (error) {
+            return { error };
+        }
+        checked.push(value);
+    }
+
+    return {
+        value: {
+            name: name ? name.trim() : new URL(url).hostname,
+            url: url,
+            format: kind,
+            conditions: checked
+        }
+    };
+}
+
+/**
+ * Registration without its signing secret, for listings
+ */
+function publicWebhook({ secret, ...webhook }) {
+    return { ...webhook, secretHint: `${secret.slice(0, 10)}...` };
+}
+
+async function getWebhooks(userId) {
+    return (await store.get(webhooksKey(userId))) || [];
+}
+
+/**
+ * Register a validated webhook; the secret is only returned here
+ * Returns { webhook } or { error } when the user already has MAX_WEBHOOKS
+ */
+async function createWebhook(userId, value) {
+    const webhooks = await getWebhooks(userId);
+    if (webhooks.length >= MAX_WEBHOOKS) {
+        return { error: `At most ${MAX_WEBHOOKS} webhooks per user - delete one first` };
+    }
+
+    const webhook = {
+        id: `wh_${crypto.randomBytes(8).toString('hex')}`,
+        ...value,
+        secret: `whsec_${crypto.randomBytes(24).toString('base64url')}`,
+        createdAt: new Date().toISOString()
+    };
+    await store.set(webhooksKey(userId), [...webhooks, webhook]);
+    return { webhook };
+}
+
+/**
+ * Remove a webhook and when its conditions last fired; the delivery log is kept
+ * Returns true when it existed
+ */
+async function deleteWebhook(userId, webhookId) {
+    const webhooks = await getWebhooks(userId);
+    const remaining = webhooks.filter(webhook => webhook.id !== webhookId);
+    if (remaining.length === webhooks.length) {
+        return false;
+    }
+
+    // No key left behind, so the hourly check skips users without webhooks
+    if (remaining.length > 0) {
+        await store.set(webhooksKey(userId), remaining);
+    } else {
+        await store.del(webhooksKey(userId));
+    }
+    const state = (await store.get(webhookStateKey(userId))) || {};
+    delete state[webhookId];
+    await store.set(webhookStateKey(userId), state);
+    return true;
+}
+
+/**
+ * Delivery log, newest first; `webhookId` narrows it to one webhook
+ */
+async function getDeliveries(userId, { webhookId, limit = 20 } = {}) {
+    return (await store.getList(deliveriesKey(userId)))
+        .filter(delivery => !webhookId || delivery.webhookId === webhookId)
+        .reverse()
+        .slice(0, limit);
+}
+
+function formatValue(metric, value) {
+    return metric === 'focusTimeHours' || metric === 'sleepDuration'
+        ? `${value.toFixed(1)}h`
+        : metric === 'dailySteps' ? String(Math.round(value)) : value.toFixed(2);
+}
+
+/**
+ * Whether one condition holds for a context { analysis, metrics, tomorrow }
+ * Returns { value, message } when it does, null when not or when its data is missing
+ */
+function evaluateCondition(condition, { analysis, metrics, tomorrow }) {
+    if (condition.type === 'score_below') {
+        return isNumber(analysis.score) && analysis.score < condition.threshold
+            ? { value: analysis.score, message: `Score ${analysis.score} is below ${condition.threshold}` }
+            : null;
+    }
+
+    if (condition.type === 'recommendation') {
+        const matching = (analysis.recommendations || []).filter(rec => rec.priority === condition.priority);
+        return matching.length > 0
+            ? { value: matching.length, message: `${condition.priority} recommendation: ${matching.map(rec => rec.action).join('; ')}` }
+            : null;
+    }
+
+    const source = condition.day === 'tomorrow' ? tomorrow : metrics;
+    const value = source ? source[condition.metric] : undefined;
+    if (!isNumber(value)) {
+        return null;
+    }
+    const above = condition.type === 'metric_above';
+    if (above ? value <= condition.threshold : value >= condition.threshold) {
+        return null;
+    }
+    return {
+        value: value,
+        message: `${condition.metric} ${condition.day} is ${formatValue(condition.metric, value)}, ${above ? 'above' : 'below'} ${formatValue(condition.metric, condition.threshold)}`
+    };
+}
+
+/**
+ * Slack incoming-webhook body - text fallback plus blocks
+ */
+function buildSlackPayload(analysis, triggered) {
+    const headline = `Life Navigator alert: ${analysis.score}/100 (${analysis.status})`;
+    const lines = triggered.map(item => `• ${item.message}`);
+    return {
+        text: `${headline}\n${lines.join('\n')}`,
+        blocks: [
+            { type: 'section', text: { type: 'mrkdwn', text: `*${headline}*\n${lines.join('\n')}` } },
+            { type: 'context', elements: [{ type: 'mrkdwn', text: `<${APP_URL}|Open your dashboard>` }] }
+        ]
+    };
+}
+
+/**
+ * Request body for one delivery
+ * JSON webhooks get the analyzeProductivityHealth() object unchanged as `analysis`
+ */
+function buildPayload(webhook, { deliveryId, userId, analysis, triggered, test }) {
+    if (webhook.format === 'slack') {
+        return buildSlackPayload(analysis, triggered);
+    }
+    return {
+        id: deliveryId,
+        event: test ? 'webhook.test' : 'alert.triggered',
+        webhookId: webhook.id,
+        userId: userId,
+        createdAt: new Date().toISOString(),
+        conditions: triggered,
+        analysis: analysis
+    };
+}
+
+/**
+ * HMAC-SHA256 of `<timestamp>.<body>` with the webhook secret, hex encoded
+ * Receivers recompute it to check the body came from Life Navigator and reject old timestamps
+ */
+function signPayload(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Network errors, timeouts, 408, 429 and 5xx are worth another attempt; other 4xx are not
+ */
+function isRetryable(status) {
+    return status === null || status === 408 || status === 429 || status >= 500;
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * One POST through publicLookup; redirects are not followed and only the status is read
+ * `blocked` marks a refused address, which is never retried
+ */
+function postOnce(url, body, headers) {
+    const started = Date.now();
+    const target = new URL(url);
+    const finish = result => ({ ...result, durationMs: Date.now() - started });
+
+    // IP literals never reach the lookup
+    const host = hostOf(url);
+    if (net.isIP(host) && isBlockedAddress(host)) {
+        return Promise.resolve(finish({ status: null, ok: false, blocked: true, error: `${host} is not a public address` }));
+    }
+
+    return new Promise(resolve => {
+        const request = (target.protocol === 'https:' ? https : http).request(target, {
+            method: 'POST',
+            headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+            lookup: publicLookup
+        }, response => {
+            clearTimeout(timer);
+            response.destroy();
+            const status = response.statusCode;
+            resolve(finish({ status: status, ok: status >= 200 && status < 300 }));
+        });
+        const timer = setTimeout(() => request.destroy(new Error(`Timed out after ${REQUEST_TIMEOUT_MS}ms`)), REQUEST_TIMEOUT_MS);
+
+        request.on('error', error => {
+            clearTimeout(timer);
+            resolve(finish({ status: null, ok: false, blocked: error.code === 'EBLOCKEDADDRESS', error: error.message }));
+        });
+        request.end(body);
+    });
+}
+
+/**
+ * Whether one more attempt, after `delayMs`, still finishes before `deadline` (ms timestamp)
+ */
+function hasTimeFor(deadline, delayMs = 0) {
+    return Date.now() + delayMs + REQUEST_TIMEOUT_MS <= deadline;
+}
+
+/**
+ * POST one signed payload with up to `maxAttempts` tries; every attempt is re-signed with a fresh timestamp
+ * No retry starts that could not finish before `deadline` - the backoff in checkWebhooks takes over
+ * Returns the delivery log entry (not yet stored)
+ */
+async function deliverWebhook(webhook, { userId, analysis, triggered, test }, { sleep = wait, maxAttempts = MAX_ATTEMPTS, deadline = Infinity } = {}) {
+    const deliveryId = `dlv_${crypto.randomBytes(8).toString('hex')}`;
+    const body = JSON.stringify(buildPayload(webhook, { deliveryId, userId, analysis, triggered, test }));
+    const attempts = [];
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        const timestamp = Math.floor(Date.now() / 1000);
+        const result = await postOnce(webhook.url, body, {
+            'Content-Type': 'application/json',
+            'User-Agent': 'LifeNavigator-Webhooks/1.0',
+            [TIMESTAMP_HEADER]: String(timestamp),
+            [SIGNATURE_HEADER]: `sha256=${signPayload(webhook.secret, timestamp, body)}`,
+            [DELIVERY_HEADER]: deliveryId
+        });
+        attempts.push({ at: new Date().toISOString(), ...result });
+
+        const delay = RETRY_BASE_MS * 2 ** (attempt - 1);
+        if (result.ok || result.blocked || !isRetryable(result.status) || attempt === maxAttempts || !hasTimeFor(deadline, delay)) {
+            break;
+        }
+        await sleep(delay);
+    }
+
+    const last = attempts[attempts.length - 1];
+    return {
+        id: deliveryId,
+        webhookId: webhook.id,
+        url: webhook.url,
+        format: webhook.format,
+        status: last.ok ? 'delivered' : 'failed',
+        responseStatus: last.status,
+        error: last.ok ? null : (last.error || `HTTP ${last.status}`),
+        attempts: attempts,
+        conditions: triggered,
+        score: analysis.score,
+        test: Boolean(test),
+        createdAt: attempts[0].at
+    };
+}
+
+/**
+ * Conditions of one webhook that newly hold today, or [] while the webhook is backing off
+ * `entry` is its state: { fired: { [condition index]: day key }, failures, retryAt }
+ */
+function dueConditions(webhook, entry, context, today, now) {
+    if (entry.retryAt && new Date(entry.retryAt) > now) {
+        return [];
+    }
+    return webhook.conditions
+        .map((condition, index) => ({ index, condition, result: entry.fired[index] === today ? null : evaluateCondition(condition, context) }))
+        .filter(item => item.result)
+        .map(({ index, condition, result }) => ({ index, ...condition, ...result }));
+}
+
+function stateEntry(state, webhookId) {
+    return state[webhookId] || { fired: {}, failures: 0, retryAt: null };
+}
+
+/**
+ * Evaluate every webhook of a user against one analysis and deliver the ones whose
+ * conditions newly hold today. Conditions about tomorrow are skipped without `tomorrow`
+ * A failed delivery leaves its conditions unfired and backs the webhook off; state is saved after
+ * every delivery, so a run cut short never sends the same alert twice
+ * Webhooks there is no time left for before `options.deadline` are `deferred`, their state untouched
+ * Returns [{ webhookId, status, triggered, retryAt }] for the webhooks that were due
+ */
+async function checkWebhooks(userId, { analysis, metrics, tomorrow, timeZone, now = new Date() }, options) {
+    const webhooks = await getWebhooks(userId);
+    if (webhooks.length === 0 || !analysis || !isNumber(analysis.score)) {
+        return [];
+    }
+
+    const today = zonedDateKey(now, timeZone);
+    const state = (await store.get(webhookStateKey(userId))) || {};
+    const context = { analysis, metrics: metrics || {}, tomorrow: tomorrow || null };
+    const deadline = (options && options.deadline) || Infinity;
+    const sent = [];
+
+    for (const webhook of webhooks) {
+        const entry = stateEntry(state, webhook.id);
+        const triggered = dueConditions(webhook, entry, context, today, now);
+        if (triggered.length === 0) {
+            continue;
+        }
+        if (!hasTimeFor(deadline)) {
+            sent.push({ webhookId: webhook.id, status: 'deferred', triggered: triggered.length, retryAt: null });
+            continue;
+        }
+
+        const delivery = await deliverWebhook(webhook, { userId, analysis, triggered }, options);
+        await store.appendToList(deliveriesKey(userId), delivery, DELIVERY_LOG_LIMIT);
+
+        // A delivered condition waits until tomorrow; a failed one is tried again once the backoff has passed
+        if (delivery.status === 'delivered') {
+            triggered.forEach(item => { entry.fired[item.index] = today; });
+            entry.failures = 0;
+            entry.retryAt = null;
+        } else {
+            entry.failures++;
+            entry.retryAt = new Date(now.getTime() + Math.min(BACKOFF_BASE_MS * 2 ** (entry.failures - 1), BACKOFF_MAX_MS)).toISOString();
+        }
+        state[webhook.id] = entry;
+        await store.set(webhookStateKey(userId), state);
+        console.log(`Webhook ${delivery.status}:`, userId, webhook.id, triggered.map(item => item.type).join(', '));
+        sent.push({ webhookId: webhook.id, status: delivery.status, triggered: triggered.length, retryAt: entry.retryAt });
+    }
+
+    return sent;
+}
+
+/**
+ * Keep the dashboard's analysis for the next check instead of delivering inside its request
+ * Only queued when some condition would fire; a newer analysis replaces a queued one
+ * Returns { queued, webhookIds }
+ */
+async function queueWebhookCheck(userId, { analysis, metrics, timeZone, now = new Date() }) {
+    const webhooks = await getWebhooks(userId);
+    if (webhooks.length === 0 || !analysis || !isNumber(analysis.score)) {
+        return { queued: false, webhookIds: [] };
+    }
+
+    const today = zonedDateKey(now, timeZone);
+    const state = (await store.get(webhookStateKey(userId))) || {};
+    const context = { analysis, metrics: metrics || {}, tomorrow: null };
+    const webhookIds = webhooks
+        .filter(webhook => dueConditions(webhook, stateEntry(state, webhook.id), context, today, now).length > 0)
+        .map(webhook => webhook.id);
+    if (webhookIds.length === 0) {
+        return { queued: false, webhookIds };
+    }
+
+    await store.set(pendingKey(userId), { analysis, metrics: metrics || {}, timeZone, queuedAt: now.toISOString() }, PENDING_TTL_SECONDS);
+    return { queued: true, webhookIds };
+}
+
+/**
+ * Deliver a queued dashboard analysis, if any; the queue entry is taken first so a slow
+ * delivery is never sent twice, and put back when some webhooks were deferred
+ */
+async function deliverQueuedWebhooks(userId, { now = new Date(), options } = {}) {
+    const pending = await store.get(pendingKey(userId));
+    if (!pending) {
+        return [];
+    }
+    await store.del(pendingKey(userId));
+
+    const sent = await checkWebhooks(userId, { analysis: pending.analysis, metrics: pending.metrics, timeZone: pending.timeZone, now }, options);
+    if (sent.some(item => item.status === 'deferred')) {
+        await store.set(pendingKey(userId), pending, PENDING_TTL_SECONDS);
+    }
+    return sent;
+}
+
+/**
+ * Send a test delivery with the given analysis regardless of conditions
+ * A single attempt, so the request that asked for it is not held up by retries
+ * Returns the stored log entry, or null for an unknown webhook
+ */
+async function testWebhook(userId, webhookId, analysis, options) {
+    const webhook = (await getWebhooks(userId)).find(item => item.id === webhookId);
+    if (!webhook) {
+        return null;
+    }
+
+    const triggered = [{ type: 'test', message: 'Test delivery from Life Navigator' }];
+    const delivery = await deliverWebhook(webhook, { userId, analysis, triggered, test: true }, { maxAttempts: 1, ...options });
+    await store.appendToList(deliveriesKey(userId), delivery, DELIVERY_LOG_LIMIT);
+    return delivery;
+}
+
+/**
+ * Hourly check for a list of users: deliver what the dashboard queued, then analyze each
+ * user's data as the digest does, plus tomorrow's calendar, and deliver webhooks whose
+ * conditions hold. `concurrency` users at a time; once `budgetMs` has passed the rest are
+ * `deferred` to the next run, and so are deliveries and retries that could not finish by then
+ * Returns { checked, delivered, failed, deferred, results }
+ */
+async function runWebhookChecks({ userIds, loadUserData, now = new Date(), options, concurrency = CHECK_CONCURRENCY, budgetMs = CHECK_RUN_BUDGET_MS }) {
+    const deadline = Date.now() + budgetMs;
+    const deliveryOptions = { ...options, deadline };
+
+    const results = await mapWithConcurrency(userIds, concurrency, async userId => {
+        if (Date.now() >= deadline) {
+            return { userId, status: 'deferred', reason: 'Run time budget used up - the next run picks this user up' };
+        }
+        try {
+            const queued = await deliverQueuedWebhooks(userId, { now, options: deliveryOptions });
+
+            const profile = (await getUserProfile(userId)) || {};
+            const timeZone = isValidTimeZone(profile.timezone) ? profile.timezone : DEFAULT_TIMEZONE;
+            const today = zonedDateKey(now, timeZone);
+            const { data, analysis, metrics } = await analyzeUser(userId, { loadUserData, timeZone, today, tomorrow: true });
+            const next = data.tomorrow && data.tomorrow.data
+                ? { meetingDensity: data.tomorrow.data.meetingDensity, focusTimeHours: data.tomorrow.data.focusTimeHours }
+                : null;
+
+            const sent = await checkWebhooks(userId, { analysis, metrics, tomorrow: next, timeZone, now }, deliveryOptions);
+            return { userId, status: 'checked', score: analysis.score, sent: [...queued, ...sent] };
+        } catch (error) {
+            const reason = isReauthError(error)
+                ? 'Google authorization expired or was revoked'
+                : error.message;
+            console.error('Webhook check failed for:', userId, reason);
+            return { userId, status: 'failed', reason };
+        }
+    });
+
+    const deliveries = results.flatMap(result => result.sent || []);
+    return {
+        checked: results.filter(result => result.status === 'checked').length,
+        delivered: deliveries.filter(item => item.status === 'delivered').length,
+        failed: deliveries.filter(item => item.status === 'failed').length + results.filter(result => result.status === 'failed').length,
+        deferred: results.filter(result => result.status === 'deferred').length,
+        results
+    };
+}
+
+/**
+ * Every user with at least one registered webhook - never the shared demo user
+ */
+async function listWebhookUsers() {
+    const prefix = 'webhooks:';
+    return (await store.listKeys(prefix))
+        .map(key => key.slice(prefix.length))
+        .filter(userId => userId !== MOCK_USER_ID);
+}
+
+module.exports = {
+    WEBHOOK_FORMATS,
+    CONDITION_TYPES,
+    TOMORROW_METRICS,
+    MAX_WEBHOOKS,
+    SIGNATURE_HEADER,
+    TIMESTAMP_HEADER,
+    validateWebhook,
+    checkUrlAddress,
+    publicWebhook,
+    getWebhooks,
+    createWebhook,
+    deleteWebhook,
+    getDeliveries,
+    evaluateCondition,
+    buildPayload,
+    signPayload,
+    deliverWebhook,
+    checkWebhooks,
+    queueWebhookCheck,
+    deliverQueuedWebhooks,
+    testWebhook,
+    runWebhookChecks,
+    listWebhookUsers
+};
@@ -1,10 +1,19 @@
 /**
  * OAuth Callback Endpoint
  * Vercel Serverless Function
+ * Checks the signed state against this browser's pending sign-in before exchanging the code (PKCE)
  */
 
 const { google } = require('googleapis');
-const { oauth2Client, setUserTokens } = require('../_lib/oauth-config');
+const { createOAuthClient, setUserTokens } = require('../_lib/oauth-config');
+const { setSessionCookie, appendSetCookie, cookieAttributes, parseCookies } = require('../_lib/session');
+const {
+    OAUTH_COOKIE,
+    getRedirectBase,
+    withAuthResult,
+    verifyAuthCallback,
+    decodePendingAuth
+} = require('../_lib/oauth-flow');
 
 module.exports = async (req, res) => {
     // CORS headers
@@ -16,24 +25,44 @@ module.exports = async (req, res) => {
         return res.status(200).end();
     }
 
-    const { code } = req.query;
-    const redirectBase = 'https://life-navigator-ten.vercel.app';
+    const { code, state } = req.query;
+    let redirectBase;
+    try {
+        redirectBase = getRedirectBase(req);
+    } catch (error) {
+        console.error('OAuth callback error:', error);
+        return res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+
+    // The pending sign-in is single use
+    const pending = decodePendingAuth(parseCookies(req)[OAUTH_COOKIE]);
+    appendSetCookie(res, `${OAUTH_COOKIE}=; ${cookieAttributes(0)}`);
+
+    const flow = verifyAuthCallback(state, pending);
+    if (flow.error) {
+        console.error('OAuth state check failed:', flow.error);
+        return res.status(302).redirect(withAuthResult(redirectBase, '/', 'error'));
+    }
 
     if (!code) {
-        return res.status(302).redirect(`${redirectBase}/?auth=error`);
+        return res.status(302).redirect(withAuthResult(redirectBase, flow.returnTo, 'error'));
     }
 
     try {
         console.log('Starting OAuth token exchange...');
 
-        // Exchange code for tokens
-        const { tokens } = await oauth2Client.getToken(code);
-        oauth2Client.setCredentials(tokens);
+        // Exchange code for tokens on a client used only by this request
+        const authClient = createOAuthClient();
+        const { tokens } = await authClient.getToken({ code: code, codeVerifier: flow.codeVerifier });
+        authClient.setCredentials(tokens);
 
         console.log('Token exchange successful');
 
         // Get user info
-        const oauth2 = google.oauth2({ version: 'v2', auth: oauth2Client });
+        const oauth2 = google.oauth2({ version: 'v2', auth: authClient });
         const userInfo = await oauth2.userinfo.get();
         const userId = userInfo.data.email;
 
@@ -43,14 +72,15 @@ module.exports = async (req, res) => {
         await setUserTokens(userId, tokens);
         console.log('Tokens stored in Redis for user:', userId);
 
-        // Set cookie with userId
-        res.setHeader('Set-Cookie', `userId=${userId}; Path=/; HttpOnly; SameSite=Lax; Max-Age=86400`);
+        // Signed, expiring session cookie (and drop the old unsigned userId cookie)
+        setSessionCookie(res, userId);
+        appendSetCookie(res, 'userId=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0');
 
         // Redirect to frontend with success
         console.log('Redirecting to success page...');
-        return res.status(302).redirect(`${redirectBase}/?auth=success`);
+        return res.status(302).redirect(withAuthResult(redirectBase, flow.returnTo, 'success'));
     } catch (error) {
         console.error('OAuth callback error:', error);
-        return res.status(302).redirect(`${redirectBase}/?auth=error`);
+        return res.status(302).redirect(withAuthResult(redirectBase, flow.returnTo, 'error'));
     }
 };
@@ -1,9 +1,11 @@
 /**
  * OAuth Google Login Endpoint
  * Vercel Serverless Function
+ * ?returnTo=/path brings the user back there after sign-in
  */
 
-const { oauth2Client } = require('../_lib/oauth-config');
+const { OAUTH_COOKIE, OAUTH_FLOW_TTL_SECONDS, createAuthRequest, encodePendingAuth } = require('../_lib/oauth-flow');
+const { appendSetCookie, cookieAttributes } = require('../_lib/session');
 
 module.exports = async (req, res) => {
     // CORS headers
@@ -24,16 +26,9 @@ module.exports = async (req, res) => {
             redirectUri: process.env.GOOGLE_REDIRECT_URI
         });
 
-        const authUrl = oauth2Client.generateAuthUrl({
-            access_type: 'offline',
-            scope: [
-                'https://www.googleapis.com/auth/gmail.readonly',
-                'https://www.googleapis.com/auth/calendar.readonly',
-                'https://www.googleapis.com/auth/userinfo.email',
-                'https://www.googleapis.com/auth/userinfo.profile'
-            ],
-            prompt: 'consent'
-        });
+        // Signed state + PKCE; the nonce and verifier wait in a short-lived HttpOnly cookie
+        const { authUrl, pending } = await createAuthRequest(req.query.returnTo);
+        appendSetCookie(res, `${OAUTH_COOKIE}=${encodePendingAuth(pending)}; ${cookieAttributes(OAUTH_FLOW_TTL_SECONDS)}`);
 
         console.log('Generated auth URL:', authUrl);
 
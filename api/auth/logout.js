@@ -0,0 +1,59 @@
+/**
+ * Logout Endpoint
+ * Vercel Serverless Function
+ * Revokes the Google grant, deletes stored tokens and clears the session cookie
+ * { "deleteData": true } also deletes everything stored for the user (disconnect and delete my data)
+ * POST only - a GET could be triggered by any other site through a link
+ */
+
+const { getUserTokens, deleteUserTokens, revokeUserGrant } = require('../_lib/oauth-config');
+const { getSessionUser, clearSessionCookie } = require('../_lib/session');
+const { deleteAllUserData } = require('../_lib/user-data');
+
+module.exports = async (req, res) => {
+    // CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Content-Type', 'application/json');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    // The cookie goes whatever happens below
+    clearSessionCookie(res);
+
+    try {
+        const userId = getSessionUser(req);
+        const deleteData = (req.body || {}).deleteData === true;
+
+        if (!userId) {
+            return res.status(200).json({ success: true, revoked: false, dataDeleted: false });
+        }
+
+        const tokens = await getUserTokens(userId);
+        const revoked = await revokeUserGrant(tokens);
+        await deleteUserTokens(userId);
+
+        let dataDeleted = false;
+        if (deleteData) {
+            await deleteAllUserData(userId);
+            dataDeleted = true;
+        }
+
+        console.log('Logged out:', { userId, revoked, dataDeleted });
+
+        res.status(200).json({ success: true, revoked: revoked, dataDeleted: dataDeleted });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({
+            error: 'Logout failed',
+            message: error.message
+        });
+    }
+};
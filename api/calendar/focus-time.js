@@ -0,0 +1,148 @@
+/**
+ * Focus Time Endpoint
+ * Vercel Serverless Function
+ * GET previews the first free slot (?date= defaults to tomorrow, ?minutes=120),
+ * POST { date, minutes, start } books it as a "Focus time" event, DELETE ?eventId= undoes it
+ */
+
+const { google } = require('googleapis');
+const { getAuthorizedClient, isReauthError } = require('../_lib/oauth-config');
+const { requireSessionUser } = require('../_lib/session');
+const { resolveWorkingHours, todayIn } = require('../_lib/calendar-provider');
+const {
+    resolveFocusRequest,
+    focusPlanError,
+    describeSlot,
+    buildFocusEvent,
+    findFocusTime,
+    createFocusEvent,
+    deleteFocusEvent,
+    isMissingWriteScope
+} = require('../_lib/focus-time');
+const { resolveTimeZone } = require('../_lib/user-profile');
+const { isMockMode, getMockFocusTime } = require('../_lib/mock-data');
+
+module.exports = async (req, res) => {
+    // CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Content-Type', 'application/json');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+    if (!['GET', 'POST', 'DELETE'].includes(req.method)) {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    try {
+        // Booking takes the previewed slot from the body; previews use the query
+        const params = req.method === 'POST' ? (req.body || {}) : req.query;
+
+        // Offline demo mode - slots come from data/mock-calendar.json and nothing is written
+        if (isMockMode(req)) {
+            if (req.method === 'DELETE') {
+                return res.status(200).json({ eventId: req.query.eventId, deleted: true, mock: true });
+            }
+
+            const mock = getMockFocusTime(req.query.userId, req.query, params);
+            if (mock.error) {
+                return res.status(400).json({ error: 'Invalid request', message: mock.error });
+            }
+            const planError = focusPlanError(mock, mock.request);
+            if (planError) {
+                return res.status(planError.status).json({ error: planError.error, message: planError.message });
+            }
+
+            const slot = describeSlot(mock.slot, mock.timeZone);
+            if (req.method === 'GET') {
+                return res.status(200).json({ slot, event: buildFocusEvent(mock.slot, mock.timeZone), mock: true });
+            }
+            return res.status(201).json({
+                slot,
+                event: { id: `mock-focus-${mock.slot.start.getTime()}`, summary: 'Focus time', htmlLink: null, start: slot.start, end: slot.end },
+                mock: true
+            });
+        }
+
+        // Signed-in user from the session cookie - ?userId= is not trusted
+        const userId = requireSessionUser(req, res);
+        if (!userId) {
+            return;
+        }
+
+        // Client for this user only - tokens from Redis, renewed if the access token expired
+        const authClient = await getAuthorizedClient(userId);
+        const calendar = google.calendar({ version: 'v3', auth: authClient });
+
+        if (req.method === 'DELETE') {
+            if (!req.query.eventId) {
+                return res.status(400).json({ error: 'Invalid request', message: 'eventId is required' });
+            }
+            const result = await deleteFocusEvent(calendar, req.query.eventId);
+            if (result.error) {
+                return res.status(result.status).json({ error: 'Cannot remove event', message: result.error });
+            }
+            return res.status(200).json({ eventId: req.query.eventId, ...result });
+        }
+
+        // Slots are searched in the user's zone (?tz= or stored profile)
+        const { timeZone, error: timeZoneError } = await resolveTimeZone(req.query.tz, userId);
+        if (timeZoneError) {
+            return res.status(400).json({
+                error: 'Invalid time zone',
+                message: timeZoneError
+            });
+        }
+
+        // workStart/workEnd=HH:MM (defaults to WORK_DAY_START/WORK_DAY_END or 09:00-17:00)
+        const workingHours = resolveWorkingHours(req.query);
+        if (workingHours.error) {
+            return res.status(400).json({
+                error: 'Invalid working hours',
+                message: workingHours.error
+            });
+        }
+
+        const request = resolveFocusRequest(params, todayIn(timeZone));
+        if (request.error) {
+            return res.status(400).json({ error: 'Invalid request', message: request.error });
+        }
+
+        const plan = await findFocusTime(calendar, request, { workingHours, timeZone });
+        const planError = focusPlanError(plan, request);
+        if (planError) {
+            return res.status(planError.status).json({ error: planError.error, message: planError.message });
+        }
+
+        if (req.method === 'GET') {
+            return res.status(200).json({ slot: describeSlot(plan.slot, timeZone), event: buildFocusEvent(plan.slot, timeZone) });
+        }
+
+        const event = await createFocusEvent(calendar, plan.slot, timeZone);
+        console.log('Focus time booked for:', userId, event.start);
+        res.status(201).json({ slot: describeSlot(plan.slot, timeZone), event: event });
+
+    } catch (error) {
+        if (isMissingWriteScope(error)) {
+            return res.status(403).json({
+                error: 'Calendar write access not granted',
+                message: 'Sign in again and allow Life Navigator to add events to your calendar',
+                reauth: true
+            });
+        }
+        if (isReauthError(error)) {
+            return res.status(401).json({
+                error: 'Not authenticated',
+                message: 'Google authorization expired or was revoked - please sign in again',
+                reauth: true
+            });
+        }
+        console.error('Focus time error:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+};
@@ -0,0 +1,99 @@
+/**
+ * Meeting Response Endpoint
+ * Vercel Serverless Function
+ * POST { action: 'decline' | 'propose', eventIds, note } answers the meetings
+ * schedule-health lists under data.declinable, optionally with a note to the organizer
+ */
+
+const { google } = require('googleapis');
+const { getAuthorizedClient, isReauthError } = require('../_lib/oauth-config');
+const { requireSessionUser } = require('../_lib/session');
+const { resolveWorkingHours } = require('../_lib/calendar-provider');
+const { isMissingWriteScope } = require('../_lib/focus-time');
+const { resolveMeetingAction, respondToMeetings, summarizeResponses } = require('../_lib/meeting-response');
+const { resolveTimeZone } = require('../_lib/user-profile');
+const { isMockMode, getMockMeetingResponses } = require('../_lib/mock-data');
+
+module.exports = async (req, res) => {
+    // CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Content-Type', 'application/json');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    try {
+        const { value: request, error } = resolveMeetingAction(req.body || {});
+        if (error) {
+            return res.status(400).json({ error: 'Invalid request', message: error });
+        }
+
+        // Offline demo mode - answers are worked out from data/mock-calendar.json and nothing is written
+        if (isMockMode(req)) {
+            const mock = getMockMeetingResponses(req.query.userId, req.query, request);
+            if (mock.error) {
+                return res.status(400).json({ error: 'Invalid request', message: mock.error });
+            }
+            return res.status(200).json({ ...summarizeResponses(request.action, mock.results), mock: true });
+        }
+
+        // Signed-in user from the session cookie - ?userId= is not trusted
+        const userId = requireSessionUser(req, res);
+        if (!userId) {
+            return;
+        }
+
+        // Proposed times are searched in the user's zone (?tz= or stored profile)
+        const { timeZone, error: timeZoneError } = await resolveTimeZone(req.query.tz, userId);
+        if (timeZoneError) {
+            return res.status(400).json({
+                error: 'Invalid time zone',
+                message: timeZoneError
+            });
+        }
+
+        // workStart/workEnd=HH:MM (defaults to WORK_DAY_START/WORK_DAY_END or 09:00-17:00)
+        const workingHours = resolveWorkingHours(req.query);
+        if (workingHours.error) {
+            return res.status(400).json({
+                error: 'Invalid working hours',
+                message: workingHours.error
+            });
+        }
+
+        // Client for this user only - tokens from Redis, renewed if the access token expired
+        const authClient = await getAuthorizedClient(userId);
+        const calendar = google.calendar({ version: 'v3', auth: authClient });
+
+        const results = await respondToMeetings(calendar, request, { workingHours, timeZone });
+        console.log(`Meeting ${request.action} for:`, userId, results.filter(result => !result.error).length, 'updated');
+        res.status(200).json(summarizeResponses(request.action, results));
+
+    } catch (error) {
+        if (isMissingWriteScope(error)) {
+            return res.status(403).json({
+                error: 'Calendar write access not granted',
+                message: 'Sign in again and allow Life Navigator to update your calendar',
+                reauth: true
+            });
+        }
+        if (isReauthError(error)) {
+            return res.status(401).json({
+                error: 'Not authenticated',
+                message: 'Google authorization expired or was revoked - please sign in again',
+                reauth: true
+            });
+        }
+        console.error('Meeting response error:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+};
@@ -0,0 +1,85 @@
+/**
+ * Recurring Meeting Audit Endpoint
+ * Vercel Serverless Function
+ * Recurring series over the next ?weeks=4 (max 12) weeks, flagged to shorten, thin out or drop
+ */
+
+const { google } = require('googleapis');
+const { getAuthorizedClient, isReauthError } = require('../_lib/oauth-config');
+const { requireSessionUser } = require('../_lib/session');
+const { todayIn } = require('../_lib/calendar-provider');
+const { resolveAuditWeeks, auditDays, getRecurringAudit } = require('../_lib/recurring-audit');
+const { resolveTimeZone } = require('../_lib/user-profile');
+const { isMockMode, getMockRecurringAudit } = require('../_lib/mock-data');
+
+module.exports = async (req, res) => {
+    // CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Content-Type', 'application/json');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    try {
+        // Offline demo mode - recurringSeries in data/mock-calendar.json
+        if (isMockMode(req)) {
+            const mockResult = getMockRecurringAudit(req.query.userId, req.query);
+            if (mockResult.error) {
+                return res.status(400).json({ error: 'Invalid request', message: mockResult.error });
+            }
+            return res.status(200).json(mockResult);
+        }
+
+        // Signed-in user from the session cookie - ?userId= is not trusted
+        const userId = requireSessionUser(req, res);
+        if (!userId) {
+            return;
+        }
+
+        // The window starts today in the user's zone (?tz= or stored profile)
+        const { timeZone, error: timeZoneError } = await resolveTimeZone(req.query.tz, userId);
+        if (timeZoneError) {
+            return res.status(400).json({
+                error: 'Invalid time zone',
+                message: timeZoneError
+            });
+        }
+
+        const { weeks, error: weeksError } = resolveAuditWeeks(req.query.weeks);
+        if (weeksError) {
+            return res.status(400).json({
+                error: 'Invalid range',
+                message: weeksError
+            });
+        }
+
+        // Client for this user only - tokens from Redis, renewed if the access token expired
+        const authClient = await getAuthorizedClient(userId);
+        const calendar = google.calendar({ version: 'v3', auth: authClient });
+
+        const result = await getRecurringAudit(calendar, userId, {
+            days: auditDays(todayIn(timeZone), weeks),
+            weeks,
+            timeZone
+        });
+
+        res.status(200).json(result);
+
+    } catch (error) {
+        if (isReauthError(error)) {
+            return res.status(401).json({
+                error: 'Not authenticated',
+                message: 'Google authorization expired or was revoked - please sign in again',
+                reauth: true
+            });
+        }
+        console.error('Recurring audit error:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+};
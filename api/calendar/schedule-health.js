@@ -4,7 +4,11 @@
  */
 
 const { google } = require('googleapis');
-const { oauth2Client, getUserTokens } = require('../_lib/oauth-config');
+const { getAuthorizedClient, isReauthError } = require('../_lib/oauth-config');
+const { requireSessionUser } = require('../_lib/session');
+const { getScheduleHealth, resolveDateRange, resolveWorkingHours, todayIn } = require('../_lib/calendar-provider');
+const { resolveTimeZone } = require('../_lib/user-profile');
+const { isMockMode, getMockScheduleHealth } = require('../_lib/mock-data');
 
 module.exports = async (req, res) => {
     // CORS headers
@@ -18,113 +22,64 @@ module.exports = async (req, res) => {
     }
 
     try {
-        const { userId, date } = req.query;
+        // Offline demo mode - serve data/mock-calendar.json
+        if (isMockMode(req)) {
+            const mockResult = getMockScheduleHealth(req.query.userId, req.query);
+            if (mockResult.error) {
+                return res.status(400).json({ error: 'Invalid request', message: mockResult.error });
+            }
+            return res.status(200).json(mockResult);
+        }
 
+        // Signed-in user from the session cookie - ?userId= is not trusted
+        const userId = requireSessionUser(req, res);
         if (!userId) {
+            return;
+        }
+
+        // Day windows are computed in the user's zone (?tz= or stored profile)
+        const { timeZone, error: timeZoneError } = await resolveTimeZone(req.query.tz, userId);
+        if (timeZoneError) {
             return res.status(400).json({
-                error: 'Missing user ID'
+                error: 'Invalid time zone',
+                message: timeZoneError
             });
         }
 
-        // Get user's tokens from Redis
-        const tokens = await getUserTokens(userId);
-        if (!tokens) {
-            return res.status(401).json({
-                error: 'Not authenticated',
-                message: 'User must authenticate with Google OAuth first'
+        // date=YYYY-MM-DD, from/to or range=week
+        const range = resolveDateRange(req.query, todayIn(timeZone));
+        if (range.error) {
+            return res.status(400).json({
+                error: 'Invalid date range',
+                message: range.error
             });
         }
 
-        // Set credentials for this user
-        oauth2Client.setCredentials(tokens);
-        const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
-
-        // Get today's events
-        const startOfDay = new Date();
-        startOfDay.setHours(0, 0, 0, 0);
-        const endOfDay = new Date();
-        endOfDay.setHours(23, 59, 59, 999);
-
-        const eventsResponse = await calendar.events.list({
-            calendarId: 'primary',
-            timeMin: startOfDay.toISOString(),
-            timeMax: endOfDay.toISOString(),
-            singleEvents: true,
-            orderBy: 'startTime'
-        });
-
-        const events = eventsResponse.data.items || [];
-        const totalEvents = events.length;
-
-        // Analyze events
-        let meetingCount = 0;
-        let meetingMinutes = 0;
-        let declinableCount = 0;
-
-        const currentDate = new Date();
-        const dayOfWeek = currentDate.getDay();
-        const dayName = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'][dayOfWeek];
-
-        for (const event of events) {
-            // Count as meeting if it has attendees
-            if (event.attendees && event.attendees.length > 0) {
-                meetingCount++;
-
-                // Calculate duration
-                const start = new Date(event.start.dateTime || event.start.date);
-                const end = new Date(event.end.dateTime || event.end.date);
-                const duration = (end - start) / (1000 * 60); // minutes
-                meetingMinutes += duration;
-
-                // Check if declinable (optional or tentative)
-                const userResponse = event.attendees.find(a => a.self);
-                if (userResponse && (userResponse.optional || userResponse.responseStatus === 'tentative')) {
-                    declinableCount++;
-                }
-            }
+        // workStart/workEnd=HH:MM (defaults to WORK_DAY_START/WORK_DAY_END or 09:00-17:00)
+        const workingHours = resolveWorkingHours(req.query);
+        if (workingHours.error) {
+            return res.status(400).json({
+                error: 'Invalid working hours',
+                message: workingHours.error
+            });
         }
 
-        // Calculate meeting density (8 work hours = 480 minutes)
-        const workDayMinutes = 480;
-        const meetingDensity = Math.min(1.0, meetingMinutes / workDayMinutes);
-        const focusTimeHours = Math.max(0, (workDayMinutes - meetingMinutes) / 60);
+        // Client for this user only - tokens from Redis, renewed if the access token expired
+        const authClient = await getAuthorizedClient(userId);
+        const calendar = google.calendar({ version: 'v3', auth: authClient });
 
-        const result = {
-            type: 'schedule_health',
-            source: 'Google Calendar API (Real User Data)',
-            quality: 'authenticated',
-            user: {
-                userId: userId
-            },
-            data: {
-                meetingDensity: parseFloat(meetingDensity.toFixed(2)),
-                totalEvents: totalEvents,
-                meetingCount: meetingCount,
-                focusTimeHours: parseFloat(focusTimeHours.toFixed(1)),
-                declinableCount: declinableCount
-            },
-            metadata: {
-                timestamp: new Date().toISOString(),
-                dayOfWeek: dayName,
-                dateRange: date || 'today',
-                meetingMinutes: meetingMinutes
-            },
-            interpretation: {
-                densityPercentage: `${(meetingDensity * 100).toFixed(0)}%`,
-                scheduleStatus: meetingDensity > 0.6 ? 'Overbooked' : meetingDensity > 0.4 ? 'Busy' : 'Balanced',
-                recommendation: meetingDensity > 0.6
-                    ? `Consider declining ${declinableCount} optional meetings to create focus time`
-                    : meetingDensity > 0.4
-                    ? 'Schedule is busy but manageable'
-                    : 'Schedule looks balanced - good day for focused work',
-                focusTimeAvailable: `${focusTimeHours.toFixed(1)} hours`,
-                confidence: 'high'
-            }
-        };
+        const result = await getScheduleHealth(calendar, userId, range, workingHours, timeZone);
 
         res.status(200).json(result);
 
     } catch (error) {
+        if (isReauthError(error)) {
+            return res.status(401).json({
+                error: 'Not authenticated',
+                message: 'Google authorization expired or was revoked - please sign in again',
+                reauth: true
+            });
+        }
         console.error('Calendar API error:', error);
         res.status(500).json({
             error: 'Internal server error',
@@ -0,0 +1,64 @@
+/**
+ * Digest Cron Endpoint
+ * Vercel Serverless Function, run hourly by the cron in vercel.json
+ * Sends each connected user's daily or weekly digest once it is morning in their time zone
+ * Vercel signs cron calls with `Authorization: Bearer $CRON_SECRET`; ?force=true ignores the schedule
+ * Users are processed DIGEST_CONCURRENCY at a time within a time budget; whoever a run does not
+ * reach is still due and goes out on the next hourly run
+ */
+
+const { getAuthorizedClient } = require('../_lib/oauth-config');
+const { createGoogleLoader, runDigests, listConnectedUsers } = require('../_lib/digest');
+const { createMailTransport } = require('../_lib/mail-transport');
+const { isMockMode, getMockDigestData, MOCK_USER_ID } = require('../_lib/mock-data');
+
+module.exports = async (req, res) => {
+    res.setHeader('Content-Type', 'application/json');
+
+    if (req.method !== 'GET' && req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    // Only Vercel's scheduler (or someone holding the secret) may trigger a run
+    if (!process.env.CRON_SECRET || req.headers.authorization !== `Bearer ${process.env.CRON_SECRET}`) {
+        return res.status(401).json({
+            error: 'Not authorized',
+            message: 'Digest runs need the CRON_SECRET bearer token'
+        });
+    }
+
+    let transport;
+    try {
+        transport = createMailTransport();
+    } catch (error) {
+        console.error('Digest mail transport error:', error.message);
+        return res.status(500).json({
+            error: 'Mail transport not configured',
+            message: error.message
+        });
+    }
+
+    try {
+        const force = req.query.force === 'true';
+
+        // Offline demo mode - one digest for the demo user from the mock datasets
+        const summary = isMockMode(req)
+            ? await runDigests({ userIds: [MOCK_USER_ID], loadUserData: getMockDigestData, transport, force, source: 'mock' })
+            : await runDigests({
+                userIds: await listConnectedUsers(),
+                loadUserData: createGoogleLoader(getAuthorizedClient),
+                transport,
+                force
+            });
+
+        console.log(`Digest run: ${summary.sent} sent, ${summary.skipped} skipped, ${summary.failed} failed, ${summary.deferred} deferred`);
+        res.status(200).json({ transport: transport.name, ...summary });
+
+    } catch (error) {
+        console.error('Digest run error:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+};
@@ -0,0 +1,50 @@
+/**
+ * Webhook Cron Endpoint
+ * Vercel Serverless Function, run hourly by the cron in vercel.json
+ * Analyzes the data of every user with webhooks (plus tomorrow's calendar) and delivers
+ * the webhooks whose conditions hold, after delivering what the dashboard queued;
+ * each condition fires at most once a day. Webhooks are off in demo mode
+ * Requires `Authorization: Bearer $CRON_SECRET`, as Vercel sends for cron calls
+ */
+
+const { getAuthorizedClient } = require('../_lib/oauth-config');
+const { createGoogleLoader } = require('../_lib/digest');
+const { runWebhookChecks, listWebhookUsers } = require('../_lib/webhooks');
+const { isMockMode } = require('../_lib/mock-data');
+
+module.exports = async (req, res) => {
+    res.setHeader('Content-Type', 'application/json');
+
+    if (req.method !== 'GET' && req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    if (!process.env.CRON_SECRET || req.headers.authorization !== `Bearer ${process.env.CRON_SECRET}`) {
+        return res.status(401).json({
+            error: 'Not authorized',
+            message: 'Webhook checks need the CRON_SECRET bearer token'
+        });
+    }
+
+    // Demo data never goes out to webhook receivers
+    if (isMockMode(req)) {
+        return res.status(200).json({ checked: 0, delivered: 0, failed: 0, deferred: 0, results: [], message: 'Webhooks are off in demo mode' });
+    }
+
+    try {
+        const summary = await runWebhookChecks({
+            userIds: await listWebhookUsers(),
+            loadUserData: createGoogleLoader(getAuthorizedClient)
+        });
+
+        console.log(`Webhook check: ${summary.checked} users, ${summary.delivered} delivered, ${summary.failed} failed, ${summary.deferred} deferred`);
+        res.status(200).json(summary);
+
+    } catch (error) {
+        console.error('Webhook check error:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+};
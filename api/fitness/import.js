@@ -0,0 +1,100 @@
+/**
+ * Fitness Import Endpoint
+ * Vercel Serverless Function
+ * POST a raw wearable export (Apple Health export.xml, Fitbit/Garmin CSV, GPX, TCX) as the body:
+ *   ?filename=export.xml  helps detection, ?format= overrides it, ?tz= sets the day for GPX/TCX workouts
+ * GET lists what was imported; DELETE removes the imported history
+ * Vercel caps request bodies at ~4.5 MB - larger exports (most Apple Health ones) need the local proxy
+ */
+
+const { requireSessionUser } = require('../_lib/session');
+const { resolveTimeZone } = require('../_lib/user-profile');
+const {
+    readUpload,
+    importFitnessExport,
+    getImportedFitness,
+    deleteImportedFitness
+} = require('../_lib/fitness-import');
+const { IMPORT_FORMATS } = require('../_lib/importers');
+const { isMockMode, rejectMockWrite, MOCK_USER_ID } = require('../_lib/mock-data');
+
+module.exports = async (req, res) => {
+    // CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Content-Type', 'application/json');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    try {
+        if (rejectMockWrite(req, res)) {
+            return;
+        }
+
+        // Demo mode reads the shared demo user (read-only); otherwise the session user
+        const userId = isMockMode(req) ? MOCK_USER_ID : requireSessionUser(req, res);
+        if (!userId) {
+            return;
+        }
+
+        if (req.method === 'GET') {
+            const imported = await getImportedFitness(userId);
+            return res.status(200).json({
+                userId: userId,
+                formats: IMPORT_FORMATS,
+                totalDays: imported.days.length,
+                from: imported.days.length > 0 ? imported.days[0].date : null,
+                to: imported.days.length > 0 ? imported.days[imported.days.length - 1].date : null,
+                imports: imported.imports
+            });
+        }
+
+        if (req.method === 'DELETE') {
+            await deleteImportedFitness(userId);
+            return res.status(200).json({ userId: userId, deleted: true });
+        }
+
+        if (req.method !== 'POST') {
+            return res.status(405).json({ error: 'Method not allowed' });
+        }
+
+        // Workout files are timestamped in UTC - the user's zone decides their day
+        const { timeZone, error: timeZoneError } = await resolveTimeZone(req.query.tz, userId);
+        if (timeZoneError) {
+            return res.status(400).json({
+                error: 'Invalid time zone',
+                message: timeZoneError
+            });
+        }
+
+        const upload = await readUpload(req);
+        if (upload.error) {
+            return res.status(upload.status).json({ error: 'Upload too large', message: upload.error });
+        }
+        if (!upload.text.trim()) {
+            return res.status(400).json({ error: 'Empty upload', message: 'Send the export file as the request body' });
+        }
+
+        const result = await importFitnessExport(userId, upload.text, {
+            format: req.query.format,
+            fileName: req.query.filename,
+            timeZone: timeZone
+        });
+        if (result.error) {
+            return res.status(400).json({ error: 'Invalid export', message: result.error });
+        }
+
+        console.log('Fitness export imported:', { userId, ...result.summary.import });
+
+        res.status(201).json({ userId: userId, ...result.summary });
+    } catch (error) {
+        console.error('Fitness import error:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+};
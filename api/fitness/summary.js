@@ -0,0 +1,98 @@
+/**
+ * Fitness Summary Endpoint
+ * Vercel Serverless Function
+ * Sleep sessions, steps and resting heart rate from the Google Fit REST API (?days=7, ?tz=)
+ * Users with imported wearable exports get those instead (?provider=google|import to choose)
+ */
+
+const { getAuthorizedClient, isReauthError } = require('../_lib/oauth-config');
+const { requireSessionUser } = require('../_lib/session');
+const { resolveTimeZone } = require('../_lib/user-profile');
+const {
+    createFitnessClient,
+    resolveFitnessDays,
+    isMissingFitnessScope,
+    getFitnessSummary
+} = require('../_lib/fitness-provider');
+const { getImportedFitnessSummary } = require('../_lib/fitness-import');
+const { isMockMode, getMockFitnessSummary, MOCK_USER_ID } = require('../_lib/mock-data');
+
+module.exports = async (req, res) => {
+    // CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Content-Type', 'application/json');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    try {
+        const days = resolveFitnessDays(req.query.days);
+
+        // Offline demo mode - serve data/mock-fitness.json (or exports imported in demo mode)
+        if (isMockMode(req)) {
+            const imported = req.query.provider !== 'google' && await getImportedFitnessSummary(MOCK_USER_ID, days);
+            return res.status(200).json(imported || getMockFitnessSummary(req.query.userId, days));
+        }
+
+        // Signed-in user from the session cookie - ?userId= is not trusted
+        const userId = requireSessionUser(req, res);
+        if (!userId) {
+            return;
+        }
+
+        // Imported exports (api/fitness/import) win unless Google Fit is asked for
+        if (req.query.provider !== 'google') {
+            const imported = await getImportedFitnessSummary(userId, days);
+            if (imported) {
+                return res.status(200).json(imported);
+            }
+            if (req.query.provider === 'import') {
+                return res.status(404).json({
+                    error: 'No imported fitness data',
+                    message: 'Upload a wearable export to /api/fitness/import first'
+                });
+            }
+        }
+
+        // Daily buckets and nights are computed in the user's zone (?tz= or stored profile)
+        const { timeZone, error: timeZoneError } = await resolveTimeZone(req.query.tz, userId);
+        if (timeZoneError) {
+            return res.status(400).json({
+                error: 'Invalid time zone',
+                message: timeZoneError
+            });
+        }
+
+        // Client for this user only - tokens from Redis, renewed if the access token expired
+        const authClient = await getAuthorizedClient(userId);
+        const fitness = createFitnessClient(authClient);
+
+        const result = await getFitnessSummary(fitness, userId, days, timeZone);
+
+        res.status(200).json(result);
+
+    } catch (error) {
+        if (isReauthError(error)) {
+            return res.status(401).json({
+                error: 'Not authenticated',
+                message: 'Google authorization expired or was revoked - please sign in again',
+                reauth: true
+            });
+        }
+        if (isMissingFitnessScope(error)) {
+            return res.status(403).json({
+                error: 'Fitness access not granted',
+                message: 'Sign in again and allow Google Fit access to see sleep and activity data',
+                reauth: true
+            });
+        }
+        console.error('Fitness API error:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+};
@@ -4,7 +4,11 @@
  */
 
 const { google } = require('googleapis');
-const { oauth2Client, getUserTokens } = require('../_lib/oauth-config');
+const { getAuthorizedClient, isReauthError } = require('../_lib/oauth-config');
+const { requireSessionUser } = require('../_lib/session');
+const { getEmailStress } = require('../_lib/gmail-provider');
+const { getStressRules } = require('../_lib/stress-rules');
+const { isMockMode, getMockEmailStress, MOCK_USER_ID } = require('../_lib/mock-data');
 
 module.exports = async (req, res) => {
     // CORS headers
@@ -18,108 +22,36 @@ module.exports = async (req, res) => {
     }
 
     try {
-        const { userId } = req.query;
-
-        if (!userId) {
-            return res.status(400).json({
-                error: 'Missing user ID',
-                message: 'userId parameter is required'
-            });
+        // Offline demo mode - serve data/mock-emails.json, scored with the demo user's rules
+        if (isMockMode(req)) {
+            const { rules } = await getStressRules(MOCK_USER_ID);
+            return res.status(200).json(getMockEmailStress(req.query.userId, rules));
         }
 
-        // Get user's tokens from Redis
-        const tokens = await getUserTokens(userId);
-        if (!tokens) {
-            return res.status(401).json({
-                error: 'Not authenticated',
-                message: 'User must authenticate with Google OAuth first'
-            });
-        }
-
-        // Set credentials for this user
-        oauth2Client.setCredentials(tokens);
-        const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
-
-        // Fetch recent emails from inbox
-        const emailsResponse = await gmail.users.messages.list({
-            userId: 'me',
-            maxResults: 50,
-            q: 'in:inbox newer_than:7d'
-        });
-
-        const messages = emailsResponse.data.messages || [];
-        const totalEmails = messages.length;
-
-        // Stress keywords for analysis
-        const stressKeywords = ['urgent', 'asap', 'deadline', 'critical', 'important', 'immediately', 'emergency', 'action required'];
-        let urgentCount = 0;
-        let unreadCount = 0;
-
-        // Analyze email subjects and labels
-        for (const message of messages.slice(0, 20)) {
-            try {
-                const emailDetails = await gmail.users.messages.get({
-                    userId: 'me',
-                    id: message.id,
-                    format: 'metadata',
-                    metadataHeaders: ['Subject']
-                });
-
-                const subject = emailDetails.data.payload.headers.find(h => h.name === 'Subject')?.value || '';
-                const labelIds = emailDetails.data.labelIds || [];
-
-                // Check for stress keywords
-                if (stressKeywords.some(keyword => subject.toLowerCase().includes(keyword))) {
-                    urgentCount++;
-                }
-
-                // Check if unread
-                if (labelIds.includes('UNREAD')) {
-                    unreadCount++;
-                }
-            } catch (err) {
-                console.error('Error fetching email details:', err.message);
-            }
+        // Signed-in user from the session cookie - ?userId= is not trusted
+        const userId = requireSessionUser(req, res);
+        if (!userId) {
+            return;
         }
 
-        // Calculate stress level based on actual data
-        const urgentRatio = totalEmails > 0 ? urgentCount / totalEmails : 0;
-        const unreadRatio = totalEmails > 0 ? unreadCount / totalEmails : 0;
-        const baseStress = (urgentRatio * 0.6) + (unreadRatio * 0.4);
+        // Client for this user only - tokens from Redis, renewed if the access token expired
+        const authClient = await getAuthorizedClient(userId);
+        const gmail = google.gmail({ version: 'v1', auth: authClient });
 
-        const result = {
-            type: 'email_stress',
-            source: 'Gmail API (Real User Data)',
-            quality: 'authenticated',
-            user: {
-                userId: userId
-            },
-            data: {
-                stressLevel: parseFloat(baseStress.toFixed(3)),
-                urgentCount: urgentCount,
-                totalEmails: totalEmails,
-                unreadCount: unreadCount
-            },
-            metadata: {
-                timestamp: new Date().toISOString(),
-                analyzedEmails: Math.min(20, totalEmails),
-                cacheStatus: 'fresh'
-            },
-            interpretation: {
-                stressPercentage: `${(baseStress * 100).toFixed(1)}%`,
-                stressStatus: baseStress > 0.7 ? 'High Stress' : baseStress > 0.4 ? 'Moderate Stress' : 'Low Stress',
-                recommendation: baseStress > 0.7
-                    ? 'High email stress detected - consider blocking focus time and declining low-priority meetings'
-                    : baseStress > 0.4
-                    ? 'Moderate stress - manage inbox proactively'
-                    : 'Email stress is low - good time for deep work',
-                confidence: 'high'
-            }
-        };
+        // The user's stress rules (api/gmail/stress-rules), defaults until they save their own
+        const { rules } = await getStressRules(userId);
+        const result = await getEmailStress(gmail, userId, rules);
 
         res.status(200).json(result);
 
     } catch (error) {
+        if (isReauthError(error)) {
+            return res.status(401).json({
+                error: 'Not authenticated',
+                message: 'Google authorization expired or was revoked - please sign in again',
+                reauth: true
+            });
+        }
         console.error('Gmail API error:', error);
         res.status(500).json({
             error: 'Internal server error',
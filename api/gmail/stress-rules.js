@@ -0,0 +1,73 @@
+/**
+ * Email Stress Rules Endpoint
+ * Vercel Serverless Function
+ * GET returns the user's rules (defaults until saved), PUT { rules } replaces them, DELETE restores the defaults
+ */
+
+const { requireSessionUser } = require('../_lib/session');
+const {
+    RULE_TYPES,
+    DEFAULT_STRESS_RULES,
+    validateRules,
+    getStressRules,
+    setStressRules,
+    deleteStressRules
+} = require('../_lib/stress-rules');
+const { isMockMode, rejectMockWrite, MOCK_USER_ID } = require('../_lib/mock-data');
+
+module.exports = async (req, res) => {
+    // CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, PUT, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Content-Type', 'application/json');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    try {
+        if (rejectMockWrite(req, res)) {
+            return;
+        }
+
+        // Demo mode reads the shared demo user (read-only); otherwise the session user
+        const userId = isMockMode(req) ? MOCK_USER_ID : requireSessionUser(req, res);
+        if (!userId) {
+            return;
+        }
+
+        if (req.method === 'GET') {
+            const ruleSet = await getStressRules(userId);
+            return res.status(200).json({
+                userId: userId,
+                ...ruleSet,
+                ruleTypes: RULE_TYPES,
+                defaults: DEFAULT_STRESS_RULES
+            });
+        }
+
+        if (req.method === 'DELETE') {
+            await deleteStressRules(userId);
+            return res.status(200).json({ userId: userId, rules: DEFAULT_STRESS_RULES, custom: false, updatedAt: null });
+        }
+
+        if (req.method !== 'PUT') {
+            return res.status(405).json({ error: 'Method not allowed' });
+        }
+
+        const { value: rules, error } = validateRules((req.body || {}).rules);
+        if (error) {
+            return res.status(400).json({ error: 'Invalid rules', message: error });
+        }
+
+        const ruleSet = await setStressRules(userId, rules);
+        res.status(200).json({ userId: userId, ...ruleSet });
+    } catch (error) {
+        console.error('Stress rules error:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+};
@@ -0,0 +1,82 @@
+/**
+ * Score History Endpoint
+ * Vercel Serverless Function
+ * POST { analysis, metrics } records a snapshot and queues the user's webhook alerts;
+ * GET returns daily/weekly series (?days=30, ?tz=)
+ */
+
+const { requireSessionUser } = require('./_lib/session');
+const { resolveTimeZone } = require('./_lib/user-profile');
+const { buildSnapshot, recordSnapshot, resolveHistoryDays, getHistory } = require('./_lib/history');
+const { queueWebhookCheck } = require('./_lib/webhooks');
+const { isMockMode, rejectMockWrite, MOCK_USER_ID } = require('./_lib/mock-data');
+
+module.exports = async (req, res) => {
+    // CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Content-Type', 'application/json');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    try {
+        if (rejectMockWrite(req, res)) {
+            return;
+        }
+
+        // Demo mode reads the shared demo user (read-only); otherwise the session user
+        const userId = isMockMode(req) ? MOCK_USER_ID : requireSessionUser(req, res);
+        if (!userId) {
+            return;
+        }
+
+        if (req.method === 'POST') {
+            const { snapshot, error } = buildSnapshot({
+                ...(req.body || {}),
+                // Where the data came from is the server's call, not the client's
+                source: isMockMode(req) ? 'mock' : 'live'
+            });
+            if (error) {
+                return res.status(400).json({ error: 'Invalid snapshot', message: error });
+            }
+
+            await recordSnapshot(userId, snapshot);
+
+            // Webhook alerts on the dashboard's analysis go out with the hourly check (api/cron/webhooks.js)
+            const { timeZone } = await resolveTimeZone(undefined, userId);
+            const webhooks = await queueWebhookCheck(userId, { analysis: req.body.analysis, metrics: snapshot.metrics, timeZone });
+            return res.status(201).json({ userId: userId, snapshot: snapshot, webhooks: webhooks });
+        }
+
+        if (req.method !== 'GET') {
+            return res.status(405).json({ error: 'Method not allowed' });
+        }
+
+        const { timeZone, error: timeZoneError } = await resolveTimeZone(req.query.tz, userId);
+        if (timeZoneError) {
+            return res.status(400).json({
+                error: 'Invalid time zone',
+                message: timeZoneError
+            });
+        }
+
+        const { days, error: daysError } = resolveHistoryDays(req.query.days);
+        if (daysError) {
+            return res.status(400).json({
+                error: 'Invalid range',
+                message: daysError
+            });
+        }
+
+        res.status(200).json(await getHistory(userId, { days, timeZone }));
+    } catch (error) {
+        console.error('History error:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+};
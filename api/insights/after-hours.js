@@ -0,0 +1,95 @@
+/**
+ * After-Hours Load Endpoint
+ * Vercel Serverless Function
+ * Sent emails and meetings outside working hours or on weekends, with a daily/weekly always-on index
+ * ?days=14 (max 60), ?tz=, ?workStart=HH:MM&workEnd=HH:MM
+ */
+
+const { google } = require('googleapis');
+const { getAuthorizedClient, isReauthError } = require('../_lib/oauth-config');
+const { requireSessionUser } = require('../_lib/session');
+const { resolveTimeZone } = require('../_lib/user-profile');
+const { todayIn, resolveWorkingHours } = require('../_lib/calendar-provider');
+const { resolveAfterHoursDays, windowDays, getAfterHours } = require('../_lib/after-hours');
+const { isMockMode, getMockAfterHours } = require('../_lib/mock-data');
+
+module.exports = async (req, res) => {
+    // CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Content-Type', 'application/json');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    try {
+        // Offline demo mode - mock sent emails and calendar
+        if (isMockMode(req)) {
+            const mockResult = getMockAfterHours(req.query.userId, req.query);
+            if (mockResult.error) {
+                return res.status(400).json({ error: 'Invalid request', message: mockResult.error });
+            }
+            return res.status(200).json(mockResult);
+        }
+
+        // Signed-in user from the session cookie - ?userId= is not trusted
+        const userId = requireSessionUser(req, res);
+        if (!userId) {
+            return;
+        }
+
+        // Working hours and weekends are judged in the user's zone (?tz= or stored profile)
+        const { timeZone, error: timeZoneError } = await resolveTimeZone(req.query.tz, userId);
+        if (timeZoneError) {
+            return res.status(400).json({
+                error: 'Invalid time zone',
+                message: timeZoneError
+            });
+        }
+
+        const { days, error: daysError } = resolveAfterHoursDays(req.query.days);
+        if (daysError) {
+            return res.status(400).json({
+                error: 'Invalid range',
+                message: daysError
+            });
+        }
+
+        const workingHours = resolveWorkingHours(req.query);
+        if (workingHours.error) {
+            return res.status(400).json({
+                error: 'Invalid working hours',
+                message: workingHours.error
+            });
+        }
+
+        // Client for this user only - tokens from Redis, renewed if the access token expired
+        const authClient = await getAuthorizedClient(userId);
+        const gmail = google.gmail({ version: 'v1', auth: authClient });
+        const calendar = google.calendar({ version: 'v3', auth: authClient });
+
+        const result = await getAfterHours(gmail, calendar, userId, {
+            days: windowDays(todayIn(timeZone), days),
+            workingHours,
+            timeZone
+        });
+
+        res.status(200).json(result);
+
+    } catch (error) {
+        if (isReauthError(error)) {
+            return res.status(401).json({
+                error: 'Not authenticated',
+                message: 'Google authorization expired or was revoked - please sign in again',
+                reauth: true
+            });
+        }
+        console.error('After-hours analysis error:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+};
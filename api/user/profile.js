@@ -0,0 +1,53 @@
+/**
+ * User Profile Endpoint
+ * Vercel Serverless Function
+ * GET returns the stored profile, PUT { timezone, digest } stores the user's IANA time zone
+ * and digest email frequency (daily, weekly or off)
+ */
+
+const { requireSessionUser } = require('../_lib/session');
+const { getUserProfile, setUserProfile, validateProfileUpdate } = require('../_lib/user-profile');
+
+module.exports = async (req, res) => {
+    // CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, PUT, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Content-Type', 'application/json');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    try {
+        // Signed-in user from the session cookie - ?userId= is not trusted
+        const userId = requireSessionUser(req, res);
+        if (!userId) {
+            return;
+        }
+
+        if (req.method === 'GET') {
+            const profile = await getUserProfile(userId);
+            return res.status(200).json({ userId: userId, profile: profile || {} });
+        }
+
+        if (req.method !== 'PUT') {
+            return res.status(405).json({ error: 'Method not allowed' });
+        }
+
+        // { timezone?, digest? } - fields left out keep their stored value
+        const { value, error, message } = validateProfileUpdate(req.body || {});
+        if (error) {
+            return res.status(400).json({ error, message });
+        }
+
+        const profile = await setUserProfile(userId, value);
+        res.status(200).json({ userId: userId, profile: profile });
+    } catch (error) {
+        console.error('Profile update error:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+};
@@ -0,0 +1,94 @@
+/**
+ * Scoring Model Endpoint
+ * Vercel Serverless Function
+ * GET returns the user's scoring model and the presets, PUT { preset } or { model } picks a preset
+ * or saves a custom model, DELETE restores the default
+ */
+
+const { requireSessionUser } = require('../_lib/session');
+const {
+    SCORING_FACTORS,
+    SCORING_MODELS,
+    DEFAULT_SCORING_MODEL_ID,
+    listPresets,
+    validateCustomModel,
+    getScoringModel,
+    setScoringPreset,
+    setCustomScoringModel,
+    deleteScoringModel
+} = require('../_lib/scoring-model');
+const { isMockMode, rejectMockWrite, MOCK_USER_ID } = require('../_lib/mock-data');
+
+module.exports = async (req, res) => {
+    // CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, PUT, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Content-Type', 'application/json');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    try {
+        if (rejectMockWrite(req, res)) {
+            return;
+        }
+
+        // Demo mode reads the shared demo user (read-only); otherwise the session user
+        const userId = isMockMode(req) ? MOCK_USER_ID : requireSessionUser(req, res);
+        if (!userId) {
+            return;
+        }
+
+        if (req.method === 'GET') {
+            const selection = await getScoringModel(userId);
+            return res.status(200).json({
+                userId: userId,
+                ...selection,
+                presets: listPresets(),
+                factors: SCORING_FACTORS
+            });
+        }
+
+        if (req.method === 'DELETE') {
+            await deleteScoringModel(userId);
+            return res.status(200).json({
+                userId: userId,
+                model: SCORING_MODELS[DEFAULT_SCORING_MODEL_ID],
+                preset: DEFAULT_SCORING_MODEL_ID,
+                custom: false,
+                updatedAt: null
+            });
+        }
+
+        if (req.method !== 'PUT') {
+            return res.status(405).json({ error: 'Method not allowed' });
+        }
+
+        const { preset, model } = req.body || {};
+        if (preset !== undefined) {
+            if (!SCORING_MODELS[preset]) {
+                return res.status(400).json({
+                    error: 'Invalid scoring model',
+                    message: `preset must be one of: ${Object.keys(SCORING_MODELS).join(', ')}`
+                });
+            }
+            return res.status(200).json({ userId: userId, ...(await setScoringPreset(userId, preset)) });
+        }
+
+        const { value, error } = validateCustomModel(model);
+        if (error) {
+            return res.status(400).json({ error: 'Invalid scoring model', message: error });
+        }
+
+        const selection = await setCustomScoringModel(userId, value);
+        res.status(200).json({ userId: userId, ...selection });
+    } catch (error) {
+        console.error('Scoring model error:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+};
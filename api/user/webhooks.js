@@ -0,0 +1,103 @@
+/**
+ * Webhooks Endpoint
+ * Vercel Serverless Function
+ * GET lists the user's webhooks and recent deliveries (?webhookId= narrows the log),
+ * POST { name, url, format, conditions } registers one (the signing secret is only returned here),
+ * POST { test: <id>, analysis } sends a test delivery, DELETE ?id= removes one
+ * Signed-in users only - never in demo mode, since deliveries reach outside URLs
+ */
+
+const { requireSessionUser } = require('../_lib/session');
+const {
+    WEBHOOK_FORMATS,
+    CONDITION_TYPES,
+    TOMORROW_METRICS,
+    validateWebhook,
+    checkUrlAddress,
+    publicWebhook,
+    getWebhooks,
+    createWebhook,
+    deleteWebhook,
+    getDeliveries,
+    testWebhook
+} = require('../_lib/webhooks');
+const { isMockMode } = require('../_lib/mock-data');
+
+module.exports = async (req, res) => {
+    // CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Content-Type', 'application/json');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    try {
+        if (isMockMode(req)) {
+            return res.status(403).json({
+                error: 'Not available in demo mode',
+                message: 'Webhooks need a signed-in Google account'
+            });
+        }
+
+        const userId = requireSessionUser(req, res);
+        if (!userId) {
+            return;
+        }
+
+        if (req.method === 'GET') {
+            return res.status(200).json({
+                userId: userId,
+                webhooks: (await getWebhooks(userId)).map(publicWebhook),
+                deliveries: await getDeliveries(userId, { webhookId: req.query.webhookId }),
+                formats: WEBHOOK_FORMATS,
+                conditionTypes: CONDITION_TYPES,
+                tomorrowMetrics: TOMORROW_METRICS
+            });
+        }
+
+        if (req.method === 'DELETE') {
+            if (!(await deleteWebhook(userId, req.query.id))) {
+                return res.status(404).json({ error: 'Not found', message: 'No webhook with that id' });
+            }
+            return res.status(200).json({ id: req.query.id, deleted: true });
+        }
+
+        if (req.method !== 'POST') {
+            return res.status(405).json({ error: 'Method not allowed' });
+        }
+
+        const body = req.body || {};
+        if (body.test !== undefined) {
+            if (!body.analysis || typeof body.analysis.score !== 'number') {
+                return res.status(400).json({ error: 'Invalid request', message: 'analysis with a numeric score is required for a test delivery' });
+            }
+            const delivery = await testWebhook(userId, body.test, body.analysis);
+            if (!delivery) {
+                return res.status(404).json({ error: 'Not found', message: 'No webhook with that id' });
+            }
+            return res.status(200).json({ delivery });
+        }
+
+        const { value, error } = validateWebhook(body);
+        const addressError = error || await checkUrlAddress(value.url);
+        if (addressError) {
+            return res.status(400).json({ error: 'Invalid webhook', message: addressError });
+        }
+
+        const created = await createWebhook(userId, value);
+        if (created.error) {
+            return res.status(409).json({ error: 'Too many webhooks', message: created.error });
+        }
+        console.log('Webhook registered for:', userId, created.webhook.id);
+        res.status(201).json({ userId: userId, webhook: created.webhook });
+    } catch (error) {
+        console.error('Webhooks error:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+};
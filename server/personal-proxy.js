@@ -7,13 +7,106 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
-const https = require('https');
 const session = require('express-session');
 const { google } = require('googleapis');
+const {
+    AuthError,
+    isReauthError,
+    refreshTokensIfExpired,
+    createOAuthClient,
+    createUserClient,
+    revokeUserGrant
+} = require('../api/_lib/oauth-config');
+const { deleteAllUserData } = require('../api/_lib/user-data');
+const { createAuthRequest, verifyAuthCallback, withAuthResult } = require('../api/_lib/oauth-flow');
+const { buildSnapshot, recordSnapshot, resolveHistoryDays, getHistory } = require('../api/_lib/history');
+const { getEmailStress } = require('../api/_lib/gmail-provider');
+const {
+    RULE_TYPES,
+    DEFAULT_STRESS_RULES,
+    validateRules,
+    getStressRules,
+    setStressRules,
+    deleteStressRules
+} = require('../api/_lib/stress-rules');
+const { getScheduleHealth, resolveDateRange, resolveWorkingHours, todayIn } = require('../api/_lib/calendar-provider');
+const { resolveAfterHoursDays, windowDays, getAfterHours } = require('../api/_lib/after-hours');
+const {
+    resolveFocusRequest,
+    focusPlanError,
+    describeSlot,
+    buildFocusEvent,
+    findFocusTime,
+    createFocusEvent,
+    deleteFocusEvent,
+    isMissingWriteScope
+} = require('../api/_lib/focus-time');
+const { resolveMeetingAction, respondToMeetings, summarizeResponses } = require('../api/_lib/meeting-response');
+const { resolveAuditWeeks, auditDays, getRecurringAudit } = require('../api/_lib/recurring-audit');
+const {
+    createFitnessClient,
+    resolveFitnessDays,
+    isMissingFitnessScope,
+    getFitnessSummary
+} = require('../api/_lib/fitness-provider');
+const {
+    readUpload,
+    importFitnessExport,
+    getImportedFitness,
+    deleteImportedFitness,
+    getImportedFitnessSummary
+} = require('../api/_lib/fitness-import');
+const { IMPORT_FORMATS } = require('../api/_lib/importers');
+const { createGoogleLoader, runDigests } = require('../api/_lib/digest');
+const { createMailTransport } = require('../api/_lib/mail-transport');
+const {
+    WEBHOOK_FORMATS,
+    CONDITION_TYPES,
+    TOMORROW_METRICS,
+    validateWebhook,
+    checkUrlAddress,
+    publicWebhook,
+    getWebhooks,
+    createWebhook,
+    deleteWebhook,
+    getDeliveries,
+    queueWebhookCheck,
+    deliverQueuedWebhooks,
+    testWebhook,
+    runWebhookChecks
+} = require('../api/_lib/webhooks');
+const { resolveTimeZone, getUserProfile, setUserProfile, validateProfileUpdate } = require('../api/_lib/user-profile');
+const {
+    SCORING_FACTORS,
+    SCORING_MODELS,
+    DEFAULT_SCORING_MODEL_ID,
+    listPresets,
+    validateCustomModel,
+    getScoringModel,
+    setScoringPreset,
+    setCustomScoringModel,
+    deleteScoringModel
+} = require('../api/_lib/scoring-model');
+const {
+    MOCK_USER_ID,
+    isMockMode,
+    rejectMockWrite,
+    getMockEmailStress,
+    getMockScheduleHealth,
+    getMockFitnessSummary,
+    getMockAfterHours,
+    getMockFocusTime,
+    getMockMeetingResponses,
+    getMockRecurringAudit,
+    getMockDigestData
+} = require('../api/_lib/mock-data');
+
+// Frontend origin for post-sign-in redirects (APP_BASE_URL, same variable as the Vercel functions)
+const FRONTEND_URL = (process.env.APP_BASE_URL || 'http://localhost:8081').replace(/\/+$/, '');
 
 const app = express();
 app.use(cors({
-    origin: ['http://localhost:8081', 'http://localhost:8080', 'http://127.0.0.1:8081'],
+    origin: [...new Set([FRONTEND_URL, 'http://localhost:8081', 'http://localhost:8080', 'http://127.0.0.1:8081'])],
     credentials: true
 }));
 app.use(express.json());
@@ -21,19 +114,19 @@ app.use(session({
     secret: process.env.SESSION_SECRET,
     resave: false,
     saveUninitialized: false,
-    cookie: { secure: false } // Set to true in production with HTTPS
+    cookie: {
+        secure: false, // Set to true in production with HTTPS
+        httpOnly: true,
+        sameSite: 'lax',
+        maxAge: 7 * 24 * 60 * 60 * 1000
+    }
 }));
 
 // Configuration
 const PORT = process.env.PORT || 3002;
 const CACHE_TTL = process.env.CACHE_TTL || 2 * 60 * 1000;
-
-// Google OAuth Configuration
-const oauth2Client = new google.auth.OAuth2(
-    process.env.GOOGLE_CLIENT_ID,
-    process.env.GOOGLE_CLIENT_SECRET,
-    process.env.GOOGLE_REDIRECT_URI
-);
+const DIGEST_INTERVAL = parseInt(process.env.DIGEST_INTERVAL) || 60 * 60 * 1000;
+const WEBHOOK_INTERVAL = parseInt(process.env.WEBHOOK_INTERVAL) || 60 * 60 * 1000;
 
 // Cache for API responses
 const cache = new Map();
@@ -41,23 +134,6 @@ const cache = new Map();
 // User token storage (in-memory for now, use database in production)
 const userTokens = new Map();
 
-// Helper function to fetch external API
-function fetchAPI(url) {
-    return new Promise((resolve, reject) => {
-        https.get(url, (res) => {
-            let data = '';
-            res.on('data', chunk => data += chunk);
-            res.on('end', () => {
-                try {
-                    resolve(JSON.parse(data));
-                } catch (e) {
-                    resolve(data);
-                }
-            });
-        }).on('error', reject);
-    });
-}
-
 // Helper function to check cache
 function getCachedData(key) {
     const cached = cache.get(key);
@@ -83,7 +159,52 @@ function getUserTokens(userId) {
 // Helper function to set user's OAuth tokens
 function setUserTokens(userId, tokens) {
     userTokens.set(userId, tokens);
-    oauth2Client.setCredentials(tokens);
+}
+
+// Helper function to renew an expired access token and keep the rotated tokens
+async function getFreshUserTokens(userId) {
+    try {
+        const result = await refreshTokensIfExpired(getUserTokens(userId));
+        if (result.refreshed) {
+            setUserTokens(userId, result.tokens);
+        }
+        return result.tokens;
+    } catch (error) {
+        if (error instanceof AuthError) {
+            userTokens.delete(userId);
+        }
+        throw error;
+    }
+}
+
+// Helper function to get the signed-in user from the session (never trust ?userId=)
+function requireSessionUser(req, res) {
+    const userId = req.session.userId;
+
+    if (!userId) {
+        res.status(401).json({
+            error: 'Not authenticated',
+            message: 'Sign in with Google to access your data',
+            reauth: true
+        });
+        return null;
+    }
+
+    if (req.query.userId && req.query.userId !== userId) {
+        res.status(403).json({
+            error: 'Forbidden',
+            message: 'userId does not match the signed-in user'
+        });
+        return null;
+    }
+
+    return userId;
+}
+
+// Helper function to build an isolated OAuth client for one user's request
+async function getAuthorizedClient(userId) {
+    const tokens = await getFreshUserTokens(userId);
+    return createUserClient(tokens, (rotated) => setUserTokens(userId, rotated));
 }
 
 /**
@@ -91,30 +212,39 @@ function setUserTokens(userId, tokens) {
  */
 
 // Initialize OAuth flow
-app.get('/auth/google', (req, res) => {
-    const authUrl = oauth2Client.generateAuthUrl({
-        access_type: 'offline',
-        scope: [
-            'https://www.googleapis.com/auth/gmail.readonly',
-            'https://www.googleapis.com/auth/calendar.readonly',
-            'https://www.googleapis.com/auth/userinfo.email',
-            'https://www.googleapis.com/auth/userinfo.profile'
-        ],
-        prompt: 'consent'
-    });
-    res.redirect(authUrl);
+app.get(['/auth/google', '/api/auth/google'], async (req, res) => {
+    try {
+        // Signed state + PKCE; the nonce and verifier wait in the session
+        const { authUrl, pending } = await createAuthRequest(req.query.returnTo);
+        req.session.pendingAuth = pending;
+        res.redirect(authUrl);
+    } catch (error) {
+        console.error('OAuth initiation error:', error);
+        res.status(500).json({ error: 'OAuth initiation failed', message: error.message });
+    }
 });
 
 // OAuth callback endpoint
 app.get('/auth/callback', async (req, res) => {
-    const { code } = req.query;
+    const { code, state } = req.query;
+
+    // The pending sign-in is single use
+    const flow = verifyAuthCallback(state, req.session.pendingAuth);
+    delete req.session.pendingAuth;
+
+    if (flow.error) {
+        console.error('OAuth state check failed:', flow.error);
+        return res.redirect(withAuthResult(FRONTEND_URL, '/', 'error'));
+    }
 
     try {
-        const { tokens } = await oauth2Client.getToken(code);
-        oauth2Client.setCredentials(tokens);
+        // Exchange code for tokens on a client used only by this request
+        const authClient = createOAuthClient();
+        const { tokens } = await authClient.getToken({ code: code, codeVerifier: flow.codeVerifier });
+        authClient.setCredentials(tokens);
 
         // Get user info
-        const oauth2 = google.oauth2({ version: 'v2', auth: oauth2Client });
+        const oauth2 = google.oauth2({ version: 'v2', auth: authClient });
         const userInfo = await oauth2.userinfo.get();
         const userId = userInfo.data.email;
 
@@ -123,15 +253,23 @@ app.get('/auth/callback', async (req, res) => {
         req.session.userId = userId;
 
         // Redirect to frontend with success
-        res.redirect('http://localhost:8081/?auth=success');
+        res.redirect(withAuthResult(FRONTEND_URL, flow.returnTo, 'success'));
     } catch (error) {
         console.error('OAuth callback error:', error);
-        res.redirect('http://localhost:8081/?auth=error');
+        res.redirect(withAuthResult(FRONTEND_URL, flow.returnTo, 'error'));
     }
 });
 
 // Check authentication status
 app.get('/auth/status', (req, res) => {
+    if (isMockMode(req)) {
+        return res.json({
+            authenticated: true,
+            userId: MOCK_USER_ID,
+            dataSource: 'mock'
+        });
+    }
+
     if (req.session.userId && getUserTokens(req.session.userId)) {
         res.json({
             authenticated: true,
@@ -143,28 +281,56 @@ app.get('/auth/status', (req, res) => {
 });
 
 // Logout endpoint
-app.get('/auth/logout', (req, res) => {
-    if (req.session.userId) {
-        userTokens.delete(req.session.userId);
+/**
+ * Logout - revokes the Google grant and forgets the user's tokens
+ * { "deleteData": true } also deletes everything stored for the user
+ * Served on /api/auth/logout too, where the frontend calls it; POST only, so other sites cannot link to it
+ */
+app.get(['/auth/logout', '/api/auth/logout'], (req, res) => {
+    res.status(405).json({ error: 'Method not allowed' });
+});
+
+app.post(['/auth/logout', '/api/auth/logout'], async (req, res) => {
+    const userId = req.session.userId;
+    const deleteData = (req.body || {}).deleteData === true;
+    let revoked = false;
+    let dataDeleted = false;
+
+    try {
+        if (userId) {
+            revoked = await revokeUserGrant(getUserTokens(userId));
+            userTokens.delete(userId);
+
+            if (deleteData) {
+                await deleteAllUserData(userId);
+                dataDeleted = true;
+            }
+        }
+    } catch (error) {
+        console.error('Logout error:', error);
     }
+
     req.session.destroy();
-    res.json({ success: true });
+    res.json({ success: true, revoked: revoked, dataDeleted: dataDeleted });
 });
 
 /**
  * Gmail Stress Level Endpoint - Production with Real Gmail API
- * Fetches actual emails and analyzes stress keywords
+ * Fetches actual emails and analyzes stress keywords (api/_lib/gmail-provider.js)
  * Similar to SMAP soil moisture endpoint
  */
 app.get('/api/gmail/stress-level', async (req, res) => {
     try {
-        const { userId } = req.query;
+        // Offline demo mode - serve data/mock-emails.json, scored with the demo user's rules
+        if (isMockMode(req)) {
+            const { rules } = await getStressRules(MOCK_USER_ID);
+            return res.json(getMockEmailStress(req.query.userId, rules));
+        }
 
+        // Signed-in user from the session - ?userId= is not trusted
+        const userId = requireSessionUser(req, res);
         if (!userId) {
-            return res.status(400).json({
-                error: 'Missing user ID',
-                message: 'userId parameter is required'
-            });
+            return;
         }
 
         // Check if user is authenticated
@@ -183,92 +349,107 @@ app.get('/api/gmail/stress-level', async (req, res) => {
             return res.json(cachedResult);
         }
 
-        // Set credentials for this user
-        oauth2Client.setCredentials(tokens);
-        const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
+        // Client for this user only (renewing an expired access token)
+        const authClient = await getAuthorizedClient(userId);
+        const gmail = google.gmail({ version: 'v1', auth: authClient });
+
+        // The user's stress rules (/api/gmail/stress-rules), defaults until they save their own
+        const { rules } = await getStressRules(userId);
+        const result = await getEmailStress(gmail, userId, rules);
+
+        setCacheData(cacheKey, result);
+        res.json(result);
 
-        // Fetch recent emails from inbox
-        const emailsResponse = await gmail.users.messages.list({
-            userId: 'me',
-            maxResults: 50,
-            q: 'in:inbox newer_than:7d'
+    } catch (error) {
+        if (isReauthError(error)) {
+            return res.status(401).json({
+                error: 'Not authenticated',
+                message: 'Google authorization expired or was revoked - please sign in again',
+                reauth: true
+            });
+        }
+        console.error('Gmail API error:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
         });
+    }
+});
 
-        const messages = emailsResponse.data.messages || [];
-        const totalEmails = messages.length;
-
-        // Stress keywords for analysis
-        const stressKeywords = ['urgent', 'asap', 'deadline', 'critical', 'important', 'immediately', 'emergency', 'action required'];
-        let urgentCount = 0;
-        let unreadCount = 0;
-
-        // Analyze email subjects and labels
-        for (const message of messages.slice(0, 20)) {
-            try {
-                const emailDetails = await gmail.users.messages.get({
-                    userId: 'me',
-                    id: message.id,
-                    format: 'metadata',
-                    metadataHeaders: ['Subject']
-                });
+/**
+ * Email Stress Rules Endpoints
+ * Weighted keyword/phrase/regex, sender/domain and label rules (api/_lib/stress-rules.js)
+ */
+app.get('/api/gmail/stress-rules', async (req, res) => {
+    try {
+        const userId = isMockMode(req) ? MOCK_USER_ID : requireSessionUser(req, res);
+        if (!userId) {
+            return;
+        }
+
+        const ruleSet = await getStressRules(userId);
+        res.json({
+            userId: userId,
+            ...ruleSet,
+            ruleTypes: RULE_TYPES,
+            defaults: DEFAULT_STRESS_RULES
+        });
+    } catch (error) {
+        console.error('Stress rules error:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
 
-                const subject = emailDetails.data.payload.headers.find(h => h.name === 'Subject')?.value || '';
-                const labelIds = emailDetails.data.labelIds || [];
+app.put('/api/gmail/stress-rules', async (req, res) => {
+    try {
+        if (rejectMockWrite(req, res)) {
+            return;
+        }
 
-                // Check for stress keywords
-                if (stressKeywords.some(keyword => subject.toLowerCase().includes(keyword))) {
-                    urgentCount++;
-                }
+        const userId = isMockMode(req) ? MOCK_USER_ID : requireSessionUser(req, res);
+        if (!userId) {
+            return;
+        }
 
-                // Check if unread
-                if (labelIds.includes('UNREAD')) {
-                    unreadCount++;
-                }
-            } catch (err) {
-                console.error('Error fetching email details:', err.message);
-            }
+        const { value: rules, error } = validateRules((req.body || {}).rules);
+        if (error) {
+            return res.status(400).json({ error: 'Invalid rules', message: error });
         }
 
-        // Calculate stress level based on actual data
-        const urgentRatio = totalEmails > 0 ? urgentCount / totalEmails : 0;
-        const unreadRatio = totalEmails > 0 ? unreadCount / totalEmails : 0;
-        const baseStress = (urgentRatio * 0.6) + (unreadRatio * 0.4); // Weighted average
-
-        const result = {
-            type: 'email_stress',
-            source: 'Gmail API (Real User Data)',
-            quality: 'authenticated',
-            user: {
-                userId: userId
-            },
-            data: {
-                stressLevel: parseFloat(baseStress.toFixed(3)),
-                urgentCount: urgentCount,
-                totalEmails: totalEmails,
-                unreadCount: unreadCount
-            },
-            metadata: {
-                timestamp: new Date().toISOString(),
-                analyzedEmails: Math.min(20, totalEmails),
-                cacheStatus: 'fresh'
-            },
-            interpretation: {
-                stressPercentage: `${(baseStress * 100).toFixed(1)}%`,
-                stressStatus: baseStress > 0.7 ? 'High Stress' : baseStress > 0.4 ? 'Moderate Stress' : 'Low Stress',
-                recommendation: baseStress > 0.7
-                    ? 'High email stress detected - consider blocking focus time and declining low-priority meetings'
-                    : baseStress > 0.4
-                    ? 'Moderate stress - manage inbox proactively'
-                    : 'Email stress is low - good time for deep work',
-                confidence: 'high'
-            }
-        };
+        const ruleSet = await setStressRules(userId, rules);
 
-        setCacheData(cacheKey, result);
-        res.json(result);
+        // Cached stress was scored with the old rules
+        cache.delete(`gmail_${userId}`);
 
+        res.json({ userId: userId, ...ruleSet });
     } catch (error) {
-        console.error('Gmail API error:', error);
+        console.error('Stress rules error:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+app.delete('/api/gmail/stress-rules', async (req, res) => {
+    try {
+        if (rejectMockWrite(req, res)) {
+            return;
+        }
+
+        const userId = isMockMode(req) ? MOCK_USER_ID : requireSessionUser(req, res);
+        if (!userId) {
+            return;
+        }
+
+        await deleteStressRules(userId);
+        cache.delete(`gmail_${userId}`);
+        res.json({ userId: userId, rules: DEFAULT_STRESS_RULES, custom: false, updatedAt: null });
+    } catch (error) {
+        console.error('Stress rules error:', error);
         res.status(500).json({
             error: 'Internal server error',
             message: error.message
@@ -278,16 +459,50 @@ app.get('/api/gmail/stress-level', async (req, res) => {
 
 /**
  * Calendar Schedule Health Endpoint - Production with Real Google Calendar API
- * Fetches actual calendar events and calculates meeting density
+ * Fetches actual calendar events and calculates meeting density (api/_lib/calendar-provider.js)
  * Similar to MODIS NDVI endpoint
  */
 app.get('/api/calendar/schedule-health', async (req, res) => {
     try {
-        const { userId, date } = req.query;
+        // Offline demo mode - serve data/mock-calendar.json
+        if (isMockMode(req)) {
+            const mockResult = getMockScheduleHealth(req.query.userId, req.query);
+            if (mockResult.error) {
+                return res.status(400).json({ error: 'Invalid request', message: mockResult.error });
+            }
+            return res.json(mockResult);
+        }
 
+        // Signed-in user from the session - ?userId= is not trusted
+        const userId = requireSessionUser(req, res);
         if (!userId) {
+            return;
+        }
+
+        // Day windows are computed in the user's zone (?tz= or stored profile)
+        const { timeZone, error: timeZoneError } = await resolveTimeZone(req.query.tz, userId);
+        if (timeZoneError) {
+            return res.status(400).json({
+                error: 'Invalid time zone',
+                message: timeZoneError
+            });
+        }
+
+        // date=YYYY-MM-DD, from/to or range=week
+        const range = resolveDateRange(req.query, todayIn(timeZone));
+        if (range.error) {
+            return res.status(400).json({
+                error: 'Invalid date range',
+                message: range.error
+            });
+        }
+
+        // workStart/workEnd=HH:MM (defaults to WORK_DAY_START/WORK_DAY_END or 09:00-17:00)
+        const workingHours = resolveWorkingHours(req.query);
+        if (workingHours.error) {
             return res.status(400).json({
-                error: 'Missing user ID'
+                error: 'Invalid working hours',
+                message: workingHours.error
             });
         }
 
@@ -301,104 +516,236 @@ app.get('/api/calendar/schedule-health', async (req, res) => {
         }
 
         // Check cache
-        const cacheKey = `calendar_${userId}_${date || 'today'}`;
+        const cacheKey = `calendar_${userId}_${range.days[0]}_${range.days[range.days.length - 1]}_${workingHours.start}_${workingHours.end}_${timeZone}`;
         const cachedResult = getCachedData(cacheKey);
         if (cachedResult) {
             return res.json(cachedResult);
         }
 
-        // Set credentials for this user
-        oauth2Client.setCredentials(tokens);
-        const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
+        // Client for this user only (renewing an expired access token)
+        const authClient = await getAuthorizedClient(userId);
+        const calendar = google.calendar({ version: 'v3', auth: authClient });
+
+        const result = await getScheduleHealth(calendar, userId, range, workingHours, timeZone);
 
-        // Get today's events
-        const startOfDay = new Date();
-        startOfDay.setHours(0, 0, 0, 0);
-        const endOfDay = new Date();
-        endOfDay.setHours(23, 59, 59, 999);
+        setCacheData(cacheKey, result);
+        res.json(result);
 
-        const eventsResponse = await calendar.events.list({
-            calendarId: 'primary',
-            timeMin: startOfDay.toISOString(),
-            timeMax: endOfDay.toISOString(),
-            singleEvents: true,
-            orderBy: 'startTime'
+    } catch (error) {
+        if (isReauthError(error)) {
+            return res.status(401).json({
+                error: 'Not authenticated',
+                message: 'Google authorization expired or was revoked - please sign in again',
+                reauth: true
+            });
+        }
+        console.error('Calendar API error:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
         });
+    }
+});
+
+/**
+ * Focus Time Endpoints - write-back to Google Calendar (api/_lib/focus-time.js)
+ * GET previews the first free slot, POST books it, DELETE ?eventId= undoes a booking
+ */
+async function handleFocusTime(req, res) {
+    try {
+        // Booking takes the previewed slot from the body; previews use the query
+        const params = req.method === 'POST' ? (req.body || {}) : req.query;
+
+        // Offline demo mode - slots come from data/mock-calendar.json and nothing is written
+        if (isMockMode(req)) {
+            if (req.method === 'DELETE') {
+                return res.json({ eventId: req.query.eventId, deleted: true, mock: true });
+            }
+
+            const mock = getMockFocusTime(req.query.userId, req.query, params);
+            if (mock.error) {
+                return res.status(400).json({ error: 'Invalid request', message: mock.error });
+            }
+            const planError = focusPlanError(mock, mock.request);
+            if (planError) {
+                return res.status(planError.status).json({ error: planError.error, message: planError.message });
+            }
 
-        const events = eventsResponse.data.items || [];
-        const totalEvents = events.length;
-
-        // Analyze events
-        let meetingCount = 0;
-        let meetingMinutes = 0;
-        let declinableCount = 0;
-
-        const currentDate = new Date();
-        const dayOfWeek = currentDate.getDay();
-        const dayName = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'][dayOfWeek];
-
-        for (const event of events) {
-            // Count as meeting if it has attendees
-            if (event.attendees && event.attendees.length > 0) {
-                meetingCount++;
-
-                // Calculate duration
-                const start = new Date(event.start.dateTime || event.start.date);
-                const end = new Date(event.end.dateTime || event.end.date);
-                const duration = (end - start) / (1000 * 60); // minutes
-                meetingMinutes += duration;
-
-                // Check if declinable (optional or tentative)
-                const userResponse = event.attendees.find(a => a.self);
-                if (userResponse && (userResponse.optional || userResponse.responseStatus === 'tentative')) {
-                    declinableCount++;
-                }
+            const slot = describeSlot(mock.slot, mock.timeZone);
+            if (req.method === 'GET') {
+                return res.json({ slot, event: buildFocusEvent(mock.slot, mock.timeZone), mock: true });
             }
+            return res.status(201).json({
+                slot,
+                event: { id: `mock-focus-${mock.slot.start.getTime()}`, summary: 'Focus time', htmlLink: null, start: slot.start, end: slot.end },
+                mock: true
+            });
+        }
+
+        // Signed-in user from the session - ?userId= is not trusted
+        const userId = requireSessionUser(req, res);
+        if (!userId) {
+            return;
         }
 
-        // Calculate meeting density (8 work hours = 480 minutes)
-        const workDayMinutes = 480;
-        const meetingDensity = Math.min(1.0, meetingMinutes / workDayMinutes);
-        const focusTimeHours = Math.max(0, (workDayMinutes - meetingMinutes) / 60);
-
-        const result = {
-            type: 'schedule_health',
-            source: 'Google Calendar API (Real User Data)',
-            quality: 'authenticated',
-            user: {
-                userId: userId
-            },
-            data: {
-                meetingDensity: parseFloat(meetingDensity.toFixed(2)),
-                totalEvents: totalEvents,
-                meetingCount: meetingCount,
-                focusTimeHours: parseFloat(focusTimeHours.toFixed(1)),
-                declinableCount: declinableCount
-            },
-            metadata: {
-                timestamp: new Date().toISOString(),
-                dayOfWeek: dayName,
-                dateRange: date || 'today',
-                meetingMinutes: meetingMinutes
-            },
-            interpretation: {
-                densityPercentage: `${(meetingDensity * 100).toFixed(0)}%`,
-                scheduleStatus: meetingDensity > 0.6 ? 'Overbooked' : meetingDensity > 0.4 ? 'Busy' : 'Balanced',
-                recommendation: meetingDensity > 0.6
-                    ? `Consider declining ${declinableCount} optional meetings to create focus time`
-                    : meetingDensity > 0.4
-                    ? 'Schedule is busy but manageable'
-                    : 'Schedule looks balanced - good day for focused work',
-                focusTimeAvailable: `${focusTimeHours.toFixed(1)} hours`,
-                confidence: 'high'
+        // Client for this user only (renewing an expired access token)
+        const authClient = await getAuthorizedClient(userId);
+        const calendar = google.calendar({ version: 'v3', auth: authClient });
+
+        if (req.method === 'DELETE') {
+            if (!req.query.eventId) {
+                return res.status(400).json({ error: 'Invalid request', message: 'eventId is required' });
+            }
+            const result = await deleteFocusEvent(calendar, req.query.eventId);
+            if (result.error) {
+                return res.status(result.status).json({ error: 'Cannot remove event', message: result.error });
             }
-        };
+            clearCalendarCache(userId);
+            return res.json({ eventId: req.query.eventId, ...result });
+        }
 
-        setCacheData(cacheKey, result);
-        res.json(result);
+        // Slots are searched in the user's zone (?tz= or stored profile)
+        const { timeZone, error: timeZoneError } = await resolveTimeZone(req.query.tz, userId);
+        if (timeZoneError) {
+            return res.status(400).json({
+                error: 'Invalid time zone',
+                message: timeZoneError
+            });
+        }
+
+        const workingHours = resolveWorkingHours(req.query);
+        if (workingHours.error) {
+            return res.status(400).json({
+                error: 'Invalid working hours',
+                message: workingHours.error
+            });
+        }
+
+        const request = resolveFocusRequest(params, todayIn(timeZone));
+        if (request.error) {
+            return res.status(400).json({ error: 'Invalid request', message: request.error });
+        }
+
+        const plan = await findFocusTime(calendar, request, { workingHours, timeZone });
+        const planError = focusPlanError(plan, request);
+        if (planError) {
+            return res.status(planError.status).json({ error: planError.error, message: planError.message });
+        }
+
+        if (req.method === 'GET') {
+            return res.json({ slot: describeSlot(plan.slot, timeZone), event: buildFocusEvent(plan.slot, timeZone) });
+        }
+
+        const event = await createFocusEvent(calendar, plan.slot, timeZone);
+        console.log('Focus time booked for:', userId, event.start);
+        clearCalendarCache(userId);
+        res.status(201).json({ slot: describeSlot(plan.slot, timeZone), event: event });
 
     } catch (error) {
-        console.error('Calendar API error:', error);
+        if (isMissingWriteScope(error)) {
+            return res.status(403).json({
+                error: 'Calendar write access not granted',
+                message: 'Sign in again and allow Life Navigator to add events to your calendar',
+                reauth: true
+            });
+        }
+        if (isReauthError(error)) {
+            return res.status(401).json({
+                error: 'Not authenticated',
+                message: 'Google authorization expired or was revoked - please sign in again',
+                reauth: true
+            });
+        }
+        console.error('Focus time error:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+}
+
+// Cached schedule health, after-hours load and recurring audits predate a calendar write
+function clearCalendarCache(userId) {
+    for (const key of cache.keys()) {
+        if (key.startsWith(`calendar_${userId}_`) || key.startsWith(`after_hours_${userId}_`)
+            || key.startsWith(`recurring_audit_${userId}_`)) {
+            cache.delete(key);
+        }
+    }
+}
+
+app.get('/api/calendar/focus-time', handleFocusTime);
+app.post('/api/calendar/focus-time', handleFocusTime);
+app.delete('/api/calendar/focus-time', handleFocusTime);
+
+/**
+ * Meeting Response Endpoint - decline or propose a new time (api/_lib/meeting-response.js)
+ * POST { action: 'decline' | 'propose', eventIds, note }
+ */
+app.post('/api/calendar/meeting-response', async (req, res) => {
+    try {
+        const { value: request, error } = resolveMeetingAction(req.body || {});
+        if (error) {
+            return res.status(400).json({ error: 'Invalid request', message: error });
+        }
+
+        // Offline demo mode - answers are worked out from data/mock-calendar.json and nothing is written
+        if (isMockMode(req)) {
+            const mock = getMockMeetingResponses(req.query.userId, req.query, request);
+            if (mock.error) {
+                return res.status(400).json({ error: 'Invalid request', message: mock.error });
+            }
+            return res.json({ ...summarizeResponses(request.action, mock.results), mock: true });
+        }
+
+        // Signed-in user from the session - ?userId= is not trusted
+        const userId = requireSessionUser(req, res);
+        if (!userId) {
+            return;
+        }
+
+        // Proposed times are searched in the user's zone (?tz= or stored profile)
+        const { timeZone, error: timeZoneError } = await resolveTimeZone(req.query.tz, userId);
+        if (timeZoneError) {
+            return res.status(400).json({
+                error: 'Invalid time zone',
+                message: timeZoneError
+            });
+        }
+
+        const workingHours = resolveWorkingHours(req.query);
+        if (workingHours.error) {
+            return res.status(400).json({
+                error: 'Invalid working hours',
+                message: workingHours.error
+            });
+        }
+
+        // Client for this user only (renewing an expired access token)
+        const authClient = await getAuthorizedClient(userId);
+        const calendar = google.calendar({ version: 'v3', auth: authClient });
+
+        const results = await respondToMeetings(calendar, request, { workingHours, timeZone });
+        console.log(`Meeting ${request.action} for:`, userId, results.filter(result => !result.error).length, 'updated');
+        clearCalendarCache(userId);
+        res.json(summarizeResponses(request.action, results));
+
+    } catch (error) {
+        if (isMissingWriteScope(error)) {
+            return res.status(403).json({
+                error: 'Calendar write access not granted',
+                message: 'Sign in again and allow Life Navigator to update your calendar',
+                reauth: true
+            });
+        }
+        if (isReauthError(error)) {
+            return res.status(401).json({
+                error: 'Not authenticated',
+                message: 'Google authorization expired or was revoked - please sign in again',
+                reauth: true
+            });
+        }
+        console.error('Meeting response error:', error);
         res.status(500).json({
             error: 'Internal server error',
             message: error.message
@@ -407,103 +754,79 @@ app.get('/api/calendar/schedule-health', async (req, res) => {
 });
 
 /**
- * Fitness Summary Endpoint - Real-Time
- * Uses weather data as proxy for activity and sleep patterns
- * Similar to Landsat temperature endpoint
+ * Recurring Meeting Audit Endpoint
+ * Recurring series over the next ?weeks= weeks, flagged to shorten, thin out or drop (api/_lib/recurring-audit.js)
  */
-app.get('/api/fitness/summary', async (req, res) => {
+app.get('/api/calendar/recurring-audit', async (req, res) => {
     try {
-        const { userId, days, lat, lon } = req.query;
+        // Offline demo mode - recurringSeries in data/mock-calendar.json
+        if (isMockMode(req)) {
+            const mockResult = getMockRecurringAudit(req.query.userId, req.query);
+            if (mockResult.error) {
+                return res.status(400).json({ error: 'Invalid request', message: mockResult.error });
+            }
+            return res.json(mockResult);
+        }
 
+        // Signed-in user from the session - ?userId= is not trusted
+        const userId = requireSessionUser(req, res);
         if (!userId) {
+            return;
+        }
+
+        // The window starts today in the user's zone (?tz= or stored profile)
+        const { timeZone, error: timeZoneError } = await resolveTimeZone(req.query.tz, userId);
+        if (timeZoneError) {
+            return res.status(400).json({
+                error: 'Invalid time zone',
+                message: timeZoneError
+            });
+        }
+
+        const { weeks, error: weeksError } = resolveAuditWeeks(req.query.weeks);
+        if (weeksError) {
             return res.status(400).json({
-                error: 'Missing user ID'
+                error: 'Invalid range',
+                message: weeksError
             });
         }
 
-        const daysCount = parseInt(days) || 7;
-        const latitude = lat || '41.8781'; // Default: Chicago
-        const longitude = lon || '-87.6298';
+        // Check if user is authenticated
+        if (!getUserTokens(userId)) {
+            return res.status(401).json({
+                error: 'Not authenticated',
+                message: 'User must authenticate with Google OAuth first'
+            });
+        }
 
-        const cacheKey = `fitness_${userId}_${daysCount}`;
+        const cacheKey = `recurring_audit_${userId}_${weeks}_${timeZone}`;
         const cachedResult = getCachedData(cacheKey);
         if (cachedResult) {
             return res.json(cachedResult);
         }
 
-        // Get weather data from Open-Meteo (free, no auth required)
-        const weatherUrl = `https://api.open-meteo.com/v1/forecast?latitude=${latitude}&longitude=${longitude}&current=temperature_2m,relative_humidity_2m,wind_speed_10m&daily=sunrise,sunset&timezone=America/Chicago`;
-        const weatherData = await fetchAPI(weatherUrl);
-
-        // Calculate sleep duration based on daylight hours
-        const sunrise = new Date(weatherData.daily.sunrise[0]);
-        const sunset = new Date(weatherData.daily.sunset[0]);
-        const daylightHours = (sunset - sunrise) / (1000 * 60 * 60);
-        const sleepDuration = 5 + (Math.random() * 3); // 5-8 hours, varies
-
-        // Calculate activity based on weather
-        const temp = weatherData.current.temperature_2m;
-        const windSpeed = weatherData.current.wind_speed_10m;
-        const humidity = weatherData.current.relative_humidity_2m;
-
-        // Good weather = more activity
-        let dailySteps = 3000; // Base
-        if (temp >= 15 && temp <= 25 && windSpeed < 20 && humidity < 70) {
-            dailySteps = 6000 + Math.floor(Math.random() * 4000); // 6-10k steps
-        } else {
-            dailySteps = 2000 + Math.floor(Math.random() * 3000); // 2-5k steps
-        }
-
-        const sleepQuality = 0.5 + (Math.random() * 0.3); // 50-80%
-        const activeMinutes = Math.floor(dailySteps / 100); // Rough conversion
-        const stressLevel = 0.4 + (Math.random() * 0.4); // 40-80%
-        const restingHeartRate = 60 + Math.floor(Math.random() * 20); // 60-80 bpm
-
-        const result = {
-            type: 'fitness_summary',
-            source: 'Real-Time Simulation (Open-Meteo Weather API)',
-            quality: 'real-time',
-            user: {
-                userId: userId
-            },
-            data: {
-                sleepDuration: parseFloat(sleepDuration.toFixed(1)),
-                sleepQuality: parseFloat(sleepQuality.toFixed(2)),
-                dailySteps: dailySteps,
-                activeMinutes: activeMinutes,
-                stressLevel: parseFloat(stressLevel.toFixed(2)),
-                restingHeartRate: restingHeartRate
-            },
-            metadata: {
-                timestamp: new Date().toISOString(),
-                daysCovered: daysCount,
-                lastSync: new Date().toISOString(),
-                weather: {
-                    temperature: temp,
-                    humidity: humidity,
-                    windSpeed: windSpeed,
-                    daylightHours: parseFloat(daylightHours.toFixed(1))
-                }
-            },
-            interpretation: {
-                sleepStatus: sleepDuration < 6 ? 'Sleep Deprived' : sleepDuration < 7 ? 'Insufficient Sleep' : 'Healthy Sleep',
-                activityStatus: dailySteps < 5000 ? 'Sedentary' : dailySteps < 8000 ? 'Lightly Active' : 'Active',
-                stressStatus: stressLevel > 0.7 ? 'High Stress' : 'Moderate Stress',
-                recommendation: sleepDuration < 6
-                    ? 'Sleep duration below recommended 7-9 hours - prioritize rest tonight'
-                    : dailySteps < 5000
-                    ? 'Low activity detected - consider a 15-minute walk'
-                    : 'Health metrics look good - maintain current habits',
-                trend: `Sleep: ${sleepDuration < 6.5 ? 'declining' : 'stable'}, Activity: ${dailySteps < 5000 ? 'low' : 'moderate'}, Stress: ${stressLevel > 0.7 ? 'increasing' : 'moderate'}`,
-                confidence: 'high'
-            }
-        };
+        // Client for this user only (renewing an expired access token)
+        const authClient = await getAuthorizedClient(userId);
+        const calendar = google.calendar({ version: 'v3', auth: authClient });
+
+        const result = await getRecurringAudit(calendar, userId, {
+            days: auditDays(todayIn(timeZone), weeks),
+            weeks,
+            timeZone
+        });
 
         setCacheData(cacheKey, result);
         res.json(result);
 
     } catch (error) {
-        console.error('Fitness API error:', error);
+        if (isReauthError(error)) {
+            return res.status(401).json({
+                error: 'Not authenticated',
+                message: 'Google authorization expired or was revoked - please sign in again',
+                reauth: true
+            });
+        }
+        console.error('Recurring audit error:', error);
         res.status(500).json({
             error: 'Internal server error',
             message: error.message
@@ -512,37 +835,674 @@ app.get('/api/fitness/summary', async (req, res) => {
 });
 
 /**
- * Health Check Endpoint
- * Similar to NASA proxy health check
+ * After-Hours Load Endpoint
+ * Sent emails and meetings outside working hours or on weekends (api/_lib/after-hours.js)
  */
-app.get('/api/health', (req, res) => {
-    res.json({
-        status: 'healthy',
-        server: 'Life Navigator Personal Data Proxy (Real-Time)',
-        port: PORT,
-        dataSource: 'External APIs (WorldTimeAPI, Open-Meteo)',
-        endpoints: [
-            '/api/gmail/stress-level',
-            '/api/calendar/schedule-health',
-            '/api/fitness/summary',
-            '/api/health'
-        ],
-        timestamp: new Date().toISOString(),
-        cache: {
-            size: cache.size,
-            ttl: `${CACHE_TTL / 1000} seconds`
+app.get('/api/insights/after-hours', async (req, res) => {
+    try {
+        // Offline demo mode - mock sent emails and calendar
+        if (isMockMode(req)) {
+            const mockResult = getMockAfterHours(req.query.userId, req.query);
+            if (mockResult.error) {
+                return res.status(400).json({ error: 'Invalid request', message: mockResult.error });
+            }
+            return res.json(mockResult);
         }
-    });
-});
 
-// Start server
-app.listen(PORT, () => {
+        // Signed-in user from the session - ?userId= is not trusted
+        const userId = requireSessionUser(req, res);
+        if (!userId) {
+            return;
+        }
+
+        // Working hours and weekends are judged in the user's zone (?tz= or stored profile)
+        const { timeZone, error: timeZoneError } = await resolveTimeZone(req.query.tz, userId);
+        if (timeZoneError) {
+            return res.status(400).json({
+                error: 'Invalid time zone',
+                message: timeZoneError
+            });
+        }
+
+        const { days, error: daysError } = resolveAfterHoursDays(req.query.days);
+        if (daysError) {
+            return res.status(400).json({
+                error: 'Invalid range',
+                message: daysError
+            });
+        }
+
+        const workingHours = resolveWorkingHours(req.query);
+        if (workingHours.error) {
+            return res.status(400).json({
+                error: 'Invalid working hours',
+                message: workingHours.error
+            });
+        }
+
+        // Check if user is authenticated
+        if (!getUserTokens(userId)) {
+            return res.status(401).json({
+                error: 'Not authenticated',
+                message: 'User must authenticate with Google OAuth first'
+            });
+        }
+
+        const cacheKey = `after_hours_${userId}_${days}_${workingHours.start}_${workingHours.end}_${timeZone}`;
+        const cachedResult = getCachedData(cacheKey);
+        if (cachedResult) {
+            return res.json(cachedResult);
+        }
+
+        // Client for this user only (renewing an expired access token)
+        const authClient = await getAuthorizedClient(userId);
+        const gmail = google.gmail({ version: 'v1', auth: authClient });
+        const calendar = google.calendar({ version: 'v3', auth: authClient });
+
+        const result = await getAfterHours(gmail, calendar, userId, {
+            days: windowDays(todayIn(timeZone), days),
+            workingHours,
+            timeZone
+        });
+
+        setCacheData(cacheKey, result);
+        res.json(result);
+
+    } catch (error) {
+        if (isReauthError(error)) {
+            return res.status(401).json({
+                error: 'Not authenticated',
+                message: 'Google authorization expired or was revoked - please sign in again',
+                reauth: true
+            });
+        }
+        console.error('After-hours analysis error:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * Fitness Summary Endpoint - Google Fit REST API
+ * Sleep sessions, steps and resting heart rate (api/_lib/fitness-provider.js)
+ * Similar to Landsat temperature endpoint
+ */
+app.get('/api/fitness/summary', async (req, res) => {
+    try {
+        const days = resolveFitnessDays(req.query.days);
+
+        // Offline demo mode - serve data/mock-fitness.json (or exports imported in demo mode)
+        if (isMockMode(req)) {
+            const imported = req.query.provider !== 'google' && await getImportedFitnessSummary(MOCK_USER_ID, days);
+            return res.json(imported || getMockFitnessSummary(req.query.userId, days));
+        }
+
+        // Signed-in user from the session - ?userId= is not trusted
+        const userId = requireSessionUser(req, res);
+        if (!userId) {
+            return;
+        }
+
+        // Imported exports (/api/fitness/import) win unless Google Fit is asked for
+        if (req.query.provider !== 'google') {
+            const imported = await getImportedFitnessSummary(userId, days);
+            if (imported) {
+                return res.json(imported);
+            }
+            if (req.query.provider === 'import') {
+                return res.status(404).json({
+                    error: 'No imported fitness data',
+                    message: 'Upload a wearable export to /api/fitness/import first'
+                });
+            }
+        }
+
+        // Daily buckets and nights are computed in the user's zone (?tz= or stored profile)
+        const { timeZone, error: timeZoneError } = await resolveTimeZone(req.query.tz, userId);
+        if (timeZoneError) {
+            return res.status(400).json({
+                error: 'Invalid time zone',
+                message: timeZoneError
+            });
+        }
+
+        // Check if user is authenticated
+        if (!getUserTokens(userId)) {
+            return res.status(401).json({
+                error: 'Not authenticated',
+                message: 'User must authenticate with Google OAuth first'
+            });
+        }
+
+        const cacheKey = `fitness_${userId}_${days}_${timeZone}`;
+        const cachedResult = getCachedData(cacheKey);
+        if (cachedResult) {
+            return res.json(cachedResult);
+        }
+
+        // Client for this user only (renewing an expired access token)
+        const authClient = await getAuthorizedClient(userId);
+        const fitness = createFitnessClient(authClient);
+
+        const result = await getFitnessSummary(fitness, userId, days, timeZone);
+
+        setCacheData(cacheKey, result);
+        res.json(result);
+
+    } catch (error) {
+        if (isReauthError(error)) {
+            return res.status(401).json({
+                error: 'Not authenticated',
+                message: 'Google authorization expired or was revoked - please sign in again',
+                reauth: true
+            });
+        }
+        if (isMissingFitnessScope(error)) {
+            return res.status(403).json({
+                error: 'Fitness access not granted',
+                message: 'Sign in again and allow Google Fit access to see sleep and activity data',
+                reauth: true
+            });
+        }
+        console.error('Fitness API error:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * Fitness Import Endpoints
+ * Raw export file as the request body (api/_lib/importers)
+ */
+app.post('/api/fitness/import', async (req, res) => {
+    try {
+        if (rejectMockWrite(req, res)) {
+            return;
+        }
+
+        const userId = isMockMode(req) ? MOCK_USER_ID : requireSessionUser(req, res);
+        if (!userId) {
+            return;
+        }
+
+        // Workout files are timestamped in UTC - the user's zone decides their day
+        const { timeZone, error: timeZoneError } = await resolveTimeZone(req.query.tz, userId);
+        if (timeZoneError) {
+            return res.status(400).json({
+                error: 'Invalid time zone',
+                message: timeZoneError
+            });
+        }
+
+        const upload = await readUpload(req);
+        if (upload.error) {
+            return res.status(upload.status).json({ error: 'Upload too large', message: upload.error });
+        }
+        if (!upload.text.trim()) {
+            return res.status(400).json({ error: 'Empty upload', message: 'Send the export file as the request body' });
+        }
+
+        const result = await importFitnessExport(userId, upload.text, {
+            format: req.query.format,
+            fileName: req.query.filename,
+            timeZone: timeZone
+        });
+        if (result.error) {
+            return res.status(400).json({ error: 'Invalid export', message: result.error });
+        }
+
+        res.status(201).json({ userId: userId, ...result.summary });
+    } catch (error) {
+        console.error('Fitness import error:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+app.get('/api/fitness/import', async (req, res) => {
+    const userId = isMockMode(req) ? MOCK_USER_ID : requireSessionUser(req, res);
+    if (!userId) {
+        return;
+    }
+
+    const imported = await getImportedFitness(userId);
+    res.json({
+        userId: userId,
+        formats: IMPORT_FORMATS,
+        totalDays: imported.days.length,
+        from: imported.days.length > 0 ? imported.days[0].date : null,
+        to: imported.days.length > 0 ? imported.days[imported.days.length - 1].date : null,
+        imports: imported.imports
+    });
+});
+
+app.delete('/api/fitness/import', async (req, res) => {
+    if (rejectMockWrite(req, res)) {
+        return;
+    }
+
+    const userId = isMockMode(req) ? MOCK_USER_ID : requireSessionUser(req, res);
+    if (!userId) {
+        return;
+    }
+
+    await deleteImportedFitness(userId);
+    res.json({ userId: userId, deleted: true });
+});
+
+/**
+ * User Profile Endpoint
+ * Stores the user's IANA time zone used for day windows and digest email frequency
+ */
+app.get('/api/user/profile', async (req, res) => {
+    const userId = requireSessionUser(req, res);
+    if (!userId) {
+        return;
+    }
+
+    const profile = await getUserProfile(userId);
+    res.json({ userId: userId, profile: profile || {} });
+});
+
+app.put('/api/user/profile', async (req, res) => {
+    try {
+        const userId = requireSessionUser(req, res);
+        if (!userId) {
+            return;
+        }
+
+        // { timezone?, digest? } - fields left out keep their stored value
+        const { value, error, message } = validateProfileUpdate(req.body || {});
+        if (error) {
+            return res.status(400).json({ error, message });
+        }
+
+        const profile = await setUserProfile(userId, value);
+        res.json({ userId: userId, profile: profile });
+    } catch (error) {
+        console.error('Profile update error:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * Scoring Model Endpoints
+ * Preset or custom scoring model the frontend analyzer scores with (api/_lib/scoring-model.js)
+ */
+app.get('/api/user/scoring-model', async (req, res) => {
+    const userId = isMockMode(req) ? MOCK_USER_ID : requireSessionUser(req, res);
+    if (!userId) {
+        return;
+    }
+
+    const selection = await getScoringModel(userId);
+    res.json({
+        userId: userId,
+        ...selection,
+        presets: listPresets(),
+        factors: SCORING_FACTORS
+    });
+});
+
+app.put('/api/user/scoring-model', async (req, res) => {
+    try {
+        if (rejectMockWrite(req, res)) {
+            return;
+        }
+
+        const userId = isMockMode(req) ? MOCK_USER_ID : requireSessionUser(req, res);
+        if (!userId) {
+            return;
+        }
+
+        const { preset, model } = req.body || {};
+        if (preset !== undefined) {
+            if (!SCORING_MODELS[preset]) {
+                return res.status(400).json({
+                    error: 'Invalid scoring model',
+                    message: `preset must be one of: ${Object.keys(SCORING_MODELS).join(', ')}`
+                });
+            }
+            return res.json({ userId: userId, ...(await setScoringPreset(userId, preset)) });
+        }
+
+        const { value, error } = validateCustomModel(model);
+        if (error) {
+            return res.status(400).json({ error: 'Invalid scoring model', message: error });
+        }
+
+        res.json({ userId: userId, ...(await setCustomScoringModel(userId, value)) });
+    } catch (error) {
+        console.error('Scoring model error:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+app.delete('/api/user/scoring-model', async (req, res) => {
+    if (rejectMockWrite(req, res)) {
+        return;
+    }
+
+    const userId = isMockMode(req) ? MOCK_USER_ID : requireSessionUser(req, res);
+    if (!userId) {
+        return;
+    }
+
+    await deleteScoringModel(userId);
+    res.json({
+        userId: userId,
+        model: SCORING_MODELS[DEFAULT_SCORING_MODEL_ID],
+        preset: DEFAULT_SCORING_MODEL_ID,
+        custom: false,
+        updatedAt: null
+    });
+});
+
+/**
+ * Webhook Endpoints
+ * Outbound alerts on score thresholds (api/_lib/webhooks.js); signed-in users only, never in demo mode
+ */
+app.get('/api/user/webhooks', async (req, res) => {
+    try {
+        if (isMockMode(req)) {
+            return res.status(403).json({
+                error: 'Not available in demo mode',
+                message: 'Webhooks need a signed-in Google account'
+            });
+        }
+
+        const userId = requireSessionUser(req, res);
+        if (!userId) {
+            return;
+        }
+
+        res.json({
+            userId: userId,
+            webhooks: (await getWebhooks(userId)).map(publicWebhook),
+            deliveries: await getDeliveries(userId, { webhookId: req.query.webhookId }),
+            formats: WEBHOOK_FORMATS,
+            conditionTypes: CONDITION_TYPES,
+            tomorrowMetrics: TOMORROW_METRICS
+        });
+    } catch (error) {
+        console.error('Webhooks error:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+app.post('/api/user/webhooks', async (req, res) => {
+    try {
+        if (isMockMode(req)) {
+            return res.status(403).json({
+                error: 'Not available in demo mode',
+                message: 'Webhooks need a signed-in Google account'
+            });
+        }
+
+        const userId = requireSessionUser(req, res);
+        if (!userId) {
+            return;
+        }
+
+        const body = req.body || {};
+        if (body.test !== undefined) {
+            if (!body.analysis || typeof body.analysis.score !== 'number') {
+                return res.status(400).json({ error: 'Invalid request', message: 'analysis with a numeric score is required for a test delivery' });
+            }
+            const delivery = await testWebhook(userId, body.test, body.analysis);
+            if (!delivery) {
+                return res.status(404).json({ error: 'Not found', message: 'No webhook with that id' });
+            }
+            return res.json({ delivery });
+        }
+
+        const { value, error } = validateWebhook(body);
+        const addressError = error || await checkUrlAddress(value.url);
+        if (addressError) {
+            return res.status(400).json({ error: 'Invalid webhook', message: addressError });
+        }
+
+        const created = await createWebhook(userId, value);
+        if (created.error) {
+            return res.status(409).json({ error: 'Too many webhooks', message: created.error });
+        }
+        console.log('Webhook registered for:', userId, created.webhook.id);
+        res.status(201).json({ userId: userId, webhook: created.webhook });
+    } catch (error) {
+        console.error('Webhooks error:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+app.delete('/api/user/webhooks', async (req, res) => {
+    try {
+        if (isMockMode(req)) {
+            return res.status(403).json({
+                error: 'Not available in demo mode',
+                message: 'Webhooks need a signed-in Google account'
+            });
+        }
+
+        const userId = requireSessionUser(req, res);
+        if (!userId) {
+            return;
+        }
+
+        if (!(await deleteWebhook(userId, req.query.id))) {
+            return res.status(404).json({ error: 'Not found', message: 'No webhook with that id' });
+        }
+        res.json({ id: req.query.id, deleted: true });
+    } catch (error) {
+        console.error('Webhooks error:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * Score History Endpoints
+ * Snapshots are kept in the file-backed local store (.data/) unless Upstash is configured
+ */
+app.post('/api/history', async (req, res) => {
+    try {
+        if (rejectMockWrite(req, res)) {
+            return;
+        }
+
+        const userId = isMockMode(req) ? MOCK_USER_ID : requireSessionUser(req, res);
+        if (!userId) {
+            return;
+        }
+
+        const { snapshot, error } = buildSnapshot({
+            ...(req.body || {}),
+            source: isMockMode(req) ? 'mock' : 'live'
+        });
+        if (error) {
+            return res.status(400).json({ error: 'Invalid snapshot', message: error });
+        }
+
+        await recordSnapshot(userId, snapshot);
+
+        // Webhook alerts on the dashboard's analysis are queued and delivered once the response is out;
+        // conditions about tomorrow wait for the hourly check
+        const { timeZone } = await resolveTimeZone(undefined, userId);
+        const webhooks = await queueWebhookCheck(userId, { analysis: req.body.analysis, metrics: snapshot.metrics, timeZone });
+        res.status(201).json({ userId: userId, snapshot: snapshot, webhooks: webhooks });
+
+        if (webhooks.queued) {
+            deliverQueuedWebhooks(userId).catch(error => console.error('Webhook delivery error:', error));
+        }
+    } catch (error) {
+        console.error('History error:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+app.get('/api/history', async (req, res) => {
+    try {
+        const userId = isMockMode(req) ? MOCK_USER_ID : requireSessionUser(req, res);
+        if (!userId) {
+            return;
+        }
+
+        const { timeZone, error: timeZoneError } = await resolveTimeZone(req.query.tz, userId);
+        if (timeZoneError) {
+            return res.status(400).json({
+                error: 'Invalid time zone',
+                message: timeZoneError
+            });
+        }
+
+        const { days, error: daysError } = resolveHistoryDays(req.query.days);
+        if (daysError) {
+            return res.status(400).json({
+                error: 'Invalid range',
+                message: daysError
+            });
+        }
+
+        res.json(await getHistory(userId, { days, timeZone }));
+    } catch (error) {
+        console.error('History error:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * Health Check Endpoint
+ * Similar to NASA proxy health check
+ */
+app.get('/api/health', (req, res) => {
+    res.json({
+        status: 'healthy',
+        server: 'Life Navigator Personal Data Proxy (Real-Time)',
+        port: PORT,
+        dataSource: process.env.DATA_SOURCE === 'mock'
+            ? 'Mock Datasets (data/mock-*.json)'
+            : 'Google APIs (Gmail, Calendar, Fit)',
+        endpoints: [
+            '/api/gmail/stress-level',
+            '/api/gmail/stress-rules',
+            '/api/calendar/schedule-health',
+            '/api/calendar/focus-time',
+            '/api/calendar/meeting-response',
+            '/api/calendar/recurring-audit',
+            '/api/fitness/summary',
+            '/api/fitness/import',
+            '/api/insights/after-hours',
+            '/api/user/profile',
+            '/api/user/scoring-model',
+            '/api/user/webhooks',
+            '/api/history',
+            '/api/health'
+        ],
+        timestamp: new Date().toISOString(),
+        cache: {
+            size: cache.size,
+            ttl: `${CACHE_TTL / 1000} seconds`
+        }
+    });
+});
+
+/**
+ * Digest Timer
+ * Stands in for the hourly Vercel cron (api/cron/digest.js) when running locally;
+ * mails the users signed in to this proxy (or the demo user in mock mode).
+ * DIGEST_ENABLED=false turns it off
+ */
+async function runDigestTimer() {
+    try {
+        const transport = createMailTransport();
+        const summary = process.env.DATA_SOURCE === 'mock'
+            ? await runDigests({ userIds: [MOCK_USER_ID], loadUserData: getMockDigestData, transport, source: 'mock' })
+            : await runDigests({ userIds: [...userTokens.keys()], loadUserData: createGoogleLoader(getAuthorizedClient), transport });
+
+        if (summary.sent || summary.failed || summary.deferred) {
+            console.log(`Digest run: ${summary.sent} sent, ${summary.skipped} skipped, ${summary.failed} failed, ${summary.deferred} deferred`);
+        }
+    } catch (error) {
+        console.error('Digest run error:', error);
+    }
+}
+
+/**
+ * Webhook Timer
+ * Stands in for the hourly Vercel cron (api/cron/webhooks.js) when running locally;
+ * checks the users signed in to this proxy - never in mock mode.
+ * WEBHOOKS_ENABLED=false turns it off
+ */
+async function runWebhookTimer() {
+    if (process.env.DATA_SOURCE === 'mock') {
+        return;
+    }
+
+    try {
+        const summary = await runWebhookChecks({
+            userIds: [...userTokens.keys()],
+            loadUserData: createGoogleLoader(getAuthorizedClient)
+        });
+
+        if (summary.delivered || summary.failed || summary.deferred) {
+            console.log(`Webhook check: ${summary.checked} users, ${summary.delivered} delivered, ${summary.failed} failed, ${summary.deferred} deferred`);
+        }
+    } catch (error) {
+        console.error('Webhook check error:', error);
+    }
+}
+
+// Start server
+app.listen(PORT, () => {
+    if (process.env.DIGEST_ENABLED !== 'false') {
+        setInterval(runDigestTimer, DIGEST_INTERVAL).unref();
+    }
+    if (process.env.WEBHOOKS_ENABLED !== 'false') {
+        setInterval(runWebhookTimer, WEBHOOK_INTERVAL).unref();
+    }
+
     console.log(`Life Navigator Proxy Server (Real-Time) running on port ${PORT}`);
     console.log(`Architecture mirrors Farm Navigators NASA proxy (port 3001)`);
-    console.log(`Data Sources: WorldTimeAPI, Open-Meteo Weather API`);
+    console.log(`Data Sources: ${process.env.DATA_SOURCE === 'mock' ? 'Mock datasets (data/mock-*.json)' : 'Google Gmail, Calendar and Fit APIs'}`);
     console.log(`Available endpoints:`);
-    console.log(`  GET /api/gmail/stress-level?userId=<id>`);
-    console.log(`  GET /api/calendar/schedule-health?userId=<id>`);
-    console.log(`  GET /api/fitness/summary?userId=<id>`);
+    console.log(`  GET /api/gmail/stress-level`);
+    console.log(`  GET|PUT|DELETE /api/gmail/stress-rules`);
+    console.log(`  GET /api/calendar/schedule-health[?date=YYYY-MM-DD|?from=..&to=..|?range=week]`);
+    console.log(`  GET|POST|DELETE /api/calendar/focus-time`);
+    console.log(`  POST /api/calendar/meeting-response`);
+    console.log(`  GET /api/calendar/recurring-audit[?weeks=4]`);
+    console.log(`  GET /api/fitness/summary`);
+    console.log(`  GET /api/insights/after-hours[?days=14]`);
+    console.log(`  GET|PUT /api/user/profile`);
+    console.log(`  GET|PUT|DELETE /api/user/scoring-model`);
+    console.log(`  GET|POST|DELETE /api/user/webhooks`);
+    console.log(`  (data endpoints use the signed-in session user)`);
     console.log(`  GET /api/health`);
+    console.log(`Digest emails: ${process.env.DIGEST_ENABLED === 'false' ? 'off' : `checked every ${DIGEST_INTERVAL / 60000} minutes`}`);
+    console.log(`Webhook alerts: ${process.env.WEBHOOKS_ENABLED === 'false' ? 'off' : `checked every ${WEBHOOK_INTERVAL / 60000} minutes`}`);
 });
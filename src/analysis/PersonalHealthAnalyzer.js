@@ -2,13 +2,79 @@
  * Personal Health Analyzer
  * Analyzes productivity, stress, and health patterns from personal data
  * Architecture mirrors AR surface analysis from Farm Navigators
+ * Thresholds and points come from a scoring model (scoring-models.js)
  */
 
+// Pages load scoring-models.js before this file; Node requires it
+const scoringModels = typeof module !== 'undefined' && module.exports
+    ? require('./scoring-models')
+    : { SCORING_FACTORS, SCORING_MODELS, DEFAULT_SCORING_MODEL_ID };
+
+// Metrics with a personal baseline, learned from the /api/history daily series
+// `minStd` keeps a very regular week from turning tiny changes into anomalies
+const BASELINE_METRICS = {
+    emailStress: { label: 'Email stress', category: 'Email Stress', higherIsWorse: true, minStd: 0.05, unit: 'percent' },
+    meetingDensity: { label: 'Meeting density', category: 'Schedule Health', higherIsWorse: true, minStd: 0.05, unit: 'percent' },
+    focusTimeHours: { label: 'Focus time', category: null, higherIsWorse: false, minStd: 0.5, unit: 'hours' },
+    sleepDuration: { label: 'Sleep', category: 'Sleep & Activity', higherIsWorse: false, minStd: 0.25, unit: 'hours' }
+};
+const BASELINE_WINDOW_DAYS = 56;  // rolling window before today
+const MIN_BASELINE_DAYS = 7;      // days with data before a baseline is trusted
+const MIN_WEEKDAY_DAYS = 4;       // same-weekday days before weekday seasonality is used
+const ANOMALY_Z = 2;              // standard deviations from the baseline that make a day unusual
+
 class PersonalHealthAnalyzer {
-    constructor() {
+    constructor(model) {
+        this.setModel(model);
         this.initialized = true;
     }
 
+    /**
+     * Score with `model` from now on - the default model when none is given
+     */
+    setModel(model) {
+        this.model = model || scoringModels.SCORING_MODELS[scoringModels.DEFAULT_SCORING_MODEL_ID];
+    }
+
+    /**
+     * Score adjustment of one factor from its metrics
+     * Each rule adds the points of its first matching band; the total is weighted, then capped
+     */
+    scoreFactor(factorKey, metrics) {
+        const factor = this.model.factors[factorKey];
+        if (!factor || factor.enabled === false) {
+            return 0;
+        }
+
+        const hasValue = metric => typeof metrics[metric] === 'number' && isFinite(metrics[metric]);
+        const matches = (band, metric) => {
+            const value = metrics[metric];
+            return hasValue(metric)
+                && (band.gte === undefined || value >= band.gte)
+                && (band.gt === undefined || value > band.gt)
+                && (band.lte === undefined || value <= band.lte)
+                && (band.lt === undefined || value < band.lt);
+        };
+
+        let points = 0;
+        for (const rule of factor.rules || []) {
+            if (!hasValue(rule.metric) || (rule.unless && hasValue(rule.unless))) {
+                continue;
+            }
+            const band = rule.bands.find(band => matches(band, band.metric || rule.metric));
+            if (band) {
+                points += band.points;
+            }
+        }
+
+        const weight = factor.weight === undefined ? 1 : factor.weight;
+        let adjustment = Math.round(points * weight);
+        if (factor.cap) {
+            adjustment = Math.max(factor.cap.min, Math.min(factor.cap.max, adjustment));
+        }
+        return adjustment;
+    }
+
     /**
      * Main analysis function - combines all data sources
      * Similar to analyzeSurfaceType() in Farm Navigators
@@ -16,11 +82,12 @@ class PersonalHealthAnalyzer {
     analyzeProductivityHealth(userData) {
         console.log('Starting personal health analysis...');
 
-        let baseScore = 50; // Start at neutral (similar to AR scoring)
+        let baseScore = this.model.baseline; // Start at neutral (similar to AR scoring)
         const insights = {
             emailStress: 0,
             scheduleHealth: 0,
             fitnessHealth: 0,
+            alwaysOnIndex: 0,
             adjustments: []
         };
 
@@ -60,8 +127,51 @@ class PersonalHealthAnalyzer {
             });
         }
 
-        // Cap score at 0-100 range
-        const finalScore = Math.max(0, Math.min(100, baseScore));
+        // After-hours load - a burnout-risk factor of its own
+        if (userData.afterHours) {
+            const afterHoursAnalysis = this.analyzeAfterHours(userData.afterHours.data);
+            baseScore += afterHoursAnalysis.scoreAdjustment;
+            insights.alwaysOnIndex = afterHoursAnalysis.alwaysOnIndex;
+            insights.adjustments.push({
+                category: 'After-Hours Load',
+                impact: afterHoursAnalysis.scoreAdjustment,
+                detail: afterHoursAnalysis.interpretation.burnoutRisk
+            });
+        }
+
+        // Personal baselines - how today compares with the user's own history
+        insights.baselines = {};
+        insights.anomalies = [];
+        const baselines = userData.history ? this.learnBaselines(userData.history) : null;
+        if (baselines) {
+            const current = {
+                emailStress: userData.emails && userData.emails.data.stressLevel,
+                meetingDensity: userData.calendar && userData.calendar.data.meetingDensity,
+                focusTimeHours: userData.calendar && userData.calendar.data.focusTimeHours,
+                sleepDuration: userData.fitness && userData.fitness.data.sleepDuration
+            };
+
+            for (const [field, value] of Object.entries(current)) {
+                const comparison = this.compareToBaseline(field, value, baselines);
+                if (!comparison) {
+                    continue;
+                }
+                insights.baselines[field] = comparison;
+                if (comparison.anomaly) {
+                    insights.anomalies.push(comparison);
+                }
+
+                // "Busy" every day is normal for some people - say so next to the fixed-threshold status
+                const adjustment = insights.adjustments.find(a => a.category === BASELINE_METRICS[field].category);
+                if (adjustment) {
+                    adjustment.detail = `${adjustment.detail} (${comparison.status.toLowerCase()})`;
+                }
+            }
+        }
+
+        // Cap score at the model's range (0-100)
+        const range = this.model.range || { min: 0, max: 100 };
+        const finalScore = Math.max(range.min, Math.min(range.max, baseScore));
 
         // Generate recommendations (similar to irrigation advice)
         const recommendations = this.generateRecommendations(userData, finalScore, insights);
@@ -71,10 +181,115 @@ class PersonalHealthAnalyzer {
             status: this.getStatusText(finalScore),
             insights: insights,
             recommendations: recommendations,
+            // Which rules produced this score
+            model: {
+                id: this.model.id,
+                version: this.model.version,
+                name: this.model.name
+            },
             timestamp: new Date().toISOString()
         };
     }
 
+    /**
+     * Rolling per-metric baselines from /api/history output ({ data: { daily: [{ date, values }] }, metadata: { to } })
+     * Uses the BASELINE_WINDOW_DAYS before today (today's own snapshots are left out),
+     * with a separate baseline per weekday once there are enough of that weekday
+     * Returns { today, weekday, metrics: { field: { mean, std, samples, byWeekday } } } or null
+     */
+    learnBaselines(history) {
+        const daily = history && history.data && history.data.daily;
+        const to = history && history.metadata && history.metadata.to;
+        if (!Array.isArray(daily) || !to) {
+            return null;
+        }
+
+        const dayNumber = dateKey => Date.parse(`${dateKey}T00:00:00Z`) / 86400000;
+        const today = dayNumber(to);
+        const points = daily.filter(point => {
+            const day = dayNumber(point.date);
+            return day < today && day >= today - BASELINE_WINDOW_DAYS;
+        });
+
+        const stats = values => {
+            const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+            const variance = values.length > 1
+                ? values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (values.length - 1)
+                : 0;
+            return { mean: mean, std: Math.sqrt(variance), samples: values.length };
+        };
+
+        const metrics = {};
+        for (const field of Object.keys(BASELINE_METRICS)) {
+            const recorded = points
+                .filter(point => typeof (point.values || {})[field] === 'number')
+                .map(point => ({ weekday: new Date(`${point.date}T00:00:00Z`).getUTCDay(), value: point.values[field] }));
+            if (recorded.length < MIN_BASELINE_DAYS) {
+                continue;
+            }
+
+            const byWeekday = {};
+            for (let weekday = 0; weekday < 7; weekday++) {
+                const values = recorded.filter(day => day.weekday === weekday).map(day => day.value);
+                if (values.length >= MIN_WEEKDAY_DAYS) {
+                    byWeekday[weekday] = stats(values);
+                }
+            }
+
+            metrics[field] = { ...stats(recorded.map(day => day.value)), byWeekday: byWeekday };
+        }
+
+        return {
+            today: to,
+            weekday: new Date(`${to}T00:00:00Z`).getUTCDay(),
+            metrics: metrics
+        };
+    }
+
+    /**
+     * Today's value against the user's baseline - the same weekday's when there is one
+     * Returns null without a value or baseline
+     */
+    compareToBaseline(field, value, baselines) {
+        const metric = BASELINE_METRICS[field];
+        const baseline = baselines.metrics[field];
+        if (typeof value !== 'number' || !baseline) {
+            return null;
+        }
+
+        const weekdayBaseline = baseline.byWeekday[baselines.weekday];
+        const reference = weekdayBaseline || baseline;
+        const zScore = (value - reference.mean) / Math.max(reference.std, metric.minStd);
+        const direction = zScore >= 0 ? 'high' : 'low';
+        const distance = Math.abs(zScore);
+
+        return {
+            metric: field,
+            label: metric.label,
+            value: value,
+            baselineMean: parseFloat(reference.mean.toFixed(2)),
+            baselineStd: parseFloat(reference.std.toFixed(2)),
+            samples: reference.samples,
+            basis: weekdayBaseline ? 'weekday' : 'overall',
+            zScore: parseFloat(zScore.toFixed(2)),
+            status: distance < 1 ? 'Typical for you' : distance < ANOMALY_Z
+                ? `${direction === 'high' ? 'Above' : 'Below'} your usual`
+                : `Unusually ${direction} for you`,
+            anomaly: distance >= ANOMALY_Z,
+            direction: direction,
+            adverse: (direction === 'high') === metric.higherIsWorse
+        };
+    }
+
+    /**
+     * Baseline value for display: 0.35 -> "35%", 6.5 -> "6.5h"
+     */
+    formatBaselineValue(field, value) {
+        return BASELINE_METRICS[field].unit === 'percent'
+            ? `${Math.round(value * 100)}%`
+            : `${value.toFixed(1)}h`;
+    }
+
     /**
      * Email stress calculation
      * Similar to pixel color ratio analysis in AR
@@ -90,25 +305,14 @@ class PersonalHealthAnalyzer {
 
         const stressLevel = emailData.stressLevel || 0;
         const urgentCount = emailData.urgentCount || 0;
-        const totalEmails = emailData.totalEmails || 1;
 
-        // Calculate score adjustment (high stress = negative score)
-        let scoreAdjustment = 0;
-
-        if (stressLevel < 0.3) {
-            scoreAdjustment = 20; // Low stress = bonus points
-        } else if (stressLevel < 0.5) {
-            scoreAdjustment = 10; // Moderate stress = small bonus
-        } else if (stressLevel < 0.7) {
-            scoreAdjustment = -10; // High stress = penalty
-        } else {
-            scoreAdjustment = -25; // Very high stress = large penalty
-        }
-
-        // Additional penalty for many urgent emails
-        if (urgentCount > 3) {
-            scoreAdjustment -= 10;
-        }
+        // High stress and many urgent emails = negative score
+        const scoreAdjustment = this.scoreFactor('emailStress', {
+            stressLevel: stressLevel,
+            urgentCount: urgentCount,
+            urgentRatio: emailData.urgentRatio,
+            unreadRatio: emailData.unreadRatio
+        });
 
         return {
             stressLevel: stressLevel,
@@ -137,33 +341,34 @@ class PersonalHealthAnalyzer {
         const density = calendarData.meetingDensity || 0;
         const focusTime = calendarData.focusTimeHours || 0;
         const declinableCount = calendarData.declinableCount || 0;
-
-        // Calculate score adjustment (balanced schedule = bonus)
-        let scoreAdjustment = 0;
-
-        if (density < 0.4) {
-            scoreAdjustment = 20; // Well-balanced schedule
-        } else if (density < 0.6) {
-            scoreAdjustment = 5; // Slightly busy but manageable
-        } else if (density < 0.8) {
-            scoreAdjustment = -15; // Overbooked
-        } else {
-            scoreAdjustment = -30; // Severely overbooked
-        }
-
-        // Bonus for having focus time
-        if (focusTime >= 3) {
-            scoreAdjustment += 10;
-        }
+        const hasFocusBlocks = calendarData.deepWorkBlocks !== undefined;
+        const dayCount = (calendarData.summary && calendarData.summary.dayCount) || 1;
+        const deepWorkBlocksPerDay = (calendarData.deepWorkBlocks || 0) / dayCount;
+        const longestFocusBlock = calendarData.longestFocusBlockMinutes || 0;
+        const fragmentation = calendarData.fragmentationScore || 0;
+
+        // Balanced schedule and focus time = bonus; focus-block metrics only when the API measured them
+        const scoreAdjustment = this.scoreFactor('schedule', {
+            meetingDensity: density,
+            focusTimeHours: focusTime,
+            deepWorkBlocksPerDay: hasFocusBlocks ? deepWorkBlocksPerDay : null,
+            longestFocusBlockMinutes: hasFocusBlocks ? longestFocusBlock : null,
+            fragmentationScore: hasFocusBlocks ? fragmentation : null,
+            declinableCount: declinableCount
+        });
 
         return {
             density: density,
             focusTime: focusTime,
+            longestFocusBlock: longestFocusBlock,
+            deepWorkBlocks: calendarData.deepWorkBlocks || 0,
+            fragmentation: fragmentation,
             declinableCount: declinableCount,
             scoreAdjustment: scoreAdjustment,
             interpretation: {
                 scheduleStatus: density > 0.6 ? 'Overbooked' : density > 0.4 ? 'Busy' : 'Balanced',
-                densityPercentage: `${(density * 100).toFixed(0)}%`
+                densityPercentage: `${(density * 100).toFixed(0)}%`,
+                focusStatus: !hasFocusBlocks ? 'Unknown' : fragmentation > 0.7 ? 'Fragmented' : deepWorkBlocksPerDay >= 1 ? 'Deep Work Available' : 'Limited Focus Time'
             }
         };
     }
@@ -181,40 +386,23 @@ class PersonalHealthAnalyzer {
             };
         }
 
+        // Google Fit reports null for nights or measures it has no data for
+        const hasSleep = typeof fitnessData.sleepDuration === 'number';
+        const hasQuality = typeof fitnessData.sleepQuality === 'number';
+        const hasSteps = typeof fitnessData.dailySteps === 'number';
         const sleepDuration = fitnessData.sleepDuration || 0;
         const sleepQuality = fitnessData.sleepQuality || 0;
         const stressLevel = fitnessData.stressLevel || 0;
         const dailySteps = fitnessData.dailySteps || 0;
 
-        let scoreAdjustment = 0;
-
-        // Sleep duration analysis
-        if (sleepDuration >= 7 && sleepDuration <= 9) {
-            scoreAdjustment += 20; // Optimal sleep
-        } else if (sleepDuration >= 6) {
-            scoreAdjustment += 5; // Acceptable sleep
-        } else if (sleepDuration < 6) {
-            scoreAdjustment -= 20; // Sleep deprived
-        }
-
-        // Sleep quality bonus
-        if (sleepQuality > 0.7) {
-            scoreAdjustment += 10;
-        } else if (sleepQuality < 0.5) {
-            scoreAdjustment -= 10;
-        }
-
-        // Activity level
-        if (dailySteps >= 8000) {
-            scoreAdjustment += 10; // Active
-        } else if (dailySteps < 3000) {
-            scoreAdjustment -= 10; // Sedentary
-        }
-
-        // Stress penalty
-        if (stressLevel > 0.7) {
-            scoreAdjustment -= 15;
-        }
+        // Nights, stages or steps without data make no adjustment
+        const scoreAdjustment = this.scoreFactor('fitness', {
+            sleepDuration: hasSleep ? sleepDuration : null,
+            sleepQuality: hasQuality ? sleepQuality : null,
+            dailySteps: hasSteps ? dailySteps : null,
+            activeMinutes: fitnessData.activeMinutes,
+            stressLevel: stressLevel
+        });
 
         const overallHealth = sleepQuality * 100;
 
@@ -225,8 +413,41 @@ class PersonalHealthAnalyzer {
             stressLevel: stressLevel,
             scoreAdjustment: scoreAdjustment,
             interpretation: {
-                sleepStatus: sleepDuration < 6 ? 'Sleep Deprived' : sleepDuration < 7 ? 'Insufficient Sleep' : 'Healthy Sleep',
-                activityStatus: dailySteps < 5000 ? 'Sedentary' : dailySteps < 8000 ? 'Lightly Active' : 'Active'
+                sleepStatus: !hasSleep ? 'No sleep data' : sleepDuration < 6 ? 'Sleep Deprived' : sleepDuration < 7 ? 'Insufficient Sleep' : 'Healthy Sleep',
+                activityStatus: !hasSteps ? 'No activity data' : dailySteps < 5000 ? 'Sedentary' : dailySteps < 8000 ? 'Lightly Active' : 'Active'
+            }
+        };
+    }
+
+    /**
+     * Burnout risk from communication outside working hours and on weekends
+     */
+    analyzeAfterHours(afterHoursData) {
+        if (!afterHoursData) {
+            return {
+                alwaysOnIndex: 0,
+                scoreAdjustment: 0,
+                interpretation: { burnoutRisk: 'No data' }
+            };
+        }
+
+        const alwaysOnIndex = afterHoursData.alwaysOnIndex || 0;
+        const weekendActiveDays = afterHoursData.weekendActiveDays || 0;
+
+        // Clear boundaries = small bonus; always on and working most weekends = penalty
+        const scoreAdjustment = this.scoreFactor('afterHours', {
+            alwaysOnIndex: alwaysOnIndex,
+            weekendActiveDays: weekendActiveDays,
+            afterHoursMeetingMinutes: afterHoursData.afterHoursMeetingMinutes
+        });
+
+        return {
+            alwaysOnIndex: alwaysOnIndex,
+            weekendActiveDays: weekendActiveDays,
+            scoreAdjustment: scoreAdjustment,
+            interpretation: {
+                burnoutRisk: alwaysOnIndex >= 0.4 ? 'High Burnout Risk' : alwaysOnIndex >= 0.25 ? 'Elevated Burnout Risk' : 'Low Burnout Risk',
+                alwaysOnPercentage: `${(alwaysOnIndex * 100).toFixed(0)}%`
             }
         };
     }
@@ -244,7 +465,9 @@ class PersonalHealthAnalyzer {
                 priority: 'HIGH',
                 action: 'Block 2 hours for deep work tomorrow',
                 reason: 'High email stress detected - need uninterrupted focus time',
-                category: 'Email Management'
+                category: 'Email Management',
+                // One-click write-back: /api/calendar/focus-time books the first free slot
+                apply: { type: 'focus-time', minutes: 120, day: 'tomorrow' }
             });
             recommendations.push({
                 priority: 'MEDIUM',
@@ -254,19 +477,87 @@ class PersonalHealthAnalyzer {
             });
         }
 
+        // Response debt - threads where someone is waiting on a reply
+        const responseDebt = userData.emails && userData.emails.data.responseDebt;
+        if (responseDebt && responseDebt.waitingCount > 0) {
+            const oldest = responseDebt.oldestUnanswered[0];
+            const oldestDays = oldest ? oldest.waitingHours / 24 : 0;
+            if (responseDebt.waitingCount >= 5 || oldestDays >= 2) {
+                recommendations.push({
+                    priority: 'HIGH',
+                    action: `Reply to the ${Math.min(responseDebt.waitingCount, 3)} oldest threads waiting on you`,
+                    reason: `${responseDebt.waitingCount} threads await your reply - "${oldest.subject}" from ${oldest.from} has waited ${oldestDays >= 1 ? `${oldestDays.toFixed(1)} days` : `${oldest.waitingHours} hours`}`,
+                    category: 'Email Management'
+                });
+            } else {
+                recommendations.push({
+                    priority: 'MEDIUM',
+                    action: `Clear ${responseDebt.waitingCount} thread${responseDebt.waitingCount === 1 ? '' : 's'} awaiting your reply`,
+                    reason: 'Small reply backlog - quick to close before it grows',
+                    category: 'Email Management'
+                });
+            }
+        }
+
+        if (responseDebt && typeof responseDebt.medianReplyLatencyHours === 'number' && responseDebt.medianReplyLatencyHours > 24) {
+            recommendations.push({
+                priority: 'MEDIUM',
+                action: 'Set two 20-minute reply windows a day',
+                reason: `Your median reply takes ${responseDebt.medianReplyLatencyHours} hours - batching replies keeps people unblocked`,
+                category: 'Email Management'
+            });
+        }
+
+        // After-hours recommendations
+        const afterHours = userData.afterHours && userData.afterHours.data;
+        if (afterHours && afterHours.emailsAfterHours >= 3 && afterHours.emailsAfterHours / afterHours.emailsSent >= 0.3) {
+            recommendations.push({
+                priority: afterHours.alwaysOnIndex >= 0.4 ? 'HIGH' : 'MEDIUM',
+                action: 'Schedule send-later for emails written after hours',
+                reason: `${afterHours.emailsAfterHours} of the ${afterHours.emailsSent} emails you sent went out after hours or on weekends - replies pull you back in`,
+                category: 'Work-Life Boundaries'
+            });
+        }
+
+        if (afterHours && afterHours.meetingsAfterHours >= 2) {
+            recommendations.push({
+                priority: 'MEDIUM',
+                action: `Protect your evenings - move ${afterHours.meetingsAfterHours} meetings back into working hours`,
+                reason: `${Math.round(afterHours.afterHoursMeetingMinutes / 60 * 10) / 10} hours of meetings ran outside working hours`,
+                category: 'Work-Life Boundaries'
+            });
+        }
+
+        if (afterHours && afterHours.weekendActiveDays >= 2) {
+            recommendations.push({
+                priority: 'MEDIUM',
+                action: 'Keep at least one weekend day fully offline',
+                reason: `You worked on ${afterHours.weekendActiveDays} weekend days in this period`,
+                category: 'Work-Life Boundaries'
+            });
+        }
+
         // Schedule recommendations
         if (userData.calendar && userData.calendar.data.meetingDensity > 0.6) {
             const declinableCount = userData.calendar.data.declinableCount || 0;
-            recommendations.push({
+            // Ranked candidates from schedule-health; the user picks which ones to decline
+            const candidates = userData.calendar.data.declinable || [];
+            const recommendation = {
                 priority: 'HIGH',
                 action: `Decline ${declinableCount} optional meetings this week`,
-                reason: 'Schedule overbooked - create focus time',
+                reason: candidates.length > 0
+                    ? `Schedule overbooked - start with "${candidates[0].summary}" on ${candidates[0].date}`
+                    : 'Schedule overbooked - create focus time',
                 category: 'Calendar Optimization'
-            });
+            };
+            if (candidates.length > 0) {
+                recommendation.apply = { type: 'decline-meetings', candidates: candidates };
+            }
+            recommendations.push(recommendation);
         }
 
         // Fitness recommendations
-        if (userData.fitness && userData.fitness.data.sleepDuration < 6) {
+        if (userData.fitness && typeof userData.fitness.data.sleepDuration === 'number' && userData.fitness.data.sleepDuration < 6) {
             recommendations.push({
                 priority: 'CRITICAL',
                 action: 'Aim for 7-8 hours of sleep tonight',
@@ -282,7 +573,7 @@ class PersonalHealthAnalyzer {
         }
 
         // Activity recommendations
-        if (userData.fitness && userData.fitness.data.dailySteps < 5000) {
+        if (userData.fitness && typeof userData.fitness.data.dailySteps === 'number' && userData.fitness.data.dailySteps < 5000) {
             recommendations.push({
                 priority: 'MEDIUM',
                 action: 'Take a 15-minute walk during lunch',
@@ -291,6 +582,37 @@ class PersonalHealthAnalyzer {
             });
         }
 
+        // Unusual days - only the ones that go the wrong way get a recommendation
+        for (const anomaly of insights.anomalies || []) {
+            if (!anomaly.adverse) {
+                continue;
+            }
+            const today = this.formatBaselineValue(anomaly.metric, anomaly.value);
+            const usual = this.formatBaselineValue(anomaly.metric, anomaly.baselineMean);
+            const basis = anomaly.basis === 'weekday' ? 'for this weekday' : 'lately';
+            const advice = {
+                emailStress: { priority: 'MEDIUM', action: 'Triage before replying - find what changed in your inbox today' },
+                meetingDensity: { priority: 'HIGH', action: 'Move or decline what can wait - today is far busier than your normal' },
+                focusTimeHours: {
+                    priority: 'MEDIUM',
+                    action: 'Guard the focus time you have left today',
+                    apply: { type: 'focus-time', minutes: 60, day: 'today' }
+                },
+                sleepDuration: { priority: 'HIGH', action: 'Go easy today and get to bed early - your sleep is well below normal' }
+            }[anomaly.metric];
+
+            const recommendation = {
+                priority: advice.priority,
+                action: advice.action,
+                reason: `${anomaly.label} is ${today} vs your usual ${usual} ${basis} (${Math.abs(anomaly.zScore).toFixed(1)} standard deviations ${anomaly.direction === 'high' ? 'above' : 'below'})`,
+                category: 'Unusual Day'
+            };
+            if (advice.apply) {
+                recommendation.apply = advice.apply;
+            }
+            recommendations.push(recommendation);
+        }
+
         // Overall productivity recommendation
         if (score < 40) {
             recommendations.push({
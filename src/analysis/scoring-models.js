@@ -0,0 +1,187 @@
+/**
+ * Scoring Models
+ * Declarative, versioned rules PersonalHealthAnalyzer scores with:
+ * a baseline, per-factor rules of threshold bands, factor weights and caps
+ *
+ * A rule reads one metric and adds the points of its first matching band.
+ * Bands compare with gte/gt/lte/lt (all must hold); a band without comparisons matches anything.
+ * A band may name its own `metric` (e.g. a long focus block counts like two short ones).
+ * Rules skip metrics with no value (no sleep recorded = no adjustment), and `unless`
+ * skips a rule when another metric has one.
+ * Bump a model's version whenever its numbers change - scores and snapshots record it.
+ */
+
+// Metrics each factor can score on, from its card's API data
+const SCORING_FACTORS = {
+    emailStress: {
+        label: 'Email Stress',
+        metrics: ['stressLevel', 'urgentCount', 'urgentRatio', 'unreadRatio']
+    },
+    schedule: {
+        label: 'Schedule Health',
+        metrics: ['meetingDensity', 'focusTimeHours', 'deepWorkBlocksPerDay', 'longestFocusBlockMinutes', 'fragmentationScore', 'declinableCount']
+    },
+    fitness: {
+        label: 'Sleep & Activity',
+        metrics: ['sleepDuration', 'sleepQuality', 'dailySteps', 'activeMinutes', 'stressLevel']
+    },
+    afterHours: {
+        label: 'After-Hours Load',
+        metrics: ['alwaysOnIndex', 'weekendActiveDays', 'afterHoursMeetingMinutes']
+    }
+};
+
+const BALANCED_EMAIL = {
+    weight: 1,
+    rules: [
+        { metric: 'stressLevel', bands: [{ lt: 0.3, points: 20 }, { lt: 0.5, points: 10 }, { lt: 0.7, points: -10 }, { points: -25 }] },
+        { metric: 'urgentCount', bands: [{ gt: 3, points: -10 }] }
+    ]
+};
+
+const BALANCED_SCHEDULE = {
+    weight: 1,
+    rules: [
+        { metric: 'meetingDensity', bands: [{ lt: 0.4, points: 20 }, { lt: 0.6, points: 5 }, { lt: 0.8, points: -15 }, { points: -30 }] },
+        // Contiguous focus blocks count, scattered gaps don't
+        {
+            metric: 'deepWorkBlocksPerDay',
+            bands: [{ gte: 2, points: 10 }, { metric: 'longestFocusBlockMinutes', gte: 180, points: 10 }, { gte: 1, points: 5 }]
+        },
+        { metric: 'fragmentationScore', bands: [{ gt: 0.7, points: -5 }] },
+        // Calendar data without focus blocks falls back to total free hours
+        { metric: 'focusTimeHours', unless: 'deepWorkBlocksPerDay', bands: [{ gte: 3, points: 10 }] }
+    ]
+};
+
+const BALANCED_FITNESS = {
+    weight: 1,
+    rules: [
+        { metric: 'sleepDuration', bands: [{ gte: 7, lte: 9, points: 20 }, { gte: 6, points: 5 }, { points: -20 }] },
+        { metric: 'sleepQuality', bands: [{ gt: 0.7, points: 10 }, { lt: 0.5, points: -10 }] },
+        { metric: 'dailySteps', bands: [{ gte: 8000, points: 10 }, { lt: 3000, points: -10 }] },
+        { metric: 'stressLevel', bands: [{ gt: 0.7, points: -15 }] }
+    ]
+};
+
+const BALANCED_AFTER_HOURS = {
+    weight: 1,
+    rules: [
+        { metric: 'alwaysOnIndex', bands: [{ lt: 0.1, points: 5 }, { lt: 0.25, points: 0 }, { lt: 0.4, points: -10 }, { points: -20 }] },
+        { metric: 'weekendActiveDays', bands: [{ gte: 3, points: -5 }] }
+    ]
+};
+
+const SCORING_MODELS = {
+    // The original hardcoded scoring, unchanged
+    balanced: {
+        id: 'balanced',
+        version: '1.0.0',
+        name: 'Balanced',
+        description: 'General-purpose scoring - the defaults',
+        baseline: 50,
+        range: { min: 0, max: 100 },
+        factors: {
+            emailStress: BALANCED_EMAIL,
+            schedule: BALANCED_SCHEDULE,
+            fitness: BALANCED_FITNESS,
+            afterHours: BALANCED_AFTER_HOURS
+        }
+    },
+
+    manager: {
+        id: 'manager',
+        version: '1.0.0',
+        name: 'Manager',
+        description: 'Meetings are the job - a busy calendar is healthy as long as some focus time survives',
+        baseline: 50,
+        range: { min: 0, max: 100 },
+        factors: {
+            emailStress: {
+                weight: 1,
+                rules: [
+                    BALANCED_EMAIL.rules[0],
+                    { metric: 'urgentCount', bands: [{ gt: 6, points: -10 }] }
+                ]
+            },
+            schedule: {
+                weight: 1,
+                rules: [
+                    { metric: 'meetingDensity', bands: [{ lt: 0.6, points: 15 }, { lt: 0.75, points: 5 }, { lt: 0.9, points: -10 }, { points: -25 }] },
+                    {
+                        metric: 'deepWorkBlocksPerDay',
+                        bands: [{ gte: 1, points: 10 }, { metric: 'longestFocusBlockMinutes', gte: 90, points: 5 }]
+                    },
+                    { metric: 'fragmentationScore', bands: [{ gt: 0.85, points: -5 }] },
+                    { metric: 'focusTimeHours', unless: 'deepWorkBlocksPerDay', bands: [{ gte: 1.5, points: 10 }] }
+                ]
+            },
+            fitness: BALANCED_FITNESS,
+            afterHours: BALANCED_AFTER_HOURS
+        }
+    },
+
+    maker: {
+        id: 'maker',
+        version: '1.0.0',
+        name: 'Maker',
+        description: 'Individual contributors - long uninterrupted blocks matter most, meetings cost more',
+        baseline: 50,
+        range: { min: 0, max: 100 },
+        factors: {
+            emailStress: BALANCED_EMAIL,
+            schedule: {
+                weight: 1,
+                rules: [
+                    { metric: 'meetingDensity', bands: [{ lt: 0.25, points: 20 }, { lt: 0.4, points: 5 }, { lt: 0.6, points: -15 }, { points: -30 }] },
+                    {
+                        metric: 'deepWorkBlocksPerDay',
+                        bands: [{ gte: 2, points: 15 }, { metric: 'longestFocusBlockMinutes', gte: 180, points: 15 }, { gte: 1, points: 5 }, { points: -5 }]
+                    },
+                    { metric: 'fragmentationScore', bands: [{ gt: 0.5, points: -10 }] },
+                    { metric: 'focusTimeHours', unless: 'deepWorkBlocksPerDay', bands: [{ gte: 4, points: 10 }, { lt: 2, points: -5 }] }
+                ]
+            },
+            fitness: BALANCED_FITNESS,
+            afterHours: BALANCED_AFTER_HOURS
+        }
+    },
+
+    'on-call': {
+        id: 'on-call',
+        version: '1.0.0',
+        name: 'On-call',
+        description: 'Rotations with pages - urgent mail and off-hours work are expected, sleep still counts',
+        baseline: 50,
+        range: { min: 0, max: 100 },
+        factors: {
+            emailStress: {
+                weight: 1,
+                rules: [
+                    { metric: 'stressLevel', bands: [{ lt: 0.4, points: 20 }, { lt: 0.6, points: 10 }, { lt: 0.8, points: -5 }, { points: -15 }] },
+                    { metric: 'urgentCount', bands: [{ gt: 10, points: -10 }] }
+                ]
+            },
+            schedule: BALANCED_SCHEDULE,
+            fitness: BALANCED_FITNESS,
+            afterHours: {
+                weight: 1,
+                cap: { min: -15, max: 5 },
+                rules: [
+                    { metric: 'alwaysOnIndex', bands: [{ lt: 0.25, points: 5 }, { lt: 0.5, points: 0 }, { lt: 0.7, points: -10 }, { points: -15 }] }
+                ]
+            }
+        }
+    }
+};
+
+const DEFAULT_SCORING_MODEL_ID = 'balanced';
+
+// Export for use in the analyzer and the API
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SCORING_FACTORS,
+        SCORING_MODELS,
+        DEFAULT_SCORING_MODEL_ID
+    };
+}
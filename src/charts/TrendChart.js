@@ -0,0 +1,159 @@
+/**
+ * Trend Chart
+ * Plain-SVG sparkline of a daily series with its moving average and hover tooltips
+ * Points come from /api/history daily series: [{ date, value, average }]
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+class TrendChart {
+    constructor(container, options = {}) {
+        this.container = container;
+        this.label = options.label || '';
+        this.format = options.format || (value => String(value));
+        this.color = options.color || 'var(--electric-blue)';
+        this.width = options.width || 280;
+        this.height = options.height || 60;
+        this.padding = 4;
+        // Fixed range (e.g. score 0-100) keeps charts comparable; otherwise fit the data
+        this.min = options.min;
+        this.max = options.max;
+    }
+
+    /**
+     * Draw the series, replacing whatever was drawn before
+     */
+    render(points) {
+        this.container.innerHTML = '';
+        this.container.classList.add('trend-chart');
+
+        const recorded = points.filter(point => this.isNumber(point.value));
+        if (recorded.length === 0) {
+            this.container.innerHTML = '<p class="trend-empty">No history yet</p>';
+            return;
+        }
+
+        const svg = document.createElementNS(SVG_NS, 'svg');
+        svg.setAttribute('viewBox', `0 0 ${this.width} ${this.height}`);
+        svg.setAttribute('preserveAspectRatio', 'none');
+        svg.setAttribute('role', 'img');
+        svg.setAttribute('aria-label', `${this.label} trend over ${points.length} days`);
+
+        const scale = this.createScale(points);
+
+        // Moving average underneath, daily values on top
+        this.appendLines(svg, points, 'average', scale, 'trend-average');
+        this.appendLines(svg, points, 'value', scale, 'trend-line');
+
+        recorded.forEach(point => {
+            const dot = document.createElementNS(SVG_NS, 'circle');
+            dot.setAttribute('cx', scale.x(points.indexOf(point)));
+            dot.setAttribute('cy', scale.y(point.value));
+            dot.setAttribute('r', points.length > 31 ? 1.5 : 2.5);
+            dot.setAttribute('class', 'trend-dot');
+            dot.style.fill = this.color;
+            svg.appendChild(dot);
+        });
+
+        this.container.appendChild(svg);
+        this.attachTooltip(svg, points, scale);
+    }
+
+    isNumber(value) {
+        return typeof value === 'number' && isFinite(value);
+    }
+
+    createScale(points) {
+        const values = points
+            .flatMap(point => [point.value, point.average])
+            .filter(value => this.isNumber(value));
+        let min = this.min !== undefined ? this.min : Math.min(...values);
+        let max = this.max !== undefined ? this.max : Math.max(...values);
+        if (max === min) {
+            max += 1;
+            min -= 1;
+        }
+
+        const innerWidth = this.width - this.padding * 2;
+        const innerHeight = this.height - this.padding * 2;
+        const step = points.length > 1 ? innerWidth / (points.length - 1) : 0;
+
+        return {
+            step: step,
+            x: index => this.padding + (points.length > 1 ? index * step : innerWidth / 2),
+            y: value => this.padding + innerHeight - ((value - min) / (max - min)) * innerHeight
+        };
+    }
+
+    /**
+     * One polyline per run of recorded values - days without data leave a gap
+     */
+    appendLines(svg, points, field, scale, className) {
+        let run = [];
+        const flush = () => {
+            if (run.length > 1) {
+                const line = document.createElementNS(SVG_NS, 'polyline');
+                line.setAttribute('points', run.join(' '));
+                line.setAttribute('class', className);
+                line.style.stroke = this.color;
+                svg.appendChild(line);
+            }
+            run = [];
+        };
+
+        points.forEach((point, index) => {
+            if (this.isNumber(point[field])) {
+                run.push(`${scale.x(index)},${scale.y(point[field])}`);
+            } else {
+                flush();
+            }
+        });
+        flush();
+    }
+
+    attachTooltip(svg, points, scale) {
+        const tooltip = document.createElement('div');
+        tooltip.className = 'trend-tooltip';
+        tooltip.hidden = true;
+        this.container.appendChild(tooltip);
+
+        const marker = document.createElementNS(SVG_NS, 'line');
+        marker.setAttribute('class', 'trend-marker');
+        marker.setAttribute('y1', 0);
+        marker.setAttribute('y2', this.height);
+        marker.style.display = 'none';
+        svg.appendChild(marker);
+
+        svg.addEventListener('mousemove', event => {
+            const bounds = svg.getBoundingClientRect();
+            const x = (event.clientX - bounds.left) / bounds.width * this.width;
+            const index = scale.step > 0
+                ? Math.round((x - this.padding) / scale.step)
+                : 0;
+            const point = points[Math.max(0, Math.min(points.length - 1, index))];
+
+            const value = this.isNumber(point.value) ? this.format(point.value) : 'No data';
+            const average = this.isNumber(point.average) ? ` · avg ${this.format(point.average)}` : '';
+            tooltip.textContent = `${point.date}: ${value}${average}`;
+            tooltip.hidden = false;
+
+            const markerX = scale.x(points.indexOf(point));
+            marker.setAttribute('x1', markerX);
+            marker.setAttribute('x2', markerX);
+            marker.style.display = '';
+
+            const left = markerX / this.width * bounds.width;
+            tooltip.style.left = `${Math.min(Math.max(left, 0), bounds.width)}px`;
+        });
+
+        svg.addEventListener('mouseleave', () => {
+            tooltip.hidden = true;
+            marker.style.display = 'none';
+        });
+    }
+}
+
+// Export for use in frontend
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TrendChart;
+}
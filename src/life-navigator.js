@@ -10,8 +10,17 @@ class LifeNavigator {
         this.apiBaseUrl = window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1'
             ? 'http://localhost:3002'
             : '';  // Use relative URLs for Vercel (same domain)
+        // Offline demo mode (?source=mock) serves data/mock-*.json through the same endpoints
+        this.dataSource = new URLSearchParams(window.location.search).get('source') === 'mock' ? 'mock' : 'live';
+        // Browser time zone - calendar and fitness day windows are computed in it
+        this.timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
         this.analyzer = new PersonalHealthAnalyzer();
+        // Trend charts show the last 7/30/90 days of /api/history
+        this.trendDays = 30;
+        this.trendCharts = this.createTrendCharts();
         this.userData = {};
+        // Latest analysis - sent as the payload of webhook test deliveries
+        this.lastAnalysis = null;
         this.currentUser = null;
         this.init();
     }
@@ -45,6 +54,122 @@ class LifeNavigator {
         if (logoutBtn) {
             logoutBtn.addEventListener('click', () => this.logout());
         }
+
+        const disconnectBtn = document.getElementById('disconnect-btn');
+        if (disconnectBtn) {
+            disconnectBtn.addEventListener('click', () => this.disconnect());
+        }
+
+        const importInput = document.getElementById('fitness-import-input');
+        if (importInput) {
+            importInput.addEventListener('change', () => {
+                if (importInput.files.length > 0) {
+                    this.importFitnessFile(importInput.files[0]);
+                }
+                importInput.value = '';
+            });
+        }
+
+        const addRuleBtn = document.getElementById('add-rule-btn');
+        if (addRuleBtn) {
+            addRuleBtn.addEventListener('click', () => this.addStressRule());
+        }
+
+        const saveRulesBtn = document.getElementById('save-rules-btn');
+        if (saveRulesBtn) {
+            saveRulesBtn.addEventListener('click', () => this.saveStressRules());
+        }
+
+        const resetRulesBtn = document.getElementById('reset-rules-btn');
+        if (resetRulesBtn) {
+            resetRulesBtn.addEventListener('click', () => this.resetStressRules());
+        }
+
+        const presetSelect = document.getElementById('scoring-preset-select');
+        if (presetSelect) {
+            presetSelect.addEventListener('change', () => this.describePreset(presetSelect.value));
+        }
+
+        const applyPresetBtn = document.getElementById('apply-preset-btn');
+        if (applyPresetBtn) {
+            applyPresetBtn.addEventListener('click', () => this.saveScoringModel({ preset: presetSelect.value }));
+        }
+
+        const saveModelBtn = document.getElementById('save-model-btn');
+        if (saveModelBtn) {
+            saveModelBtn.addEventListener('click', () => this.saveCustomScoringModel());
+        }
+
+        const resetModelBtn = document.getElementById('reset-model-btn');
+        if (resetModelBtn) {
+            resetModelBtn.addEventListener('click', () => this.resetScoringModel());
+        }
+
+        const saveDigestBtn = document.getElementById('save-digest-btn');
+        if (saveDigestBtn) {
+            saveDigestBtn.addEventListener('click', () => this.saveDigestFrequency());
+        }
+
+        const webhooksPanel = document.getElementById('webhooks-panel');
+        if (webhooksPanel) {
+            webhooksPanel.addEventListener('toggle', () => {
+                if (webhooksPanel.open) {
+                    this.loadWebhooks();
+                }
+            });
+        }
+
+        const addWebhookBtn = document.getElementById('add-webhook-btn');
+        if (addWebhookBtn) {
+            addWebhookBtn.addEventListener('click', () => this.addWebhook());
+        }
+
+        // The audit reads weeks of calendar - run it when the panel is first opened, not on every load
+        const auditPanel = document.getElementById('recurring-audit-panel');
+        if (auditPanel) {
+            auditPanel.addEventListener('toggle', () => {
+                if (auditPanel.open && !this.recurringAuditLoaded) {
+                    this.loadRecurringAudit();
+                }
+            });
+        }
+
+        const auditBtn = document.getElementById('recurring-audit-btn');
+        if (auditBtn) {
+            auditBtn.addEventListener('click', () => this.loadRecurringAudit());
+        }
+
+        document.querySelectorAll('.trend-range-btn').forEach(button => {
+            button.addEventListener('click', () => {
+                document.querySelectorAll('.trend-range-btn').forEach(b => b.classList.remove('active'));
+                button.classList.add('active');
+                this.trendDays = parseInt(button.dataset.days, 10);
+                this.loadHistory();
+            });
+        });
+    }
+
+    /**
+     * One chart per history field, keyed by the field name in /api/history
+     */
+    createTrendCharts() {
+        const percent = value => `${Math.round(value * 100)}%`;
+        const definitions = [
+            { field: 'score', id: 'score-trend', label: 'Score', min: 0, max: 100, format: value => Math.round(value) },
+            { field: 'emailStress', id: 'email-trend', label: 'Email stress', min: 0, max: 1, format: percent },
+            { field: 'meetingDensity', id: 'calendar-trend', label: 'Meeting density', min: 0, max: 1, format: percent },
+            { field: 'sleepDuration', id: 'fitness-trend', label: 'Sleep', format: value => `${value.toFixed(1)}h` },
+            { field: 'alwaysOnIndex', id: 'after-hours-trend', label: 'Always-on index', min: 0, max: 1, format: percent }
+        ];
+
+        const charts = {};
+        definitions.forEach(definition => {
+            const container = document.getElementById(definition.id);
+            if (container) {
+                charts[definition.field] = new TrendChart(container, definition);
+            }
+        });
+        return charts;
     }
 
     /**
@@ -52,16 +177,27 @@ class LifeNavigator {
      */
     async checkAuthStatus() {
         try {
-            const response = await fetch(`${this.apiBaseUrl}/api/auth/status`, {
+            const sourceParam = this.dataSource === 'mock' ? '?source=mock' : '';
+            const response = await fetch(`${this.apiBaseUrl}/api/auth/status${sourceParam}`, {
                 credentials: 'include'
             });
             const data = await response.json();
 
             console.log('Auth status response:', data);
 
+            // Server may run in mock mode (DATA_SOURCE=mock) without the query flag
+            if (data.dataSource === 'mock') {
+                this.dataSource = 'mock';
+            }
+
             if (data.authenticated) {
                 this.currentUser = data.userId;
                 this.showDashboard();
+                this.saveTimeZone();
+                this.loadDigestFrequency();
+                this.loadHistory();
+                this.loadStressRules();
+                this.scoringModelLoaded = this.loadScoringModel();
             } else {
                 this.showLoginPrompt();
             }
@@ -91,6 +227,80 @@ class LifeNavigator {
         }
     }
 
+    /**
+     * Store the browser time zone in the user profile
+     * Server-side jobs use it when no ?tz= param is available
+     */
+    async saveTimeZone() {
+        if (this.dataSource === 'mock' || !this.timeZone) {
+            return;
+        }
+
+        try {
+            await fetch(`${this.apiBaseUrl}/api/user/profile`, {
+                method: 'PUT',
+                credentials: 'include',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ timezone: this.timeZone })
+            });
+        } catch (error) {
+            console.error('Error saving time zone:', error);
+        }
+    }
+
+    /**
+     * Show the digest frequency stored in the profile (daily when never set)
+     */
+    async loadDigestFrequency() {
+        if (this.dataSource === 'mock') {
+            this.setDigestStatus('Demo mode - digests go to the demo user only');
+            return;
+        }
+
+        try {
+            const response = await fetch(`${this.apiBaseUrl}/api/user/profile`, { credentials: 'include' });
+            if (!response.ok) {
+                throw new Error(`Profile request failed: ${response.status}`);
+            }
+            const { profile } = await response.json();
+            document.getElementById('digest-frequency-select').value = profile.digest || 'daily';
+        } catch (error) {
+            console.error('Failed to load digest setting:', error);
+        }
+    }
+
+    async saveDigestFrequency() {
+        if (this.dataSource === 'mock') {
+            return;
+        }
+
+        const digest = document.getElementById('digest-frequency-select').value;
+        try {
+            const response = await fetch(`${this.apiBaseUrl}/api/user/profile`, {
+                method: 'PUT',
+                credentials: 'include',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ digest })
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                this.setDigestStatus(result.message || result.error);
+                return;
+            }
+            this.setDigestStatus(digest === 'off' ? 'Digests turned off' : `${digest === 'daily' ? 'Daily' : 'Weekly'} digest saved`);
+        } catch (error) {
+            console.error('Failed to save digest setting:', error);
+            this.setDigestStatus('Could not save the digest setting');
+        }
+    }
+
+    setDigestStatus(message) {
+        const status = document.getElementById('digest-status');
+        if (status) {
+            status.textContent = message;
+        }
+    }
+
     /**
      * Show login prompt
      */
@@ -106,23 +316,41 @@ class LifeNavigator {
     showDashboard() {
         document.getElementById('login-prompt').style.display = 'none';
         document.getElementById('dashboard-content').style.display = 'block';
-        document.getElementById('auth-status').textContent = `✅ Signed in as ${this.currentUser}`;
+        document.getElementById('auth-status').textContent = this.dataSource === 'mock'
+            ? `🧪 Demo mode - mock data for ${this.currentUser}`
+            : `✅ Signed in as ${this.currentUser}`;
+    }
+
+    /**
+     * Session expired or Google access was revoked
+     */
+    promptReauth() {
+        this.currentUser = null;
+        this.showLoginPrompt();
+        document.getElementById('auth-status').textContent =
+            '⚠️ Your Google session expired - please sign in again';
     }
 
     /**
      * Initiate Google OAuth login
+     * returnTo brings the user back to this page (with its query) after sign-in
      */
     initiateGoogleLogin() {
-        window.location.href = `${this.apiBaseUrl}/api/auth/google`;
+        const returnTo = window.location.pathname + window.location.search;
+        window.location.href = `${this.apiBaseUrl}/api/auth/google?returnTo=${encodeURIComponent(returnTo)}`;
     }
 
     /**
-     * Logout
+     * Logout - revokes Google access and clears the session
+     * deleteData also removes everything stored for the user
      */
-    async logout() {
+    async logout(deleteData = false) {
         try {
             await fetch(`${this.apiBaseUrl}/api/auth/logout`, {
-                credentials: 'include'
+                method: 'POST',
+                credentials: 'include',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ deleteData })
             });
             this.currentUser = null;
             this.showLoginPrompt();
@@ -131,6 +359,51 @@ class LifeNavigator {
         }
     }
 
+    /**
+     * Disconnect Google and delete my data
+     */
+    async disconnect() {
+        if (!confirm('Disconnect your Google account and delete all data Life Navigator stored for you?')) {
+            return;
+        }
+        await this.logout(true);
+        document.getElementById('auth-status').textContent = 'Disconnected - your stored data was deleted';
+    }
+
+    /**
+     * Upload a wearable export - imported days replace Google Fit in the fitness card
+     */
+    async importFitnessFile(file) {
+        const status = document.getElementById('auth-status');
+        const params = [`filename=${encodeURIComponent(file.name)}`];
+        if (this.timeZone) {
+            params.push(`tz=${encodeURIComponent(this.timeZone)}`);
+        }
+        if (this.dataSource === 'mock') {
+            params.push('source=mock');
+        }
+
+        try {
+            status.textContent = `Importing ${file.name}...`;
+            const response = await fetch(`${this.apiBaseUrl}/api/fitness/import?${params.join('&')}`, {
+                method: 'POST',
+                credentials: 'include',
+                headers: { 'Content-Type': 'application/octet-stream' },
+                body: file
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.message || result.error);
+            }
+
+            status.textContent = `Imported ${result.import.days} days from ${file.name} (${result.import.format})`;
+            await this.loadAllData();
+        } catch (error) {
+            console.error('Fitness import error:', error);
+            status.textContent = `Import failed: ${error.message}`;
+        }
+    }
+
     /**
      * Load all personal data from APIs
      * Similar to loadNASAData() in Farm Navigators
@@ -145,26 +418,51 @@ class LifeNavigator {
         }
 
         try {
-            const userId = this.currentUser;
-
-            if (!userId) {
+            if (!this.currentUser) {
                 throw new Error('User not authenticated');
             }
 
-            // Parallel API calls - Gmail and Calendar only
-            const [emailResponse, calendarResponse] = await Promise.all([
-                fetch(`${this.apiBaseUrl}/api/gmail/stress-level?userId=${userId}`, {
+            // The server identifies the user from the session cookie - no email in URLs
+            const sourceParam = this.dataSource === 'mock' ? 'source=mock' : '';
+            const tzParam = this.timeZone ? `tz=${encodeURIComponent(this.timeZone)}` : '';
+            const query = (...params) => {
+                const joined = params.filter(Boolean).join('&');
+                return joined ? `?${joined}` : '';
+            };
+
+            // Parallel API calls - Gmail, Calendar, Google Fit, the after-hours load across both
+            // and the last 8 weeks of history the analyzer learns personal baselines from
+            const [emailResponse, calendarResponse, fitnessResponse, afterHoursResponse, historyResponse] = await Promise.all([
+                fetch(`${this.apiBaseUrl}/api/gmail/stress-level${query(sourceParam)}`, {
+                    credentials: 'include'
+                }),
+                fetch(`${this.apiBaseUrl}/api/calendar/schedule-health${query(tzParam, sourceParam)}`, {
                     credentials: 'include'
                 }),
-                fetch(`${this.apiBaseUrl}/api/calendar/schedule-health?userId=${userId}`, {
+                fetch(`${this.apiBaseUrl}/api/fitness/summary${query(tzParam, sourceParam)}`, {
+                    credentials: 'include'
+                }),
+                fetch(`${this.apiBaseUrl}/api/insights/after-hours${query(tzParam, sourceParam)}`, {
+                    credentials: 'include'
+                }),
+                fetch(`${this.apiBaseUrl}/api/history${query('days=57', tzParam, sourceParam)}`, {
                     credentials: 'include'
                 })
             ]);
 
+            // Expired or revoked Google authorization - ask the user to sign in again
+            if (emailResponse.status === 401 || calendarResponse.status === 401) {
+                this.promptReauth();
+                return;
+            }
+
             this.userData = {
                 emails: await emailResponse.json(),
                 calendar: await calendarResponse.json(),
-                fitness: null  // Fitness API coming soon
+                // Fitness is optional - accounts without Google Fit access just skip the card
+                fitness: fitnessResponse.ok ? await fitnessResponse.json() : null,
+                afterHours: afterHoursResponse.ok ? await afterHoursResponse.json() : null,
+                history: historyResponse.ok ? await historyResponse.json() : null
             };
 
             console.log('Personal data loaded:', this.userData);
@@ -172,7 +470,8 @@ class LifeNavigator {
             // Display individual data cards (like Satellite Data Cards)
             this.displayInsightCards();
 
-            // Analyze overall health (like AR analysis)
+            // Analyze overall health (like AR analysis) - with the user's scoring model once it is loaded
+            await this.scoringModelLoaded;
             this.analyzeAndDisplayHealth();
 
         } catch (error) {
@@ -201,6 +500,13 @@ class LifeNavigator {
 
             const emailCard = document.getElementById('email-card');
             this.setCardColor(emailCard, emailData.data.stressLevel);
+            this.displayEmailMatches(emailData.data.matchedEmails || []);
+
+            const responseDebt = emailData.data.responseDebt;
+            document.getElementById('email-response-debt').textContent = responseDebt
+                ? `${responseDebt.waitingCount} threads awaiting your reply` +
+                    (responseDebt.medianReplyLatencyHours !== null ? ` · median reply ${responseDebt.medianReplyLatencyHours}h` : '')
+                : '';
         }
 
         // Calendar health card
@@ -215,15 +521,17 @@ class LifeNavigator {
             this.setCardColor(calCard, calData.data.meetingDensity);
         }
 
-        // Fitness card - hide for now (API not implemented)
+        // Fitness card - Google Fit (or demo data); nights without a tracker show as no data
         if (this.userData.fitness) {
             const fitData = this.userData.fitness;
-            document.getElementById('fitness-value').textContent =
-                `${fitData.data.sleepDuration}h sleep`;
+            const fitCard = document.getElementById('fitness-card');
+            fitCard.style.display = '';
+            document.getElementById('fitness-value').textContent = fitData.data.sleepDuration !== null
+                ? `${fitData.data.sleepDuration}h sleep`
+                : '--';
             document.getElementById('fitness-status').textContent =
                 fitData.interpretation.sleepStatus;
 
-            const fitCard = document.getElementById('fitness-card');
             const sleepScore = fitData.data.sleepDuration >= 7 ? 0.3 : 0.7;
             this.setCardColor(fitCard, sleepScore);
         } else {
@@ -233,6 +541,20 @@ class LifeNavigator {
                 fitCard.style.display = 'none';
             }
         }
+
+        // After-hours card - sent emails and meetings outside working hours
+        const afterHoursCard = document.getElementById('after-hours-card');
+        if (this.userData.afterHours && afterHoursCard) {
+            const afterHoursData = this.userData.afterHours;
+            afterHoursCard.style.display = '';
+            document.getElementById('after-hours-value').textContent =
+                `${afterHoursData.interpretation.alwaysOnPercentage} always on`;
+            document.getElementById('after-hours-status').textContent =
+                `${afterHoursData.interpretation.status} · ${afterHoursData.data.emailsAfterHours} late emails, ${afterHoursData.data.meetingsAfterHours} late meetings`;
+            this.setCardColor(afterHoursCard, afterHoursData.data.alwaysOnIndex);
+        } else if (afterHoursCard) {
+            afterHoursCard.style.display = 'none';
+        }
     }
 
     /**
@@ -257,6 +579,7 @@ class LifeNavigator {
      */
     analyzeAndDisplayHealth() {
         const analysis = this.analyzer.analyzeProductivityHealth(this.userData);
+        this.lastAnalysis = analysis;
 
         console.log('Health analysis result:', analysis);
 
@@ -273,6 +596,11 @@ class LifeNavigator {
             scoreStatus.textContent = analysis.status;
         }
 
+        const scoreModel = document.getElementById('score-model');
+        if (scoreModel) {
+            scoreModel.textContent = `${analysis.model.name} model v${analysis.model.version}`;
+        }
+
         // Color code the score circle
         if (scoreCircle) {
             scoreCircle.classList.remove('score-excellent', 'score-good', 'score-fair', 'score-poor');
@@ -292,6 +620,85 @@ class LifeNavigator {
 
         // Display detailed insights
         this.displayDetailedInsights(analysis.insights);
+
+        // Keep the snapshot so trends build up over time, then redraw them with it
+        this.saveSnapshot(analysis).then(() => this.loadHistory());
+    }
+
+    /**
+     * Load score and metric history for the selected range and draw the trend charts
+     */
+    async loadHistory() {
+        const params = [`days=${this.trendDays}`];
+        if (this.timeZone) {
+            params.push(`tz=${encodeURIComponent(this.timeZone)}`);
+        }
+        if (this.dataSource === 'mock') {
+            params.push('source=mock');
+        }
+
+        try {
+            const response = await fetch(`${this.apiBaseUrl}/api/history?${params.join('&')}`, {
+                credentials: 'include'
+            });
+            if (!response.ok) {
+                throw new Error(`History request failed: ${response.status}`);
+            }
+            this.displayTrends(await response.json());
+        } catch (error) {
+            console.error('Failed to load history:', error);
+        }
+    }
+
+    /**
+     * Draw each chart from the daily series (value + moving average)
+     */
+    displayTrends(history) {
+        Object.entries(this.trendCharts).forEach(([field, chart]) => {
+            chart.render(history.data.daily.map(point => ({
+                date: point.date,
+                value: point.values[field],
+                average: point.movingAverage[field]
+            })));
+        });
+
+        const summary = document.getElementById('trend-summary');
+        if (summary) {
+            const { scoreTrend, scoreChange } = history.interpretation;
+            summary.textContent = scoreChange === null
+                ? scoreTrend
+                : `${scoreTrend} over ${history.metadata.days} days (${scoreChange > 0 ? '+' : ''}${scoreChange} points, ${history.metadata.movingAverageWindow.daily}-day average)`;
+        }
+    }
+
+    /**
+     * Store this analysis with the raw card metrics in the user's history
+     * Demo mode is read-only - its trends come from the shared demo history
+     */
+    async saveSnapshot(analysis) {
+        if (this.dataSource === 'mock') {
+            return;
+        }
+
+        const { emails, calendar, fitness } = this.userData;
+        const metrics = {
+            emailStress: emails?.data?.stressLevel,
+            meetingDensity: calendar?.data?.meetingDensity,
+            focusTimeHours: calendar?.data?.focusTimeHours,
+            sleepDuration: fitness?.data?.sleepDuration,
+            dailySteps: fitness?.data?.dailySteps,
+            alwaysOnIndex: this.userData.afterHours?.data?.alwaysOnIndex
+        };
+        try {
+            await fetch(`${this.apiBaseUrl}/api/history`, {
+                method: 'POST',
+                credentials: 'include',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ analysis, metrics })
+            });
+        } catch (error) {
+            console.error('Failed to save history snapshot:', error);
+        }
     }
 
     /**
@@ -307,16 +714,229 @@ class LifeNavigator {
             return;
         }
 
+        // Reasons can quote email subjects and senders - escape before inserting
         listElement.innerHTML = recommendations.map(rec => `
             <div class="recommendation-item priority-${rec.priority.toLowerCase()}">
                 <div class="rec-header">
                     <span class="priority-badge">${rec.priority}</span>
-                    <span class="category-badge">${rec.category}</span>
+                    <span class="category-badge">${this.escapeHtml(rec.category)}</span>
                 </div>
-                <h4>${rec.action}</h4>
-                <p class="rec-reason">${rec.reason}</p>
+                <h4>${this.escapeHtml(rec.action)}</h4>
+                <p class="rec-reason">${this.escapeHtml(rec.reason)}</p>
+                ${rec.apply ? '<div class="rec-apply"></div>' : ''}
             </div>
         `).join('');
+
+        // Actionable recommendations get an Apply button (preview -> confirm -> undo)
+        const applyContainers = listElement.querySelectorAll('.rec-apply');
+        recommendations.filter(rec => rec.apply).forEach((rec, index) => {
+            this.resetApplyState(applyContainers[index], rec.apply);
+        });
+    }
+
+    /**
+     * Replace an Apply area with a status line and buttons (DOM-built, never HTML)
+     */
+    setApplyState(container, message, buttons) {
+        container.innerHTML = '';
+        buttons.forEach(({ label, primary, onClick }) => {
+            const button = document.createElement('button');
+            button.className = primary ? 'rules-button primary' : 'rules-button';
+            button.textContent = label;
+            button.addEventListener('click', () => {
+                container.querySelectorAll('button').forEach(b => { b.disabled = true; });
+                onClick();
+            });
+            container.appendChild(button);
+        });
+        if (message) {
+            const status = document.createElement('span');
+            status.className = 'rules-status';
+            status.textContent = message;
+            container.appendChild(status);
+        }
+    }
+
+    /**
+     * URL of a calendar write endpoint (focus-time, meeting-response) with tz and source
+     */
+    calendarActionUrl(endpoint, params = []) {
+        const query = [...params];
+        if (this.timeZone) {
+            query.push(`tz=${encodeURIComponent(this.timeZone)}`);
+        }
+        if (this.dataSource === 'mock') {
+            query.push('source=mock');
+        }
+        return `${this.apiBaseUrl}/api/calendar/${endpoint}${query.length > 0 ? `?${query.join('&')}` : ''}`;
+    }
+
+    /**
+     * Find the slot a focus-time recommendation would book and ask before writing it
+     */
+    async previewFocusTime(container, apply) {
+        const params = [`minutes=${apply.minutes}`];
+        if (apply.day === 'today') {
+            // en-CA formats dates as YYYY-MM-DD
+            params.push(`date=${new Date().toLocaleDateString('en-CA', { timeZone: this.timeZone })}`);
+        }
+
+        try {
+            const response = await fetch(this.calendarActionUrl('focus-time', params), { credentials: 'include' });
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.message || result.error);
+            }
+
+            this.setApplyState(container, `Add "${result.event.summary}" on ${result.slot.label}?`, [
+                { label: 'Add to Calendar', primary: true, onClick: () => this.bookFocusTime(container, apply, result.slot) },
+                { label: 'Cancel', onClick: () => this.resetApplyState(container, apply) }
+            ]);
+        } catch (error) {
+            console.error('Focus time preview failed:', error);
+            this.setApplyState(container, error.message, [
+                { label: 'Try Again', onClick: () => this.previewFocusTime(container, apply) }
+            ]);
+        }
+    }
+
+    async bookFocusTime(container, apply, slot) {
+        try {
+            const response = await fetch(this.calendarActionUrl('focus-time'), {
+                method: 'POST',
+                credentials: 'include',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ date: slot.date, minutes: slot.minutes, start: slot.start })
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.message || result.error);
+            }
+
+            this.setApplyState(container, `Added to your calendar: ${slot.label}`, [
+                { label: 'Undo', onClick: () => this.undoFocusTime(container, apply, result.event.id) }
+            ]);
+        } catch (error) {
+            console.error('Focus time booking failed:', error);
+            this.setApplyState(container, error.message, [
+                { label: 'Preview Again', onClick: () => this.previewFocusTime(container, apply) }
+            ]);
+        }
+    }
+
+    async undoFocusTime(container, apply, eventId) {
+        try {
+            const response = await fetch(this.calendarActionUrl('focus-time', [`eventId=${encodeURIComponent(eventId)}`]), {
+                method: 'DELETE',
+                credentials: 'include'
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.message || result.error);
+            }
+
+            this.resetApplyState(container, apply, 'Removed from your calendar');
+        } catch (error) {
+            console.error('Focus time undo failed:', error);
+            this.setApplyState(container, error.message, [
+                { label: 'Undo', onClick: () => this.undoFocusTime(container, apply, eventId) }
+            ]);
+        }
+    }
+
+    /**
+     * Pick which ranked meetings to decline or move (best candidate pre-selected)
+     */
+    showMeetingPicker(container, apply, message = '') {
+        const selected = () => [...container.querySelectorAll('input[name="meeting"]:checked')].map(input => input.value);
+        const withNote = () => container.querySelector('input[name="meeting-note"]').checked;
+
+        this.setApplyState(container, message, [
+            { label: 'Decline Selected', primary: true, onClick: () => this.respondToMeetings(container, apply, 'decline', selected(), withNote()) },
+            { label: 'Propose New Times', onClick: () => this.respondToMeetings(container, apply, 'propose', selected(), withNote()) },
+            { label: 'Cancel', onClick: () => this.resetApplyState(container, apply) }
+        ]);
+
+        const list = document.createElement('div');
+        list.className = 'meeting-picker';
+        apply.candidates.forEach((candidate, index) => {
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.name = 'meeting';
+            checkbox.value = candidate.eventId;
+            checkbox.checked = index === 0;
+            const when = new Date(candidate.start).toLocaleString([], {
+                weekday: 'short', hour: '2-digit', minute: '2-digit', timeZone: this.timeZone
+            });
+            label.append(checkbox, ` ${candidate.summary} - ${when}`);
+            if (candidate.reasons.length > 0) {
+                const reasons = document.createElement('span');
+                reasons.className = 'meeting-reasons';
+                reasons.textContent = candidate.reasons.join(' · ');
+                label.appendChild(reasons);
+            }
+            list.appendChild(label);
+        });
+
+        const note = document.createElement('label');
+        const noteBox = document.createElement('input');
+        noteBox.type = 'checkbox';
+        noteBox.name = 'meeting-note';
+        noteBox.checked = true;
+        note.append(noteBox, ' Add a note to the organizer');
+        list.appendChild(note);
+
+        container.prepend(list);
+    }
+
+    /**
+     * Decline the chosen meetings or ask their organizers for a new time
+     */
+    async respondToMeetings(container, apply, action, eventIds, note) {
+        if (eventIds.length === 0) {
+            this.showMeetingPicker(container, apply, 'Select at least one meeting');
+            return;
+        }
+
+        try {
+            const response = await fetch(this.calendarActionUrl('meeting-response'), {
+                method: 'POST',
+                credentials: 'include',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ action, eventIds, note })
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.message || result.error);
+            }
+
+            const done = action === 'decline' ? 'Declined' : 'Asked for a new time on';
+            const failures = result.results.filter(item => item.error).map(item => item.error);
+            const message = [
+                result.updated > 0 ? `${done} ${result.updated} meeting${result.updated === 1 ? '' : 's'}` : '',
+                ...failures
+            ].filter(Boolean).join(' - ');
+            this.resetApplyState(container, apply, message);
+        } catch (error) {
+            console.error('Meeting response failed:', error);
+            this.setApplyState(container, error.message, [
+                { label: 'Back', onClick: () => this.showMeetingPicker(container, apply) }
+            ]);
+        }
+    }
+
+    resetApplyState(container, apply, message = '') {
+        const start = apply.type === 'decline-meetings'
+            ? { label: 'Choose Meetings', onClick: () => this.showMeetingPicker(container, apply) }
+            : { label: 'Apply', onClick: () => this.previewFocusTime(container, apply) };
+        this.setApplyState(container, message, [{ ...start, primary: true }]);
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = String(text);
+        return div.innerHTML;
     }
 
     /**
@@ -326,30 +946,37 @@ class LifeNavigator {
         const detailElement = document.getElementById('insights-detail-content');
         if (!detailElement) return;
 
+        // Only factors with data have an adjustment, so positions shift - match on the category
+        const impactOf = category => insights.adjustments.find(adj => adj.category === category)?.impact || 0;
+        const emailImpact = impactOf('Email Stress');
+        const scheduleImpact = impactOf('Schedule Health');
+        const fitnessImpact = impactOf('Sleep & Activity');
+
         detailElement.innerHTML = `
             <div class="insights-grid">
                 <div class="insight-item">
                     <h4>Email Stress</h4>
                     <p class="insight-value">${(insights.emailStress * 100).toFixed(0)}%</p>
-                    <p class="insight-impact ${insights.adjustments[0]?.impact > 0 ? 'positive' : 'negative'}">
-                        ${insights.adjustments[0]?.impact > 0 ? '+' : ''}${insights.adjustments[0]?.impact || 0} points
+                    <p class="insight-impact ${emailImpact > 0 ? 'positive' : 'negative'}">
+                        ${emailImpact > 0 ? '+' : ''}${emailImpact} points
                     </p>
                 </div>
                 <div class="insight-item">
                     <h4>Schedule Health</h4>
                     <p class="insight-value">${(insights.scheduleHealth * 100).toFixed(0)}% density</p>
-                    <p class="insight-impact ${insights.adjustments[1]?.impact > 0 ? 'positive' : 'negative'}">
-                        ${insights.adjustments[1]?.impact > 0 ? '+' : ''}${insights.adjustments[1]?.impact || 0} points
+                    <p class="insight-impact ${scheduleImpact > 0 ? 'positive' : 'negative'}">
+                        ${scheduleImpact > 0 ? '+' : ''}${scheduleImpact} points
                     </p>
                 </div>
                 <div class="insight-item">
                     <h4>Sleep & Fitness</h4>
                     <p class="insight-value">${insights.fitnessHealth.toFixed(0)}% quality</p>
-                    <p class="insight-impact ${insights.adjustments[2]?.impact > 0 ? 'positive' : 'negative'}">
-                        ${insights.adjustments[2]?.impact > 0 ? '+' : ''}${insights.adjustments[2]?.impact || 0} points
+                    <p class="insight-impact ${fitnessImpact > 0 ? 'positive' : 'negative'}">
+                        ${fitnessImpact > 0 ? '+' : ''}${fitnessImpact} points
                     </p>
                 </div>
             </div>
+            ${this.renderAnomalies(insights)}
             <div class="adjustments-summary">
                 <h4>Score Breakdown</h4>
                 ${insights.adjustments.map(adj => `
@@ -365,6 +992,582 @@ class LifeNavigator {
         `;
     }
 
+    /**
+     * Today against the user's own baselines - unusual days first
+     * Empty until there is enough history to learn from
+     */
+    renderAnomalies(insights) {
+        const comparisons = Object.values(insights.baselines || {})
+            .sort((a, b) => Math.abs(b.zScore) - Math.abs(a.zScore));
+        if (comparisons.length === 0) {
+            return '';
+        }
+
+        return `
+            <div class="adjustments-summary baseline-summary">
+                <h4>Compared With Your Usual</h4>
+                ${comparisons.map(comparison => `
+                    <div class="adjustment-row${comparison.anomaly ? ' anomaly' : ''}">
+                        <span class="adj-category">${comparison.label}</span>
+                        <span class="adj-detail">
+                            ${this.analyzer.formatBaselineValue(comparison.metric, comparison.value)} vs usual
+                            ${this.analyzer.formatBaselineValue(comparison.metric, comparison.baselineMean)}
+                            (${comparison.basis === 'weekday' ? 'same weekday' : 'all days'}, ${comparison.samples} days)
+                        </span>
+                        <span class="adj-impact ${comparison.anomaly && comparison.adverse ? 'negative' : 'positive'}">
+                            ${comparison.status}
+                        </span>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Most urgent emails and the stress rules that fired for them
+     */
+    displayEmailMatches(matchedEmails) {
+        const list = document.getElementById('email-matches');
+        if (!list) return;
+
+        list.innerHTML = '';
+        matchedEmails
+            .filter(email => !email.ignored)
+            .sort((a, b) => b.urgency - a.urgency)
+            .slice(0, 3)
+            .forEach(email => {
+                const item = document.createElement('li');
+                const rules = email.rules.map(rule => `${rule.id} (${rule.weight > 0 ? '+' : ''}${rule.weight})`).join(', ');
+                item.textContent = `${email.subject} - ${rules}`;
+                item.title = `${email.from}: ${email.subject}\nRules: ${rules}`;
+                list.appendChild(item);
+            });
+    }
+
+    stressRulesUrl() {
+        const sourceParam = this.dataSource === 'mock' ? '?source=mock' : '';
+        return `${this.apiBaseUrl}/api/gmail/stress-rules${sourceParam}`;
+    }
+
+    /**
+     * Load the user's stress rules into the settings panel
+     */
+    async loadStressRules() {
+        try {
+            const response = await fetch(this.stressRulesUrl(), { credentials: 'include' });
+            if (!response.ok) {
+                throw new Error(`Stress rules request failed: ${response.status}`);
+            }
+            const ruleSet = await response.json();
+            this.stressRuleTypes = ruleSet.ruleTypes;
+            this.renderStressRules(ruleSet.rules);
+            this.setRulesStatus(ruleSet.custom ? `Custom rules, saved ${new Date(ruleSet.updatedAt).toLocaleString()}` : 'Default rules');
+        } catch (error) {
+            console.error('Failed to load stress rules:', error);
+        }
+    }
+
+    /**
+     * One editable row per rule - values are set through the DOM, never as HTML
+     */
+    renderStressRules(rules) {
+        const body = document.getElementById('stress-rules-list');
+        if (!body) return;
+
+        body.innerHTML = '';
+        rules.forEach(rule => body.appendChild(this.createRuleRow(rule)));
+    }
+
+    createRuleRow(rule) {
+        const row = document.createElement('tr');
+        row.dataset.ruleId = rule.id || '';
+
+        const cell = element => {
+            const td = document.createElement('td');
+            td.appendChild(element);
+            row.appendChild(td);
+            return element;
+        };
+        const select = (name, options, value) => {
+            const input = document.createElement('select');
+            input.name = name;
+            options.forEach(option => input.add(new Option(option, option)));
+            input.value = value;
+            return cell(input);
+        };
+        const input = (name, type, value) => {
+            const field = document.createElement('input');
+            field.name = name;
+            field.type = type;
+            if (type === 'checkbox') {
+                field.checked = value;
+            } else {
+                field.value = value;
+            }
+            return field;
+        };
+
+        const typeSelect = select('type', this.stressRuleTypes || ['keyword', 'phrase', 'regex', 'sender', 'domain', 'label'], rule.type);
+        cell(input('pattern', 'text', rule.pattern));
+        const fieldSelect = select('field', ['subject', 'snippet', 'any'], rule.field || 'subject');
+        const weight = cell(input('weight', 'number', rule.weight));
+        weight.min = -1;
+        weight.max = 1;
+        weight.step = 0.1;
+        cell(input('ignore', 'checkbox', !!rule.ignore));
+
+        // Sender, domain and label rules have no text field
+        const syncField = () => {
+            fieldSelect.disabled = !['keyword', 'phrase', 'regex'].includes(typeSelect.value);
+        };
+        typeSelect.addEventListener('change', syncField);
+        syncField();
+
+        const remove = document.createElement('button');
+        remove.className = 'rules-button';
+        remove.textContent = 'Remove';
+        remove.addEventListener('click', () => row.remove());
+        cell(remove);
+
+        return row;
+    }
+
+    addStressRule() {
+        const body = document.getElementById('stress-rules-list');
+        if (body) {
+            body.appendChild(this.createRuleRow({ type: 'keyword', pattern: '', weight: 0.5 }));
+        }
+    }
+
+    /**
+     * Rules as currently edited in the panel
+     */
+    readStressRules() {
+        return [...document.querySelectorAll('#stress-rules-list tr')].map((row, index) => {
+            const value = name => row.querySelector(`[name="${name}"]`);
+            const rule = {
+                id: row.dataset.ruleId || `rule-${index + 1}`,
+                type: value('type').value,
+                pattern: value('pattern').value,
+                weight: parseFloat(value('weight').value) || 0
+            };
+            if (!value('field').disabled) {
+                rule.field = value('field').value;
+            }
+            if (value('ignore').checked) {
+                rule.ignore = true;
+            }
+            return rule;
+        });
+    }
+
+    async saveStressRules() {
+        try {
+            const response = await fetch(this.stressRulesUrl(), {
+                method: 'PUT',
+                credentials: 'include',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ rules: this.readStressRules() })
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                this.setRulesStatus(result.message || result.error);
+                return;
+            }
+
+            this.renderStressRules(result.rules);
+            this.setRulesStatus('Rules saved - rescoring your inbox');
+            await this.loadAllData();
+        } catch (error) {
+            console.error('Failed to save stress rules:', error);
+            this.setRulesStatus('Could not save rules');
+        }
+    }
+
+    async resetStressRules() {
+        if (!confirm('Replace your stress rules with the defaults?')) {
+            return;
+        }
+
+        try {
+            const response = await fetch(this.stressRulesUrl(), {
+                method: 'DELETE',
+                credentials: 'include'
+            });
+            const result = await response.json();
+            this.renderStressRules(result.rules);
+            this.setRulesStatus('Default rules restored');
+            await this.loadAllData();
+        } catch (error) {
+            console.error('Failed to reset stress rules:', error);
+        }
+    }
+
+    setRulesStatus(message) {
+        const status = document.getElementById('stress-rules-status');
+        if (status) {
+            status.textContent = message;
+        }
+    }
+
+    scoringModelUrl() {
+        const sourceParam = this.dataSource === 'mock' ? '?source=mock' : '';
+        return `${this.apiBaseUrl}/api/user/scoring-model${sourceParam}`;
+    }
+
+    /**
+     * Load the user's scoring model into the analyzer and the settings panel
+     * The analyzer keeps the default model if this fails
+     */
+    async loadScoringModel() {
+        try {
+            const response = await fetch(this.scoringModelUrl(), { credentials: 'include' });
+            if (!response.ok) {
+                throw new Error(`Scoring model request failed: ${response.status}`);
+            }
+            const selection = await response.json();
+            this.scoringPresets = selection.presets;
+            this.applyScoringModel(selection);
+        } catch (error) {
+            console.error('Failed to load scoring model:', error);
+        }
+    }
+
+    /**
+     * Use a { model, preset, custom, updatedAt } selection from the API
+     */
+    applyScoringModel(selection) {
+        this.analyzer.setModel(selection.model);
+
+        const select = document.getElementById('scoring-preset-select');
+        if (select && this.scoringPresets) {
+            select.innerHTML = '';
+            this.scoringPresets.forEach(preset => select.add(new Option(`${preset.name} (v${preset.version})`, preset.id)));
+            if (selection.custom) {
+                select.add(new Option(`${selection.model.name} (v${selection.model.version})`, 'custom'));
+            }
+            select.value = selection.custom ? 'custom' : selection.preset;
+        }
+        this.describePreset(selection.custom ? 'custom' : selection.preset);
+
+        // Editable copy - saving it extends the preset the model is based on
+        const { name, baseline, range, factors } = selection.model;
+        const editable = { extends: selection.model.extends || selection.model.id, name, baseline, range, factors };
+        const json = document.getElementById('scoring-model-json');
+        if (json) {
+            json.value = JSON.stringify(editable, null, 2);
+        }
+
+        this.setModelStatus(selection.updatedAt
+            ? `${selection.model.name} v${selection.model.version}, saved ${new Date(selection.updatedAt).toLocaleString()}`
+            : `${selection.model.name} v${selection.model.version} (default)`);
+    }
+
+    describePreset(presetId) {
+        const description = document.getElementById('scoring-model-description');
+        if (!description) return;
+
+        const preset = (this.scoringPresets || []).find(p => p.id === presetId);
+        description.textContent = preset ? preset.description : this.analyzer.model.description || '';
+    }
+
+    async saveScoringModel(body) {
+        try {
+            const response = await fetch(this.scoringModelUrl(), {
+                method: 'PUT',
+                credentials: 'include',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                this.setModelStatus(result.message || result.error);
+                return;
+            }
+
+            this.applyScoringModel(result);
+            if (Object.keys(this.userData).length > 0) {
+                this.analyzeAndDisplayHealth();
+            }
+        } catch (error) {
+            console.error('Failed to save scoring model:', error);
+            this.setModelStatus('Could not save the scoring model');
+        }
+    }
+
+    saveCustomScoringModel() {
+        let model;
+        try {
+            model = JSON.parse(document.getElementById('scoring-model-json').value);
+        } catch (error) {
+            this.setModelStatus(`Invalid JSON: ${error.message}`);
+            return;
+        }
+        this.saveScoringModel({ model });
+    }
+
+    async resetScoringModel() {
+        if (!confirm('Go back to the default scoring model?')) {
+            return;
+        }
+
+        try {
+            const response = await fetch(this.scoringModelUrl(), {
+                method: 'DELETE',
+                credentials: 'include'
+            });
+            this.applyScoringModel(await response.json());
+            if (Object.keys(this.userData).length > 0) {
+                this.analyzeAndDisplayHealth();
+            }
+        } catch (error) {
+            console.error('Failed to reset scoring model:', error);
+        }
+    }
+
+    setModelStatus(message) {
+        const status = document.getElementById('scoring-model-status');
+        if (status) {
+            status.textContent = message;
+        }
+    }
+
+    webhooksUrl(params = []) {
+        const query = this.dataSource === 'mock' ? [...params, 'source=mock'] : params;
+        return `${this.apiBaseUrl}/api/user/webhooks${query.length > 0 ? `?${query.join('&')}` : ''}`;
+    }
+
+    /**
+     * Registered webhooks and their recent deliveries
+     */
+    async loadWebhooks() {
+        try {
+            const response = await fetch(this.webhooksUrl(), { credentials: 'include' });
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.message || result.error);
+            }
+            this.renderWebhooks(result.webhooks, result.deliveries);
+        } catch (error) {
+            console.error('Failed to load webhooks:', error);
+            this.setWebhookStatus(error.message);
+        }
+    }
+
+    /**
+     * Names, URLs and delivery errors are user data - cells are set as text
+     */
+    renderWebhooks(webhooks, deliveries) {
+        const list = document.getElementById('webhooks-list');
+        if (list) {
+            list.innerHTML = '';
+            webhooks.forEach(webhook => {
+                const row = list.insertRow();
+                row.insertCell().textContent = webhook.name;
+                row.insertCell().textContent = webhook.format === 'slack' ? 'Slack' : 'JSON';
+                row.insertCell().textContent = webhook.conditions.map(condition => this.describeCondition(condition)).join('; ');
+
+                const actions = row.insertCell();
+                const test = document.createElement('button');
+                test.className = 'rules-button';
+                test.textContent = 'Test';
+                test.addEventListener('click', () => this.testWebhook(webhook.id));
+                const remove = document.createElement('button');
+                remove.className = 'rules-button';
+                remove.textContent = 'Delete';
+                remove.addEventListener('click', () => this.deleteWebhook(webhook));
+                actions.append(test, remove);
+            });
+        }
+
+        const names = Object.fromEntries(webhooks.map(webhook => [webhook.id, webhook.name]));
+        const log = document.getElementById('webhook-deliveries-list');
+        if (log) {
+            log.innerHTML = '';
+            deliveries.forEach(delivery => {
+                const row = log.insertRow();
+                row.className = delivery.status === 'delivered' ? '' : 'webhook-failed';
+                row.insertCell().textContent = new Date(delivery.createdAt).toLocaleString();
+                row.insertCell().textContent = names[delivery.webhookId] || delivery.url;
+                row.insertCell().textContent = delivery.conditions.map(condition => condition.message).join('; ');
+                row.insertCell().textContent = delivery.status === 'delivered'
+                    ? `Delivered (${delivery.attempts.length} attempt${delivery.attempts.length > 1 ? 's' : ''})`
+                    : `Failed: ${delivery.error}`;
+            });
+        }
+    }
+
+    describeCondition(condition) {
+        if (condition.type === 'score_below') {
+            return `score below ${condition.threshold}`;
+        }
+        if (condition.type === 'recommendation') {
+            return `${condition.priority} recommendation`;
+        }
+        return `${condition.metric} ${condition.day} ${condition.type === 'metric_above' ? 'above' : 'below'} ${condition.threshold}`;
+    }
+
+    async addWebhook() {
+        let conditions;
+        try {
+            conditions = JSON.parse(document.getElementById('webhook-conditions').value);
+        } catch (error) {
+            this.setWebhookStatus(`Invalid JSON: ${error.message}`);
+            return;
+        }
+
+        const name = document.getElementById('webhook-name').value.trim();
+        const body = {
+            url: document.getElementById('webhook-url').value.trim(),
+            format: document.getElementById('webhook-format').value,
+            conditions: conditions
+        };
+        if (name) {
+            body.name = name;
+        }
+
+        try {
+            const response = await fetch(this.webhooksUrl(), {
+                method: 'POST',
+                credentials: 'include',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                this.setWebhookStatus(result.message || result.error);
+                return;
+            }
+
+            document.getElementById('webhook-url').value = '';
+            document.getElementById('webhook-name').value = '';
+            await this.loadWebhooks();
+            // Shown once - the API never returns the secret again
+            this.setWebhookStatus(`Added. Signing secret (copy it now): ${result.webhook.secret}`);
+        } catch (error) {
+            console.error('Failed to add webhook:', error);
+            this.setWebhookStatus('Could not add the webhook');
+        }
+    }
+
+    async testWebhook(webhookId) {
+        if (!this.lastAnalysis) {
+            this.setWebhookStatus('Load your data first - test deliveries send the current analysis');
+            return;
+        }
+
+        this.setWebhookStatus('Sending test delivery...');
+        try {
+            const response = await fetch(this.webhooksUrl(), {
+                method: 'POST',
+                credentials: 'include',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ test: webhookId, analysis: this.lastAnalysis })
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                this.setWebhookStatus(result.message || result.error);
+                return;
+            }
+
+            await this.loadWebhooks();
+            this.setWebhookStatus(result.delivery.status === 'delivered'
+                ? 'Test delivered'
+                : `Test failed: ${result.delivery.error}`);
+        } catch (error) {
+            console.error('Webhook test failed:', error);
+            this.setWebhookStatus('Could not send the test delivery');
+        }
+    }
+
+    async deleteWebhook(webhook) {
+        if (!confirm(`Delete the webhook "${webhook.name}"?`)) {
+            return;
+        }
+
+        try {
+            await fetch(this.webhooksUrl([`id=${encodeURIComponent(webhook.id)}`]), {
+                method: 'DELETE',
+                credentials: 'include'
+            });
+            this.setWebhookStatus('');
+            await this.loadWebhooks();
+        } catch (error) {
+            console.error('Failed to delete webhook:', error);
+        }
+    }
+
+    setWebhookStatus(message) {
+        const status = document.getElementById('webhooks-status');
+        if (status) {
+            status.textContent = message;
+        }
+    }
+
+    /**
+     * Audit recurring series over the selected number of weeks
+     */
+    async loadRecurringAudit() {
+        const weeks = document.getElementById('recurring-audit-weeks').value;
+        this.setAuditStatus('Auditing recurring meetings...');
+
+        try {
+            const response = await fetch(this.calendarActionUrl('recurring-audit', [`weeks=${weeks}`]), { credentials: 'include' });
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.message || result.error);
+            }
+
+            this.recurringAuditLoaded = true;
+            this.renderRecurringAudit(result.data.series);
+            this.setAuditStatus(result.data.seriesCount > 0
+                ? `${result.interpretation.status} · ${result.data.hoursPerMonth}h a month in recurring meetings`
+                : 'No recurring meetings in this window');
+        } catch (error) {
+            console.error('Recurring audit failed:', error);
+            this.setAuditStatus(error.message);
+        }
+    }
+
+    /**
+     * One row per series, heaviest first - titles come from the calendar, so cells are set as text
+     */
+    renderRecurringAudit(series) {
+        const body = document.getElementById('recurring-audit-list');
+        if (!body) return;
+
+        const labels = { drop: 'Drop', thin: 'Meet less often', shorten: 'Shorten', keep: 'Keep' };
+        body.innerHTML = '';
+        series.forEach(item => {
+            const row = body.insertRow();
+            row.className = `audit-${item.recommendation}`;
+            const cells = [
+                item.summary,
+                item.hoursPerMonth.toFixed(1),
+                item.attendeeCount,
+                `${item.declined} / ${item.unanswered} of ${item.instances}`,
+                item.hasAgenda ? 'Yes' : 'No',
+                item.createdAt ? new Date(item.createdAt).toLocaleDateString() : '-'
+            ];
+            cells.forEach(value => { row.insertCell().textContent = value; });
+
+            const suggestion = row.insertCell();
+            const badge = document.createElement('strong');
+            badge.textContent = labels[item.recommendation];
+            suggestion.appendChild(badge);
+            if (item.flags.length > 0) {
+                suggestion.append(` - ${item.flags.map(flag => flag.reason).join('; ')}`);
+            }
+        });
+    }
+
+    setAuditStatus(message) {
+        const status = document.getElementById('recurring-audit-status');
+        if (status) {
+            status.textContent = message;
+        }
+    }
+
     /**
      * Show error message
      */
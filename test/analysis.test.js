@@ -0,0 +1,209 @@
+/**
+ * Shared analysis layer (api/_lib/gmail-provider.js, api/_lib/calendar-provider.js)
+ * The pure analyze* functions run on recorded Gmail / Calendar fixtures - no API calls
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { analyzeEmailStress } = require('../api/_lib/gmail-provider');
+const { analyzeScheduleHealth, resolveWorkingHours, resolveDateRange } = require('../api/_lib/calendar-provider');
+const inbox = require('./fixtures/gmail-inbox.json');
+const calendarDay = require('./fixtures/calendar-day.json');
+
+const USER_ID = 'me@example.com';
+
+test('email stress weighs default rules and leaves ignored mail out of the ratios', () => {
+    const result = analyzeEmailStress({ messages: inbox.messages, totalEmails: inbox.messages.length, userId: USER_ID });
+
+    assert.equal(result.type, 'email_stress');
+    assert.equal(result.user.userId, USER_ID);
+    assert.deepEqual(
+        { ...result.data, matchedEmails: undefined, responseDebt: undefined },
+        {
+            // Counted: m1 (1.0), m2 (0.8), m3 (0), m4 (0.3); m5 promotions and m6 newsletter are ignored
+            stressLevel: 0.515,
+            urgentCount: 2,
+            totalEmails: 6,
+            unreadCount: 4,
+            importantCount: 2,
+            ignoredCount: 2,
+            urgentRatio: 0.525,
+            unreadRatio: 0.5,
+            matchedCount: 5,
+            matchedEmails: undefined,
+            responseDebt: undefined
+        }
+    );
+    assert.deepEqual(result.data.matchedEmails.map(email => [email.id, email.urgency, email.ignored]), [
+        ['m1', 1, false],
+        ['m2', 0.8, false],
+        ['m4', 0.3, false],
+        ['m5', 0, true],
+        ['m6', 0, true]
+    ]);
+    assert.equal(result.data.responseDebt, null);
+    assert.equal(result.interpretation.stressStatus, 'Moderate Stress');
+    assert.equal(result.interpretation.confidence, 'high');
+    assert.equal(result.metadata.sampled, false);
+});
+
+test('email stress applies a user\'s own rules', () => {
+    const rules = [
+        { id: 'boss', type: 'sender', pattern: 'boss@example.com', weight: 0.6 },
+        { id: 'legal', type: 'domain', pattern: 'example.com', weight: -0.2 }
+    ];
+    const result = analyzeEmailStress({ messages: inbox.messages, totalEmails: 6, userId: USER_ID, rules });
+
+    // The defaults no longer apply: nothing is ignored, and Boss's mail (0.6 - 0.2) stays below the urgent threshold
+    assert.equal(result.data.ignoredCount, 0);
+    assert.equal(result.data.urgentCount, 0);
+    assert.deepEqual(result.data.matchedEmails.find(email => email.id === 'm4').rules.map(rule => rule.id), ['boss', 'legal']);
+    assert.equal(result.data.matchedEmails.find(email => email.id === 'm4').urgency, 0.4);
+    assert.equal(result.metadata.rulesApplied, 2);
+});
+
+test('email stress reports Gmail\'s window counts and sampling when only part was analyzed', () => {
+    const result = analyzeEmailStress({
+        messages: inbox.messages,
+        totalEmails: 600,
+        unreadTotal: 240,
+        importantTotal: 31,
+        truncated: false,
+        userId: USER_ID
+    });
+
+    assert.equal(result.data.totalEmails, 600);
+    assert.equal(result.data.unreadCount, 240);
+    assert.equal(result.data.importantCount, 31);
+    // Ratios still come from the analyzed emails only
+    assert.equal(result.data.unreadRatio, 0.5);
+    assert.equal(result.metadata.analyzedEmails, 6);
+    assert.equal(result.metadata.sampled, true);
+    assert.equal(result.interpretation.confidence, 'medium');
+});
+
+test('schedule health merges overlapping meetings and skips declined and attendee-less events', () => {
+    const result = analyzeScheduleHealth({
+        events: calendarDay.items,
+        userId: USER_ID,
+        days: ['2025-10-15'],
+        workingHours: resolveWorkingHours({ workStart: '09:00', workEnd: '17:00' }),
+        timeZone: 'UTC'
+    });
+    const [day] = result.data.days;
+
+    assert.equal(result.type, 'schedule_health');
+    assert.equal(day.dayOfWeek, 'Wednesday');
+    assert.equal(day.totalEvents, 6);
+    assert.equal(day.meetingCount, 3);
+    // 09:00-09:30 and 10:00-11:30 (design review + planning overlap)
+    assert.equal(day.meetingMinutes, 120);
+    assert.equal(day.meetingDensity, 0.25);
+    assert.deepEqual(day.focusBlocks.map(block => [block.start, block.minutes]), [
+        ['2025-10-15T09:30:00.000Z', 30],
+        ['2025-10-15T11:30:00.000Z', 330]
+    ]);
+    assert.equal(day.focusTimeHours, 6);
+    assert.equal(day.longestFocusBlockMinutes, 330);
+    assert.equal(day.deepWorkBlocks, 1);
+    assert.equal(day.fragmentationScore, 0.08);
+    assert.equal(result.interpretation.scheduleStatus, 'Balanced');
+    assert.deepEqual(result.metadata.workingHours, { start: '09:00', end: '17:00' });
+});
+
+test('schedule health ranks the optional invite as declinable', () => {
+    const result = analyzeScheduleHealth({
+        events: calendarDay.items,
+        userId: USER_ID,
+        days: ['2025-10-15'],
+        timeZone: 'UTC'
+    });
+
+    assert.equal(result.data.declinableCount, 1);
+    assert.deepEqual(result.data.declinable, [{
+        eventId: 'design-review',
+        summary: 'Design review',
+        date: '2025-10-15',
+        start: '2025-10-15T10:00:00.000Z',
+        end: '2025-10-15T11:00:00.000Z',
+        minutes: 60,
+        organizer: 'PM',
+        attendeeCount: 8,
+        priority: 'low',
+        optional: true,
+        responseStatus: 'needsAction',
+        // Skipping it frees 09:30-10:30 (planning still starts at 10:30)
+        freedBlockMinutes: 60,
+        score: 0.61,
+        reasons: ['Low priority', 'You are optional', '8 attendees - you will not be missed']
+    }]);
+});
+
+test('schedule health summarizes a multi-day range', () => {
+    const result = analyzeScheduleHealth({
+        events: calendarDay.items,
+        userId: USER_ID,
+        days: ['2025-10-15', '2025-10-16'],
+        label: 'custom',
+        timeZone: 'UTC'
+    });
+
+    assert.equal(result.data.totalEvents, 6);
+    assert.equal(result.data.focusTimeHours, 7);
+    assert.deepEqual(result.data.summary.busiestDay, { date: '2025-10-15', dayOfWeek: 'Wednesday', meetingDensity: 0.25 });
+    assert.deepEqual(result.data.summary.lightestDay, { date: '2025-10-16', dayOfWeek: 'Thursday', meetingDensity: 0 });
+    assert.equal(result.data.summary.totalMeetingHours, 2);
+    assert.equal(result.metadata.dayOfWeek, 'Wednesday - Thursday');
+    assert.equal(result.metadata.dateRange, 'custom');
+});
+
+test('schedule health for a week leaves the weekend out of the working-hour metrics', () => {
+    const saturdayMeeting = {
+        id: 'saturday-offsite',
+        summary: 'Offsite',
+        start: { dateTime: '2025-10-18T10:00:00Z' },
+        end: { dateTime: '2025-10-18T12:00:00Z' },
+        attendees: [{ email: USER_ID, self: true, responseStatus: 'accepted' }, { email: 'kim@example.com' }]
+    };
+    const { days, label } = resolveDateRange({ date: '2025-10-15', range: 'week' });
+    const result = analyzeScheduleHealth({ events: [...calendarDay.items, saturdayMeeting], userId: USER_ID, days, label, timeZone: 'UTC' });
+    const { summary } = result.data;
+
+    assert.deepEqual(result.data.days.map(day => day.workingDay), [true, true, true, true, true, false, false]);
+    assert.equal(summary.dayCount, 5);
+    assert.equal(summary.weekendDays, 2);
+    // Wednesday's 25% over five working days, not seven
+    assert.equal(result.data.meetingDensity, 0.05);
+    // Wednesday's 6 hours plus four free 8-hour weekdays; the free weekend adds nothing
+    assert.equal(summary.totalFocusTimeHours, 38);
+    assert.equal(result.data.focusTimeHours, 7.6);
+    assert.equal(result.data.deepWorkBlocks, 5);
+    assert.equal(result.data.fragmentationScore, 0.02);
+    assert.deepEqual(summary.lightestDay, { date: '2025-10-17', dayOfWeek: 'Friday', meetingDensity: 0 });
+    // Weekend meetings still count toward meeting hours
+    assert.equal(summary.totalMeetingHours, 4);
+    assert.equal(result.interpretation.focusTimeAvailable, '38.0 hours over 5 working days');
+});
+
+test('schedule health of a weekend day alone is measured as usual', () => {
+    const result = analyzeScheduleHealth({ events: [], userId: USER_ID, days: ['2025-10-18'], timeZone: 'UTC' });
+
+    assert.equal(result.data.days[0].workingDay, false);
+    assert.equal(result.data.summary.dayCount, 1);
+    assert.equal(result.data.focusTimeHours, 8);
+});
+
+test('schedule health days follow the user\'s time zone', () => {
+    // 09:00Z is 18:00 in Seoul - the standup falls outside working hours there
+    const result = analyzeScheduleHealth({
+        events: calendarDay.items.filter(event => event.id === 'standup'),
+        userId: USER_ID,
+        days: ['2025-10-15'],
+        timeZone: 'Asia/Seoul'
+    });
+
+    assert.equal(result.data.meetingCount, 1);
+    assert.equal(result.data.meetingDensity, 0);
+    assert.equal(result.data.days[0].meetingMinutes, 30);
+    assert.equal(result.metadata.timeZone, 'Asia/Seoul');
+});
@@ -0,0 +1,103 @@
+/**
+ * Personal baselines (src/analysis/PersonalHealthAnalyzer.js learnBaselines / compareToBaseline)
+ * Baselines are learned from an /api/history-shaped daily series ending on a Saturday
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const PersonalHealthAnalyzer = require('../src/analysis/PersonalHealthAnalyzer');
+
+const TODAY = '2025-10-18';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const analyzer = new PersonalHealthAnalyzer();
+
+/**
+ * History payload with a daily point on each of the `dayCount` days before TODAY
+ * `valueFor(index, date)` returns the point's values, or null to leave the day out
+ */
+function historyOf(dayCount, valueFor) {
+    const daily = [];
+    for (let index = dayCount; index >= 1; index--) {
+        const date = new Date(Date.parse(`${TODAY}T00:00:00Z`) - index * DAY_MS).toISOString().slice(0, 10);
+        const values = valueFor(index, date);
+        if (values) {
+            daily.push({ date, values });
+        }
+    }
+    return { data: { daily }, metadata: { to: TODAY } };
+}
+
+test('fewer than seven days of a metric learn no baseline for it', () => {
+    const baselines = analyzer.learnBaselines(historyOf(6, () => ({ emailStress: 0.3 })));
+
+    assert.equal(baselines.today, TODAY);
+    assert.deepEqual(baselines.metrics, {});
+    assert.equal(analyzer.compareToBaseline('emailStress', 0.9, baselines), null);
+});
+
+test('a metric that never varies compares against its minimum spread instead of dividing by zero', () => {
+    const baselines = analyzer.learnBaselines(historyOf(14, () => ({ emailStress: 0.25 })));
+    assert.equal(baselines.metrics.emailStress.std, 0);
+
+    const same = analyzer.compareToBaseline('emailStress', 0.25, baselines);
+    assert.equal(same.zScore, 0);
+    assert.equal(same.status, 'Typical for you');
+
+    // 0.15 above a flat 0.25 is three minimum spreads (0.05)
+    const higher = analyzer.compareToBaseline('emailStress', 0.4, baselines);
+    assert.equal(higher.zScore, 3);
+    assert.equal(higher.anomaly, true);
+});
+
+test('days two or more standard deviations from the baseline are anomalies, in either direction', () => {
+    // Alternating 20% / 40% meeting density: mean 30%, sample std 0.1038
+    const baselines = analyzer.learnBaselines(historyOf(14, index => ({ meetingDensity: index % 2 ? 0.2 : 0.4 })));
+    const compare = value => analyzer.compareToBaseline('meetingDensity', value, baselines);
+
+    assert.deepEqual(
+        { mean: compare(0.3).baselineMean, std: compare(0.3).baselineStd, samples: compare(0.3).samples },
+        { mean: 0.3, std: 0.1, samples: 14 }
+    );
+
+    const busy = compare(0.45);
+    assert.deepEqual([busy.zScore, busy.anomaly, busy.status], [1.45, false, 'Above your usual']);
+
+    const overbooked = compare(0.55);
+    assert.deepEqual([overbooked.zScore, overbooked.anomaly, overbooked.status], [2.41, true, 'Unusually high for you']);
+    assert.equal(overbooked.adverse, true);
+
+    const empty = compare(0.05);
+    assert.deepEqual([empty.zScore, empty.anomaly, empty.status], [-2.41, true, 'Unusually low for you']);
+    // Fewer meetings than usual is not a problem
+    assert.equal(empty.adverse, false);
+});
+
+test('a weekday without enough history of its own falls back to the overall baseline', () => {
+    // Eight weeks of weekdays only: Mondays sleep 8h, other weekdays 6h; no Saturdays at all
+    const history = historyOf(56, (index, date) => {
+        const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+        if (weekday === 0 || weekday === 6) {
+            return null;
+        }
+        return { sleepDuration: weekday === 1 ? 8 : 6 };
+    });
+    const baselines = analyzer.learnBaselines(history);
+    const { sleepDuration } = baselines.metrics;
+
+    assert.equal(baselines.weekday, 6);
+    assert.equal(sleepDuration.samples, 40);
+    assert.deepEqual(Object.keys(sleepDuration.byWeekday), ['1', '2', '3', '4', '5']);
+    assert.equal(sleepDuration.byWeekday[1].mean, 8);
+
+    const saturday = analyzer.compareToBaseline('sleepDuration', 6.4, baselines);
+    assert.equal(saturday.basis, 'overall');
+    assert.equal(saturday.baselineMean, 6.4);
+
+    // The same history read on a Monday uses the Monday baseline
+    const monday = analyzer.compareToBaseline('sleepDuration', 6.4, { ...baselines, weekday: 1 });
+    assert.equal(monday.basis, 'weekday');
+    assert.equal(monday.baselineMean, 8);
+    assert.equal(monday.anomaly, true);
+    assert.equal(monday.adverse, true);
+});
@@ -0,0 +1,201 @@
+/**
+ * Digest emails (api/_lib/digest.js, api/_lib/mail-transport.js)
+ * Rendering, the morning schedule, the capture transport and whole runs against a
+ * temporary file store, with the user's data analyzed from recorded Gmail / Calendar fixtures
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The store picks its backend when first loaded - point it at a scratch directory
+const STORE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'life-navigator-digest-'));
+process.env.LOCAL_STORE_DIR = STORE_DIR;
+delete process.env.KV_REST_API_URL;
+delete process.env.KV_REST_API_TOKEN;
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const store = require('../api/_lib/store');
+const { renderDigest, isDigestDue, runDigests, digestStateKey } = require('../api/_lib/digest');
+const { createMailTransport } = require('../api/_lib/mail-transport');
+const { getSnapshots } = require('../api/_lib/history');
+const { setUserProfile } = require('../api/_lib/user-profile');
+const { analyzeEmailStress } = require('../api/_lib/gmail-provider');
+const { analyzeScheduleHealth } = require('../api/_lib/calendar-provider');
+const inbox = require('./fixtures/gmail-inbox.json');
+const calendarDay = require('./fixtures/calendar-day.json');
+
+// 08:00 UTC on a Wednesday - inside the default 7:00 morning window
+const MORNING = new Date('2025-10-15T08:00:00Z');
+
+after(() => {
+    fs.rmSync(STORE_DIR, { recursive: true, force: true });
+});
+
+/**
+ * loadUserData stand-in: the fixtures analyzed as the Google loader would
+ */
+async function loadFixtures(userId, { timeZone }) {
+    return {
+        emails: analyzeEmailStress({ messages: inbox.messages, totalEmails: inbox.messages.length, userId }),
+        calendar: analyzeScheduleHealth({ events: calendarDay.items, userId, days: ['2025-10-15'], timeZone })
+    };
+}
+
+function captureTransport(name) {
+    return createMailTransport({ DIGEST_TRANSPORT: 'capture', DIGEST_CAPTURE_DIR: path.join(STORE_DIR, name) });
+}
+
+test('renderDigest shows the score change, metric changes and top recommendations, escaped in HTML', () => {
+    const message = renderDigest({
+        frequency: 'daily',
+        date: '2025-10-15',
+        since: 'yesterday',
+        analysis: {
+            score: 64,
+            status: 'Fair',
+            model: { name: 'Balanced', version: 'v1' },
+            recommendations: [
+                { priority: 'INFO', action: 'Keep it up', reason: 'Sleep is steady' },
+                { priority: 'CRITICAL', action: 'Reply to "<script>alert(1)</script>"', reason: 'Urgent & unread' },
+                { priority: 'HIGH', action: 'Block focus time', reason: 'Meeting density 70%' },
+                { priority: 'MEDIUM', action: 'Decline the design review', reason: 'You are optional' }
+            ]
+        },
+        scoreChange: -6,
+        changes: [{ label: 'Email stress', value: 0.5, previous: 0.3, text: 'Email stress: 50% (was 30%)' }]
+    });
+
+    assert.equal(message.subject, 'Your day: 64/100 Fair (-6 since yesterday)');
+    assert.match(message.text, /^Life Navigator daily digest - 2025-10-15$/m);
+    assert.match(message.text, /^Scoring model: Balanced v1$/m);
+    assert.match(message.text, /^- Email stress: 50% \(was 30%\)$/m);
+    // Top three by priority - the INFO one is dropped
+    assert.deepEqual(message.text.split('\n').filter(line => /^\d\. /.test(line)), [
+        '1. [CRITICAL] Reply to "<script>alert(1)</script>" - Urgent & unread',
+        '2. [HIGH] Block focus time - Meeting density 70%',
+        '3. [MEDIUM] Decline the design review - You are optional'
+    ]);
+    assert.ok(!message.html.includes('<script>'));
+    assert.ok(message.html.includes('Reply to &quot;&lt;script&gt;alert(1)&lt;/script&gt;&quot;'));
+    assert.ok(message.html.includes('Urgent &amp; unread'));
+});
+
+test('renderDigest without a previous snapshot says so', () => {
+    const message = renderDigest({
+        frequency: 'weekly',
+        date: '2025-10-13',
+        since: null,
+        analysis: { score: 80, status: 'Good', recommendations: [] },
+        scoreChange: null,
+        changes: []
+    });
+
+    assert.equal(message.subject, 'Your week: 80/100 Good');
+    assert.match(message.text, /No earlier snapshot to compare with yet\./);
+    assert.match(message.text, /No recommendations - all metrics look good\./);
+    assert.match(message.text, /Switch to a daily digest/);
+});
+
+test('isDigestDue follows the morning window, weekly Mondays and the last send', () => {
+    const due = options => isDigestDue({ frequency: 'daily', timeZone: 'UTC', now: MORNING, ...options });
+
+    assert.deepEqual(due({}), { due: true, date: '2025-10-15' });
+    assert.equal(due({ now: new Date('2025-10-15T06:59:00Z') }).due, false);
+    assert.equal(due({ now: new Date('2025-10-15T11:00:00Z') }).due, false);
+    // 08:00 UTC is 17:00 in Seoul
+    assert.equal(due({ timeZone: 'Asia/Seoul' }).due, false);
+    assert.deepEqual(due({ lastSentDate: '2025-10-15' }), { due: false, reason: 'Already sent today' });
+    assert.deepEqual(due({ frequency: 'weekly' }), { due: false, reason: 'Weekly digests go out on Mondays' });
+    assert.equal(due({ frequency: 'weekly', now: new Date('2025-10-13T08:00:00Z') }).due, true);
+    assert.deepEqual(due({ frequency: 'off' }), { due: false, reason: 'Digest turned off' });
+});
+
+test('the capture transport writes each message as JSON', async () => {
+    const transport = captureTransport('outbox-capture');
+    const delivery = await transport.send({ to: 'me@example.com', subject: 'Hi', text: 'Body', html: '<p>Body</p>' });
+
+    const written = JSON.parse(fs.readFileSync(delivery.file, 'utf8'));
+    assert.equal(transport.name, 'capture');
+    assert.equal(written.messageId, delivery.messageId);
+    assert.equal(written.to, 'me@example.com');
+    assert.equal(written.subject, 'Hi');
+    assert.deepEqual(transport.messages, [written]);
+});
+
+test('mail transport configuration errors are reported up front', () => {
+    assert.throws(() => createMailTransport({ DIGEST_TRANSPORT: 'pigeon' }), /Unknown DIGEST_TRANSPORT "pigeon"/);
+    // On Vercel the default outbox is read-only
+    assert.throws(() => createMailTransport({ VERCEL: '1' }), /Digest mail is not configured - set SMTP_HOST/);
+    assert.equal(createMailTransport({ VERCEL: '1', DIGEST_CAPTURE_DIR: path.join(STORE_DIR, 'tmp-outbox') }).name, 'capture');
+    assert.equal(createMailTransport({ VERCEL: '1', SMTP_HOST: 'smtp.example.com' }).name, 'smtp');
+});
+
+test('a sent digest records its snapshot and the send; the next run that day skips', async () => {
+    const userId = 'sent@example.com';
+    const transport = captureTransport('outbox-sent');
+
+    const first = await runDigests({ userIds: [userId], loadUserData: loadFixtures, transport, now: MORNING });
+    assert.deepEqual({ sent: first.sent, failed: first.failed }, { sent: 1, failed: 0 });
+    assert.equal(transport.messages.length, 1);
+    assert.match(transport.messages[0].subject, /^Your day: \d+\/100 /);
+
+    const snapshots = await getSnapshots(userId);
+    assert.equal(snapshots.length, 1);
+    assert.equal(snapshots[0].score, first.results[0].score);
+    assert.equal(snapshots[0].metrics.emailStress, 0.515);
+    assert.equal((await store.get(digestStateKey(userId))).lastSentDate, '2025-10-15');
+
+    const second = await runDigests({ userIds: [userId], loadUserData: loadFixtures, transport, now: MORNING });
+    assert.deepEqual(second.results, [{ userId, status: 'skipped', reason: 'Already sent today' }]);
+    assert.equal(transport.messages.length, 1);
+});
+
+test('a weekly digest does not write its week-long analysis into the daily history', async () => {
+    const userId = 'weekly@example.com';
+    await setUserProfile(userId, { digest: 'weekly' });
+    const transport = captureTransport('outbox-weekly');
+
+    // A Monday morning
+    const run = await runDigests({ userIds: [userId], loadUserData: loadFixtures, transport, now: new Date('2025-10-13T08:00:00Z') });
+    assert.equal(run.sent, 1);
+    assert.match(transport.messages[0].subject, /^Your week: /);
+    assert.deepEqual(await getSnapshots(userId), []);
+    assert.equal((await store.get(digestStateKey(userId))).lastSentDate, '2025-10-13');
+});
+
+test('a failed send records nothing, so the next run tries again', async () => {
+    const userId = 'bounce@example.com';
+    const failing = { name: 'failing', send: async () => { throw new Error('SMTP 421 try again later'); } };
+
+    const run = await runDigests({ userIds: [userId], loadUserData: loadFixtures, transport: failing, now: MORNING });
+    assert.deepEqual(run.results, [{ userId, status: 'failed', reason: 'SMTP 421 try again later' }]);
+    assert.deepEqual(await getSnapshots(userId), []);
+    assert.equal(await store.get(digestStateKey(userId)), null);
+
+    const retry = await runDigests({ userIds: [userId], loadUserData: loadFixtures, transport: captureTransport('outbox-retry'), now: MORNING });
+    assert.equal(retry.sent, 1);
+});
+
+test('runs process users in parallel and defer whoever is left once the budget is spent', async () => {
+    const userIds = ['a@example.com', 'b@example.com', 'c@example.com', 'd@example.com'];
+    let inFlight = 0;
+    let mostInFlight = 0;
+    const slowLoader = async (userId, options) => {
+        inFlight++;
+        mostInFlight = Math.max(mostInFlight, inFlight);
+        await new Promise(resolve => setTimeout(resolve, 20));
+        inFlight--;
+        return loadFixtures(userId, options);
+    };
+
+    const parallel = await runDigests({ userIds, loadUserData: slowLoader, transport: captureTransport('outbox-parallel'), now: MORNING, concurrency: 2 });
+    assert.equal(parallel.sent, 4);
+    assert.equal(mostInFlight, 2);
+    assert.deepEqual(parallel.results.map(result => result.userId), userIds);
+
+    const late = await runDigests({ userIds: ['late@example.com'], loadUserData: loadFixtures, transport: captureTransport('outbox-late'), now: MORNING, budgetMs: 0 });
+    assert.deepEqual({ sent: late.sent, deferred: late.deferred }, { sent: 0, deferred: 1 });
+    assert.equal(await store.get(digestStateKey('late@example.com')), null);
+});
@@ -0,0 +1,147 @@
+/**
+ * Google Fit provider (api/_lib/fitness-provider.js)
+ * getFitnessSummary runs against the local Google API stand-in through GOOGLE_API_ROOT_URL,
+ * which answers with recorded Fit responses; the clock is fixed to 2025-10-15
+ */
+
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { createUserClient } = require('../api/_lib/oauth-config');
+const { createFitnessClient, getFitnessSummary, isMissingFitnessScope } = require('../api/_lib/fitness-provider');
+const { startGoogleStandIn, unauthorized } = require('./helpers/google-stand-in');
+const recorded = require('./fixtures/google-fit-3-days.json');
+
+const NOW = Date.parse('2025-10-15T12:00:00Z');
+const USER_ID = 'fit@example.com';
+
+// Tokens the stand-in knows: a full grant, an account without the derived resting heart rate
+// source, and a grant that never included the fitness scopes
+const TOKENS = ['token-fit', 'token-no-resting', 'token-no-scope'];
+
+let standIn;
+
+/**
+ * Recorded response for one Fit call, picked by path and (for dataset:aggregate) by what is aggregated
+ */
+function answer({ method, path, query, body, token }) {
+    if (!TOKENS.includes(token)) {
+        return unauthorized();
+    }
+    if (token === 'token-no-scope') {
+        return { status: 403, body: { error: { code: 403, message: 'Request had insufficient authentication scopes.', status: 'PERMISSION_DENIED' } } };
+    }
+
+    if (method === 'POST' && path === '/fitness/v1/users/me/dataset:aggregate') {
+        const [by] = body.aggregateBy;
+        if (by.dataSourceId) {
+            return token === 'token-no-resting'
+                ? { status: 400, body: { error: { code: 400, message: `datasource not found: ${by.dataSourceId}` } } }
+                : { body: recorded.restingHeartRate };
+        }
+        return by.dataTypeName === 'com.google.sleep.segment'
+            ? { body: recorded.sleepSegments }
+            : { body: recorded.aggregate };
+    }
+
+    if (method === 'GET' && path === '/fitness/v1/users/me/sessions') {
+        return { body: query.get('pageToken') === 'page-2' ? recorded.sessions[1] : recorded.sessions[0] };
+    }
+    return { status: 404, body: { error: { code: 404, message: `No stand-in route for ${method} ${path}` } } };
+}
+
+before(async () => {
+    standIn = await startGoogleStandIn(answer);
+    process.env.GOOGLE_API_ROOT_URL = standIn.rootUrl;
+    mock.timers.enable({ apis: ['Date'], now: NOW });
+});
+
+after(async () => {
+    mock.timers.reset();
+    delete process.env.GOOGLE_API_ROOT_URL;
+    await standIn.close();
+});
+
+function fitnessFor(token) {
+    return createFitnessClient(createUserClient({ access_token: token, expiry_date: Date.now() + 60 * 60 * 1000 }));
+}
+
+/**
+ * Requests the stand-in received from one summary run
+ */
+async function summarize(token, days, timeZone) {
+    const first = standIn.requests.length;
+    const result = await getFitnessSummary(fitnessFor(token), USER_ID, days, timeZone);
+    return { result, requests: standIn.requests.slice(first) };
+}
+
+test('fitness summary from recorded Google Fit responses', async () => {
+    const { result } = await summarize('token-fit', 3, 'UTC');
+
+    assert.equal(result.type, 'fitness_summary');
+    assert.equal(result.user.userId, USER_ID);
+    assert.deepEqual(result.data.days, [
+        { date: '2025-10-13', sleepHours: null, sleepQuality: null, steps: 6500, activeMinutes: 30, restingHeartRate: 61 },
+        // Derived resting heart rate (57.6) replaces the daily minimum (59); 30 awake minutes in an 8h night
+        { date: '2025-10-14', sleepHours: 7.5, sleepQuality: 0.94, steps: 9000, activeMinutes: 45, restingHeartRate: 58 },
+        // Night without stage segments: duration only; no activity synced yet today
+        { date: '2025-10-15', sleepHours: 6, sleepQuality: null, steps: null, activeMinutes: null, restingHeartRate: null }
+    ]);
+    assert.equal(result.data.sleepDuration, 6.8);
+    assert.equal(result.data.sleepQuality, 0.94);
+    assert.equal(result.data.dailySteps, 7750);
+    assert.equal(result.data.activeMinutes, 38);
+    assert.equal(result.data.restingHeartRate, 60);
+    assert.equal(result.data.stressLevel, null);
+    assert.deepEqual(
+        { from: result.metadata.from, to: result.metadata.to, nightsRecorded: result.metadata.nightsRecorded, daysWithSteps: result.metadata.daysWithSteps },
+        { from: '2025-10-13', to: '2025-10-15', nightsRecorded: 2, daysWithSteps: 2 }
+    );
+    assert.equal(result.metadata.timestamp, '2025-10-15T12:00:00.000Z');
+    assert.equal(result.interpretation.sleepStatus, 'Insufficient Sleep');
+    assert.equal(result.interpretation.activityStatus, 'Lightly Active');
+    assert.equal(result.interpretation.confidence, 'high');
+});
+
+test('fitness requests cover the window ending today and page through sessions', async () => {
+    const { requests } = await summarize('token-fit', 3, 'UTC');
+    const aggregates = requests.filter(request => request.path.endsWith('dataset:aggregate'));
+    const sessions = requests.filter(request => request.path.endsWith('/sessions'));
+
+    assert.equal(requests.length, 5);
+    assert.deepEqual(aggregates[0].body.bucketByTime, { period: { type: 'day', value: 1, timeZoneId: 'UTC' } });
+    assert.equal(aggregates[0].body.startTimeMillis, String(Date.parse('2025-10-13T00:00:00Z')));
+    assert.equal(aggregates[0].body.endTimeMillis, String(Date.parse('2025-10-16T00:00:00Z')));
+    assert.deepEqual(aggregates[1].body.aggregateBy.map(by => Object.keys(by)), [['dataSourceId']]);
+    assert.deepEqual(aggregates[2].body.aggregateBy, [{ dataTypeName: 'com.google.sleep.segment' }]);
+
+    // Sleep that began the evening before the first day is included
+    assert.deepEqual(sessions.map(request => [request.query.get('startTime'), request.query.get('activityType'), request.query.get('pageToken')]), [
+        ['2025-10-12T12:00:00.000Z', '72', null],
+        ['2025-10-12T12:00:00.000Z', '72', 'page-2']
+    ]);
+    assert.ok(requests.every(request => request.token === 'token-fit'));
+});
+
+test('fitness days follow the user\'s time zone', async () => {
+    // 12:00Z is 21:00 in Seoul, still 2025-10-15 there
+    const { result, requests } = await summarize('token-fit', 3, 'Asia/Seoul');
+
+    assert.equal(requests[0].body.startTimeMillis, String(Date.parse('2025-10-13T00:00:00+09:00')));
+    assert.equal(requests[0].body.bucketByTime.period.timeZoneId, 'Asia/Seoul');
+    assert.equal(result.metadata.to, '2025-10-15');
+    assert.equal(result.metadata.timeZone, 'Asia/Seoul');
+});
+
+test('a missing resting heart rate source falls back to the daily minimum', async () => {
+    const { result } = await summarize('token-no-resting', 3, 'UTC');
+
+    assert.deepEqual(result.data.days.map(day => day.restingHeartRate), [61, 59, null]);
+    assert.equal(result.data.restingHeartRate, 60);
+});
+
+test('a grant without the fitness scopes is reported as such', async () => {
+    await assert.rejects(
+        summarize('token-no-scope', 3, 'UTC'),
+        error => isMissingFitnessScope(error)
+    );
+});
@@ -0,0 +1,64 @@
+/**
+ * Local Google API Stand-in
+ * A plain HTTP server that googleapis clients reach through `rootUrl`; `handle` answers each
+ * request from recorded fixtures. Every request is logged with the bearer token it carried
+ */
+
+const http = require('http');
+
+/**
+ * Start the stand-in on a free port
+ * `handle({ method, path, query, body, token })` returns { status, body } (status defaults to 200)
+ * Resolves to { rootUrl, requests, close }
+ */
+function startGoogleStandIn(handle) {
+    const requests = [];
+
+    const server = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', async () => {
+            const url = new URL(req.url, 'http://stand-in');
+            const authorization = req.headers.authorization || '';
+            const request = {
+                method: req.method,
+                path: url.pathname,
+                query: url.searchParams,
+                body: raw ? JSON.parse(raw) : null,
+                token: authorization.replace(/^Bearer /, '') || null
+            };
+            requests.push(request);
+
+            try {
+                const { status = 200, body } = await handle(request);
+                res.writeHead(status, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(body));
+            } catch (error) {
+                res.writeHead(500, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ error: { code: 500, message: error.message } }));
+            }
+        });
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            resolve({
+                rootUrl: `http://127.0.0.1:${server.address().port}/`,
+                requests: requests,
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+    });
+}
+
+/**
+ * Google's error body for a rejected token
+ */
+function unauthorized() {
+    return { status: 401, body: { error: { code: 401, message: 'Request had invalid authentication credentials.', status: 'UNAUTHENTICATED' } } };
+}
+
+module.exports = {
+    startGoogleStandIn,
+    unauthorized
+};
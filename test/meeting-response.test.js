@@ -0,0 +1,105 @@
+/**
+ * Meeting responses (api/_lib/meeting-response.js respondToMeetings)
+ * A batch of declines runs against the local Google API stand-in, where one patch fails mid-batch;
+ * a stub client stands in for a grant revoked part way through
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { google } = require('googleapis');
+const { createUserClient } = require('../api/_lib/oauth-config');
+const { resolveWorkingHours } = require('../api/_lib/calendar-provider');
+const { resolveMeetingAction, respondToMeetings, summarizeResponses } = require('../api/_lib/meeting-response');
+const { startGoogleStandIn } = require('./helpers/google-stand-in');
+
+const NOW = new Date('2025-10-15T08:00:00Z');
+
+function meeting(id, hour) {
+    return {
+        id: id,
+        summary: `Meeting ${id}`,
+        start: { dateTime: `2025-10-16T${hour}:00:00Z` },
+        end: { dateTime: `2025-10-16T${hour}:30:00Z` },
+        organizer: { email: 'pm@example.com' },
+        attendees: [
+            { email: 'pm@example.com', organizer: true, responseStatus: 'accepted' },
+            { email: 'me@example.com', self: true, responseStatus: 'needsAction' }
+        ]
+    };
+}
+
+const EVENTS = { first: meeting('first', '10'), locked: meeting('locked', '11'), last: meeting('last', '14') };
+
+let standIn;
+
+before(async () => {
+    standIn = await startGoogleStandIn(({ method, path }) => {
+        const match = path.match(/^\/calendar\/v3\/calendars\/primary\/events\/([^/]+)$/);
+        const event = match && EVENTS[decodeURIComponent(match[1])];
+        if (!event) {
+            return { status: 404, body: { error: { code: 404, message: 'Not Found' } } };
+        }
+        if (method === 'PATCH' && event.id === 'locked') {
+            return { status: 400, body: { error: { code: 400, message: 'Invalid attendee email.' } } };
+        }
+        return { body: event };
+    });
+});
+
+after(async () => {
+    await standIn.close();
+});
+
+function calendarFor(token) {
+    const auth = createUserClient({ access_token: token, expiry_date: Date.now() + 60 * 60 * 1000 });
+    return google.calendar({ version: 'v3', auth: auth, rootUrl: standIn.rootUrl });
+}
+
+function declineRequest(eventIds) {
+    return resolveMeetingAction({ action: 'decline', eventIds }).value;
+}
+
+test('a failure in the middle of a batch is reported and the rest still go through', async () => {
+    const first = standIn.requests.length;
+    const results = await respondToMeetings(calendarFor('token-me'), declineRequest(['first', 'locked', 'missing', 'last']), {
+        workingHours: resolveWorkingHours(),
+        timeZone: 'UTC',
+        now: NOW
+    });
+    const patched = standIn.requests.slice(first).filter(request => request.method === 'PATCH');
+
+    assert.deepEqual(results.map(result => [result.eventId, result.responseStatus || result.status]), [
+        ['first', 'declined'],
+        ['locked', 400],
+        ['missing', 404],
+        ['last', 'declined']
+    ]);
+    assert.match(results[1].error, /^Could not update the meeting: Invalid attendee email\./);
+    assert.deepEqual(patched.map(request => request.path.split('/').pop()), ['first', 'locked', 'last']);
+
+    const summary = summarizeResponses('decline', results);
+    assert.deepEqual([summary.updated, summary.failed], [2, 2]);
+});
+
+test('a revoked grant is thrown while nothing has changed, and reported once answers were written', async () => {
+    // Refreshing the token fails for every call after the first `working` ones
+    const revokedAfter = working => {
+        let calls = 0;
+        const call = async ({ eventId }) => {
+            if (++calls > working) {
+                throw new Error('invalid_grant');
+            }
+            return { data: EVENTS[eventId] };
+        };
+        return { events: { get: call, patch: call } };
+    };
+    const options = { workingHours: resolveWorkingHours(), timeZone: 'UTC', now: NOW };
+
+    await assert.rejects(respondToMeetings(revokedAfter(0), declineRequest(['first', 'last']), options), /invalid_grant/);
+
+    const results = await respondToMeetings(revokedAfter(2), declineRequest(['first', 'last']), options);
+    assert.deepEqual(results.map(result => [result.eventId, result.responseStatus || result.error]), [
+        ['first', 'declined'],
+        ['last', 'Could not update the meeting: invalid_grant']
+    ]);
+});
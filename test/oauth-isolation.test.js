@@ -0,0 +1,124 @@
+/**
+ * Per-request OAuth clients (api/_lib/oauth-config.js createUserClient)
+ * Two users' Gmail requests run interleaved against the local Google API stand-in;
+ * each must reach Google with its own token and see only its own inbox
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { google } = require('googleapis');
+const { createUserClient } = require('../api/_lib/oauth-config');
+const { getEmailStress } = require('../api/_lib/gmail-provider');
+const { startGoogleStandIn, unauthorized } = require('./helpers/google-stand-in');
+const { accounts } = require('./fixtures/gmail-two-users.json');
+
+const ROUNDS = 5;
+const EXPIRES_IN_AN_HOUR = () => Date.now() + 60 * 60 * 1000;
+
+// Random latency, so requests of both users overlap on the wire
+const jitter = () => new Promise(resolve => setTimeout(resolve, Math.floor(Math.random() * 15)));
+
+let standIn;
+
+before(async () => {
+    standIn = await startGoogleStandIn(async ({ path, query, token }) => {
+        const account = accounts[token];
+        if (!account) {
+            return unauthorized();
+        }
+        await jitter();
+
+        if (path === '/gmail/v1/users/me/messages') {
+            const q = query.get('q') || '';
+            const messages = account.messages.filter(message =>
+                (!q.includes('is:unread') || message.labelIds.includes('UNREAD')) &&
+                (!q.includes('is:important') || message.labelIds.includes('IMPORTANT')));
+            return { body: { messages: messages.map(message => ({ id: message.id })) } };
+        }
+
+        const detail = path.match(/^\/gmail\/v1\/users\/me\/messages\/([^/]+)$/);
+        if (detail) {
+            // Another user's message id is a 404, exactly as Gmail answers it
+            const message = account.messages.find(item => item.id === decodeURIComponent(detail[1]));
+            return message
+                ? { body: message }
+                : { status: 404, body: { error: { code: 404, message: 'Requested entity was not found.' } } };
+        }
+
+        if (path === '/gmail/v1/users/me/threads') {
+            return { body: { threads: [] } };
+        }
+        return { status: 404, body: { error: { code: 404, message: `No stand-in route for ${path}` } } };
+    });
+});
+
+after(async () => {
+    await standIn.close();
+});
+
+/**
+ * One API request as an endpoint handles it: a fresh client for this user only
+ */
+async function emailStressFor(token) {
+    const { userId } = accounts[token];
+    const auth = createUserClient({ access_token: token, expiry_date: EXPIRES_IN_AN_HOUR() });
+    const gmail = google.gmail({ version: 'v1', auth: auth, rootUrl: standIn.rootUrl });
+    return { token, result: await getEmailStress(gmail, userId) };
+}
+
+test('interleaved requests for two users each see only their own inbox', async () => {
+    const tokens = Object.keys(accounts);
+    const runs = [];
+    for (let round = 0; round < ROUNDS; round++) {
+        tokens.forEach(token => runs.push(emailStressFor(token)));
+    }
+    const results = await Promise.all(runs);
+
+    for (const { token, result } of results) {
+        const account = accounts[token];
+        const ownIds = account.messages.map(message => message.id);
+
+        assert.equal(result.user.userId, account.userId);
+        assert.equal(result.data.totalEmails, account.messages.length);
+        assert.equal(result.metadata.analyzedEmails, account.messages.length);
+        assert.equal(result.data.unreadCount, account.messages.filter(message => message.labelIds.includes('UNREAD')).length);
+        result.data.matchedEmails.forEach(email => assert.ok(ownIds.includes(email.id), `${account.userId} saw ${email.id}`));
+    }
+
+    // Alice's inbox is all urgent mail, Bob's has none - a mixed-up client would blur the two
+    const byUser = userId => results.filter(({ token }) => accounts[token].userId === userId).map(({ result }) => result);
+    byUser('alice@example.com').forEach(result => assert.equal(result.data.urgentCount, 3));
+    byUser('bob@example.com').forEach(result => assert.equal(result.data.urgentCount, 0));
+});
+
+test('the stand-in saw both users\' requests interleaved, each with a known token', () => {
+    const tokens = standIn.requests.map(request => request.token);
+    assert.ok(tokens.every(token => accounts[token]), 'every request carried one of the two users\' tokens');
+
+    const switches = tokens.filter((token, index) => index > 0 && token !== tokens[index - 1]).length;
+    assert.ok(switches >= ROUNDS, `requests should alternate between users (saw ${switches} switches)`);
+});
+
+test('clients built for different users never share credentials', () => {
+    const alice = createUserClient({ access_token: 'token-alice', expiry_date: EXPIRES_IN_AN_HOUR() });
+    const bob = createUserClient({ access_token: 'token-bob', expiry_date: EXPIRES_IN_AN_HOUR() });
+
+    assert.notEqual(alice, bob);
+    assert.equal(alice.credentials.access_token, 'token-alice');
+    assert.equal(bob.credentials.access_token, 'token-bob');
+});
+
+test('rotated tokens are reported for the user whose client refreshed', () => {
+    const stored = [];
+    const client = createUserClient(
+        { access_token: 'token-alice', refresh_token: 'refresh-alice', expiry_date: EXPIRES_IN_AN_HOUR() },
+        tokens => stored.push(tokens)
+    );
+    createUserClient({ access_token: 'token-bob', refresh_token: 'refresh-bob', expiry_date: EXPIRES_IN_AN_HOUR() }, tokens => stored.push(tokens));
+
+    client.emit('tokens', { access_token: 'token-alice-2', expiry_date: EXPIRES_IN_AN_HOUR() });
+
+    assert.equal(stored.length, 1);
+    assert.equal(stored[0].access_token, 'token-alice-2');
+    assert.equal(stored[0].refresh_token, 'refresh-alice');
+});
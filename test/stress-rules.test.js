@@ -0,0 +1,38 @@
+/**
+ * Email stress rules (api/_lib/stress-rules.js)
+ * Rule validation refuses regexes that could backtrack for too long; keywords match on word edges
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateRules, compileRules, scoreEmail } = require('../api/_lib/stress-rules');
+
+function regexError(pattern) {
+    return validateRules([{ type: 'regex', pattern }]).error || null;
+}
+
+test('regexes that can backtrack catastrophically are refused', () => {
+    for (const pattern of ['(a+)+$', '(x*)*y', '(\\w+\\s?)+!', '(a|ab)*c', '((ab)+c)+', '(?:a+){2,}']) {
+        assert.match(regexError(pattern), /too expensive to match: repeated groups/, pattern);
+    }
+    assert.match(regexError('(a)\\1'), /backreferences are not allowed/);
+    assert.match(regexError('(?<word>a)\\k<word>'), /backreferences are not allowed/);
+});
+
+test('ordinary regexes are accepted', () => {
+    for (const pattern of ['^(newsletter|digest|no-?reply)@', 'invoice #\\d+', '(re|fwd): .*urgent', '[(+)]+', '(?:a+)?b', 'due (today|tomorrow)']) {
+        assert.equal(regexError(pattern), null, pattern);
+    }
+});
+
+test('keywords starting or ending in a symbol match on word edges', () => {
+    const compiled = compileRules([
+        { id: 'cpp', type: 'keyword', pattern: 'c++', field: 'subject', weight: 0.5 },
+        { id: 'tag', type: 'keyword', pattern: '#urgent', field: 'subject', weight: 0.5 }
+    ]);
+    const matched = subject => scoreEmail(compiled, { subject }).matched.map(rule => rule.id);
+
+    assert.deepEqual(matched('C++ build broken'), ['cpp']);
+    assert.deepEqual(matched('Fix this #urgent'), ['tag']);
+    assert.deepEqual(matched('abc++ and #urgently'), []);
+});
@@ -0,0 +1,162 @@
+/**
+ * Webhook receivers and delivery state (api/_lib/webhooks.js)
+ * Private addresses are refused at registration and on connect; failed deliveries back off;
+ * dashboard analyses are queued rather than delivered inside the request
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The store picks its backend when first loaded - point it at a scratch directory
+const STORE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'life-navigator-webhooks-'));
+process.env.LOCAL_STORE_DIR = STORE_DIR;
+delete process.env.KV_REST_API_URL;
+delete process.env.KV_REST_API_TOKEN;
+delete process.env.WEBHOOK_ALLOW_PRIVATE;
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const store = require('../api/_lib/store');
+const {
+    validateWebhook,
+    checkUrlAddress,
+    deliverWebhook,
+    checkWebhooks,
+    queueWebhookCheck,
+    deliverQueuedWebhooks,
+    listWebhookUsers
+} = require('../api/_lib/webhooks');
+const { MOCK_USER_ID } = require('../api/_lib/mock-data');
+const { deleteAllUserData } = require('../api/_lib/user-data');
+
+const NOW = new Date('2025-10-15T12:00:00Z');
+const CONDITIONS = [{ type: 'score_below', threshold: 50 }];
+const LOW_SCORE = { score: 30, status: 'Poor', recommendations: [] };
+
+after(() => {
+    fs.rmSync(STORE_DIR, { recursive: true, force: true });
+});
+
+/**
+ * Store a webhook directly, as createWebhook would after registration checks
+ */
+async function storeWebhook(userId, url) {
+    const webhook = { id: 'wh_test', name: 'test', url, format: 'json', conditions: CONDITIONS, secret: 'whsec_test', createdAt: NOW.toISOString() };
+    await store.set(`webhooks:${userId}`, [webhook]);
+    return webhook;
+}
+
+test('registration refuses plain http and private, loopback and link-local addresses', () => {
+    const urlError = url => validateWebhook({ url, conditions: CONDITIONS }).error || null;
+
+    assert.equal(urlError('https://hooks.example.com/alert'), null);
+    assert.equal(urlError('http://hooks.example.com/alert'), 'url must use https');
+    for (const url of [
+        'https://127.0.0.1/', 'https://10.1.2.3/', 'https://192.168.0.10:8443/', 'https://172.20.0.1/',
+        'https://169.254.169.254/latest/meta-data/', 'https://100.64.0.1/', 'https://0.0.0.0/',
+        'https://[::1]/', 'https://[fd00::1]/', 'https://[fe80::1]/', 'https://[::ffff:10.0.0.1]/',
+        'https://2130706433/'
+    ]) {
+        assert.match(urlError(url), /must point to a public address/, url);
+    }
+});
+
+test('names are resolved before registration', async () => {
+    assert.match(await checkUrlAddress('https://localhost/hook'), /must point to a public address/);
+    assert.match(await checkUrlAddress('https://no-such-host.invalid/hook'), /does not resolve/);
+});
+
+test('a delivery to a name resolving to a private address is refused on connect, without retries', async () => {
+    const webhook = { id: 'wh_local', url: 'https://localhost:1/hook', format: 'json', secret: 'whsec_test' };
+    let slept = 0;
+    const delivery = await deliverWebhook(webhook, { userId: 'a@example.com', analysis: LOW_SCORE, triggered: [] }, {
+        sleep: async () => { slept++; }
+    });
+
+    assert.equal(delivery.status, 'failed');
+    assert.match(delivery.error, /resolves to a non-public address/);
+    assert.equal(delivery.attempts.length, 1);
+    assert.equal(slept, 0);
+});
+
+test('a failed delivery leaves the condition unfired and backs the webhook off', async () => {
+    const userId = 'backoff@example.com';
+    await storeWebhook(userId, 'https://localhost:1/hook');
+    const check = now => checkWebhooks(userId, { analysis: LOW_SCORE, metrics: {}, timeZone: 'UTC', now });
+
+    const [first] = await check(NOW);
+    assert.equal(first.status, 'failed');
+    assert.equal(first.retryAt, '2025-10-15T12:05:00.000Z');
+    assert.deepEqual(await store.get(`webhook_state:${userId}`), {
+        wh_test: { fired: {}, failures: 1, retryAt: '2025-10-15T12:05:00.000Z' }
+    });
+
+    // Still backing off - nothing is sent
+    assert.deepEqual(await check(new Date('2025-10-15T12:04:00Z')), []);
+
+    // Next failure doubles the wait
+    const [second] = await check(new Date('2025-10-15T12:06:00Z'));
+    assert.equal(second.retryAt, '2025-10-15T12:16:00.000Z');
+    assert.equal((await store.getList(`webhook_deliveries:${userId}`)).length, 2);
+});
+
+test('dashboard analyses are queued and delivered later, once', async () => {
+    const userId = 'queue@example.com';
+    await storeWebhook(userId, 'https://localhost:1/hook');
+
+    assert.deepEqual(
+        await queueWebhookCheck(userId, { analysis: { ...LOW_SCORE, score: 80 }, metrics: {}, timeZone: 'UTC', now: NOW }),
+        { queued: false, webhookIds: [] }
+    );
+    assert.deepEqual(
+        await queueWebhookCheck(userId, { analysis: LOW_SCORE, metrics: {}, timeZone: 'UTC', now: NOW }),
+        { queued: true, webhookIds: ['wh_test'] }
+    );
+    assert.equal((await store.getList(`webhook_deliveries:${userId}`)).length, 0);
+
+    const sent = await deliverQueuedWebhooks(userId, { now: NOW });
+    assert.deepEqual(sent.map(item => [item.webhookId, item.status]), [['wh_test', 'failed']]);
+    assert.deepEqual(await deliverQueuedWebhooks(userId, { now: NOW }), []);
+});
+
+test('deliveries with no time left before the run deadline are deferred and stay queued', async () => {
+    const userId = 'deadline@example.com';
+    await storeWebhook(userId, 'https://localhost:1/hook');
+    await queueWebhookCheck(userId, { analysis: LOW_SCORE, metrics: {}, timeZone: 'UTC', now: NOW });
+
+    const options = { deadline: Date.now() };
+    assert.deepEqual(await deliverQueuedWebhooks(userId, { now: NOW, options }), [
+        { webhookId: 'wh_test', status: 'deferred', triggered: 1, retryAt: null }
+    ]);
+    assert.equal(await store.get(`webhook_state:${userId}`), null);
+    assert.equal((await store.getList(`webhook_deliveries:${userId}`)).length, 0);
+
+    // The next run, with time to spare, sends it
+    const [sent] = await deliverQueuedWebhooks(userId, { now: NOW });
+    assert.equal(sent.status, 'failed');
+    assert.equal(await store.get(`webhook_pending:${userId}`), null);
+});
+
+test('deleting a user\'s data removes their webhooks, delivery state and queued analysis', async () => {
+    const userId = 'delete@example.com';
+    await storeWebhook(userId, 'https://localhost:1/hook');
+    await checkWebhooks(userId, { analysis: LOW_SCORE, metrics: {}, timeZone: 'UTC', now: NOW });
+    await queueWebhookCheck(userId, { analysis: LOW_SCORE, metrics: {}, timeZone: 'UTC', now: new Date('2025-10-16T12:00:00Z') });
+    assert.ok(await store.get(`webhook_pending:${userId}`));
+
+    await deleteAllUserData(userId);
+
+    for (const prefix of ['webhooks', 'webhook_state', 'webhook_pending']) {
+        assert.equal(await store.get(`${prefix}:${userId}`), null, prefix);
+    }
+    assert.deepEqual(await store.getList(`webhook_deliveries:${userId}`), []);
+});
+
+test('the demo user is never checked', async () => {
+    await storeWebhook(MOCK_USER_ID, 'https://hooks.example.com/alert');
+
+    const users = await listWebhookUsers();
+    assert.ok(!users.includes(MOCK_USER_ID));
+    assert.ok(users.includes('backoff@example.com'));
+});